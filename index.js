@@ -2,6 +2,8 @@ import "dotenv/config";
 import express from "express";
 import router from "./routes/router.js";
 import stripeWebhook from "./routes/stripeWebhook.js";
+import sharePreviewPage from "./routes/sharePreview.js";
+import { startTrashPurgeSchedule } from "./utils/deckTrash.js";
 
 /**
  * Aran API — hardened CORS + preflight
@@ -10,6 +12,20 @@ import stripeWebhook from "./routes/stripeWebhook.js";
 
 const app = express();
 
+/* -------------------- Proxy -------------------- */
+// req.ip takes X-Forwarded-For only from trusted hops. Default: the one proxy
+// in front of the API (Railway / Vercel). TRUST_PROXY takes a hop count,
+// true / false, or addresses/subnets ("loopback, 10.0.0.0/8").
+function parseTrustProxy(raw) {
+  const value = String(raw ?? "1").trim();
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value.toLowerCase() === "true") return true;
+  if (value.toLowerCase() === "false") return false;
+  return value;
+}
+
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 /* -------------------- CORS -------------------- */
 const staticAllowedOrigins = [
   "https://www.aran.studio",
@@ -110,6 +126,9 @@ app.use(express.json({ limit: process.env.JSON_LIMIT || "80mb" }));
 /* -------------------- Routes -------------------- */
 app.use("/api", router);
 
+// Share link previews (Open Graph HTML for link unfurls)
+app.get("/share/:code", sharePreviewPage);
+
 // Health check (nice for Railway)
 app.get("/", (_req, res) => res.status(200).send("OK"));
 app.get("/health", (_req, res) => res.status(200).send("OK"));
@@ -135,4 +154,7 @@ const PORT = process.env.PORT || 8080;
 const HOST = process.env.HOST || "0.0.0.0";
 app.listen(PORT, HOST, () => {
   console.log("Aran API listening on", `${HOST}:${PORT}`);
+
+  // Purge decks that have been in the trash past the retention window
+  startTrashPurgeSchedule();
 });
@@ -0,0 +1,110 @@
+-- Migration 006: Deck version history
+-- Run this migration AFTER 001-005
+--
+-- Every save and beat mutation records an immutable snapshot of the deck
+-- content so producers can diff and restore earlier versions. Version numbers
+-- are assigned here, by a trigger, so concurrent writes never collide.
+
+-- =============================================================================
+-- STEP 1: Create the deck_versions table
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.deck_versions (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    deck_id uuid NOT NULL REFERENCES public.decks(id) ON DELETE CASCADE,
+    user_id uuid,
+    version int NOT NULL,
+    -- What produced the snapshot: save, beats.add, beats.update, beats.delete,
+    -- beats.replace, beats.reorder, restore
+    source text NOT NULL DEFAULT 'save',
+    title text,
+    beats_count int DEFAULT 0,
+    content jsonb NOT NULL,
+    -- Version this snapshot was restored from (for source = 'restore')
+    restored_from uuid REFERENCES public.deck_versions(id) ON DELETE SET NULL,
+    -- decks.updated_at right after the write that produced this snapshot
+    deck_updated_at timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (deck_id, version)
+);
+
+COMMENT ON TABLE public.deck_versions IS
+'Immutable content snapshots for decks. One row per save or beat mutation.';
+
+-- =============================================================================
+-- STEP 2: Indexes
+-- =============================================================================
+-- Listing versions for a deck, newest first
+CREATE INDEX IF NOT EXISTS deck_versions_deck_version_idx
+ON public.deck_versions(deck_id, version DESC);
+
+-- Looking up the snapshot that matches a given deck updated_at
+CREATE INDEX IF NOT EXISTS deck_versions_deck_updated_idx
+ON public.deck_versions(deck_id, deck_updated_at);
+
+-- =============================================================================
+-- STEP 3: Row level security
+-- =============================================================================
+-- The API uses the service key; these policies cover token-scoped access.
+ALTER TABLE public.deck_versions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners can read deck versions" ON public.deck_versions;
+CREATE POLICY "Owners can read deck versions"
+ON public.deck_versions FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.decks d
+    WHERE d.id = deck_versions.deck_id AND d.user_id = auth.uid()
+));
+
+DROP POLICY IF EXISTS "Owners can insert deck versions" ON public.deck_versions;
+CREATE POLICY "Owners can insert deck versions"
+ON public.deck_versions FOR INSERT
+TO authenticated
+WITH CHECK (EXISTS (
+    SELECT 1 FROM public.decks d
+    WHERE d.id = deck_versions.deck_id AND d.user_id = auth.uid()
+));
+
+-- Snapshots can't be edited or deleted with a user token; pruning beyond
+-- DECK_VERSION_LIMIT runs with the service key
+DROP POLICY IF EXISTS "Owners can prune deck versions" ON public.deck_versions;
+
+-- =============================================================================
+-- STEP 4: Number versions per deck
+-- =============================================================================
+-- MAX(version) + 1 read by two concurrent writers would give both the same
+-- number and one insert would fail on UNIQUE (deck_id, version). The trigger
+-- takes a per-deck advisory lock (held until the inserting transaction ends)
+-- and replaces whatever version the client sent.
+CREATE OR REPLACE FUNCTION public.assign_deck_version()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('deck_versions'), hashtext(NEW.deck_id::text));
+
+    SELECT COALESCE(MAX(v.version), 0) + 1
+    INTO NEW.version
+    FROM public.deck_versions v
+    WHERE v.deck_id = NEW.deck_id;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS deck_versions_assign_version ON public.deck_versions;
+CREATE TRIGGER deck_versions_assign_version
+BEFORE INSERT ON public.deck_versions
+FOR EACH ROW
+EXECUTE FUNCTION public.assign_deck_version();
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- SELECT deck_id, COUNT(*) AS versions, MAX(version) AS latest
+-- FROM public.deck_versions
+-- GROUP BY deck_id
+-- ORDER BY latest DESC
+-- LIMIT 20;
@@ -0,0 +1,127 @@
+-- Migration 007: Soft delete (trash bin) for decks
+-- Run this migration AFTER 006
+--
+-- DELETE /api/decks/:id now sets deleted_at instead of removing the row.
+-- Trashed decks are purged (row + storage objects) after TRASH_RETENTION_DAYS.
+
+-- =============================================================================
+-- STEP 1: Add deleted_at column
+-- =============================================================================
+ALTER TABLE public.decks
+ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+
+-- =============================================================================
+-- STEP 2: Indexes
+-- =============================================================================
+-- Live decks: the common list query only ever looks at non-deleted rows
+CREATE INDEX IF NOT EXISTS decks_user_live_updated_idx
+ON public.decks(user_id, tool, updated_at DESC)
+WHERE deleted_at IS NULL;
+
+-- Trash listing and the purge job
+CREATE INDEX IF NOT EXISTS decks_deleted_at_idx
+ON public.decks(deleted_at)
+WHERE deleted_at IS NOT NULL;
+
+-- =============================================================================
+-- STEP 3: Exclude trashed decks from the list view and RPC functions (see 003)
+-- =============================================================================
+CREATE OR REPLACE VIEW public.deck_list AS
+SELECT
+    id,
+    user_id,
+    title,
+    tool,
+    story_type,
+    created_at,
+    updated_at,
+    thumbnail_url,
+    export_pdf_url,
+    prompt,
+    content->>'shareCode' AS share_code,
+    COALESCE((content->>'shared')::boolean, false) AS shared
+FROM public.decks
+WHERE deleted_at IS NULL;
+
+CREATE OR REPLACE FUNCTION public.get_user_decks(
+    p_user_id uuid,
+    p_tool text DEFAULT NULL,
+    p_limit int DEFAULT 50,
+    p_offset int DEFAULT 0
+)
+RETURNS TABLE (
+    id uuid,
+    title text,
+    tool text,
+    story_type text,
+    created_at timestamptz,
+    updated_at timestamptz,
+    thumbnail_url text,
+    export_pdf_url text,
+    prompt text,
+    share_code text,
+    shared boolean
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT
+        d.id,
+        d.title,
+        d.tool,
+        d.story_type,
+        d.created_at,
+        d.updated_at,
+        d.thumbnail_url,
+        d.export_pdf_url,
+        d.prompt,
+        d.content->>'shareCode' AS share_code,
+        COALESCE((d.content->>'shared')::boolean, false) AS shared
+    FROM public.decks d
+    WHERE d.user_id = p_user_id
+      AND d.deleted_at IS NULL
+      AND (p_tool IS NULL OR d.tool = p_tool)
+    ORDER BY d.updated_at DESC NULLS LAST, d.created_at DESC
+    LIMIT p_limit
+    OFFSET p_offset;
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_user_deck_counts(p_user_id uuid)
+RETURNS TABLE (
+    tool text,
+    count bigint
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT
+        d.tool,
+        COUNT(*)::bigint as count
+    FROM public.decks d
+    WHERE d.user_id = p_user_id
+      AND d.deleted_at IS NULL
+    GROUP BY d.tool;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_user_decks TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_user_deck_counts TO authenticated;
+
+-- =============================================================================
+-- STEP 4: Exports bucket delete policy (purge removes exported PDFs too)
+-- =============================================================================
+DROP POLICY IF EXISTS "Authenticated users can delete exports" ON storage.objects;
+CREATE POLICY "Authenticated users can delete exports"
+ON storage.objects FOR DELETE
+TO authenticated
+USING (bucket_id = 'exports');
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- Trashed decks and when they become eligible for purge (30 day default):
+-- SELECT id, title, deleted_at, deleted_at + interval '30 days' AS purge_at
+-- FROM public.decks
+-- WHERE deleted_at IS NOT NULL
+-- ORDER BY deleted_at;
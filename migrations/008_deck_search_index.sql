@@ -0,0 +1,147 @@
+-- Migration 008: Full-text search index for decks
+-- Run this migration AFTER 007
+--
+-- Adds a weighted tsvector over title (A), tagline (B), prompt (C) and beat
+-- text (D), a GIN index on it, and the search_user_decks() RPC used by
+-- GET /api/decks/search.
+
+-- =============================================================================
+-- STEP 1: Beat text extraction (name, intent, beatText/text of every beat)
+-- =============================================================================
+-- Text of a single beat: string beats are used as-is
+CREATE OR REPLACE FUNCTION public.deck_beat_search_text(beat jsonb)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE jsonb_typeof(beat)
+        WHEN 'string' THEN beat #>> '{}'
+        WHEN 'object' THEN concat_ws(' ',
+            beat->>'name',
+            beat->>'intent',
+            COALESCE(NULLIF(beat->>'beatText', ''), beat->>'text'))
+        ELSE ''
+    END;
+$$;
+
+-- Text of all beats in a deck's content
+CREATE OR REPLACE FUNCTION public.deck_beats_search_text(content jsonb)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(string_agg(public.deck_beat_search_text(b.beat), ' '), '')
+    FROM jsonb_array_elements(
+        CASE WHEN jsonb_typeof(content->'beats') = 'array'
+             THEN content->'beats'
+             ELSE '[]'::jsonb
+        END
+    ) AS b(beat);
+$$;
+
+-- =============================================================================
+-- STEP 2: Weighted search vector + GIN index
+-- =============================================================================
+ALTER TABLE public.decks
+ADD COLUMN IF NOT EXISTS search_tsv tsvector
+GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(tagline, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(prompt, '')), 'C') ||
+    setweight(to_tsvector('english', public.deck_beats_search_text(content)), 'D')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS decks_search_tsv_idx
+ON public.decks USING gin(search_tsv);
+
+-- =============================================================================
+-- STEP 3: Search RPC
+-- =============================================================================
+-- Snippets wrap matches in chr(2) ... chr(3); the API escapes the text and
+-- turns those markers into <mark> tags.
+CREATE OR REPLACE FUNCTION public.search_user_decks(
+    p_user_id uuid,
+    p_query text,
+    p_tool text DEFAULT NULL,
+    p_limit int DEFAULT 20,
+    p_offset int DEFAULT 0
+)
+RETURNS TABLE (
+    id uuid,
+    title text,
+    tagline text,
+    tool text,
+    story_type text,
+    thumbnail_url text,
+    tone_image_url text,
+    beats_count int,
+    beats_preview text,
+    created_at timestamptz,
+    updated_at timestamptz,
+    rank real,
+    title_snippet text,
+    tagline_snippet text,
+    prompt_snippet text,
+    beat_index int,
+    beat_snippet text
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    WITH q AS (
+        SELECT
+            websearch_to_tsquery('english', p_query) AS query,
+            format('StartSel=%s, StopSel=%s, MaxWords=30, MinWords=10, HighlightAll=false',
+                   chr(2), chr(3)) AS opts
+    )
+    SELECT
+        d.id,
+        d.title,
+        d.tagline,
+        d.tool,
+        d.story_type,
+        d.thumbnail_url,
+        d.tone_image_url,
+        d.beats_count,
+        d.beats_preview,
+        d.created_at,
+        d.updated_at,
+        ts_rank(d.search_tsv, q.query) AS rank,
+        ts_headline('english', COALESCE(d.title, ''), q.query, q.opts) AS title_snippet,
+        ts_headline('english', COALESCE(d.tagline, ''), q.query, q.opts) AS tagline_snippet,
+        ts_headline('english', COALESCE(d.prompt, ''), q.query, q.opts) AS prompt_snippet,
+        beat.beat_index,
+        beat.beat_snippet
+    FROM public.decks d
+    CROSS JOIN q
+    LEFT JOIN LATERAL (
+        SELECT
+            (b.ord - 1)::int AS beat_index,
+            ts_headline('english', public.deck_beat_search_text(b.beat), q.query, q.opts) AS beat_snippet
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(d.content->'beats') = 'array'
+                 THEN d.content->'beats'
+                 ELSE '[]'::jsonb
+            END
+        ) WITH ORDINALITY AS b(beat, ord)
+        WHERE to_tsvector('english', public.deck_beat_search_text(b.beat)) @@ q.query
+        ORDER BY b.ord
+        LIMIT 1
+    ) beat ON true
+    WHERE d.user_id = p_user_id
+      AND d.deleted_at IS NULL
+      AND d.search_tsv @@ q.query
+      AND (p_tool IS NULL OR d.tool = p_tool)
+    ORDER BY rank DESC, d.updated_at DESC NULLS LAST
+    LIMIT p_limit
+    OFFSET p_offset;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_user_decks TO authenticated;
+
+-- =============================================================================
+-- USAGE EXAMPLES:
+-- =============================================================================
+-- SELECT id, title, rank, beat_index FROM search_user_decks('uuid-here', 'rooftop chase');
+-- SELECT * FROM search_user_decks('uuid-here', '"night market" -rain', 'story_engine', 20, 0);
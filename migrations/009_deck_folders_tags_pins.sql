@@ -0,0 +1,136 @@
+-- Migration 009: Folders, tags and pinning for decks
+-- Run this migration AFTER 008
+--
+-- Decks can be filed into one user-defined folder, carry free-form tags and
+-- be pinned. GET /api/decks filters on all three; get_user_deck_counts()
+-- now also returns per-folder counts for the sidebar badges.
+
+-- =============================================================================
+-- STEP 1: Create the deck_folders table
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.deck_folders (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL,
+    name text NOT NULL,
+    color text,
+    position int NOT NULL DEFAULT 0,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.deck_folders IS
+'User-defined folders for organizing decks. Deleting a folder unfiles its decks.';
+
+-- Folder names are unique per user (case-insensitive)
+CREATE UNIQUE INDEX IF NOT EXISTS deck_folders_user_name_idx
+ON public.deck_folders(user_id, lower(name));
+
+CREATE INDEX IF NOT EXISTS deck_folders_user_position_idx
+ON public.deck_folders(user_id, position, created_at);
+
+-- =============================================================================
+-- STEP 2: Add folder_id, tags and pinned columns to decks
+-- =============================================================================
+ALTER TABLE public.decks
+ADD COLUMN IF NOT EXISTS folder_id uuid REFERENCES public.deck_folders(id) ON DELETE SET NULL;
+
+-- Tags are stored lowercased and de-duplicated by the API
+ALTER TABLE public.decks
+ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.decks
+ADD COLUMN IF NOT EXISTS pinned boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.decks
+ADD COLUMN IF NOT EXISTS pinned_at timestamptz;
+
+-- =============================================================================
+-- STEP 3: Indexes
+-- =============================================================================
+CREATE INDEX IF NOT EXISTS decks_user_folder_idx
+ON public.decks(user_id, folder_id, updated_at DESC)
+WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS decks_tags_idx
+ON public.decks USING gin(tags);
+
+CREATE INDEX IF NOT EXISTS decks_user_pinned_idx
+ON public.decks(user_id, pinned_at DESC)
+WHERE pinned AND deleted_at IS NULL;
+
+-- =============================================================================
+-- STEP 4: Organizing a deck should not reorder it by "last edited"
+-- =============================================================================
+-- Filing, tagging or pinning leaves updated_at alone so the list order and
+-- If-Match preconditions (see 006) only move on real edits.
+CREATE OR REPLACE FUNCTION update_decks_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (to_jsonb(NEW) - ARRAY['folder_id', 'tags', 'pinned', 'pinned_at', 'updated_at', 'search_tsv'])
+       = (to_jsonb(OLD) - ARRAY['folder_id', 'tags', 'pinned', 'pinned_at', 'updated_at', 'search_tsv']) THEN
+        NEW.updated_at = OLD.updated_at;
+    ELSE
+        NEW.updated_at = now();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================================================
+-- STEP 5: Deck counts by tool, folder and pin (replaces the 007 version)
+-- =============================================================================
+-- The return type changes, so the old function has to be dropped first.
+-- kind = 'tool'    -> key is the tool
+-- kind = 'folder'  -> key is the folder id
+-- kind = 'unfiled' -> decks without a folder (key is NULL)
+-- kind = 'pinned'  -> pinned decks (key is NULL)
+DROP FUNCTION IF EXISTS public.get_user_deck_counts(uuid);
+
+CREATE OR REPLACE FUNCTION public.get_user_deck_counts(p_user_id uuid)
+RETURNS TABLE (
+    kind text,
+    key text,
+    count bigint
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    WITH live AS (
+        SELECT d.tool, d.folder_id, d.pinned
+        FROM public.decks d
+        WHERE d.user_id = p_user_id
+          AND d.deleted_at IS NULL
+    )
+    SELECT 'tool', tool, COUNT(*)::bigint FROM live GROUP BY tool
+    UNION ALL
+    SELECT 'folder', folder_id::text, COUNT(*)::bigint FROM live
+    WHERE folder_id IS NOT NULL GROUP BY folder_id
+    UNION ALL
+    SELECT 'unfiled', NULL, COUNT(*)::bigint FROM live WHERE folder_id IS NULL
+    UNION ALL
+    SELECT 'pinned', NULL, COUNT(*)::bigint FROM live WHERE pinned;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_user_deck_counts TO authenticated;
+
+-- =============================================================================
+-- STEP 6: Row level security
+-- =============================================================================
+-- The API uses the service key; these policies cover token-scoped access.
+ALTER TABLE public.deck_folders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners can manage deck folders" ON public.deck_folders;
+CREATE POLICY "Owners can manage deck folders"
+ON public.deck_folders FOR ALL
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- SELECT * FROM get_user_deck_counts('uuid-here');
+-- SELECT unnest(tags) AS tag, COUNT(*) FROM public.decks
+-- WHERE user_id = 'uuid-here' AND deleted_at IS NULL
+-- GROUP BY tag ORDER BY COUNT(*) DESC;
@@ -0,0 +1,151 @@
+-- Migration 010: Deck collaborators
+-- Run this migration AFTER 009
+--
+-- Owners invite other accounts to a deck by email with a role:
+--   viewer    - read the deck and its versions
+--   commenter - viewer + comment on beats
+--   editor    - commenter + edit content and beats
+-- Invites match on email, so they work before the invitee has an account;
+-- user_id is filled in the first time the invitee opens the deck. Email only
+-- matches a confirmed address, and only while the invite is pending.
+
+-- =============================================================================
+-- STEP 1: Create the deck_collaborators table
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.deck_collaborators (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    deck_id uuid NOT NULL REFERENCES public.decks(id) ON DELETE CASCADE,
+    -- Lowercased email the invite was sent to
+    email text NOT NULL,
+    -- Account that accepted the invite (NULL until first access)
+    user_id uuid,
+    role text NOT NULL DEFAULT 'viewer'
+        CHECK (role IN ('viewer', 'commenter', 'editor')),
+    invited_by uuid,
+    accepted_at timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (deck_id, email)
+);
+
+COMMENT ON TABLE public.deck_collaborators IS
+'Accounts (by email) invited to a deck with a viewer, commenter or editor role.';
+
+-- =============================================================================
+-- STEP 2: Indexes
+-- =============================================================================
+-- "Shared with me" lookups
+CREATE INDEX IF NOT EXISTS deck_collaborators_user_idx
+ON public.deck_collaborators(user_id)
+WHERE user_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS deck_collaborators_email_idx
+ON public.deck_collaborators(email);
+
+-- =============================================================================
+-- STEP 3: Row level security
+-- =============================================================================
+-- The API uses the service key; these policies cover token-scoped access.
+ALTER TABLE public.deck_collaborators ENABLE ROW LEVEL SECURITY;
+
+-- The caller's email once confirmed, else NULL. The JWT email claim can be
+-- an address nobody has confirmed, so invites never match on it.
+CREATE OR REPLACE FUNCTION public.auth_confirmed_email()
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+    SELECT lower(u.email)
+    FROM auth.users u
+    WHERE u.id = auth.uid()
+      AND u.email_confirmed_at IS NOT NULL;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.auth_confirmed_email() TO authenticated;
+
+DROP POLICY IF EXISTS "Owners can manage collaborators" ON public.deck_collaborators;
+CREATE POLICY "Owners can manage collaborators"
+ON public.deck_collaborators FOR ALL
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.decks d
+    WHERE d.id = deck_collaborators.deck_id AND d.user_id = auth.uid()
+))
+WITH CHECK (EXISTS (
+    SELECT 1 FROM public.decks d
+    WHERE d.id = deck_collaborators.deck_id AND d.user_id = auth.uid()
+));
+
+DROP POLICY IF EXISTS "Collaborators can read their invites" ON public.deck_collaborators;
+CREATE POLICY "Collaborators can read their invites"
+ON public.deck_collaborators FOR SELECT
+TO authenticated
+USING (user_id = auth.uid() OR (user_id IS NULL AND email = public.auth_confirmed_email()));
+
+DROP POLICY IF EXISTS "Collaborators can accept their invites" ON public.deck_collaborators;
+CREATE POLICY "Collaborators can accept their invites"
+ON public.deck_collaborators FOR UPDATE
+TO authenticated
+USING (user_id IS NULL AND email = public.auth_confirmed_email())
+WITH CHECK (user_id = auth.uid() AND email = public.auth_confirmed_email());
+
+DROP POLICY IF EXISTS "Collaborators can leave decks" ON public.deck_collaborators;
+CREATE POLICY "Collaborators can leave decks"
+ON public.deck_collaborators FOR DELETE
+TO authenticated
+USING (user_id = auth.uid() OR (user_id IS NULL AND email = public.auth_confirmed_email()));
+
+-- Collaborators can read shared decks; editors can update them
+DROP POLICY IF EXISTS "Collaborators can read shared decks" ON public.decks;
+CREATE POLICY "Collaborators can read shared decks"
+ON public.decks FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.deck_collaborators c
+    WHERE c.deck_id = decks.id
+      AND (c.user_id = auth.uid() OR (c.user_id IS NULL AND c.email = public.auth_confirmed_email()))
+));
+
+DROP POLICY IF EXISTS "Editors can update shared decks" ON public.decks;
+CREATE POLICY "Editors can update shared decks"
+ON public.decks FOR UPDATE
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.deck_collaborators c
+    WHERE c.deck_id = decks.id
+      AND c.role = 'editor'
+      AND (c.user_id = auth.uid() OR (c.user_id IS NULL AND c.email = public.auth_confirmed_email()))
+));
+
+-- Collaborators can read version history; editors record new snapshots
+DROP POLICY IF EXISTS "Collaborators can read deck versions" ON public.deck_versions;
+CREATE POLICY "Collaborators can read deck versions"
+ON public.deck_versions FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM public.deck_collaborators c
+    WHERE c.deck_id = deck_versions.deck_id
+      AND (c.user_id = auth.uid() OR (c.user_id IS NULL AND c.email = public.auth_confirmed_email()))
+));
+
+DROP POLICY IF EXISTS "Editors can insert deck versions" ON public.deck_versions;
+CREATE POLICY "Editors can insert deck versions"
+ON public.deck_versions FOR INSERT
+TO authenticated
+WITH CHECK (EXISTS (
+    SELECT 1 FROM public.deck_collaborators c
+    WHERE c.deck_id = deck_versions.deck_id
+      AND c.role = 'editor'
+      AND (c.user_id = auth.uid() OR (c.user_id IS NULL AND c.email = public.auth_confirmed_email()))
+));
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- SELECT d.title, c.email, c.role, c.accepted_at
+-- FROM public.deck_collaborators c
+-- JOIN public.decks d ON d.id = c.deck_id
+-- ORDER BY c.created_at DESC
+-- LIMIT 20;
@@ -0,0 +1,116 @@
+-- Migration 011: Threaded comments anchored to beats
+-- Run this migration AFTER 010
+--
+-- Comments point at a beat's stable uid (content.beats[].uid), not its array
+-- index, so they follow the beat through reorders and other beats' deletion.
+-- A thread is a root comment (parent_id NULL) plus its replies; resolving
+-- happens on the root.
+
+-- =============================================================================
+-- STEP 1: Create the deck_comments table
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.deck_comments (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    deck_id uuid NOT NULL REFERENCES public.decks(id) ON DELETE CASCADE,
+    beat_uid text NOT NULL,
+    parent_id uuid REFERENCES public.deck_comments(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL,
+    author_email text,
+    body text NOT NULL,
+    -- Lowercased emails of mentioned deck members
+    mentions text[] NOT NULL DEFAULT '{}',
+    resolved_at timestamptz,
+    resolved_by uuid,
+    edited_at timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.deck_comments IS
+'Comments on deck beats. Anchored by beat uid; replies reference their root via parent_id.';
+
+-- =============================================================================
+-- STEP 2: Indexes
+-- =============================================================================
+CREATE INDEX IF NOT EXISTS deck_comments_deck_beat_idx
+ON public.deck_comments(deck_id, beat_uid, created_at);
+
+CREATE INDEX IF NOT EXISTS deck_comments_parent_idx
+ON public.deck_comments(parent_id)
+WHERE parent_id IS NOT NULL;
+
+-- "Mentioned me" lookups
+CREATE INDEX IF NOT EXISTS deck_comments_mentions_idx
+ON public.deck_comments USING gin(mentions);
+
+-- =============================================================================
+-- STEP 3: Row level security
+-- =============================================================================
+-- The API uses the service key; these policies cover token-scoped access.
+ALTER TABLE public.deck_comments ENABLE ROW LEVEL SECURITY;
+
+-- Owners and collaborators (any role) can read comments
+DROP POLICY IF EXISTS "Deck members can read comments" ON public.deck_comments;
+CREATE POLICY "Deck members can read comments"
+ON public.deck_comments FOR SELECT
+TO authenticated
+USING (
+    EXISTS (
+        SELECT 1 FROM public.decks d
+        WHERE d.id = deck_comments.deck_id AND d.user_id = auth.uid()
+    )
+    OR EXISTS (
+        SELECT 1 FROM public.deck_collaborators c
+        WHERE c.deck_id = deck_comments.deck_id
+          AND (c.user_id = auth.uid() OR (c.user_id IS NULL AND c.email = public.auth_confirmed_email()))
+    )
+);
+
+-- Owners, commenters and editors can comment as themselves
+DROP POLICY IF EXISTS "Deck members can comment" ON public.deck_comments;
+CREATE POLICY "Deck members can comment"
+ON public.deck_comments FOR INSERT
+TO authenticated
+WITH CHECK (
+    user_id = auth.uid()
+    AND (
+        EXISTS (
+            SELECT 1 FROM public.decks d
+            WHERE d.id = deck_comments.deck_id AND d.user_id = auth.uid()
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.deck_collaborators c
+            WHERE c.deck_id = deck_comments.deck_id
+              AND c.role IN ('commenter', 'editor')
+              AND (c.user_id = auth.uid() OR (c.user_id IS NULL AND c.email = public.auth_confirmed_email()))
+        )
+    )
+);
+
+-- Authors edit their own comments; resolving is done through the API
+DROP POLICY IF EXISTS "Authors can update comments" ON public.deck_comments;
+CREATE POLICY "Authors can update comments"
+ON public.deck_comments FOR UPDATE
+TO authenticated
+USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Authors and owners can delete comments" ON public.deck_comments;
+CREATE POLICY "Authors and owners can delete comments"
+ON public.deck_comments FOR DELETE
+TO authenticated
+USING (
+    user_id = auth.uid()
+    OR EXISTS (
+        SELECT 1 FROM public.decks d
+        WHERE d.id = deck_comments.deck_id AND d.user_id = auth.uid()
+    )
+);
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- SELECT deck_id, beat_uid, COUNT(*) AS comments,
+--        COUNT(*) FILTER (WHERE parent_id IS NULL AND resolved_at IS NULL) AS open_threads
+-- FROM public.deck_comments
+-- GROUP BY deck_id, beat_uid
+-- ORDER BY comments DESC
+-- LIMIT 20;
@@ -0,0 +1,66 @@
+-- Migration 012: Beat operation journal for server-side undo/redo
+-- Run this migration AFTER 011
+--
+-- Every beat endpoint (add, update, delete, replace, reorder, split, merge)
+-- records what it changed as a list of uid-addressed operations. Each user
+-- has their own undo/redo stack per deck: undo marks an entry undone_at, redo
+-- clears it, and a new edit deletes that user's undone entries.
+
+-- =============================================================================
+-- STEP 1: Create the deck_operations table
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.deck_operations (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    deck_id uuid NOT NULL REFERENCES public.decks(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL,
+    -- Journal position within the deck (all users)
+    seq int NOT NULL,
+    -- Endpoint that made the change: beats.add, beats.update, beats.delete,
+    -- beats.replace, beats.reorder, beats.split, beats.merge
+    source text,
+    -- [{ type: insert|update-field|delete|reorder, uid, ... }]
+    ops jsonb NOT NULL,
+    -- Set while the entry sits on the user's redo stack
+    undone_at timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (deck_id, seq)
+);
+
+COMMENT ON TABLE public.deck_operations IS
+'Per-user undo/redo journal of beat edits. One row per beat endpoint call.';
+
+-- =============================================================================
+-- STEP 2: Indexes
+-- =============================================================================
+-- Top of a user's undo and redo stacks
+CREATE INDEX IF NOT EXISTS deck_operations_deck_user_seq_idx
+ON public.deck_operations(deck_id, user_id, seq DESC);
+
+-- =============================================================================
+-- STEP 3: Row level security
+-- =============================================================================
+-- The API uses the service key; these policies cover token-scoped access.
+ALTER TABLE public.deck_operations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read their deck operations" ON public.deck_operations;
+CREATE POLICY "Users can read their deck operations"
+ON public.deck_operations FOR SELECT
+TO authenticated
+USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can manage their deck operations" ON public.deck_operations;
+CREATE POLICY "Users can manage their deck operations"
+ON public.deck_operations FOR ALL
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- SELECT deck_id, user_id, COUNT(*) AS entries,
+--        COUNT(*) FILTER (WHERE undone_at IS NOT NULL) AS redoable
+-- FROM public.deck_operations
+-- GROUP BY deck_id, user_id
+-- ORDER BY entries DESC
+-- LIMIT 20;
@@ -0,0 +1,70 @@
+-- Migration 013: Rewrite deck content to the current schema without touching updated_at
+-- Run this migration AFTER 012
+--
+-- decks.content now carries a schemaVersion (see utils/deckSchema.js). The API
+-- upgrades older content on every read and write; POST /api/decks/migrate
+-- rewrites stored rows through upgrade_deck_content(), which stops the
+-- updated_at trigger from treating the upgrade as an edit (so list order and
+-- If-Match preconditions don't move).
+
+-- =============================================================================
+-- STEP 1: Let a transaction opt out of the updated_at bump
+-- =============================================================================
+-- Same as the 009 version, plus the app.preserve_updated_at escape hatch.
+CREATE OR REPLACE FUNCTION update_decks_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_setting('app.preserve_updated_at', true) = 'on'
+       OR (to_jsonb(NEW) - ARRAY['folder_id', 'tags', 'pinned', 'pinned_at', 'updated_at', 'search_tsv'])
+        = (to_jsonb(OLD) - ARRAY['folder_id', 'tags', 'pinned', 'pinned_at', 'updated_at', 'search_tsv']) THEN
+        NEW.updated_at = OLD.updated_at;
+    ELSE
+        NEW.updated_at = now();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================================================
+-- STEP 2: Guarded content rewrite
+-- =============================================================================
+-- Returns false when the deck changed after p_updated_at was read (the edit
+-- that changed it already stored the current schema).
+CREATE OR REPLACE FUNCTION public.upgrade_deck_content(
+    p_deck_id uuid,
+    p_content jsonb,
+    p_updated_at timestamptz
+)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    matched int;
+BEGIN
+    PERFORM set_config('app.preserve_updated_at', 'on', true);
+
+    UPDATE public.decks
+    SET content = p_content
+    WHERE id = p_deck_id
+      AND updated_at = p_updated_at;
+
+    GET DIAGNOSTICS matched = ROW_COUNT;
+
+    PERFORM set_config('app.preserve_updated_at', 'off', true);
+    RETURN matched > 0;
+END;
+$$;
+
+-- Only the service key (the admin route) may rewrite other users' decks
+REVOKE ALL ON FUNCTION public.upgrade_deck_content(uuid, jsonb, timestamptz) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.upgrade_deck_content(uuid, jsonb, timestamptz) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.upgrade_deck_content(uuid, jsonb, timestamptz) TO service_role;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- Decks by stored schema version (NULL = written before versioning)
+-- SELECT content->>'schemaVersion' AS schema_version, COUNT(*)
+-- FROM public.decks
+-- GROUP BY 1
+-- ORDER BY 1 NULLS FIRST;
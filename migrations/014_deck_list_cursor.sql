@@ -0,0 +1,134 @@
+-- Migration 014: Cursor pagination and sort options for the deck list
+-- Run this migration AFTER 013
+--
+-- get_user_decks() paged with LIMIT/OFFSET over updated_at, so a deck saved
+-- while a client was paging shifted every later row: the next page repeated
+-- or skipped decks. It now pages by keyset: each row carries a sort_key and
+-- the next page starts after the (sort_key, id) of the last row returned.
+-- The API builds its opaque cursor from those two values (utils/deckListCursor.js
+-- computes the same keys for the in-memory fallback).
+--
+-- It also takes the folder/tag/pinned filters from 009 and returns the same
+-- lightweight columns GET /api/decks selects, so the route can use it directly.
+
+-- =============================================================================
+-- STEP 1: Replace get_user_decks (new parameters and return columns)
+-- =============================================================================
+DROP FUNCTION IF EXISTS public.get_user_decks(uuid, text, int, int);
+
+-- Sort keys compare as plain strings (COLLATE "C"):
+--   updated_at / created_at  ISO timestamp, UTC, millisecond precision
+--   title                    lower(title), '' when untitled
+--   beats_count              zero-padded to 10 digits
+-- updated_at falls back to created_at for rows that never had one.
+CREATE OR REPLACE FUNCTION public.get_user_decks(
+    p_user_id uuid,
+    p_tool text DEFAULT NULL,
+    p_folder_id uuid DEFAULT NULL,
+    p_unfiled boolean DEFAULT false,
+    p_tag text DEFAULT NULL,
+    p_pinned boolean DEFAULT NULL,
+    p_sort text DEFAULT 'updated_at',
+    p_order text DEFAULT 'desc',
+    p_cursor_key text DEFAULT NULL,
+    p_cursor_id uuid DEFAULT NULL,
+    p_limit int DEFAULT 50,
+    p_offset int DEFAULT 0
+)
+RETURNS TABLE (
+    id uuid,
+    user_id uuid,
+    title text,
+    tagline text,
+    tool text,
+    story_type text,
+    tone_image_url text,
+    beats_count int,
+    beats_preview text,
+    created_at timestamptz,
+    updated_at timestamptz,
+    thumbnail_url text,
+    export_pdf_url text,
+    prompt text,
+    folder_id uuid,
+    tags text[],
+    pinned boolean,
+    pinned_at timestamptz,
+    sort_key text
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    WITH keyed AS (
+        SELECT
+            d.*,
+            (CASE p_sort
+                WHEN 'created_at' THEN
+                    to_char(d.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+                WHEN 'title' THEN
+                    lower(COALESCE(d.title, ''))
+                WHEN 'beats_count' THEN
+                    lpad(GREATEST(COALESCE(d.beats_count, 0), 0)::text, 10, '0')
+                ELSE
+                    to_char(COALESCE(d.updated_at, d.created_at) AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+            END) COLLATE "C" AS sort_key
+        FROM public.decks d
+        WHERE d.user_id = p_user_id
+          -- SECURITY DEFINER: a user token may only list its own decks
+          AND (p_user_id = auth.uid() OR auth.role() = 'service_role')
+          AND d.deleted_at IS NULL
+          AND (p_tool IS NULL OR d.tool = p_tool)
+          AND (p_folder_id IS NULL OR d.folder_id = p_folder_id)
+          AND (NOT p_unfiled OR d.folder_id IS NULL)
+          AND (p_tag IS NULL OR d.tags @> ARRAY[p_tag])
+          AND (p_pinned IS NULL OR d.pinned = p_pinned)
+    )
+    SELECT
+        k.id,
+        k.user_id,
+        k.title,
+        k.tagline,
+        k.tool,
+        k.story_type,
+        k.tone_image_url,
+        k.beats_count,
+        k.beats_preview,
+        k.created_at,
+        k.updated_at,
+        k.thumbnail_url,
+        k.export_pdf_url,
+        k.prompt,
+        k.folder_id,
+        k.tags,
+        k.pinned,
+        k.pinned_at,
+        k.sort_key::text
+    FROM keyed k
+    WHERE p_cursor_id IS NULL
+       OR (p_order = 'asc' AND (k.sort_key, k.id) > (p_cursor_key COLLATE "C", p_cursor_id))
+       OR (p_order <> 'asc' AND (k.sort_key, k.id) < (p_cursor_key COLLATE "C", p_cursor_id))
+    ORDER BY
+        CASE WHEN p_order = 'asc' THEN k.sort_key END ASC,
+        CASE WHEN p_order = 'asc' THEN k.id END ASC,
+        CASE WHEN p_order <> 'asc' THEN k.sort_key END DESC,
+        CASE WHEN p_order <> 'asc' THEN k.id END DESC
+    LIMIT p_limit
+    OFFSET p_offset;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_user_decks TO authenticated;
+
+-- =============================================================================
+-- USAGE EXAMPLES:
+-- =============================================================================
+-- First page, most recently edited first:
+-- SELECT id, title, sort_key FROM get_user_decks('uuid-here', p_limit => 20);
+--
+-- Next page: pass the sort_key and id of the last row
+-- SELECT id, title, sort_key FROM get_user_decks('uuid-here', p_limit => 20,
+--     p_cursor_key => '2024-05-01T12:00:00.000Z', p_cursor_id => 'deck-uuid');
+--
+-- Alphabetical within a folder:
+-- SELECT id, title FROM get_user_decks('uuid-here', p_folder_id => 'folder-uuid',
+--     p_sort => 'title', p_order => 'asc');
@@ -0,0 +1,65 @@
+-- Migration 015: Personal deck templates
+-- Run this migration AFTER 014
+--
+-- POST /api/decks/:id/save-as-template stores a deck's skeleton (beat titles
+-- and intents, storyProfile, deck fields) as a template; GET /api/templates
+-- lists these next to the built-in templates, and
+-- POST /api/templates/:id/instantiate creates a deck from one. Built-in
+-- templates ship with the API (utils/deckTemplates.js) and aren't stored here.
+
+-- =============================================================================
+-- STEP 1: Create the deck_templates table
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.deck_templates (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id uuid NOT NULL,
+    name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 120),
+    description text,
+    tool text NOT NULL DEFAULT 'story_engine',
+    -- { title, tagline, prompt, contentType, storyProfile, beats: [{ title, intent, text? }] }
+    content jsonb NOT NULL,
+    -- {{variables}} used in content, e.g. {brand, product}
+    variables text[] NOT NULL DEFAULT '{}',
+    -- Deck the template was saved from (kept when that deck is purged)
+    source_deck_id uuid REFERENCES public.decks(id) ON DELETE SET NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.deck_templates IS
+'Personal deck templates. Built-in templates are defined in the API.';
+
+-- =============================================================================
+-- STEP 2: Indexes
+-- =============================================================================
+-- Gallery: a user's templates, newest first
+CREATE INDEX IF NOT EXISTS deck_templates_user_created_idx
+ON public.deck_templates(user_id, created_at DESC);
+
+-- =============================================================================
+-- STEP 3: Row level security
+-- =============================================================================
+-- The API uses the service key; these policies cover token-scoped access.
+ALTER TABLE public.deck_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read their templates" ON public.deck_templates;
+CREATE POLICY "Users can read their templates"
+ON public.deck_templates FOR SELECT
+TO authenticated
+USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can manage their templates" ON public.deck_templates;
+CREATE POLICY "Users can manage their templates"
+ON public.deck_templates FOR ALL
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- SELECT user_id, COUNT(*) AS templates
+-- FROM public.deck_templates
+-- GROUP BY user_id
+-- ORDER BY templates DESC
+-- LIMIT 20;
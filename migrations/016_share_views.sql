@@ -0,0 +1,62 @@
+-- Migration 016: Share link view analytics
+-- Run this migration AFTER 015
+--
+-- GET /api/share/:code records one row per successful view: when, which share
+-- code (a rotated code keeps its history), a salted hash of the viewer's IP and
+-- user agent (utils/shareAnalytics.js), the referrer without its query string,
+-- and the sections and beat uids asked for with ?sections= / ?beats=.
+-- GET /api/decks/:id/share/analytics aggregates them for the deck owner.
+
+-- =============================================================================
+-- STEP 1: Create the deck_share_views table
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.deck_share_views (
+    id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    deck_id uuid NOT NULL REFERENCES public.decks(id) ON DELETE CASCADE,
+    share_code text NOT NULL,
+    viewed_at timestamptz NOT NULL DEFAULT now(),
+    -- sha256 hex, per deck; never the raw IP
+    viewer_hash text NOT NULL,
+    referrer text,
+    -- Empty = the whole deck
+    sections text[] NOT NULL DEFAULT '{}',
+    beats text[] NOT NULL DEFAULT '{}'
+);
+
+COMMENT ON TABLE public.deck_share_views IS
+'One row per view of a shared deck. Viewers are anonymous (hashed IP + user agent).';
+
+-- =============================================================================
+-- STEP 2: Indexes
+-- =============================================================================
+-- Analytics window, totals and last view for a deck
+CREATE INDEX IF NOT EXISTS deck_share_views_deck_viewed_idx
+ON public.deck_share_views(deck_id, viewed_at DESC);
+
+-- =============================================================================
+-- STEP 3: Row level security
+-- =============================================================================
+-- Views are inserted by the public share endpoint with the service key; no
+-- policy lets anon or authenticated tokens write them.
+ALTER TABLE public.deck_share_views ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners can read share views" ON public.deck_share_views;
+CREATE POLICY "Owners can read share views"
+ON public.deck_share_views FOR SELECT
+TO authenticated
+USING (
+    EXISTS (
+        SELECT 1 FROM public.decks d
+        WHERE d.id = deck_share_views.deck_id AND d.user_id = auth.uid()
+    )
+);
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- SELECT deck_id, COUNT(*) AS views, COUNT(DISTINCT viewer_hash) AS viewers,
+--        MAX(viewed_at) AS last_viewed_at
+-- FROM public.deck_share_views
+-- GROUP BY deck_id
+-- ORDER BY views DESC
+-- LIMIT 20;
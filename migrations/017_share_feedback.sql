@@ -0,0 +1,113 @@
+-- Migration 017: Client review on shared decks and a notification feed
+-- Run this migration AFTER 016
+--
+-- POST /api/share/:code/feedback lets anyone with the share link (and its
+-- password, if set) approve beats, ask for changes and comment, without an
+-- account. Each beat entry, and any deck-level comment, is one row in
+-- deck_share_feedback, anchored on the beat's uid like deck_comments. The deck
+-- owner reads the per-beat summary with GET /api/decks/:id/share/review and
+-- gets one row in deck_notifications per submission (GET /api/notifications).
+
+-- =============================================================================
+-- STEP 1: Create the deck_share_feedback table
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.deck_share_feedback (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    deck_id uuid NOT NULL REFERENCES public.decks(id) ON DELETE CASCADE,
+    share_code text NOT NULL,
+    -- NULL: a comment on the deck as a whole
+    beat_uid text,
+    status text CHECK (status IN ('approved', 'needs_changes')),
+    comment text CHECK (comment IS NULL OR char_length(comment) <= 5000),
+    -- As given by the reviewer; not verified
+    reviewer_name text,
+    reviewer_email text,
+    -- Per-deck fingerprint (utils/shareAnalytics.js), never the raw IP
+    reviewer_hash text NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    CHECK (status IS NOT NULL OR comment IS NOT NULL)
+);
+
+COMMENT ON TABLE public.deck_share_feedback IS
+'Approvals and comments left through a deck''s share link. Anchored by beat uid.';
+
+-- =============================================================================
+-- STEP 2: Create the deck_notifications table
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.deck_notifications (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- Recipient
+    user_id uuid NOT NULL,
+    deck_id uuid REFERENCES public.decks(id) ON DELETE CASCADE,
+    -- 'share.feedback'
+    type text NOT NULL,
+    data jsonb NOT NULL DEFAULT '{}'::jsonb,
+    read_at timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.deck_notifications IS
+'Per-user notification feed (share link feedback, ...).';
+
+-- =============================================================================
+-- STEP 3: Indexes
+-- =============================================================================
+-- Review summary for a deck
+CREATE INDEX IF NOT EXISTS deck_share_feedback_deck_created_idx
+ON public.deck_share_feedback(deck_id, created_at);
+
+-- Feed, newest first
+CREATE INDEX IF NOT EXISTS deck_notifications_user_created_idx
+ON public.deck_notifications(user_id, created_at DESC);
+
+-- Unread count
+CREATE INDEX IF NOT EXISTS deck_notifications_user_unread_idx
+ON public.deck_notifications(user_id)
+WHERE read_at IS NULL;
+
+-- =============================================================================
+-- STEP 4: Row level security
+-- =============================================================================
+-- Feedback and notifications are written by the public share endpoint with
+-- the service key; no policy lets anon tokens write them.
+ALTER TABLE public.deck_share_feedback ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.deck_notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners can read share feedback" ON public.deck_share_feedback;
+CREATE POLICY "Owners can read share feedback"
+ON public.deck_share_feedback FOR SELECT
+TO authenticated
+USING (
+    EXISTS (
+        SELECT 1 FROM public.decks d
+        WHERE d.id = deck_share_feedback.deck_id AND d.user_id = auth.uid()
+    )
+);
+
+DROP POLICY IF EXISTS "Users can read their notifications" ON public.deck_notifications;
+CREATE POLICY "Users can read their notifications"
+ON public.deck_notifications FOR SELECT
+TO authenticated
+USING (user_id = auth.uid());
+
+-- Marking read
+DROP POLICY IF EXISTS "Users can update their notifications" ON public.deck_notifications;
+CREATE POLICY "Users can update their notifications"
+ON public.deck_notifications FOR UPDATE
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- SELECT deck_id, status, COUNT(*) AS entries
+-- FROM public.deck_share_feedback
+-- GROUP BY deck_id, status
+-- ORDER BY deck_id;
+--
+-- SELECT user_id, COUNT(*) FILTER (WHERE read_at IS NULL) AS unread
+-- FROM public.deck_notifications
+-- GROUP BY user_id
+-- ORDER BY unread DESC
+-- LIMIT 20;
@@ -0,0 +1,126 @@
+-- Migration 018: Share links table
+-- Run this migration AFTER 017
+--
+-- GET /api/share/:code found decks with content->>'shareCode' = code: an
+-- unindexed scan over the heavy content column, and one link per deck. Links
+-- now live in share_links, looked up by a unique code index. A deck can have
+-- several (one per client), each with its own label, expiry, password and
+-- permissions, and each revoked on its own.
+--
+-- The deck's own link (content.shareCode, still managed by
+-- POST /api/decks/:id/share) is the deck's primary row; the API keeps that row
+-- in step with content.shared and content.shareSettings (utils/shareLinks.js).
+-- Step 3 backfills one primary row per existing shareCode.
+
+-- =============================================================================
+-- STEP 1: Create the share_links table
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.share_links (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    deck_id uuid NOT NULL REFERENCES public.decks(id) ON DELETE CASCADE,
+    code text NOT NULL,
+    created_by uuid,
+    label text CHECK (label IS NULL OR char_length(label) <= 80),
+    -- The deck's own link (content.shareCode)
+    is_primary boolean NOT NULL DEFAULT false,
+    -- { visibility?: { prompt, critique, ... }, feedback?: boolean }
+    permissions jsonb NOT NULL DEFAULT '{}'::jsonb,
+    expires_at timestamptz,
+    -- "$scrypt$N$r$p$salt$hash" (utils/shareSettings.js)
+    password_hash text,
+    -- Set when revoked (or, for the primary link, while the deck isn't shared)
+    revoked_at timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE public.share_links IS
+'Public links to decks. Several per deck; the primary one mirrors decks.content.shareCode.';
+
+-- =============================================================================
+-- STEP 2: Indexes
+-- =============================================================================
+-- GET /api/share/:code
+CREATE UNIQUE INDEX IF NOT EXISTS share_links_code_idx
+ON public.share_links(code);
+
+-- A deck's links
+CREATE INDEX IF NOT EXISTS share_links_deck_idx
+ON public.share_links(deck_id, created_at);
+
+-- At most one live primary link per deck
+CREATE UNIQUE INDEX IF NOT EXISTS share_links_deck_primary_idx
+ON public.share_links(deck_id)
+WHERE is_primary AND revoked_at IS NULL;
+
+-- =============================================================================
+-- STEP 3: Backfill the primary link of every deck with a shareCode
+-- =============================================================================
+-- Unshared decks get a revoked row, so sharing them again (which clears
+-- revoked_at) keeps their code. Trashed decks never resolve (the lookup skips
+-- them), so their rows follow content.shared like any other. A code used by
+-- two decks (content copied before duplicate issued new codes) is kept by the
+-- oldest deck.
+INSERT INTO public.share_links (
+    deck_id, code, created_by, is_primary, permissions, expires_at, password_hash, revoked_at, created_at
+)
+SELECT DISTINCT ON (d.content->>'shareCode')
+    d.id,
+    d.content->>'shareCode',
+    d.user_id,
+    true,
+    CASE
+        WHEN jsonb_typeof(d.content->'shareSettings'->'visibility') = 'object'
+        THEN jsonb_build_object('visibility', d.content->'shareSettings'->'visibility')
+        ELSE '{}'::jsonb
+    END,
+    (d.content->'shareSettings'->>'expiresAt')::timestamptz,
+    d.content->'shareSettings'->>'passwordHash',
+    CASE WHEN d.content->>'shared' = 'true' THEN NULL ELSE now() END,
+    COALESCE(d.created_at, now())
+FROM public.decks d
+WHERE COALESCE(d.content->>'shareCode', '') <> ''
+ORDER BY d.content->>'shareCode', d.created_at ASC NULLS LAST
+ON CONFLICT (code) DO NOTHING;
+
+-- =============================================================================
+-- STEP 4: Row level security
+-- =============================================================================
+-- The public share endpoint reads links with the service key.
+ALTER TABLE public.share_links ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners can manage share links" ON public.share_links;
+CREATE POLICY "Owners can manage share links"
+ON public.share_links FOR ALL
+TO authenticated
+USING (
+    EXISTS (
+        SELECT 1 FROM public.decks d
+        WHERE d.id = share_links.deck_id AND d.user_id = auth.uid()
+    )
+)
+WITH CHECK (
+    EXISTS (
+        SELECT 1 FROM public.decks d
+        WHERE d.id = share_links.deck_id AND d.user_id = auth.uid()
+    )
+);
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- Every shared deck has a live primary link:
+-- SELECT COUNT(*) AS missing
+-- FROM public.decks d
+-- WHERE d.content->>'shared' = 'true'
+--   AND NOT EXISTS (
+--     SELECT 1 FROM public.share_links l
+--     WHERE l.deck_id = d.id AND l.code = d.content->>'shareCode' AND l.revoked_at IS NULL
+--   );
+--
+-- Links per deck:
+-- SELECT deck_id, COUNT(*) FILTER (WHERE revoked_at IS NULL) AS active
+-- FROM public.share_links
+-- GROUP BY deck_id
+-- ORDER BY active DESC
+-- LIMIT 20;
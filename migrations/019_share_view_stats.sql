@@ -0,0 +1,90 @@
+-- Migration 019: Share analytics aggregated in the database
+-- Run this migration AFTER 018
+--
+-- GET /api/decks/:id/share/analytics read the raw deck_share_views rows and
+-- counted them in the API. PostgREST caps every response at max-rows (1000 by
+-- default), so a busy link was silently undercounted. get_share_view_stats()
+-- does the counting here and returns one small row per figure instead.
+-- Without it the API still falls back to reading the rows, page by page.
+
+-- =============================================================================
+-- STEP 1: Create get_share_view_stats
+-- =============================================================================
+-- Rows are { kind, key, views, viewers, last_viewed_at }:
+--   total     all-time (key NULL)
+--   window    since p_since (key NULL)
+--   day       per UTC day in the window, key 'YYYY-MM-DD'
+--   referrer  per referrer host in the window, key 'direct' when there is none
+--   code      per share code in the window
+--   section   per section asked for in the window, key 'all' for the whole deck
+--   beat      per beat uid asked for in the window
+-- SECURITY INVOKER: deck_share_views RLS limits a user token to its own decks.
+CREATE OR REPLACE FUNCTION public.get_share_view_stats(
+    p_deck_id uuid,
+    p_since timestamptz
+)
+RETURNS TABLE (
+    kind text,
+    key text,
+    views bigint,
+    viewers bigint,
+    last_viewed_at timestamptz
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    WITH windowed AS (
+        SELECT v.*
+        FROM public.deck_share_views v
+        WHERE v.deck_id = p_deck_id
+          AND v.viewed_at >= p_since
+    )
+    SELECT 'total', NULL::text, COUNT(*), COUNT(DISTINCT v.viewer_hash), MAX(v.viewed_at)
+    FROM public.deck_share_views v
+    WHERE v.deck_id = p_deck_id
+
+    UNION ALL
+    SELECT 'window', NULL::text, COUNT(*), COUNT(DISTINCT w.viewer_hash), MAX(w.viewed_at)
+    FROM windowed w
+
+    UNION ALL
+    SELECT 'day', to_char(w.viewed_at AT TIME ZONE 'UTC', 'YYYY-MM-DD'),
+           COUNT(*), COUNT(DISTINCT w.viewer_hash), MAX(w.viewed_at)
+    FROM windowed w
+    GROUP BY 2
+
+    UNION ALL
+    SELECT 'referrer', COALESCE(substring(w.referrer FROM '^https?://([^/?#]+)'), 'direct'),
+           COUNT(*), COUNT(DISTINCT w.viewer_hash), MAX(w.viewed_at)
+    FROM windowed w
+    GROUP BY 2
+
+    UNION ALL
+    SELECT 'code', w.share_code, COUNT(*), COUNT(DISTINCT w.viewer_hash), MAX(w.viewed_at)
+    FROM windowed w
+    GROUP BY 2
+
+    UNION ALL
+    SELECT 'section', s.section, COUNT(*), COUNT(DISTINCT w.viewer_hash), MAX(w.viewed_at)
+    FROM windowed w
+    CROSS JOIN LATERAL unnest(
+        CASE WHEN cardinality(w.sections) = 0 THEN ARRAY['all'] ELSE w.sections END
+    ) AS s(section)
+    GROUP BY 2
+
+    UNION ALL
+    SELECT 'beat', b.uid, COUNT(*), COUNT(DISTINCT w.viewer_hash), MAX(w.viewed_at)
+    FROM windowed w
+    CROSS JOIN LATERAL unnest(w.beats) AS b(uid)
+    GROUP BY 2;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_share_view_stats TO authenticated;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+-- Should match COUNT(*) over the deck's rows, however many there are:
+-- SELECT * FROM public.get_share_view_stats('<deck id>', now() - interval '30 days')
+-- WHERE kind IN ('total', 'window');
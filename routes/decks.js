@@ -1,226 +1,369 @@
 // routes/decks.js
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
-import { normalizeDeckPayload, normalizeBeatsForResponse } from "../utils/deckFormatter.js";
-import { buildShareUrl, shareEmailTemplate } from "../utils/shareLink.js";
+import multer from "multer";
+import { randomUUID } from "crypto";
+import archiver from "archiver";
+import {
+  normalizeDeckPayload,
+  ensureBeatUids,
+  buildExportPayload,
+  safeFilename,
+} from "../utils/deckFormatter.js";
+import { requireUser, requireAdmin, dbForReq, supabaseService } from "../utils/requestAuth.js";
+import {
+  VALID_TOOLS,
+  validateTool,
+  LIGHTWEIGHT_COLUMNS,
+  FULL_COLUMNS,
+  buildPreviewFields,
+  buildShareMetaForList,
+  decorateShareMeta,
+  setDeckEtag,
+  insertNewDeck,
+  writeUpgradedContent,
+} from "../utils/deckRows.js";
+import { DECK_SCHEMA_VERSION, upgradeDeckContent, validateDeckContent } from "../utils/deckSchema.js";
+import { buildShareUrl, shareEmailTemplate, collaboratorInviteTemplate } from "../utils/shareLink.js";
+import {
+  parseShareSettingsInput,
+  describeShareSettings,
+  keepShareState,
+  withoutShareSecrets,
+} from "../utils/shareSettings.js";
+import {
+  parseAnalyticsDays,
+  analyticsWindowStart,
+  loadShareViewStats,
+  summarizeShareViewStats,
+} from "../utils/shareAnalytics.js";
+import { FEEDBACK_COLUMNS, summarizeShareFeedback } from "../utils/shareFeedback.js";
+import {
+  SHARE_LINK_COLUMNS,
+  MAX_SHARE_LINKS_PER_DECK,
+  isMissingShareLinksTable,
+  parseShareLinkInput,
+  buildShareLinkRow,
+  describeShareLink,
+  syncPrimaryShareLink,
+} from "../utils/shareLinks.js";
+import {
+  recordDeckVersion,
+  listDeckVersions,
+  getDeckVersion,
+  getDeckVersionAt,
+  diffDeckContent,
+  proposeDeckMerge,
+} from "../utils/deckVersions.js";
+import { copyDeckContentMedia, uploadDeckContentDataUrls } from "../utils/supabaseStorage.js";
+import {
+  TRASH_RETENTION_DAYS,
+  purgeDateFor,
+  purgeDeck,
+  purgeTrashedDecks,
+} from "../utils/deckTrash.js";
+import { parseSearchTerms, matchDeck, formatSearchHit } from "../utils/deckSearch.js";
+import { parseListPaging, encodeListCursor, paginateDeckRows } from "../utils/deckListCursor.js";
+import {
+  MAX_TAGS_PER_DECK,
+  normalizeTag,
+  normalizeTags,
+  parseFolderInput,
+  parseFolderFilter,
+  parseBooleanFlag,
+  isDuplicateFolderError,
+} from "../utils/deckOrganization.js";
+import {
+  COLLABORATOR_ROLES,
+  COLLABORATOR_COLUMNS,
+  normalizeEmail,
+  hasDeckRole,
+  resolveDeckAccess,
+  listSharedDeckRoles,
+} from "../utils/deckAccess.js";
+import {
+  COMMENT_COLUMNS,
+  MAX_COMMENT_LENGTH,
+  extractMentions,
+  buildCommentThreads,
+} from "../utils/deckComments.js";
+import { validateDeckImport } from "../utils/deckImport.js";
+import {
+  TEMPLATE_COLUMNS,
+  parseTemplateInput,
+  buildTemplateContent,
+  templateVariables,
+  summarizeTemplate,
+} from "../utils/deckTemplates.js";
+import {
+  diffBeatOperations,
+  invertOperations,
+  applyOperations,
+  recordDeckOperation,
+  nextStackOperation,
+  setOperationUndone,
+  operationStackState,
+} from "../utils/deckOperations.js";
+import {
+  EVENT_HEARTBEAT_MS,
+  publishDeckChange,
+  subscribeDeckEvents,
+  publishDeckAccessChange,
+  subscribeDeckAccessChanges,
+  formatSseMessage,
+} from "../utils/deckEvents.js";
+import { parseScreenplay, screenplayToBeats } from "../utils/screenplay.js";
+import {
+  MAX_SPLIT_PARTS,
+  beatText,
+  splitBeatAtOffset,
+  splitBeatIntoParts,
+  mergeBeats,
+  suggestBeatSplit,
+} from "../utils/beatEdits.js";
 
 const router = express.Router();
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
-const SUPABASE_SERVICE_ROLE_KEY =
-  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+/**
+ * Authorize the signed-in user against the deck in req.params.id.
+ * Sets req.deckAccess = { role, ownerId }; per-deck queries must scope on
+ * ownerId (not req.user.id) so collaborators reach the owner's row.
+ * Decks the user has no access to are a 404, too low a role is a 403.
+ *
+ * @param {string} minRole - viewer | commenter | editor | owner
+ */
+function requireDeckRole(minRole) {
+  return async (req, res, next) => {
+    try {
+      const access = await resolveDeckAccess(dbForReq(req), req.user, req.params.id);
+      if (!access) return res.status(404).json({ error: "Deck not found" });
+
+      if (!hasDeckRole(access.role, minRole)) {
+        return res.status(403).json({
+          error: `This needs ${minRole} access to the deck`,
+          code: "DECK_FORBIDDEN",
+          role: access.role,
+        });
+      }
 
-if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-  console.warn("Missing SUPABASE_URL or SUPABASE_ANON_KEY in env.");
+      req.deckAccess = access;
+      return next();
+    } catch (e) {
+      console.error("requireDeckRole error:", e);
+      return res.status(500).json({ error: e?.message || "Couldn't check deck access" });
+    }
+  };
 }
 
-// Auth client (verify bearer token)
-const supabaseAuth = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
-  auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
-});
-
-// Service client (bypass RLS) if available
-const supabaseService = SUPABASE_SERVICE_ROLE_KEY
-  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
-      auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
-    })
-  : null;
+// =============================================================================
+// OPTIMISTIC CONCURRENCY
+// Writes accept the deck's last-seen updated_at as an If-Match header (or
+// body.baseUpdatedAt). A stale precondition gets 409 with the server copy and
+// a beat-level merge proposal instead of silently overwriting someone's edits.
+// =============================================================================
 
-// Token-scoped client (respects RLS, uses auth.uid())
-function supabaseUserDb(accessToken) {
-  return createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
-    auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
-    global: { headers: { Authorization: `Bearer ${accessToken}` } },
-  });
-}
+// Retries for read-modify-write races when the client sent no precondition
+const MAX_WRITE_ATTEMPTS = 3;
 
-function dbForReq(req) {
-  return supabaseService || supabaseUserDb(req.accessToken);
+function httpError(status, message, details = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
 }
 
-// =============================================================================
-// VALID TOOL VALUES
-// =============================================================================
-const VALID_TOOLS = ["story_engine", "shot_list", "canvas"];
-const DEFAULT_TOOL = "story_engine";
-
 /**
- * Validate and normalize tool value
- * @param {string} tool - The tool value to validate
- * @returns {string} - Valid tool value or default
+ * Read the client's precondition: If-Match header or body.baseUpdatedAt
+ * @returns {string|null} The updated_at the client last saw
  */
-function validateTool(tool) {
-  if (tool && typeof tool === "string") {
-    const normalized = tool.toLowerCase().trim();
-    if (VALID_TOOLS.includes(normalized)) {
-      return normalized;
-    }
+function readPrecondition(req) {
+  const header = req.headers["if-match"];
+  if (header && header.trim() !== "*") {
+    const value = header.trim().replace(/^W\//, "").replace(/^"|"$/g, "").trim();
+    if (value) return value;
   }
-  return DEFAULT_TOOL;
+  const fromBody = req.body?.baseUpdatedAt;
+  return fromBody ? String(fromBody) : null;
 }
 
-// =============================================================================
-// LIGHTWEIGHT COLUMNS FOR LIST VIEWS
-// These columns are fast to query and don't include the heavy content/deck_json
-// =============================================================================
-const LIGHTWEIGHT_COLUMNS = [
-  "id",
-  "user_id",
-  "title",
-  "tagline",
-  "tool",
-  "story_type",
-  "tone_image_url",
-  "beats_count",
-  "beats_preview",
-  "created_at",
-  "updated_at",
-  "thumbnail_url",
-  "export_pdf_url",
-  "prompt",
-].join(",");
-
-// Full columns for single deck retrieval (includes content)
-const FULL_COLUMNS = [
-  "id",
-  "user_id",
-  "title",
-  "tagline",
-  "tool",
-  "story_type",
-  "content",
-  "tone_image_url",
-  "beats_count",
-  "beats_preview",
-  "created_at",
-  "updated_at",
-  "thumbnail_url",
-  "export_pdf_url",
-  "prompt",
-].join(",");
-
-function extractBeatTitle(beat, index) {
-  if (!beat) return `Beat ${index + 1}`;
-  if (typeof beat === "string") return beat.trim();
-  const candidate =
-    beat.title || beat.name || beat.intent || beat.text || beat.beatText || `Beat ${index + 1}`;
-  return typeof candidate === "string" && candidate.trim() ? candidate.trim() : `Beat ${index + 1}`;
+function sameTimestamp(a, b) {
+  if (a === b) return true;
+  const ta = Date.parse(a);
+  const tb = Date.parse(b);
+  return Number.isFinite(ta) && Number.isFinite(tb) && ta === tb;
 }
 
-function buildBeatsPreview(beats) {
-  if (!Array.isArray(beats)) return "";
-  const titles = beats
-    .map((beat, index) => extractBeatTitle(beat, index))
-    .filter((title) => title && title.trim())
-    .slice(0, 3);
-  return titles.join("\n");
-}
+/**
+ * Build the 409 body for a stale write
+ *
+ * @param {Object} db - Supabase client
+ * @param {Object} serverRow - Current deck row (FULL_COLUMNS)
+ * @param {string} precondition - updated_at the client based its write on
+ * @param {Function} applyClientChange - (content) => content the client wanted
+ * @returns {Promise<Object>} Conflict response body
+ */
+async function buildDeckConflict(db, serverRow, precondition, applyClientChange) {
+  const theirs = serverRow?.content || {};
+  const baseVersion = await getDeckVersionAt(db, serverRow.id, precondition);
+  const base = baseVersion?.content || null;
+
+  // Replay the client's change on the content it was based on; without a
+  // known base, rebase it onto the server copy
+  let mine = null;
+  try {
+    mine = applyClientChange(base || theirs);
+  } catch (e) {
+    console.warn("buildDeckConflict: client change could not be replayed:", e.message);
+  }
 
-function buildPreviewFields(content) {
-  const beats = Array.isArray(content?.beats) ? content.beats : [];
   return {
-    beats_count: beats.length,
-    beats_preview: buildBeatsPreview(beats),
-    tone_image_url: content?.toneImage || content?.tone_image || content?.tone_image_url || null,
+    error: "Deck was modified since you last loaded it",
+    code: "DECK_CONFLICT",
+    expectedUpdatedAt: precondition,
+    serverUpdatedAt: serverRow.updated_at,
+    deck: decorateShareMeta(serverRow),
+    merge: mine
+      ? proposeDeckMerge({ base, mine: withoutShareSecrets(mine), theirs: withoutShareSecrets(theirs) })
+      : null,
   };
 }
 
-/**
- * Build share metadata for a deck (for list view - without full content)
- */
-function buildShareMetaForList(row) {
-  if (!row) return row;
-  
-  const tool = validateTool(row.tool);
-  
-  // Ensure story_type is NEVER undefined - use fallback based on tool
-  const storyType = row.story_type || (tool === "shot_list" ? "shot_list" : tool === "canvas" ? "canvas" : "general");
-  
-  return {
-    ...row,
-    tool,
-    story_type: storyType, // REQUIRED - never undefined
-    // Share URL can be built if we have the share_code from the view
-    // For now, return null since we don't have content in list view
-    shareUrl: null,
-    mailto: null,
-  };
+async function fetchDeckRow(db, userId, deckId) {
+  const { data, error } = await db
+    .from("decks")
+    .select(FULL_COLUMNS)
+    .eq("user_id", userId)
+    .is("deleted_at", null)
+    .eq("id", deckId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
 }
 
 /**
- * Build share metadata for a deck (for detail view - with full content)
- * Also normalizes beat media URLs for consistent frontend access
+ * Read-modify-write a deck's content with optimistic concurrency.
+ *
+ * The update is guarded on the updated_at that was read, so a concurrent
+ * write can never be overwritten. Without a client precondition the mutation
+ * is simply re-applied to the fresh content; with one, a stale read is a 409.
+ *
+ * @param {Object} req - Express request (params.id, user, deckAccess, body)
+ * @param {Object} options
+ * @param {string} options.source - Version source label (e.g. "beats.add")
+ * @param {Function} options.mutate - (content, existingRow) => { content, update?, result? }
+ *   May throw httpError() for validation failures
+ * @param {string} [options.restoredFrom] - Version id, when restoring a snapshot
+ * @param {boolean} [options.recordVersion=true] - Skip the snapshot for bookkeeping writes
+ * @param {boolean} [options.journal=false] - Record the beat changes for undo/redo
+ * @param {string} [options.deckId=req.params.id] - Deck to write (bulk routes)
+ * @param {Object} [options.access=req.deckAccess] - Caller's access to that deck
+ * @returns {Promise<{ data?: Object, result?: Object, version?: Object, conflict?: Object }>}
  */
-function decorateShareMeta(row) {
-  if (!row?.content) return row;
-  
-  const normalized = normalizeDeckPayload(row.content);
-  const shareUrl = buildShareUrl(normalized.shareCode);
-  const mailto = shareEmailTemplate({ title: normalized.title, shareUrl });
-  
-  // Use the database tool column if available, otherwise derive from content
-  const tool = validateTool(row.tool || normalized.tool);
-  
-  // Ensure story_type is NEVER undefined - use fallback based on tool
-  const storyType = row.story_type || normalized.contentType || (tool === "shot_list" ? "shot_list" : tool === "canvas" ? "canvas" : "general");
-  
-  // Normalize beats with media URLs for consistent frontend access
-  const beatsWithMedia = normalizeBeatsForResponse(
-    normalized.beats,
-    normalized.visuals,
-    normalized.storyboards
-  );
-  
-  // Build deck thumbnail from first beat if not set at row level
-  const deckThumbnail = row.thumbnail_url || 
-                        normalized.thumbnail_url ||
-                        beatsWithMedia[0]?.visual_url || 
-                        beatsWithMedia[0]?.storyboard_url ||
-                        null;
-  
-  // Return with normalized content including beats with media URLs
-  return { 
-    ...row, 
-    tool, 
-    story_type: storyType, 
-    shareUrl, 
-    mailto,
-    // Deck-level thumbnail
-    thumbnail_url: deckThumbnail,
-    thumbnailUrl: deckThumbnail,
-    // Include normalized content with beats that have media URLs
-    content: {
-      ...normalized,
-      beats: beatsWithMedia,
-      thumbnail_url: deckThumbnail,
-      thumbnailUrl: deckThumbnail,
-    },
-  };
-}
+async function mutateDeckContent(req, {
+  source,
+  mutate,
+  restoredFrom = null,
+  recordVersion = true,
+  journal = false,
+  deckId = req.params.id,
+  access = req.deckAccess,
+}) {
+  const userId = req.user.id;
+  // Collaborators write to the owner's row (see requireDeckRole)
+  const ownerId = access?.ownerId || userId;
+  const db = dbForReq(req);
+  // A precondition names one deck, so it only applies to the routed one
+  const precondition = deckId === req.params.id ? readPrecondition(req) : null;
+
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const { data: existing, error: fetchError } = await db
+      .from("decks")
+      .select("content,updated_at,thumbnail_url")
+      .eq("user_id", ownerId)
+      .is("deleted_at", null)
+      .eq("id", deckId)
+      .single();
 
-async function requireUser(req, res, next) {
-  try {
-    const auth = req.headers.authorization || "";
-    const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
-    if (!token) return res.status(401).json({ error: "Missing bearer token" });
+    if (fetchError) throw fetchError;
+
+    if (precondition && existing?.updated_at && !sameTimestamp(precondition, existing.updated_at)) {
+      const serverRow = await fetchDeckRow(db, ownerId, deckId);
+      return {
+        conflict: await buildDeckConflict(db, serverRow, precondition, (c) => mutate(upgradeDeckContent(c).content, existing).content),
+      };
+    }
 
-    const { data, error } = await supabaseAuth.auth.getUser(token);
-    if (error || !data?.user) return res.status(401).json({ error: "Invalid session" });
+    // Mutations always see (and write) the current content schema
+    const before = upgradeDeckContent(existing?.content || {}).content;
+    const mutation = mutate(before, existing);
+    const upgraded = upgradeDeckContent(mutation.content).content;
+    const content = { ...upgraded, beats: ensureBeatUids(upgraded.beats) };
+    const previewFields = buildPreviewFields(content);
 
-    req.user = data.user;
-    req.accessToken = token;
-    return next();
-  } catch (e) {
-    console.error("requireUser error:", e);
-    return res.status(401).json({ error: "Unauthorized" });
+    let query = db
+      .from("decks")
+      .update({
+        content,
+        ...previewFields,
+        ...(mutation.update || {}),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("user_id", ownerId)
+      .is("deleted_at", null)
+      .eq("id", deckId);
+
+    if (existing?.updated_at) {
+      query = query.eq("updated_at", existing.updated_at);
+    }
+
+    const { data, error } = await query.select(FULL_COLUMNS).maybeSingle();
+    if (error) throw error;
+
+    // Another write landed between our read and update - go round again
+    if (!data) continue;
+
+    const version = recordVersion
+      ? await recordDeckVersion(db, data, { userId, source, restoredFrom })
+      : null;
+    publishDeckChange(deckId, {
+      source,
+      userId,
+      before,
+      after: data.content,
+      updatedAt: data.updated_at,
+    });
+    if (journal) {
+      await recordDeckOperation(db, {
+        deckId,
+        userId,
+        source,
+        ops: diffBeatOperations(before.beats, content.beats),
+      });
+    }
+    return { data, result: mutation.result || {}, version };
   }
+
+  throw httpError(409, "Deck is being modified concurrently, please retry", { code: "DECK_BUSY" });
+}
+
+/**
+ * Shared error response for routes built on mutateDeckContent
+ */
+function sendWriteError(res, e, label, fallbackMessage) {
+  if (e?.status) {
+    return res.status(e.status).json({ error: e.message, ...(e.details || {}) });
+  }
+  console.error(`${label}:`, e);
+  return res.status(500).json({ error: e?.message || fallbackMessage });
 }
 
 // =============================================================================
 // GET /decks - List all decks for the authenticated user
 // OPTIMIZED: Only selects lightweight columns, excludes heavy content
-// Supports filtering by tool (story_engine, shot_list, canvas)
+// Supports filtering by tool (story_engine, shot_list, canvas), folder
+// (folder id or "none"), tag and pinned
+// Sorted by sort (updated_at, created_at, title, beats_count) and order;
+// paged with the opaque pagination.nextCursor (offset still works)
 // =============================================================================
 router.get("/", requireUser, async (req, res) => {
   try {
@@ -230,70 +373,228 @@ router.get("/", requireUser, async (req, res) => {
     // Optional tool filter from query parameter
     const toolFilter = req.query.tool;
     const validatedTool = toolFilter ? validateTool(toolFilter) : null;
+
+    // Optional organization filters
+    const filters = {
+      tool: validatedTool,
+      folder: parseFolderFilter(req.query.folder),
+      tag: normalizeTag(req.query.tag),
+      pinned: parseBooleanFlag(req.query.pinned),
+    };
+
+    if (req.query.folder && !filters.folder) {
+      return res.status(400).json({ error: "Invalid folder filter (use a folder id or \"none\")" });
+    }
     
     // Pagination parameters (with sensible defaults)
     const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
-    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const paging = parseListPaging(req.query);
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+    // A cursor replaces the offset
+    const offset = paging.cursor ? 0 : Math.max(parseInt(req.query.offset) || 0, 0);
+    const page = { ...paging, limit, offset };
+
+    // One extra row tells us whether there is a next page
+    const { data, error } = await db.rpc("get_user_decks", {
+      p_user_id: userId,
+      p_tool: validatedTool,
+      p_folder_id: filters.folder?.folderId || null,
+      p_unfiled: !!filters.folder && !filters.folder.folderId,
+      p_tag: filters.tag || null,
+      p_pinned: filters.pinned,
+      p_sort: page.sort,
+      p_order: page.order,
+      p_cursor_key: page.cursor?.key ?? null,
+      p_cursor_id: page.cursor?.id ?? null,
+      p_limit: limit + 1,
+      p_offset: offset,
+    });
+
+    if (error || !Array.isArray(data)) {
+      // Fallback: sort and page in memory (list migration 014 not run yet)
+      if (error) console.warn("get_user_decks unavailable, paging in memory:", error.message);
+      return await listDecksFallback(req, res, userId, db, filters, page);
+    }
+
+    const hasMore = data.length > limit;
+    const rows = data.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = hasMore && last
+      ? encodeListCursor({ sort: page.sort, order: page.order, key: last.sort_key, id: last.id })
+      : null;
+
+    const decks = rows.map(({ sort_key, ...row }) => buildShareMetaForList(row));
+
+    // Decks other accounts shared with me: first page only, and only when not
+    // filtering by my own folders/tags/pins
+    const organizationFiltered = filters.folder || filters.tag || filters.pinned !== null;
+    const sharedWithMe = offset === 0 && !page.cursor && !organizationFiltered
+      ? await listSharedDecks(db, req.user, validatedTool)
+      : [];
+    
+    return res.json({ 
+      ok: true, 
+      decks,
+      sharedWithMe,
+      pagination: describeListPage(page, decks.length, hasMore, nextCursor),
+      filter: describeListFilter(filters),
+    });
+  } catch (e) {
+    console.error("list decks error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load decks" });
+  }
+});
+
+// Max decks returned in sharedWithMe
+const SHARED_DECKS_LIMIT = 200;
+
+/**
+ * Decks shared with the user through deck_collaborators, with their role.
+ * Owner-only organization (folder, pin) is left out. Never fails the list.
+ */
+async function listSharedDecks(db, user, toolFilter) {
+  try {
+    const roles = await listSharedDeckRoles(db, user);
+    if (!roles.size) return [];
 
-    // Build query with LIGHTWEIGHT columns only (no content!)
     let query = db
       .from("decks")
       .select(LIGHTWEIGHT_COLUMNS)
-      .eq("user_id", userId);
-    
-    // Apply tool filter if specified
-    if (validatedTool) {
-      query = query.eq("tool", validatedTool);
-    }
-    
-    // Order by updated_at (most recent first), fallback to created_at
-    query = query
+      .in("id", [...roles.keys()])
+      .is("deleted_at", null);
+
+    if (toolFilter) query = query.eq("tool", toolFilter);
+
+    const { data, error } = await query
       .order("updated_at", { ascending: false, nullsFirst: false })
-      .order("created_at", { ascending: false })
-      .range(offset, offset + limit - 1);
+      .limit(SHARED_DECKS_LIMIT);
 
-    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || [])
+      .filter((row) => row.user_id !== user.id)
+      .map(({ folder_id, pinned, pinned_at, ...row }) => ({
+        ...buildShareMetaForList(row),
+        role: roles.get(row.id),
+      }));
+  } catch (e) {
+    console.warn("shared decks lookup failed:", e?.message);
+    return [];
+  }
+}
+
+/**
+ * Echo the applied list filters (null when unfiltered)
+ */
+function describeListFilter(filters) {
+  const filter = {};
+  if (filters.tool) filter.tool = filters.tool;
+  if (filters.folder) filter.folder = filters.folder.folderId || "none";
+  if (filters.tag) filter.tag = filters.tag;
+  if (filters.pinned !== null) filter.pinned = filters.pinned;
+  return Object.keys(filter).length ? filter : null;
+}
+
+/**
+ * Echo the applied sort and paging
+ */
+function describeListPage(page, count, hasMore, nextCursor) {
+  return {
+    limit: page.limit,
+    offset: page.offset,
+    sort: page.sort,
+    order: page.order,
+    count,
+    hasMore,
+    nextCursor,
+  };
+}
+
+// Max decks read when the list is sorted and paged in memory
+const LIST_FALLBACK_SCAN_LIMIT = 2000;
+
+// Columns added by migrations 001-009 that the lightweight list query needs
+const LIST_MIGRATION_COLUMNS = [
+  "tool", "updated_at", "story_type", "tagline", "tone_image_url", "beats_count",
+  "beats_preview", "deleted_at", "folder_id", "tags", "pinned",
+];
+
+function isMissingListColumnError(error) {
+  const message = error?.message || "";
+  return message.includes("column") && LIST_MIGRATION_COLUMNS.some((column) => message.includes(column));
+}
+
+/**
+ * Fallback list query for databases that haven't run the list migration (014)
+ * Reads up to LIST_FALLBACK_SCAN_LIMIT lightweight rows and sorts/pages them
+ * in memory with the same keys and cursors as get_user_decks(). Databases
+ * missing earlier migrations get the content-based query below.
+ */
+async function listDecksFallback(req, res, userId, db, filters, page) {
+  try {
+    let query = db
+      .from("decks")
+      .select(LIGHTWEIGHT_COLUMNS)
+      .eq("user_id", userId)
+      .is("deleted_at", null);
+
+    if (filters.tool) {
+      query = query.eq("tool", filters.tool);
+    }
+    if (filters.folder) {
+      query = filters.folder.folderId
+        ? query.eq("folder_id", filters.folder.folderId)
+        : query.is("folder_id", null);
+    }
+    if (filters.tag) {
+      query = query.contains("tags", [filters.tag]);
+    }
+    if (filters.pinned !== null) {
+      query = query.eq("pinned", filters.pinned);
+    }
+
+    const { data, error } = await query
+      .order("updated_at", { ascending: false, nullsFirst: false })
+      .limit(LIST_FALLBACK_SCAN_LIMIT);
 
     if (error) {
-      // If error mentions missing columns, try fallback query
-      if (error.message?.includes("column") && 
-          (error.message?.includes("tool") || 
-           error.message?.includes("updated_at") ||
-           error.message?.includes("story_type") ||
-           error.message?.includes("tagline") ||
-           error.message?.includes("tone_image_url") ||
-           error.message?.includes("beats_count") ||
-           error.message?.includes("beats_preview"))) {
+      if (isMissingListColumnError(error)) {
         console.warn("Some columns may be missing, using fallback query");
-        return await listDecksFallback(req, res, userId, db, validatedTool, limit, offset);
+        return await listLegacyDecks(req, res, userId, db, filters, page);
       }
       throw error;
     }
-    
-    const decks = (data || []).map(buildShareMetaForList);
-    
-    return res.json({ 
-      ok: true, 
+
+    const { rows, hasMore, nextCursor } = paginateDeckRows(data, page);
+    const decks = rows.map(buildShareMetaForList);
+
+    const organizationFiltered = filters.folder || filters.tag || filters.pinned !== null;
+    const sharedWithMe = page.offset === 0 && !page.cursor && !organizationFiltered
+      ? await listSharedDecks(db, req.user, filters.tool)
+      : [];
+
+    return res.json({
+      ok: true,
       decks,
-      pagination: {
-        limit,
-        offset,
-        count: decks.length,
-        hasMore: decks.length === limit,
-      },
-      filter: validatedTool ? { tool: validatedTool } : null,
+      sharedWithMe,
+      pagination: describeListPage(page, decks.length, hasMore, nextCursor),
+      filter: describeListFilter(filters),
+      _fallback: true, // Indicator that migrations may be needed
     });
   } catch (e) {
-    console.error("list decks error:", e);
+    console.error("fallback list decks error:", e);
     return res.status(500).json({ error: e?.message || "Couldn't load decks" });
   }
-});
+}
 
 /**
- * Fallback list query for databases that haven't run migrations yet
- * Still optimized to not transfer content in list responses
+ * List query for databases that haven't run migrations yet
+ * Reads content to build previews, but doesn't return it
+ * (no folders, tags or pins before migration 009: every deck is unfiled)
  */
-async function listDecksFallback(req, res, userId, db, toolFilter, limit, offset) {
+async function listLegacyDecks(req, res, userId, db, filters, page) {
   try {
     // Minimal columns that should exist in all schemas
     let query = db
@@ -301,7 +602,7 @@ async function listDecksFallback(req, res, userId, db, toolFilter, limit, offset
       .select("id,title,content,created_at,export_pdf_url,prompt")
       .eq("user_id", userId)
       .order("created_at", { ascending: false })
-      .range(offset, offset + limit - 1);
+      .limit(LIST_FALLBACK_SCAN_LIMIT);
 
     const { data, error } = await query;
     if (error) throw error;
@@ -324,26 +625,30 @@ async function listDecksFallback(req, res, userId, db, toolFilter, limit, offset
         ...previewFields,
         export_pdf_url: row.export_pdf_url,
         prompt: row.prompt || normalized.prompt,
+        folder_id: null,
+        tags: [],
+        pinned: false,
         shareUrl: buildShareUrl(normalized.shareCode),
         mailto: shareEmailTemplate({ title: normalized.title, shareUrl: buildShareUrl(normalized.shareCode) }),
       };
     });
 
-    // Apply tool filter in memory if specified
-    if (toolFilter) {
-      decks = decks.filter((d) => d.tool === toolFilter);
+    // Apply filters in memory if specified
+    if (filters.tool) {
+      decks = decks.filter((d) => d.tool === filters.tool);
     }
+    if ((filters.folder && filters.folder.folderId) || filters.tag || filters.pinned === true) {
+      decks = [];
+    }
+
+    const { rows, hasMore, nextCursor } = paginateDeckRows(decks, page);
 
     return res.json({ 
       ok: true, 
-      decks,
-      pagination: {
-        limit,
-        offset,
-        count: decks.length,
-        hasMore: decks.length === limit,
-      },
-      filter: toolFilter ? { tool: toolFilter } : null,
+      decks: rows,
+      sharedWithMe: [],
+      pagination: describeListPage(page, rows.length, hasMore, nextCursor),
+      filter: describeListFilter(filters),
       _fallback: true, // Indicator that migrations may be needed
     });
   } catch (e) {
@@ -354,41 +659,64 @@ async function listDecksFallback(req, res, userId, db, toolFilter, limit, offset
 
 // =============================================================================
 // GET /decks/counts - Get deck counts by tool (for tab badges)
+// Also returns per-folder, unfiled and pinned counts (for sidebar badges)
 // =============================================================================
 router.get("/counts", requireUser, async (req, res) => {
   try {
     const userId = req.user.id;
     const db = dbForReq(req);
 
-    // Try using the RPC function first
+    // Try using the RPC function first (rows are { kind, key, count } since 009)
     const { data: rpcData, error: rpcError } = await db.rpc("get_user_deck_counts", {
       p_user_id: userId,
     });
 
-    if (!rpcError && rpcData) {
+    if (!rpcError && Array.isArray(rpcData) && rpcData.every((row) => row.kind)) {
       const counts = {};
+      const folders = {};
+      let unfiled = 0;
+      let pinned = 0;
       for (const row of rpcData) {
-        counts[row.tool] = row.count;
+        const count = Number(row.count) || 0;
+        if (row.kind === "tool") counts[row.key] = count;
+        else if (row.kind === "folder") folders[row.key] = count;
+        else if (row.kind === "unfiled") unfiled = count;
+        else if (row.kind === "pinned") pinned = count;
       }
-      return res.json({ ok: true, counts });
+      return res.json({ ok: true, counts, folders, unfiled, pinned });
     }
 
-    // Fallback: manual count query
-    const { data, error } = await db
+    // Fallback: manual count query (organization columns may not exist yet)
+    let { data, error } = await db
       .from("decks")
-      .select("tool")
-      .eq("user_id", userId);
+      .select("tool,folder_id,pinned")
+      .eq("user_id", userId)
+      .is("deleted_at", null);
+
+    if (error && error.message?.includes("column")) {
+      ({ data, error } = await db
+        .from("decks")
+        .select("tool")
+        .eq("user_id", userId)
+        .is("deleted_at", null));
+    }
 
     if (error) throw error;
 
     // Count in memory
     const counts = { story_engine: 0, shot_list: 0, canvas: 0 };
+    const folders = {};
+    let unfiled = 0;
+    let pinned = 0;
     for (const row of data || []) {
       const tool = validateTool(row.tool);
       counts[tool] = (counts[tool] || 0) + 1;
+      if (row.folder_id) folders[row.folder_id] = (folders[row.folder_id] || 0) + 1;
+      else unfiled++;
+      if (row.pinned) pinned++;
     }
 
-    return res.json({ ok: true, counts });
+    return res.json({ ok: true, counts, folders, unfiled, pinned });
   } catch (e) {
     console.error("deck counts error:", e);
     return res.status(500).json({ error: e?.message || "Couldn't get deck counts" });
@@ -396,65 +724,516 @@ router.get("/counts", requireUser, async (req, res) => {
 });
 
 // =============================================================================
-// GET /decks/:id - Get a single deck by ID (includes full content)
+// GET /decks/search?q= - Full-text search over the user's decks
+// Matches title, tagline, prompt and beat text (name, intent, beatText/text).
+// Supports the same tool filter and limit/offset pagination as GET /decks.
 // =============================================================================
-router.get("/:id", requireUser, async (req, res) => {
+const SEARCH_MAX_QUERY_LENGTH = 200;
+
+// Max decks scanned by the in-memory fallback (no search migration yet)
+const SEARCH_FALLBACK_SCAN_LIMIT = 500;
+
+router.get("/search", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!q) {
+      return res.status(400).json({ error: "Missing search query (q)" });
+    }
+    if (q.length > SEARCH_MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: `Search query must be at most ${SEARCH_MAX_QUERY_LENGTH} characters`,
+      });
+    }
+
+    const toolFilter = req.query.tool;
+    const validatedTool = toolFilter ? validateTool(toolFilter) : null;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { data: rpcData, error: rpcError } = await db.rpc("search_user_decks", {
+      p_user_id: userId,
+      p_query: q,
+      p_tool: validatedTool,
+      p_limit: limit,
+      p_offset: offset,
+    });
+
+    let rows;
+    let fallback = false;
+
+    if (!rpcError && Array.isArray(rpcData)) {
+      rows = rpcData;
+    } else {
+      // Fallback: scan content in memory (search migration not run yet)
+      if (rpcError) console.warn("search_user_decks unavailable, scanning in memory:", rpcError.message);
+      fallback = true;
+
+      const terms = parseSearchTerms(q);
+      let query = db
+        .from("decks")
+        .select(FULL_COLUMNS)
+        .eq("user_id", userId)
+        .is("deleted_at", null);
+
+      if (validatedTool) query = query.eq("tool", validatedTool);
+
+      const { data, error } = await query
+        .order("updated_at", { ascending: false, nullsFirst: false })
+        .limit(SEARCH_FALLBACK_SCAN_LIMIT);
+
+      if (error) throw error;
+
+      rows = (data || [])
+        .map((row) => {
+          const hit = matchDeck(row, terms);
+          if (!hit) return null;
+          const { content, ...rest } = row;
+          return { ...rest, ...hit };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.rank - a.rank)
+        .slice(offset, offset + limit);
+    }
+
+    const results = rows.map((row) => {
+      const {
+        rank,
+        title_snippet,
+        tagline_snippet,
+        prompt_snippet,
+        beat_index,
+        beat_snippet,
+        ...deck
+      } = row;
+      return {
+        ...buildShareMetaForList(deck),
+        ...formatSearchHit(row),
+      };
+    });
+
+    return res.json({
+      ok: true,
+      query: q,
+      results,
+      pagination: {
+        limit,
+        offset,
+        count: results.length,
+        hasMore: results.length === limit,
+      },
+      filter: validatedTool ? { tool: validatedTool } : null,
+      ...(fallback && { _fallback: true }),
+    });
+  } catch (e) {
+    console.error("search decks error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't search decks" });
+  }
+});
+
+// =============================================================================
+// FOLDERS
+// GET /decks/folders              - List the user's folders
+// POST /decks/folders             - Create a folder { name, color?, position? }
+// PATCH /decks/folders/:folderId  - Rename / recolor / reorder a folder
+// DELETE /decks/folders/:folderId - Delete a folder (its decks become unfiled)
+// =============================================================================
+const FOLDER_COLUMNS = "id,user_id,name,color,position,created_at,updated_at";
+
+router.get("/folders", requireUser, async (req, res) => {
   try {
     const userId = req.user.id;
-    const deckId = req.params.id;
     const db = dbForReq(req);
 
-    // For single deck retrieval, include full content
     const { data, error } = await db
-      .from("decks")
-      .select(FULL_COLUMNS)
+      .from("deck_folders")
+      .select(FOLDER_COLUMNS)
       .eq("user_id", userId)
-      .eq("id", deckId)
+      .order("position", { ascending: true })
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+
+    return res.json({ ok: true, folders: data || [] });
+  } catch (e) {
+    console.error("list folders error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load folders" });
+  }
+});
+
+router.post("/folders", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+
+    const { value, error: inputError } = parseFolderInput(req.body || {});
+    if (inputError) return res.status(400).json({ error: inputError });
+
+    const { data, error } = await db
+      .from("deck_folders")
+      .insert({ user_id: userId, ...value })
+      .select(FOLDER_COLUMNS)
       .single();
 
     if (error) {
-      // Fallback for missing columns
-      if (error.message?.includes("column")) {
-        const { data: fallback, error: fallbackError } = await db
-          .from("decks")
-          .select("id,title,content,created_at,export_pdf_url,prompt")
-          .eq("user_id", userId)
-          .eq("id", deckId)
-          .single();
-        
-        if (fallbackError) throw fallbackError;
-        return res.json({ ok: true, deck: decorateShareMeta(fallback) });
+      if (isDuplicateFolderError(error)) {
+        return res.status(409).json({ error: "A folder with that name already exists" });
       }
       throw error;
     }
-    
-    return res.json({ ok: true, deck: decorateShareMeta(data) });
+
+    return res.status(201).json({ ok: true, folder: data });
   } catch (e) {
-    console.error("get deck error:", e);
-    return res.status(404).json({ error: e?.message || "Deck not found" });
+    console.error("create folder error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't create folder" });
   }
 });
 
-// =============================================================================
-// POST /decks/save - Create or update a deck
-// Ensures tool is properly set from request or derived from content
-// =============================================================================
-router.post("/save", requireUser, async (req, res) => {
+router.patch("/folders/:folderId", requireUser, async (req, res) => {
   try {
     const userId = req.user.id;
     const db = dbForReq(req);
 
-    const body = req.body || {};
-    const src = body.deck && typeof body.deck === "object" ? body.deck : body;
-    const normalized = normalizeDeckPayload(src);
-    const { id } = normalized;
+    const { value, error: inputError } = parseFolderInput(req.body || {}, { partial: true });
+    if (inputError) return res.status(400).json({ error: inputError });
+    if (!Object.keys(value).length) {
+      return res.status(400).json({ error: "Nothing to update (name, color or position)" });
+    }
 
-    // Generate a title if missing (prevent "Untitled" stories)
-    let title = normalized.title;
-    if (!title || title.toLowerCase() === "untitled") {
-      if (normalized.prompt) {
-        const words = normalized.prompt
-          .replace(/[^a-zA-Z0-9\s]/g, "")
+    const { data, error } = await db
+      .from("deck_folders")
+      .update({ ...value, updated_at: new Date().toISOString() })
+      .eq("user_id", userId)
+      .eq("id", req.params.folderId)
+      .select(FOLDER_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      if (isDuplicateFolderError(error)) {
+        return res.status(409).json({ error: "A folder with that name already exists" });
+      }
+      throw error;
+    }
+    if (!data) return res.status(404).json({ error: "Folder not found" });
+
+    return res.json({ ok: true, folder: data });
+  } catch (e) {
+    console.error("update folder error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't update folder" });
+  }
+});
+
+router.delete("/folders/:folderId", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const folderId = req.params.folderId;
+    const db = dbForReq(req);
+
+    const { data: folder, error: findError } = await db
+      .from("deck_folders")
+      .select("id")
+      .eq("user_id", userId)
+      .eq("id", folderId)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (!folder) return res.status(404).json({ error: "Folder not found" });
+
+    // The FK also sets folder_id to NULL; unfiling first reports how many moved
+    const { data: unfiled, error: unfileError } = await db
+      .from("decks")
+      .update({ folder_id: null })
+      .eq("user_id", userId)
+      .eq("folder_id", folderId)
+      .select("id");
+
+    if (unfileError) throw unfileError;
+
+    const { error } = await db
+      .from("deck_folders")
+      .delete()
+      .eq("user_id", userId)
+      .eq("id", folderId);
+
+    if (error) throw error;
+
+    return res.json({ ok: true, deleted: folderId, unfiledDecks: (unfiled || []).length });
+  } catch (e) {
+    console.error("delete folder error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't delete folder" });
+  }
+});
+
+// =============================================================================
+// TAGS
+// GET /decks/tags         - List the user's tags with deck counts
+// PATCH /decks/tags/:tag  - Rename a tag on every deck { name }
+// DELETE /decks/tags/:tag - Remove a tag from every deck
+// Renames and removals also apply to trashed decks so a restore stays consistent.
+// =============================================================================
+router.get("/tags", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+
+    const { data, error } = await db
+      .from("decks")
+      .select("tags")
+      .eq("user_id", userId)
+      .is("deleted_at", null);
+
+    if (error) throw error;
+
+    const counts = new Map();
+    for (const row of data || []) {
+      for (const tag of row.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    const tags = [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+    return res.json({ ok: true, tags });
+  } catch (e) {
+    console.error("list tags error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load tags" });
+  }
+});
+
+/**
+ * Rewrite one tag on every deck of a user that carries it
+ * @param {Object} db - Supabase client
+ * @param {string} userId - Owner
+ * @param {string} tag - Normalized tag to replace
+ * @param {string|null} replacement - New tag, or null to remove
+ * @returns {Promise<number>} Number of decks updated
+ */
+async function rewriteTagOnDecks(db, userId, tag, replacement) {
+  const { data, error } = await db
+    .from("decks")
+    .select("id,tags")
+    .eq("user_id", userId)
+    .contains("tags", [tag]);
+
+  if (error) throw error;
+
+  let updated = 0;
+  for (const row of data || []) {
+    const tags = normalizeTags(
+      (row.tags || []).map((t) => (t === tag ? replacement : t)).filter(Boolean)
+    );
+    const { error: updateError } = await db
+      .from("decks")
+      .update({ tags })
+      .eq("user_id", userId)
+      .eq("id", row.id);
+
+    if (updateError) throw updateError;
+    updated++;
+  }
+  return updated;
+}
+
+router.patch("/tags/:tag", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+
+    const tag = normalizeTag(req.params.tag);
+    const name = normalizeTag(req.body?.name);
+    if (!tag) return res.status(400).json({ error: "Invalid tag" });
+    if (!name) return res.status(400).json({ error: "New tag name is required" });
+
+    const updated = tag === name ? 0 : await rewriteTagOnDecks(db, userId, tag, name);
+
+    return res.json({ ok: true, tag: name, renamedFrom: tag, updatedDecks: updated });
+  } catch (e) {
+    console.error("rename tag error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't rename tag" });
+  }
+});
+
+router.delete("/tags/:tag", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) return res.status(400).json({ error: "Invalid tag" });
+
+    const updated = await rewriteTagOnDecks(db, userId, tag, null);
+
+    return res.json({ ok: true, deleted: tag, updatedDecks: updated });
+  } catch (e) {
+    console.error("delete tag error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't delete tag" });
+  }
+});
+
+// =============================================================================
+// TRASH BIN
+// GET /decks/trash           - List trashed decks with their purge date
+// DELETE /decks/trash        - Empty the trash (purge all trashed decks now)
+// DELETE /decks/trash/:id    - Permanently delete one trashed deck now
+// =============================================================================
+router.get("/trash", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { data, error } = await db
+      .from("decks")
+      .select(`${LIGHTWEIGHT_COLUMNS},deleted_at`)
+      .eq("user_id", userId)
+      .not("deleted_at", "is", null)
+      .order("deleted_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    const decks = (data || []).map((row) => ({
+      ...buildShareMetaForList(row),
+      purgeAt: purgeDateFor(row.deleted_at),
+    }));
+
+    return res.json({
+      ok: true,
+      decks,
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        limit,
+        offset,
+        count: decks.length,
+        hasMore: decks.length === limit,
+      },
+    });
+  } catch (e) {
+    console.error("list trash error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load trash" });
+  }
+});
+
+router.delete("/trash", requireUser, async (req, res) => {
+  try {
+    const results = await purgeTrashedDecks(dbForReq(req), {
+      userId: req.user.id,
+      expiredOnly: false,
+      limit: 500,
+    });
+
+    return res.json({
+      ok: true,
+      purged: results.filter((r) => !r.error).map((r) => r.id),
+      failed: results.filter((r) => r.error),
+    });
+  } catch (e) {
+    console.error("empty trash error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't empty trash" });
+  }
+});
+
+router.delete("/trash/:id", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+
+    const { data: deck, error } = await db
+      .from("decks")
+      .select("id,user_id,export_pdf_url,deleted_at")
+      .eq("user_id", userId)
+      .eq("id", req.params.id)
+      .not("deleted_at", "is", null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!deck) return res.status(404).json({ error: "Deck not found in trash" });
+
+    const result = await purgeDeck(db, deck);
+    if (result.error) {
+      return res.status(500).json({
+        error: result.error,
+        code: "PURGE_INCOMPLETE",
+        removedObjects: result.removedObjects,
+        storageErrors: result.storageErrors,
+      });
+    }
+    return res.json({ ok: true, purged: result.id, removedObjects: result.removedObjects });
+  } catch (e) {
+    console.error("purge deck error:", e);
+    return res.status(500).json({ error: e?.message || "Purge failed" });
+  }
+});
+
+// =============================================================================
+// GET /decks/:id - Get a single deck by ID (includes full content)
+// =============================================================================
+router.get("/:id", requireUser, requireDeckRole("viewer"), async (req, res) => {
+  try {
+    const { ownerId, role } = req.deckAccess;
+    const deckId = req.params.id;
+    const db = dbForReq(req);
+
+    // For single deck retrieval, include full content
+    const { data, error } = await db
+      .from("decks")
+      .select(FULL_COLUMNS)
+      .eq("user_id", ownerId)
+      .is("deleted_at", null)
+      .eq("id", deckId)
+      .single();
+
+    if (error) {
+      // Fallback for missing columns
+      if (error.message?.includes("column")) {
+        const { data: fallback, error: fallbackError } = await db
+          .from("decks")
+          .select("id,title,content,created_at,export_pdf_url,prompt")
+          .eq("user_id", ownerId)
+          .eq("id", deckId)
+          .single();
+        
+        if (fallbackError) throw fallbackError;
+        return res.json({ ok: true, deck: decorateShareMeta(fallback), access: { role } });
+      }
+      throw error;
+    }
+    
+    setDeckEtag(res, data);
+    return res.json({ ok: true, deck: decorateShareMeta(data), access: { role } });
+  } catch (e) {
+    console.error("get deck error:", e);
+    return res.status(404).json({ error: e?.message || "Deck not found" });
+  }
+});
+
+// =============================================================================
+// POST /decks/save - Create or update a deck
+// Ensures tool is properly set from request or derived from content
+// =============================================================================
+router.post("/save", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+
+    const body = req.body || {};
+    const src = body.deck && typeof body.deck === "object" ? body.deck : body;
+    const normalized = normalizeDeckPayload(src);
+    const { id } = normalized;
+
+    // Generate a title if missing (prevent "Untitled" stories)
+    let title = normalized.title;
+    if (!title || title.toLowerCase() === "untitled") {
+      if (normalized.prompt) {
+        const words = normalized.prompt
+          .replace(/[^a-zA-Z0-9\s]/g, "")
           .split(/\s+/)
           .filter((w) => w.length > 3)
           .slice(0, 3);
@@ -472,8 +1251,14 @@ router.post("/save", requireUser, async (req, res) => {
     // Priority: explicit body.tool > normalized.tool (from content analysis) > default
     const toolValue = validateTool(body.tool || normalized.tool);
     
-    // Store tool in content as well for consistency
-    const contentWithTitle = { ...normalized, title, tool: toolValue };
+    // Store tool in content as well for consistency (beats keep stable uids)
+    const contentWithTitle = {
+      ...normalized,
+      schemaVersion: DECK_SCHEMA_VERSION,
+      title,
+      tool: toolValue,
+      beats: ensureBeatUids(normalized.beats),
+    };
     
     // Extract story_type for indexing - NEVER allow undefined/null
     // Priority: explicit body.story_type > normalized.contentType > fallback based on tool
@@ -518,20 +1303,89 @@ router.post("/save", requireUser, async (req, res) => {
 
     // Prefer update-then-insert to avoid cross-user overwrite with service key
     if (id) {
+      // Editors save into the owner's row; the owner stays the owner
+      const access = await resolveDeckAccess(db, req.user, id);
+      if (access && !hasDeckRole(access.role, "editor")) {
+        return res.status(403).json({
+          error: "This needs editor access to the deck",
+          code: "DECK_FORBIDDEN",
+          role: access.role,
+        });
+      }
+      const ownerId = access?.ownerId || userId;
+      row.user_id = ownerId;
+
+      const current = await fetchDeckRow(db, ownerId, id);
+
+      // Beats saved without a uid keep the stored uid at their position, and
+      // sharing is only changed through POST /:id/share
+      if (current) {
+        contentWithTitle.beats = ensureBeatUids(normalized.beats, current.content?.beats);
+        Object.assign(contentWithTitle, keepShareState(contentWithTitle, current.content));
+      }
+
+      // Optimistic concurrency: only overwrite the version the client last saw
+      const precondition = readPrecondition(req);
+      let guardUpdatedAt = null;
+
+      if (precondition && current?.updated_at) {
+        if (!sameTimestamp(precondition, current.updated_at)) {
+          return res
+            .status(409)
+            .json(await buildDeckConflict(db, current, precondition, () => contentWithTitle));
+        }
+        guardUpdatedAt = current.updated_at;
+      }
+
       const { data: updated, error: updateError } = await saveWithFallback(
-        (r) => db
-          .from("decks")
-          .update(r)
-          .eq("user_id", userId)
-          .eq("id", id)
-          .select(FULL_COLUMNS)
-          .single(),
+        (r) => {
+          let query = db
+            .from("decks")
+            .update(r)
+            .eq("user_id", ownerId)
+            .is("deleted_at", null)
+            .eq("id", id);
+          if (guardUpdatedAt) query = query.eq("updated_at", guardUpdatedAt);
+          return query.select(FULL_COLUMNS).single();
+        },
         row
       );
 
       if (!updateError && updated) {
+        await recordDeckVersion(db, updated, { userId, source: "save" });
+        publishDeckChange(id, {
+          source: "save",
+          userId,
+          before: current?.content,
+          after: updated.content,
+          updatedAt: updated.updated_at,
+        });
+        setDeckEtag(res, updated);
         return res.json({ ok: true, deck: decorateShareMeta(updated) });
       }
+
+      // Never resurrect or silently fork a deck that is in the trash
+      const { data: trashed } = await db
+        .from("decks")
+        .select("id")
+        .eq("user_id", ownerId)
+        .eq("id", id)
+        .not("deleted_at", "is", null)
+        .maybeSingle();
+
+      if (trashed) {
+        return res.status(410).json({ error: "Deck is in the trash", code: "DECK_TRASHED" });
+      }
+
+      // The guarded update matched nothing: someone saved in between
+      if (guardUpdatedAt) {
+        const latest = await fetchDeckRow(db, ownerId, id);
+        if (latest) {
+          return res
+            .status(409)
+            .json(await buildDeckConflict(db, latest, precondition, () => contentWithTitle));
+        }
+      }
     }
 
     const { data, error } = await saveWithFallback(
@@ -544,6 +1398,8 @@ router.post("/save", requireUser, async (req, res) => {
     );
 
     if (error) throw error;
+    await recordDeckVersion(db, data, { userId, source: "save" });
+    setDeckEtag(res, data);
     return res.json({ ok: true, deck: decorateShareMeta(data) });
   } catch (e) {
     console.error("save deck error:", e);
@@ -552,540 +1408,2303 @@ router.post("/save", requireUser, async (req, res) => {
 });
 
 // =============================================================================
-// POST /decks/:id/share - Toggle sharing for a deck
+// DECK IMPORT
+// Imports always create a new deck owned by the caller, with a fresh id and
+// share code; the source's ids are never reused.
+// =============================================================================
+
+// =============================================================================
+// POST /decks/import - Create a deck from a JSON export (POST /api/export)
+// Body: the export JSON. Inline data-URL images are uploaded into the new
+// deck's storage.
 // =============================================================================
-router.post("/:id/share", requireUser, async (req, res) => {
+router.post("/import", requireUser, async (req, res) => {
   try {
     const userId = req.user.id;
-    const deckId = req.params.id;
-    const { shared = true } = req.body || {};
     const db = dbForReq(req);
 
-    const { data: existing, error: fetchError } = await db
-      .from("decks")
-      .select("content")
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .single();
-
-    if (fetchError) throw fetchError;
+    const payload = req.body;
+    const { valid, errors } = validateDeckImport(payload);
+    if (!valid) {
+      return res.status(400).json({ error: "Not a valid deck export", code: "INVALID_IMPORT", details: errors });
+    }
 
-    const normalized = normalizeDeckPayload(existing?.content || { id: deckId });
-    const updatedContent = { ...normalized, shared: Boolean(shared) };
-    const shareUrl = buildShareUrl(updatedContent.shareCode);
-    const mailto = shareEmailTemplate({ title: updatedContent.title, shareUrl });
+    const normalized = normalizeDeckPayload(payload);
+    const newId = randomUUID();
+    const media = await uploadDeckContentDataUrls(normalized, newId);
+
+    const content = {
+      ...media.content,
+      id: newId,
+      title: normalized.title || `Imported ${Date.now().toString(36).slice(-4).toUpperCase()}`,
+      tool: validateTool(payload.tool || normalized.tool),
+      beats: ensureBeatUids(media.content.beats),
+      shareCode: randomUUID(),
+      shared: false,
+      importedFrom: normalized.id || null,
+    };
 
-    const { data, error } = await db
-      .from("decks")
-      .update({ 
-        content: updatedContent,
-        updated_at: new Date().toISOString(),
-      })
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .select(FULL_COLUMNS)
-      .single();
+    const data = await insertNewDeck(db, userId, content);
 
-    if (error) {
-      // Fallback if updated_at column doesn't exist
-      if (error.message?.includes("column") && error.message?.includes("updated_at")) {
-        const { data: fallback, error: fallbackError } = await db
-          .from("decks")
-          .update({ content: updatedContent })
-          .eq("user_id", userId)
-          .eq("id", deckId)
-          .select("id,title,content,created_at,export_pdf_url,prompt")
-          .single();
-        
-        if (fallbackError) throw fallbackError;
-        if (shareUrl) res.setHeader("X-Aran-Share-Url", shareUrl);
-        return res.json({ ok: true, deck: decorateShareMeta(fallback), shareUrl, mailto });
-      }
-      throw error;
-    }
-    
-    if (shareUrl) res.setHeader("X-Aran-Share-Url", shareUrl);
-    return res.json({ ok: true, deck: decorateShareMeta(data), shareUrl, mailto });
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      importedFrom: content.importedFrom,
+      media: { uploaded: media.uploaded, failed: media.failed },
+    });
   } catch (e) {
-    console.error("share deck error:", e);
-    return res.status(500).json({ error: e?.message || "Share failed" });
+    console.error("import deck error:", e);
+    return res.status(500).json({ error: e?.message || "Import failed" });
   }
 });
 
 // =============================================================================
-// DELETE /decks/:id - Delete a deck
+// POST /decks/import/screenplay - Create a story_engine deck from a script
+// Multipart upload (field "file") of a Fountain or Final Draft (.fdx) file,
+// or JSON { text, filename? }. Optional: format ("fountain" | "fdx"),
+// title, maxBeats (scenes are merged evenly when there are more).
 // =============================================================================
-router.delete("/:id", requireUser, async (req, res) => {
+const SCREENPLAY_MAX_BYTES = 5 * 1024 * 1024;
+
+const screenplayUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: SCREENPLAY_MAX_BYTES, files: 1 },
+}).single("file");
+
+function receiveScreenplay(req, res, next) {
+  screenplayUpload(req, res, (err) => {
+    if (!err) return next();
+    const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return res.status(status).json({ error: err.message || "Upload failed", code: err.code || "UPLOAD_FAILED" });
+  });
+}
+
+router.post("/import/screenplay", requireUser, receiveScreenplay, async (req, res) => {
   try {
     const userId = req.user.id;
-    const deckId = req.params.id;
     const db = dbForReq(req);
+    const body = req.body || {};
 
-    const { error } = await db.from("decks").delete().eq("user_id", userId).eq("id", deckId);
-    if (error) throw error;
-    return res.json({ ok: true });
-  } catch (e) {
-    console.error("delete deck error:", e);
-    return res.status(500).json({ error: e?.message || "Delete failed" });
-  }
-});
+    const text = req.file ? req.file.buffer.toString("utf8") : typeof body.text === "string" ? body.text : "";
+    const filename = req.file?.originalname || (typeof body.filename === "string" ? body.filename : "");
+    if (!text.trim()) {
+      return res.status(400).json({ error: "Upload a Fountain or .fdx file (field \"file\") or send { text }" });
+    }
+    if (Buffer.byteLength(text, "utf8") > SCREENPLAY_MAX_BYTES) {
+      return res.status(413).json({ error: "Screenplay is too large", code: "LIMIT_FILE_SIZE" });
+    }
+
+    let script;
+    try {
+      script = parseScreenplay(text, { format: body.format, filename });
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message, code: "INVALID_SCREENPLAY" });
+    }
+
+    const beats = screenplayToBeats(script, { maxBeats: body.maxBeats });
+    if (!beats.length) {
+      return res.status(400).json({ error: "No scenes found in the screenplay", code: "INVALID_SCREENPLAY" });
+    }
+
+    const requestedTitle = typeof body.title === "string" ? body.title.trim() : "";
+    const fileTitle = filename.replace(/\.[^.]+$/, "").replace(/[_-]+/g, " ").trim();
+    const normalized = normalizeDeckPayload({
+      title: requestedTitle || script.title || fileTitle || "Imported screenplay",
+      beats,
+      tool: "story_engine",
+    });
+
+    const content = {
+      ...normalized,
+      id: randomUUID(),
+      tool: "story_engine",
+      beats: ensureBeatUids(normalized.beats),
+      shared: false,
+      importedScreenplay: { format: script.format, filename: filename || null },
+    };
+
+    const data = await insertNewDeck(db, userId, content);
+
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      screenplay: { format: script.format, scenes: script.scenes.length, beats: beats.length },
+    });
+  } catch (e) {
+    console.error("import screenplay error:", e);
+    return res.status(500).json({ error: e?.message || "Screenplay import failed" });
+  }
+});
 
 // =============================================================================
-// PATCH /decks/:id/tool - Update only the tool field for a deck
-// Useful for moving decks between tabs/categories
+// POST /decks/migrate - Rewrite stored content to the current schema (admin)
+// Body: { limit?: 1-500 (default 100), after?: deck id cursor, dryRun?: boolean }
+// Walks every deck (all users, trash included) in id order, one batch per
+// call; repeat with the returned nextCursor until done. Rows keep their
+// updated_at (see migrations/013_deck_schema_upgrade.sql).
 // =============================================================================
-router.patch("/:id/tool", requireUser, async (req, res) => {
+router.post("/migrate", requireUser, requireAdmin, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const deckId = req.params.id;
-    const { tool } = req.body || {};
-    const db = dbForReq(req);
+    if (!supabaseService) {
+      return res.status(503).json({ error: "Migration needs SUPABASE_SERVICE_ROLE_KEY" });
+    }
+    const db = supabaseService;
+    const body = req.body || {};
+    const limit = Math.min(Math.max(parseInt(body.limit, 10) || 100, 1), 500);
+    const dryRun = body.dryRun === true;
 
-    const validatedTool = validateTool(tool);
-    
-    if (!tool || validatedTool !== tool?.toLowerCase()?.trim()) {
-      return res.status(400).json({ 
-        error: "Invalid tool value",
-        validValues: VALID_TOOLS,
-      });
+    let query = db
+      .from("decks")
+      .select("id,updated_at,content")
+      .order("id", { ascending: true })
+      .limit(limit);
+    if (typeof body.after === "string" && body.after) query = query.gt("id", body.after);
+
+    const { data: rows, error } = await query;
+    if (error) throw error;
+
+    const summary = { scanned: rows.length, upgraded: 0, current: 0, busy: [], invalid: [], failed: [] };
+
+    for (const row of rows) {
+      const { content, from, upgraded } = upgradeDeckContent(row.content);
+      if (!upgraded) {
+        summary.current++;
+        continue;
+      }
+
+      const validation = validateDeckContent(content);
+      if (!validation.valid) {
+        summary.invalid.push({ id: row.id, from, errors: validation.errors.slice(0, 5) });
+      }
+      if (dryRun) {
+        summary.upgraded++;
+        continue;
+      }
+
+      try {
+        if (await writeUpgradedContent(db, row, content)) {
+          summary.upgraded++;
+        } else {
+          // Edited since we read it; that write already stored the current schema
+          summary.busy.push(row.id);
+        }
+      } catch (e) {
+        summary.failed.push({ id: row.id, error: e?.message || "Update failed" });
+      }
     }
 
-    // Update both the tool column and the tool in content
-    const { data: existing, error: fetchError } = await db
+    const done = rows.length < limit;
+    return res.json({
+      ok: true,
+      schemaVersion: DECK_SCHEMA_VERSION,
+      dryRun,
+      ...summary,
+      nextCursor: done ? null : rows[rows.length - 1].id,
+      done,
+    });
+  } catch (e) {
+    console.error("migrate decks error:", e);
+    return res.status(500).json({ error: e?.message || "Migration failed" });
+  }
+});
+
+// =============================================================================
+// POST /decks/bulk - Apply one action to many decks
+// Body: { ids: [], action, ...options }
+//   delete                      - Move to the trash (owner)
+//   tool    { tool }            - Move to a tool, as PATCH /:id/tool (editor)
+//   tag     { tags, mode? }     - mode add (default), remove or replace (owner)
+//   share / unshare             - As POST /:id/share (owner)
+//   export                      - ZIP of JSON exports (viewer); manifest.json
+//                                 lists every id's result
+// Each id succeeds or fails on its own: results[] has { id, ok, ... } or
+// { id, ok: false, status, error }.
+// =============================================================================
+const MAX_BULK_DECKS = 100;
+const BULK_ACTIONS = ["delete", "tool", "tag", "share", "unshare", "export"];
+const BULK_TAG_MODES = ["add", "remove", "replace"];
+
+function bulkFailure(id, status, error, extra = {}) {
+  return { id, ok: false, status, error, ...extra };
+}
+
+/**
+ * Validate a bulk request body
+ * @returns {{ ids: string[], action: string, options: Object }|{ error: string }}
+ */
+function parseBulkRequest(body = {}) {
+  const action = typeof body.action === "string" ? body.action.trim().toLowerCase() : "";
+  if (!BULK_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${BULK_ACTIONS.join(", ")}` };
+  }
+
+  if (!Array.isArray(body.ids) || !body.ids.length) {
+    return { error: "ids must be a non-empty array of deck ids" };
+  }
+  if (body.ids.some((id) => typeof id !== "string" || !id.trim())) {
+    return { error: "ids must be deck id strings" };
+  }
+  const ids = [...new Set(body.ids.map((id) => id.trim()))];
+  if (ids.length > MAX_BULK_DECKS) {
+    return { error: `At most ${MAX_BULK_DECKS} decks per request` };
+  }
+
+  const options = {};
+  if (action === "tool") {
+    options.tool = parseToolMove(body.tool);
+    if (!options.tool) return { error: `tool must be one of: ${VALID_TOOLS.join(", ")}` };
+  }
+  if (action === "tag") {
+    if (!Array.isArray(body.tags) && typeof body.tags !== "string") {
+      return { error: "tags must be an array of strings" };
+    }
+    options.tags = normalizeTags(body.tags);
+    options.mode = typeof body.mode === "string" ? body.mode.trim().toLowerCase() : "add";
+    if (!BULK_TAG_MODES.includes(options.mode)) {
+      return { error: `mode must be one of: ${BULK_TAG_MODES.join(", ")}` };
+    }
+    if (!options.tags.length && options.mode !== "replace") {
+      return { error: "tags must name at least one tag" };
+    }
+  }
+
+  return { ids, action, options };
+}
+
+async function bulkTagDeck(db, userId, deckId, { tags, mode }) {
+  const { data: existing, error } = await db
+    .from("decks")
+    .select("tags")
+    .eq("user_id", userId)
+    .eq("id", deckId)
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!existing) return bulkFailure(deckId, 404, "Deck not found");
+
+  const current = Array.isArray(existing.tags) ? existing.tags : [];
+  const next = mode === "replace"
+    ? tags
+    : mode === "remove"
+      ? current.filter((tag) => !tags.includes(tag))
+      : normalizeTags([...current, ...tags]);
+
+  if (next.length > MAX_TAGS_PER_DECK) {
+    return bulkFailure(deckId, 400, `A deck can have at most ${MAX_TAGS_PER_DECK} tags`);
+  }
+
+  const data = await updateDeckOrganization(db, userId, deckId, { tags: next });
+  if (!data) return bulkFailure(deckId, 404, "Deck not found");
+  return { id: deckId, ok: true, tags: data.tags };
+}
+
+async function bulkMoveDeck(req, deckId, tool) {
+  const access = await resolveDeckAccess(dbForReq(req), req.user, deckId);
+  if (!access) return bulkFailure(deckId, 404, "Deck not found");
+  if (!hasDeckRole(access.role, "editor")) {
+    return bulkFailure(deckId, 403, "This needs editor access to the deck", { code: "DECK_FORBIDDEN" });
+  }
+
+  const { data } = await moveDeckToTool(req, tool, { deckId, access });
+  return { id: deckId, ok: true, tool: data.tool, updated_at: data.updated_at };
+}
+
+async function bulkShareDeck(req, deckId, shared) {
+  const access = await resolveDeckAccess(dbForReq(req), req.user, deckId);
+  if (!access) return bulkFailure(deckId, 404, "Deck not found");
+  if (!hasDeckRole(access.role, "owner")) {
+    return bulkFailure(deckId, 403, "This needs owner access to the deck", { code: "DECK_FORBIDDEN" });
+  }
+
+  const { shareUrl } = await setDeckShared(req, deckId, { shared }, access);
+  return { id: deckId, ok: true, shared, shareUrl };
+}
+
+/**
+ * Run one non-export bulk action on one deck
+ * @returns {Promise<Object>} Result entry
+ */
+async function runBulkAction(req, action, deckId, options) {
+  const db = dbForReq(req);
+  const userId = req.user.id;
+
+  switch (action) {
+    case "delete": {
+      const trashed = await trashDeck(db, userId, deckId);
+      return trashed ? { id: deckId, ok: true, trashed: true, ...trashed } : bulkFailure(deckId, 404, "Deck not found");
+    }
+    case "tool":
+      return bulkMoveDeck(req, deckId, options.tool);
+    case "tag":
+      return bulkTagDeck(db, userId, deckId, options);
+    default:
+      return bulkShareDeck(req, deckId, action === "share");
+  }
+}
+
+/**
+ * Load one deck for a bulk export
+ * @returns {Promise<{ result: Object, payload?: Object }>}
+ */
+async function loadBulkExport(req, deckId) {
+  const db = dbForReq(req);
+  const access = await resolveDeckAccess(db, req.user, deckId);
+  if (!access) return { result: bulkFailure(deckId, 404, "Deck not found") };
+
+  const row = await fetchDeckRow(db, access.ownerId, deckId);
+  if (!row) return { result: bulkFailure(deckId, 404, "Deck not found") };
+
+  const content = upgradeDeckContent(row.content || {}).content;
+  const deck = normalizeDeckPayload({ ...content, id: row.id, title: row.title || content.title });
+  return {
+    result: { id: deckId, ok: true, title: deck.title || null },
+    payload: buildExportPayload(deck),
+  };
+}
+
+async function sendBulkExport(req, res, ids) {
+  const results = [];
+  const files = [];
+  const usedNames = new Set();
+
+  for (const deckId of ids) {
+    try {
+      const { result, payload } = await loadBulkExport(req, deckId);
+      if (payload) {
+        let name = safeFilename(payload.title || "aran-deck", "aran-deck");
+        if (usedNames.has(name)) name = `${name}-${deckId.slice(0, 8)}`;
+        usedNames.add(name);
+        result.file = `${name}.json`;
+        files.push({ name: result.file, payload });
+      }
+      results.push(result);
+    } catch (e) {
+      console.warn(`bulk export skipped deck ${deckId}:`, e?.message);
+      results.push(bulkFailure(deckId, e?.status || 500, e?.message || "Export failed"));
+    }
+  }
+
+  const succeeded = files.length;
+  const failed = results.length - succeeded;
+  if (!succeeded) {
+    return res.status(404).json({ error: "None of the decks could be exported", action: "export", results, succeeded, failed });
+  }
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="aran-decks-${new Date().toISOString().slice(0, 10)}.zip"`);
+  res.setHeader("X-Bulk-Succeeded", String(succeeded));
+  res.setHeader("X-Bulk-Failed", String(failed));
+
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  archive.on("error", (err) => {
+    console.error("bulk export archiver error:", err);
+    if (!res.headersSent) res.status(500).json({ error: "ZIP creation failed" });
+    else res.end();
+  });
+  archive.pipe(res);
+
+  for (const file of files) {
+    archive.append(JSON.stringify(file.payload, null, 2), { name: file.name });
+  }
+  archive.append(
+    JSON.stringify({ exportedAt: new Date().toISOString(), succeeded, failed, results }, null, 2),
+    { name: "manifest.json" }
+  );
+
+  await archive.finalize();
+}
+
+router.post("/bulk", requireUser, async (req, res) => {
+  try {
+    const parsed = parseBulkRequest(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const { ids, action, options } = parsed;
+    if (action === "export") return await sendBulkExport(req, res, ids);
+
+    // One deck at a time: a failure is recorded and the rest still run
+    const results = [];
+    for (const deckId of ids) {
+      try {
+        results.push(await runBulkAction(req, action, deckId, options));
+      } catch (e) {
+        if (!e?.status) console.warn(`bulk ${action} failed for deck ${deckId}:`, e?.message);
+        results.push(bulkFailure(deckId, e?.status || 500, e?.message || "Update failed", e?.details || {}));
+      }
+    }
+
+    const succeeded = results.filter((result) => result.ok).length;
+    return res.json({ ok: true, action, results, succeeded, failed: results.length - succeeded });
+  } catch (e) {
+    console.error("bulk deck action error:", e);
+    return res.status(500).json({ error: e?.message || "Bulk action failed" });
+  }
+});
+
+// =============================================================================
+// POST /decks/:id/share - Toggle sharing and set share link options
+// Body: { shared?, expiresAt?: ISO | null, password?: string | null, rotate?: true,
+//         visibility?: { prompt?, storyProfile?, critique?, altConcepts?, storyboards?, visuals?, exportPdf? } | null }
+// An empty body shares the deck. rotate issues a new shareCode (the old link
+// stops working); visibility picks the public sections. See utils/shareSettings.js.
+// =============================================================================
+/**
+ * Update sharing for a deck the caller owns
+ *
+ * Goes through mutateDeckContent like any other content write, so a toggle
+ * that races a save or a beat edit never overwrites it, and is versioned.
+ *
+ * @param {Object} req - Express request (user; params.id when it is the routed deck)
+ * @param {string} deckId - Deck ID
+ * @param {Object} settings - From parseShareSettingsInput; omitted keys keep their value
+ * @param {boolean} [settings.shared]
+ * @param {string|null} [settings.expiresAt]
+ * @param {string|null} [settings.passwordHash]
+ * @param {boolean} [settings.rotate] - Issue a new share code
+ * @param {Object|null} [settings.visibility] - Sections to show or hide; null resets
+ * @param {Object} [access=req.deckAccess] - Caller's (owner) access to the deck
+ * @returns {Promise<{ deck: Object, shareUrl: string|null, mailto: string|null, share: Object }|{ conflict: Object }>}
+ */
+async function setDeckShared(req, deckId, settings, access = req.deckAccess) {
+  const { data, result, conflict } = await mutateDeckContent(req, {
+    source: "share",
+    deckId,
+    access,
+    mutate: (current) => {
+      const shareSettings = { ...(current.shareSettings || {}) };
+      if (settings.expiresAt !== undefined) shareSettings.expiresAt = settings.expiresAt;
+      if (settings.passwordHash !== undefined) shareSettings.passwordHash = settings.passwordHash;
+      if (settings.visibility === null) delete shareSettings.visibility;
+      else if (settings.visibility) shareSettings.visibility = { ...shareSettings.visibility, ...settings.visibility };
+
+      let shareCode = current.shareCode || randomUUID();
+      if (settings.rotate) {
+        shareCode = randomUUID();
+        shareSettings.rotatedAt = new Date().toISOString();
+      }
+
+      return {
+        content: {
+          ...current,
+          shareCode,
+          shared: settings.shared !== undefined ? Boolean(settings.shared) : current.shared === true,
+          shareSettings,
+        },
+        result: { previousCode: current.shareCode || null },
+      };
+    },
+  });
+
+  if (conflict) return { conflict };
+
+  // GET /api/share/:code resolves codes through share_links
+  await syncPrimaryShareLink(dbForReq(req), {
+    deckId,
+    userId: access.ownerId,
+    content: data.content,
+    previousCode: result.previousCode,
+  });
+
+  const shareUrl = buildShareUrl(data.content.shareCode);
+  const mailto = shareEmailTemplate({ title: data.content.title, shareUrl });
+  return { deck: decorateShareMeta(data), shareUrl, mailto, share: describeShareSettings(data.content) };
+}
+
+router.post("/:id/share", requireUser, requireDeckRole("owner"), async (req, res) => {
+  try {
+    const { value: settings, error: inputError } = await parseShareSettingsInput(req.body || {});
+    if (inputError) return res.status(400).json({ error: inputError });
+
+    // A bare POST keeps its original meaning: share the deck
+    const changesSettings = ["expiresAt", "passwordHash", "rotate", "visibility"].some((key) => settings[key] !== undefined);
+    if (settings.shared === undefined && !changesSettings) settings.shared = true;
+
+    const result = await setDeckShared(req, req.params.id, settings);
+    if (result.conflict) return res.status(409).json(result.conflict);
+
+    setDeckEtag(res, result.deck);
+    if (result.shareUrl) res.setHeader("X-Aran-Share-Url", result.shareUrl);
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    return sendWriteError(res, e, "share deck error", "Share failed");
+  }
+});
+
+// =============================================================================
+// SHARE LINKS
+// GET /decks/:id/share/links             - Links to the deck (?includeRevoked=true)
+// POST /decks/:id/share/links            - Add a link { label?, expiresAt?, password?, visibility?, allowFeedback? }
+// DELETE /decks/:id/share/links/:linkId  - Revoke a link
+// Owner only. The deck's own link (POST /:id/share) is listed as primary;
+// revoking it unshares the deck, which revokes every other link too. Links
+// can only be added while the deck is shared. See utils/shareLinks.js.
+// =============================================================================
+const SHARE_LINKS_MIGRATION_ERROR = "Share links need migration 018_share_links.sql";
+
+function sendShareLinkError(res, e, label, fallbackMessage) {
+  if (isMissingShareLinksTable(e)) return res.status(503).json({ error: SHARE_LINKS_MIGRATION_ERROR });
+  console.error(`${label}:`, e);
+  return res.status(500).json({ error: e?.message || fallbackMessage });
+}
+
+router.get("/:id/share/links", requireUser, requireDeckRole("owner"), async (req, res) => {
+  try {
+    let query = dbForReq(req)
+      .from("share_links")
+      .select(SHARE_LINK_COLUMNS)
+      .eq("deck_id", req.params.id);
+
+    if (req.query.includeRevoked !== "true") query = query.is("revoked_at", null);
+
+    const { data, error } = await query.order("created_at", { ascending: true });
+    if (error) throw error;
+
+    const now = new Date();
+    return res.json({ ok: true, links: (data || []).map((link) => describeShareLink(link, now)) });
+  } catch (e) {
+    return sendShareLinkError(res, e, "list share links error", "Couldn't load share links");
+  }
+});
+
+router.post("/:id/share/links", requireUser, requireDeckRole("owner"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { value: link, error: linkError } = parseShareLinkInput(body);
+    if (linkError) return res.status(400).json({ error: linkError });
+
+    // Only the settings a link can have; shared / rotate belong to POST /:id/share
+    const { value: settings, error: settingsError } = await parseShareSettingsInput({
+      expiresAt: body.expiresAt,
+      password: body.password,
+      visibility: body.visibility,
+    });
+    if (settingsError) return res.status(400).json({ error: settingsError });
+
+    const db = dbForReq(req);
+    const deckId = req.params.id;
+
+    // Unsharing revokes every link; new ones wait until the deck is shared again
+    const { data: deck, error: deckError } = await db
       .from("decks")
       .select("content")
-      .eq("user_id", userId)
       .eq("id", deckId)
+      .maybeSingle();
+    if (deckError) throw deckError;
+    if (deck?.content?.shared !== true) {
+      return res.status(409).json({ error: "Share the deck before adding links", code: "DECK_NOT_SHARED" });
+    }
+
+    const { count, error: countError } = await db
+      .from("share_links")
+      .select("id", { count: "exact", head: true })
+      .eq("deck_id", deckId)
+      .is("revoked_at", null);
+    if (countError) throw countError;
+    if ((count ?? 0) >= MAX_SHARE_LINKS_PER_DECK) {
+      return res.status(409).json({ error: `A deck can have at most ${MAX_SHARE_LINKS_PER_DECK} active links` });
+    }
+
+    const { data, error } = await db
+      .from("share_links")
+      .insert(buildShareLinkRow({ deckId, userId: req.user.id, label: link.label, feedback: link.feedback, settings }))
+      .select(SHARE_LINK_COLUMNS)
       .single();
+    if (error) throw error;
+
+    const created = describeShareLink(data);
+    res.setHeader("X-Aran-Share-Url", created.url);
+    return res.status(201).json({ ok: true, link: created });
+  } catch (e) {
+    return sendShareLinkError(res, e, "create share link error", "Couldn't create share link");
+  }
+});
+
+router.delete("/:id/share/links/:linkId", requireUser, requireDeckRole("owner"), async (req, res) => {
+  try {
+    const db = dbForReq(req);
+    const deckId = req.params.id;
 
+    const { data: link, error: fetchError } = await db
+      .from("share_links")
+      .select(SHARE_LINK_COLUMNS)
+      .eq("deck_id", deckId)
+      .eq("id", req.params.linkId)
+      .is("revoked_at", null)
+      .maybeSingle();
     if (fetchError) throw fetchError;
+    if (!link) return res.status(404).json({ error: "Share link not found" });
 
-    const updatedContent = { 
-      ...(existing?.content || {}), 
-      tool: validatedTool,
+    // The primary link is the deck's own: revoking it is unsharing
+    if (link.is_primary) {
+      const result = await setDeckShared(req, deckId, { shared: false });
+      if (result.conflict) return res.status(409).json(result.conflict);
+      return res.json({ ok: true, revoked: true, primary: true, share: result.share });
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await db
+      .from("share_links")
+      .update({ revoked_at: now, updated_at: now })
+      .eq("deck_id", deckId)
+      .eq("id", link.id);
+    if (error) throw error;
+
+    return res.json({ ok: true, revoked: true, primary: false });
+  } catch (e) {
+    return sendShareLinkError(res, e, "revoke share link error", "Couldn't revoke share link");
+  }
+});
+
+// =============================================================================
+// GET /decks/:id/share/analytics - Views of the deck's share link (owner)
+// Optional ?days= window (default 30, max 365). views / uniqueViewers and the
+// breakdowns cover the window; totalViews and lastViewedAt are all-time.
+// =============================================================================
+router.get("/:id/share/analytics", requireUser, requireDeckRole("owner"), async (req, res) => {
+  try {
+    const { value: days, error: daysError } = parseAnalyticsDays(req.query.days);
+    if (daysError) return res.status(400).json({ error: daysError });
+
+    const db = dbForReq(req);
+    const deckId = req.params.id;
+    const now = new Date();
+    const since = analyticsWindowStart(days, now);
+
+    const { data: deck, error: deckError } = await db
+      .from("decks")
+      .select("content")
+      .eq("id", deckId)
+      .maybeSingle();
+    if (deckError) throw deckError;
+
+    const { stats, truncated } = await loadShareViewStats(db, deckId, since);
+
+    return res.json({
+      ok: true,
+      deckId,
+      share: describeShareSettings(upgradeDeckContent(deck?.content || {}).content, now),
+      days,
+      since: since.toISOString(),
+      ...summarizeShareViewStats(stats, { days, now }),
+      // Only without migration 019: the window had more views than were read
+      truncated,
+    });
+  } catch (e) {
+    console.error("share analytics error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load share analytics" });
+  }
+});
+
+// =============================================================================
+// GET /decks/:id/share/review - Client review from the share link (owner)
+// Per beat: each reviewer's latest status (approved / needs_changes), the
+// overall state and the comments; plus deck-level comments. Feedback is
+// posted with POST /api/share/:code/feedback (utils/shareFeedback.js).
+// =============================================================================
+router.get("/:id/share/review", requireUser, requireDeckRole("owner"), async (req, res) => {
+  try {
+    const { ownerId } = req.deckAccess;
+    const deckId = req.params.id;
+    const db = dbForReq(req);
+
+    const [beats, { data, error }] = await Promise.all([
+      loadDeckBeats(db, ownerId, deckId),
+      db
+        .from("deck_share_feedback")
+        .select(FEEDBACK_COLUMNS)
+        .eq("deck_id", deckId)
+        .order("created_at", { ascending: true }),
+    ]);
+    if (error) throw error;
+
+    return res.json({ ok: true, deckId, ...summarizeShareFeedback(data || [], beats) });
+  } catch (e) {
+    console.error("share review error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load review" });
+  }
+});
+
+// =============================================================================
+// POST /decks/:id/duplicate - Fork a deck, including its stored media
+// Every image is copied under decks/{newId}/ so the two decks never share
+// storage objects. Body: { title? }
+// =============================================================================
+router.post("/:id/duplicate", requireUser, requireDeckRole("viewer"), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const deckId = req.params.id;
+    const db = dbForReq(req);
+
+    // Anyone who can view a deck can fork it into their own account
+    const { ownerId } = req.deckAccess;
+    const source = await fetchDeckRow(db, ownerId, deckId);
+    if (!source) return res.status(404).json({ error: "Deck not found" });
+    const sameOwner = ownerId === userId;
+
+    const newId = randomUUID();
+    const requestedTitle = typeof req.body?.title === "string" ? req.body.title.trim() : "";
+    const title = requestedTitle || `${source.title || source.content?.title || "Untitled"} (Copy)`;
+
+    const media = await copyDeckContentMedia(source.content || {}, newId);
+
+    // Fresh identity: new id + shareCode, never shared, no stale PDF export.
+    // Share settings (password hash, expiry, visibility) stay with the source.
+    const { shareSettings, ...sourceContent } = media.content;
+    const content = {
+      ...sourceContent,
+      id: newId,
+      title,
+      shareCode: randomUUID(),
+      shared: false,
+      duplicatedFrom: deckId,
     };
 
+    const thumbnailUrl = content.thumbnail_url ||
+                         content.beats?.[0]?.visual_url ||
+                         content.beats?.[0]?.storyboard_url ||
+                         null;
+
     const { data, error } = await db
       .from("decks")
-      .update({ 
-        tool: validatedTool,
-        content: updatedContent,
+      .insert({
+        id: newId,
+        user_id: userId,
+        title,
+        tagline: source.tagline || content.tagline || null,
+        tool: validateTool(source.tool || content.tool),
+        story_type: source.story_type || content.story_type || "general",
+        ...buildPreviewFields(content),
+        thumbnail_url: thumbnailUrl,
+        prompt: source.prompt || content.prompt || "",
+        export_pdf_url: null,
+        // Folders and tags are the owner's; a collaborator's fork starts unfiled
+        folder_id: sameOwner ? source.folder_id || null : null,
+        tags: sameOwner ? source.tags || [] : [],
+        content,
         updated_at: new Date().toISOString(),
       })
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .select("id,title,tool,updated_at")
+      .select(FULL_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    await recordDeckVersion(db, data, { userId, source: "duplicate" });
+
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      duplicatedFrom: deckId,
+      media: { copied: media.copied, failed: media.failed },
+    });
+  } catch (e) {
+    console.error("duplicate deck error:", e);
+    return res.status(500).json({ error: e?.message || "Duplicate failed" });
+  }
+});
+
+// =============================================================================
+// POST /decks/:id/save-as-template - Save a deck's structure as a template
+// Body: { name?, description?, includeBeatText?, includeProfile? }
+// Keeps beat titles and intents, the storyProfile and deck fields; beat copy
+// only with includeBeatText. See utils/deckTemplates.js.
+// =============================================================================
+router.post("/:id/save-as-template", requireUser, requireDeckRole("viewer"), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+    const body = req.body || {};
+
+    const row = await fetchDeckRow(db, req.deckAccess.ownerId, req.params.id);
+    if (!row) return res.status(404).json({ error: "Deck not found" });
+
+    const { value, error: inputError } = parseTemplateInput(body, { fallbackName: row.title });
+    if (inputError) return res.status(400).json({ error: inputError });
+
+    const content = buildTemplateContent(row.content, {
+      includeBeatText: body.includeBeatText === true,
+      includeProfile: body.includeProfile !== false,
+    });
+
+    const { data, error } = await db
+      .from("deck_templates")
+      .insert({
+        user_id: userId,
+        ...value,
+        tool: validateTool(row.tool || row.content?.tool),
+        content,
+        variables: templateVariables(content),
+        source_deck_id: row.id,
+      })
+      .select(TEMPLATE_COLUMNS)
       .single();
 
-    if (error) throw error;
-    return res.json({ ok: true, deck: data });
+    if (error) throw error;
+
+    return res.status(201).json({ ok: true, template: { ...summarizeTemplate(data), content: data.content } });
+  } catch (e) {
+    console.error("save as template error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't save template" });
+  }
+});
+
+// =============================================================================
+// DELETE /decks/:id - Move a deck to the trash (soft delete)
+// Trashed decks are restorable until purged (see utils/deckTrash.js)
+// =============================================================================
+/**
+ * Move one of the user's decks to the trash
+ * @returns {Promise<{ deletedAt: string, purgeAt: string }|null>} null when not found
+ */
+async function trashDeck(db, userId, deckId) {
+  const deletedAt = new Date().toISOString();
+  const { data, error } = await db
+    .from("decks")
+    .update({ deleted_at: deletedAt })
+    .eq("user_id", userId)
+    .eq("id", deckId)
+    .is("deleted_at", null)
+    .select("id,deleted_at")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  publishDeckAccessChange(deckId);
+  return {
+    deletedAt: data.deleted_at || deletedAt,
+    purgeAt: purgeDateFor(data.deleted_at || deletedAt),
+  };
+}
+
+router.delete("/:id", requireUser, async (req, res) => {
+  try {
+    const trashed = await trashDeck(dbForReq(req), req.user.id, req.params.id);
+    if (!trashed) return res.status(404).json({ error: "Deck not found" });
+
+    return res.json({ ok: true, trashed: true, ...trashed });
+  } catch (e) {
+    console.error("delete deck error:", e);
+    return res.status(500).json({ error: e?.message || "Delete failed" });
+  }
+});
+
+// =============================================================================
+// POST /decks/:id/restore - Restore a deck from the trash
+// =============================================================================
+router.post("/:id/restore", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const deckId = req.params.id;
+    const db = dbForReq(req);
+
+    const { data, error } = await db
+      .from("decks")
+      .update({ deleted_at: null })
+      .eq("user_id", userId)
+      .eq("id", deckId)
+      .not("deleted_at", "is", null)
+      .select(FULL_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Deck not found in trash" });
+
+    setDeckEtag(res, data);
+    return res.json({ ok: true, deck: decorateShareMeta(data) });
+  } catch (e) {
+    console.error("restore deck error:", e);
+    return res.status(500).json({ error: e?.message || "Restore failed" });
+  }
+});
+
+// =============================================================================
+// PATCH /decks/:id/tool - Update only the tool field for a deck
+// Useful for moving decks between tabs/categories
+// =============================================================================
+/**
+ * Strict tool parsing for moves (validateTool falls back to the default)
+ * @returns {string|null} null when the value isn't a known tool
+ */
+function parseToolMove(tool) {
+  const validatedTool = validateTool(tool);
+  return tool && typeof tool === "string" && validatedTool === tool.toLowerCase().trim() ? validatedTool : null;
+}
+
+/**
+ * Update both the tool column and the tool in content
+ */
+function moveDeckToTool(req, validatedTool, target = {}) {
+  return mutateDeckContent(req, {
+    ...target,
+    source: "tool",
+    mutate: (content) => ({
+      content: { ...content, tool: validatedTool },
+      update: { tool: validatedTool },
+    }),
+  });
+}
+
+router.patch("/:id/tool", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    const validatedTool = parseToolMove(req.body?.tool);
+    
+    if (!validatedTool) {
+      return res.status(400).json({ 
+        error: "Invalid tool value",
+        validValues: VALID_TOOLS,
+      });
+    }
+
+    const { data, conflict } = await moveDeckToTool(req, validatedTool);
+
+    if (conflict) return res.status(409).json(conflict);
+
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: { id: data.id, title: data.title, tool: data.tool, updated_at: data.updated_at },
+    });
+  } catch (e) {
+    return sendWriteError(res, e, "update deck tool error", "Update failed");
+  }
+});
+
+// =============================================================================
+// DECK ORGANIZATION
+// PATCH /decks/:id/folder - Move a deck into a folder { folderId } (null = unfile)
+// PUT /decks/:id/tags     - Replace a deck's tags { tags: [] }
+// PATCH /decks/:id/pin    - Pin or unpin a deck { pinned }
+// These only touch organization columns, so updated_at (and the ETag) stay put.
+// =============================================================================
+const ORGANIZATION_COLUMNS = "id,folder_id,tags,pinned,pinned_at,updated_at";
+
+async function updateDeckOrganization(db, userId, deckId, update) {
+  const { data, error } = await db
+    .from("decks")
+    .update(update)
+    .eq("user_id", userId)
+    .eq("id", deckId)
+    .is("deleted_at", null)
+    .select(ORGANIZATION_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+router.patch("/:id/folder", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+    const folderId = req.body?.folderId ?? null;
+
+    if (folderId !== null) {
+      if (typeof folderId !== "string") {
+        return res.status(400).json({ error: "folderId must be a folder id or null" });
+      }
+
+      const { data: folder, error: folderError } = await db
+        .from("deck_folders")
+        .select("id")
+        .eq("user_id", userId)
+        .eq("id", folderId)
+        .maybeSingle();
+
+      if (folderError) throw folderError;
+      if (!folder) return res.status(404).json({ error: "Folder not found" });
+    }
+
+    const data = await updateDeckOrganization(db, userId, req.params.id, { folder_id: folderId });
+    if (!data) return res.status(404).json({ error: "Deck not found" });
+
+    return res.json({ ok: true, deck: data });
+  } catch (e) {
+    console.error("move deck to folder error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't move deck" });
+  }
+});
+
+router.put("/:id/tags", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+
+    const raw = req.body?.tags;
+    if (!Array.isArray(raw) && typeof raw !== "string") {
+      return res.status(400).json({ error: "tags must be an array of strings" });
+    }
+
+    const tags = normalizeTags(raw);
+    if (tags.length > MAX_TAGS_PER_DECK) {
+      return res.status(400).json({ error: `A deck can have at most ${MAX_TAGS_PER_DECK} tags` });
+    }
+
+    const data = await updateDeckOrganization(db, userId, req.params.id, { tags });
+    if (!data) return res.status(404).json({ error: "Deck not found" });
+
+    return res.json({ ok: true, deck: data });
+  } catch (e) {
+    console.error("set deck tags error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't update tags" });
+  }
+});
+
+router.patch("/:id/pin", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+
+    const pinned = req.body?.pinned;
+    if (typeof pinned !== "boolean") {
+      return res.status(400).json({ error: "pinned must be true or false" });
+    }
+
+    const data = await updateDeckOrganization(db, userId, req.params.id, {
+      pinned,
+      pinned_at: pinned ? new Date().toISOString() : null,
+    });
+    if (!data) return res.status(404).json({ error: "Deck not found" });
+
+    return res.json({ ok: true, deck: data });
+  } catch (e) {
+    console.error("pin deck error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't update pin" });
+  }
+});
+
+// =============================================================================
+// COLLABORATORS
+// GET /decks/:id/collaborators                     - List collaborators (viewer+)
+// POST /decks/:id/collaborators                    - Invite by email { email, role }
+// PATCH /decks/:id/collaborators/:collaboratorId   - Change a role { role }
+// DELETE /decks/:id/collaborators/:collaboratorId  - Remove (owner) or leave (self)
+// Roles: viewer, commenter, editor (see utils/deckAccess.js)
+// =============================================================================
+function parseCollaboratorRole(raw, fallback = null) {
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const role = String(raw).toLowerCase().trim();
+  return COLLABORATOR_ROLES.includes(role) ? role : null;
+}
+
+router.get("/:id/collaborators", requireUser, requireDeckRole("viewer"), async (req, res) => {
+  try {
+    const { ownerId, role } = req.deckAccess;
+    const db = dbForReq(req);
+
+    const { data, error } = await db
+      .from("deck_collaborators")
+      .select(COLLABORATOR_COLUMNS)
+      .eq("deck_id", req.params.id)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+
+    return res.json({
+      ok: true,
+      owner: { userId: ownerId },
+      collaborators: data || [],
+      access: { role },
+    });
+  } catch (e) {
+    console.error("list collaborators error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load collaborators" });
+  }
+});
+
+router.post("/:id/collaborators", requireUser, requireDeckRole("owner"), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const deckId = req.params.id;
+    const db = dbForReq(req);
+
+    const email = normalizeEmail(req.body?.email);
+    if (!email) return res.status(400).json({ error: "A valid email is required" });
+
+    const role = parseCollaboratorRole(req.body?.role, "viewer");
+    if (!role) {
+      return res.status(400).json({ error: "Invalid role", validValues: COLLABORATOR_ROLES });
+    }
+
+    if (email === normalizeEmail(req.user.email)) {
+      return res.status(400).json({ error: "You already own this deck" });
+    }
+
+    const { data: deck } = await db
+      .from("decks")
+      .select("title")
+      .eq("id", deckId)
+      .maybeSingle();
+
+    // Re-inviting an existing collaborator just updates their role
+    const { data: existing, error: findError } = await db
+      .from("deck_collaborators")
+      .select("id")
+      .eq("deck_id", deckId)
+      .eq("email", email)
+      .maybeSingle();
+
+    if (findError) throw findError;
+
+    const { data, error } = existing
+      ? await db
+          .from("deck_collaborators")
+          .update({ role, updated_at: new Date().toISOString() })
+          .eq("id", existing.id)
+          .select(COLLABORATOR_COLUMNS)
+          .single()
+      : await db
+          .from("deck_collaborators")
+          .insert({ deck_id: deckId, email, role, invited_by: userId })
+          .select(COLLABORATOR_COLUMNS)
+          .single();
+
+    if (error) throw error;
+
+    return res.status(existing ? 200 : 201).json({
+      ok: true,
+      collaborator: data,
+      invited: !existing,
+      mailto: collaboratorInviteTemplate({ email, title: deck?.title, role }),
+    });
+  } catch (e) {
+    console.error("invite collaborator error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't invite collaborator" });
+  }
+});
+
+router.patch("/:id/collaborators/:collaboratorId", requireUser, requireDeckRole("owner"), async (req, res) => {
+  try {
+    const db = dbForReq(req);
+
+    const role = parseCollaboratorRole(req.body?.role);
+    if (!role) {
+      return res.status(400).json({ error: "Invalid role", validValues: COLLABORATOR_ROLES });
+    }
+
+    const { data, error } = await db
+      .from("deck_collaborators")
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq("deck_id", req.params.id)
+      .eq("id", req.params.collaboratorId)
+      .select(COLLABORATOR_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Collaborator not found" });
+
+    publishDeckAccessChange(req.params.id);
+    return res.json({ ok: true, collaborator: data });
+  } catch (e) {
+    console.error("update collaborator error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't update collaborator" });
+  }
+});
+
+router.delete("/:id/collaborators/:collaboratorId", requireUser, requireDeckRole("viewer"), async (req, res) => {
+  try {
+    const db = dbForReq(req);
+    const { role, collaboratorId } = req.deckAccess;
+
+    // Owners remove anyone; collaborators can only remove themselves
+    if (role !== "owner" && collaboratorId !== req.params.collaboratorId) {
+      return res.status(403).json({
+        error: "Only the deck owner can remove other collaborators",
+        code: "DECK_FORBIDDEN",
+        role,
+      });
+    }
+
+    const { data, error } = await db
+      .from("deck_collaborators")
+      .delete()
+      .eq("deck_id", req.params.id)
+      .eq("id", req.params.collaboratorId)
+      .select("id");
+
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ error: "Collaborator not found" });
+
+    publishDeckAccessChange(req.params.id);
+    return res.json({ ok: true, removed: req.params.collaboratorId });
+  } catch (e) {
+    console.error("remove collaborator error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't remove collaborator" });
+  }
+});
+
+// =============================================================================
+// BEAT CRUD ENDPOINTS
+// These endpoints allow adding, updating, removing, and reordering beats
+// All of them go through mutateDeckContent (optimistic concurrency + versions)
+// =============================================================================
+
+/**
+ * Normalize an incoming beat for storage
+ * @param {Object|string} beat - Beat from the request body
+ * @param {number} index - Position used for the fallback title
+ * @returns {Object} Beat with media URL fields
+ */
+function normalizeIncomingBeat(beat, index) {
+  if (typeof beat === "string") {
+    return { uid: null, title: `Beat ${index + 1}`, text: beat };
+  }
+  return {
+    uid: typeof beat.uid === "string" && beat.uid ? beat.uid : null,
+    title: beat.title || `Beat ${index + 1}`,
+    text: beat.text || beat.beatText || "",
+    name: beat.name || null,
+    intent: beat.intent || null,
+    cameraNotes: beat.cameraNotes || null,
+    audioNotes: beat.audioNotes || null,
+    onScreenText: beat.onScreenText || null,
+    brandIntegration: beat.brandIntegration || null,
+    locked: beat.locked === true,
+    visual_url: beat.visual_url || beat.visualUrl || null,
+    storyboard_url: beat.storyboard_url || beat.storyboardUrl || null,
+    thumbnail_url: beat.thumbnail_url || beat.thumbnailUrl || null,
+  };
+}
+
+// Update "Beat N" titles to maintain sequence (returns copies, never mutates)
+function renumberBeatTitles(beats) {
+  return beats.map((b, i) =>
+    b?.title?.match(/^Beat \d+$/) ? { ...b, title: `Beat ${i + 1}` } : b
+  );
+}
+
+function parseBeatIndex(raw) {
+  const beatIndex = parseInt(raw, 10);
+  if (isNaN(beatIndex) || beatIndex < 0) {
+    throw httpError(400, "Invalid beat index");
+  }
+  return beatIndex;
+}
+
+// =============================================================================
+// POST /decks/:id/beats - Add a new beat to a deck
+// =============================================================================
+router.post("/:id/beats", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    const { beat, index } = req.body || {};
+
+    if (!beat) {
+      return res.status(400).json({ error: "Missing required field: beat" });
+    }
+
+    const { data, result, conflict } = await mutateDeckContent(req, {
+      source: "beats.add",
+      journal: true,
+      mutate: (content) => {
+        const beats = Array.isArray(content.beats) ? [...content.beats] : [];
+        const newBeat = { ...normalizeIncomingBeat(beat, beats.length), uid: randomUUID() };
+
+        // Insert at specified index or append to end
+        const insertIndex = typeof index === "number" && index >= 0 && index <= beats.length
+          ? index
+          : beats.length;
+
+        beats.splice(insertIndex, 0, newBeat);
+        const renumbered = renumberBeatTitles(beats);
+
+        return {
+          content: { ...content, beats: renumbered },
+          result: { addedBeat: renumbered[insertIndex], beatIndex: insertIndex, totalBeats: beats.length },
+        };
+      },
+    });
+
+    if (conflict) return res.status(409).json(conflict);
+
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      ...result,
+    });
+  } catch (e) {
+    return sendWriteError(res, e, "add beat error", "Failed to add beat");
+  }
+});
+
+// =============================================================================
+// PATCH /decks/:id/beats/:beatIndex - Update a specific beat
+// =============================================================================
+router.patch("/:id/beats/:beatIndex", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    const beatIndex = parseBeatIndex(req.params.beatIndex);
+    const updates = req.body || {};
+
+    const { data, result, conflict } = await mutateDeckContent(req, {
+      source: "beats.update",
+      journal: true,
+      mutate: (content) => {
+        const beats = Array.isArray(content.beats) ? [...content.beats] : [];
+
+        if (beatIndex >= beats.length) {
+          throw httpError(404, "Beat not found at specified index");
+        }
+
+        // Update the beat with provided fields
+        const currentBeat = beats[beatIndex] || {};
+        beats[beatIndex] = {
+          ...currentBeat,
+          ...(updates.title !== undefined && { title: updates.title }),
+          ...(updates.text !== undefined && { text: updates.text }),
+          ...(updates.beatText !== undefined && { beatText: updates.beatText, text: updates.beatText }),
+          ...(updates.name !== undefined && { name: updates.name }),
+          ...(updates.intent !== undefined && { intent: updates.intent }),
+          ...(updates.cameraNotes !== undefined && { cameraNotes: updates.cameraNotes }),
+          ...(updates.audioNotes !== undefined && { audioNotes: updates.audioNotes }),
+          ...(updates.onScreenText !== undefined && { onScreenText: updates.onScreenText }),
+          ...(updates.locked !== undefined && { locked: updates.locked === true }),
+          ...(updates.visual_url !== undefined && { visual_url: updates.visual_url, visualUrl: updates.visual_url }),
+          ...(updates.storyboard_url !== undefined && { storyboard_url: updates.storyboard_url, storyboardUrl: updates.storyboard_url }),
+          ...(updates.thumbnail_url !== undefined && { thumbnail_url: updates.thumbnail_url, thumbnailUrl: updates.thumbnail_url }),
+        };
+
+        return {
+          content: { ...content, beats },
+          result: { updatedBeat: beats[beatIndex], beatIndex },
+        };
+      },
+    });
+
+    if (conflict) return res.status(409).json(conflict);
+
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      ...result,
+    });
+  } catch (e) {
+    return sendWriteError(res, e, "update beat error", "Failed to update beat");
+  }
+});
+
+// =============================================================================
+// DELETE /decks/:id/beats/:beatIndex - Remove a specific beat
+// =============================================================================
+router.delete("/:id/beats/:beatIndex", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    const beatIndex = parseBeatIndex(req.params.beatIndex);
+
+    const { data, result, conflict } = await mutateDeckContent(req, {
+      source: "beats.delete",
+      journal: true,
+      mutate: (content) => {
+        const beats = Array.isArray(content.beats) ? [...content.beats] : [];
+
+        if (beatIndex >= beats.length) {
+          throw httpError(404, "Beat not found at specified index");
+        }
+
+        // Remove the beat
+        const removedBeat = beats.splice(beatIndex, 1)[0];
+
+        return {
+          content: { ...content, beats: renumberBeatTitles(beats) },
+          result: { removedBeat, removedIndex: beatIndex, totalBeats: beats.length },
+        };
+      },
+    });
+
+    if (conflict) return res.status(409).json(conflict);
+
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      ...result,
+    });
+  } catch (e) {
+    return sendWriteError(res, e, "delete beat error", "Failed to delete beat");
+  }
+});
+
+// =============================================================================
+// PUT /decks/:id/beats - Replace all beats (bulk update/reorder)
+// =============================================================================
+router.put("/:id/beats", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    const { beats } = req.body || {};
+
+    if (!Array.isArray(beats)) {
+      return res.status(400).json({ error: "beats must be an array" });
+    }
+
+    // Normalize all beats
+    const normalizedBeats = beats.map((beat, i) => {
+      const normalized = normalizeIncomingBeat(beat, i);
+      if (typeof beat === "string") return normalized;
+      return {
+        ...normalized,
+        // Preserve camelCase aliases
+        visualUrl: normalized.visual_url,
+        storyboardUrl: normalized.storyboard_url,
+        thumbnailUrl: normalized.thumbnail_url,
+      };
+    });
+
+    const { data, result, conflict } = await mutateDeckContent(req, {
+      source: "beats.replace",
+      journal: true,
+      mutate: (content, existing) => {
+        // Update deck thumbnail if it's null and first beat has media
+        const firstBeatThumbnail = normalizedBeats[0]?.visual_url || normalizedBeats[0]?.storyboard_url;
+
+        return {
+          // Beats sent without a uid keep the stored uid at their position
+          content: { ...content, beats: ensureBeatUids(normalizedBeats, content.beats) },
+          update: firstBeatThumbnail && !existing?.thumbnail_url
+            ? { thumbnail_url: firstBeatThumbnail }
+            : {},
+          result: { totalBeats: normalizedBeats.length },
+        };
+      },
+    });
+
+    if (conflict) return res.status(409).json(conflict);
+
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      ...result,
+    });
+  } catch (e) {
+    return sendWriteError(res, e, "replace beats error", "Failed to replace beats");
+  }
+});
+
+// =============================================================================
+// POST /decks/:id/beats/reorder - Reorder beats by providing new order
+// =============================================================================
+router.post("/:id/beats/reorder", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    const { order } = req.body || {};
+
+    if (!Array.isArray(order)) {
+      return res.status(400).json({ error: "order must be an array of beat indices" });
+    }
+
+    const { data, result, conflict } = await mutateDeckContent(req, {
+      source: "beats.reorder",
+      journal: true,
+      mutate: (content) => {
+        const beats = Array.isArray(content.beats) ? content.beats : [];
+
+        // Validate order array
+        if (order.length !== beats.length) {
+          throw httpError(400, "order array length must match number of beats", {
+            expected: beats.length,
+            received: order.length,
+          });
+        }
+
+        // Validate all indices are valid
+        const validIndices = order.every(i => typeof i === "number" && i >= 0 && i < beats.length);
+        if (!validIndices) {
+          throw httpError(400, "Invalid index in order array");
+        }
+
+        // Check for duplicates
+        const uniqueIndices = new Set(order);
+        if (uniqueIndices.size !== order.length) {
+          throw httpError(400, "Duplicate indices in order array");
+        }
+
+        // Reorder beats
+        const reorderedBeats = renumberBeatTitles(order.map(i => beats[i]));
+
+        return {
+          content: { ...content, beats: reorderedBeats },
+          result: { newOrder: order, totalBeats: reorderedBeats.length },
+        };
+      },
+    });
+
+    if (conflict) return res.status(409).json(conflict);
+
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      ...result,
+    });
+  } catch (e) {
+    return sendWriteError(res, e, "reorder beats error", "Failed to reorder beats");
+  }
+});
+
+// =============================================================================
+// POST /decks/:id/beats/:beatIndex/split - Split a beat in two (or more)
+// Body: { offset } to cut beatText at a character offset, or
+//       { mode: "llm", parts? } to let the model find the breaks (2-4 parts)
+// The first part keeps the beat's uid, media and comments.
+// =============================================================================
+function parseSplitParts(raw) {
+  if (raw === undefined || raw === null) return 2;
+  const parts = parseInt(raw, 10);
+  if (isNaN(parts) || parts < 2 || parts > MAX_SPLIT_PARTS) {
+    throw httpError(400, `parts must be between 2 and ${MAX_SPLIT_PARTS}`);
+  }
+  return parts;
+}
+
+router.post("/:id/beats/:beatIndex/split", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    const beatIndex = parseBeatIndex(req.params.beatIndex);
+    const body = req.body || {};
+    const mode = body.mode === "llm" ? "llm" : "offset";
+
+    let parts = null;
+    let splitText = null;
+    if (mode === "llm") {
+      const partCount = parseSplitParts(body.parts);
+      const deck = await fetchDeckRow(dbForReq(req), req.deckAccess.ownerId, req.params.id);
+      const beats = Array.isArray(deck?.content?.beats) ? deck.content.beats : [];
+      if (beatIndex >= beats.length) throw httpError(404, "Beat not found at specified index");
+      // The model rewrites the text it splits; locked beats are only split by hand
+      if (beats[beatIndex]?.locked === true) {
+        throw httpError(409, "Beat is locked. Unlock it or split at an offset.", { code: "BEAT_LOCKED" });
+      }
+
+      splitText = beatText(beats[beatIndex]);
+      try {
+        parts = await suggestBeatSplit(beats[beatIndex], {
+          parts: partCount,
+          context: { title: deck.title, previousBeat: beats[beatIndex - 1], nextBeat: beats[beatIndex + 1] },
+        });
+      } catch (llmError) {
+        if (llmError.status) throw llmError;
+        console.error("split beat model error:", llmError);
+        throw httpError(502, "Could not split the beat with the model", { code: "SPLIT_FAILED" });
+      }
+    } else if (body.offset === undefined || body.offset === null) {
+      throw httpError(400, 'Provide an offset, or mode: "llm"');
+    }
+
+    const { data, result, conflict } = await mutateDeckContent(req, {
+      source: "beats.split",
+      journal: true,
+      mutate: (content) => {
+        const beats = Array.isArray(content.beats) ? [...content.beats] : [];
+
+        if (beatIndex >= beats.length) {
+          throw httpError(404, "Beat not found at specified index");
+        }
+        // The model split the text we read; don't apply it to newer text
+        if (mode === "llm" && beatText(beats[beatIndex]) !== splitText) {
+          throw httpError(409, "The beat changed while it was being split, please retry", { code: "BEAT_CHANGED" });
+        }
+
+        const pieces = mode === "llm"
+          ? splitBeatIntoParts(beats[beatIndex], parts)
+          : splitBeatAtOffset(beats[beatIndex], Number(body.offset));
+
+        beats.splice(beatIndex, 1, ...pieces);
+        const renumbered = renumberBeatTitles(beats);
+
+        return {
+          content: { ...content, beats: renumbered },
+          result: {
+            mode,
+            beatIndex,
+            beats: renumbered.slice(beatIndex, beatIndex + pieces.length),
+            totalBeats: renumbered.length,
+          },
+        };
+      },
+    });
+
+    if (conflict) return res.status(409).json(conflict);
+
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      ...result,
+    });
+  } catch (e) {
+    return sendWriteError(res, e, "split beat error", "Failed to split beat");
+  }
+});
+
+// =============================================================================
+// POST /decks/:id/beats/merge - Merge a contiguous range of beats into one
+// Body: { from, to } (inclusive beat indexes)
+// The merged beat keeps the first beat's uid; comments on the other beats
+// move to it.
+// =============================================================================
+async function repointBeatComments(db, deckId, fromUids, toUid) {
+  if (!fromUids.length || !toUid) return 0;
+
+  const { data, error } = await db
+    .from("deck_comments")
+    .update({ beat_uid: toUid })
+    .eq("deck_id", deckId)
+    .in("beat_uid", fromUids)
+    .select("id");
+
+  if (error) {
+    console.warn("repointBeatComments failed:", error.message);
+    return 0;
+  }
+  return data?.length || 0;
+}
+
+router.post("/:id/beats/merge", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const from = parseBeatIndex(body.from);
+    const to = parseBeatIndex(body.to);
+    if (to <= from) {
+      throw httpError(400, "to must be greater than from");
+    }
+
+    let absorbedUids = [];
+    const { data, result, conflict } = await mutateDeckContent(req, {
+      source: "beats.merge",
+      journal: true,
+      mutate: (content) => {
+        const beats = Array.isArray(content.beats) ? [...content.beats] : [];
+
+        if (to >= beats.length) {
+          throw httpError(404, "Beat range is out of bounds");
+        }
+
+        const range = beats.slice(from, to + 1);
+        const { beat, droppedMedia } = mergeBeats(range);
+        absorbedUids = range.slice(1).map((b) => b?.uid).filter(Boolean);
+
+        beats.splice(from, range.length, beat);
+        const renumbered = renumberBeatTitles(beats);
+
+        return {
+          content: { ...content, beats: renumbered },
+          result: { beatIndex: from, mergedCount: range.length, droppedMedia, totalBeats: renumbered.length },
+        };
+      },
+    });
+
+    if (conflict) return res.status(409).json(conflict);
+
+    const mergedBeat = data.content?.beats?.[from] || null;
+    const movedComments = await repointBeatComments(dbForReq(req), req.params.id, absorbedUids, mergedBeat?.uid);
+
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      mergedBeat,
+      movedComments,
+      ...result,
+    });
+  } catch (e) {
+    return sendWriteError(res, e, "merge beats error", "Failed to merge beats");
+  }
+});
+
+// =============================================================================
+// UNDO / REDO
+// POST /decks/:id/undo  - Revert your most recent beat edit
+// POST /decks/:id/redo  - Re-apply the edit you last undid
+// GET  /decks/:id/undo  - { canUndo, canRedo }
+// Beat endpoints journal their changes per user (see utils/deckOperations.js),
+// so the stacks follow the user across devices and sessions
+// =============================================================================
+
+async function stepOperationStack(req, res, direction) {
+  const deckId = req.params.id;
+  const userId = req.user.id;
+  const db = dbForReq(req);
+  const undo = direction === "undo";
+
+  let operation = null;
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS && !operation; attempt++) {
+    const candidate = await nextStackOperation(db, deckId, userId, direction);
+    if (!candidate) {
+      return res.status(409).json({
+        error: undo ? "Nothing to undo" : "Nothing to redo",
+        code: undo ? "NOTHING_TO_UNDO" : "NOTHING_TO_REDO",
+      });
+    }
+    // Claim the entry before writing so another device can't apply it too
+    operation = await setOperationUndone(db, candidate, undo);
+  }
+  if (!operation) {
+    throw httpError(409, "Another undo or redo is in progress, please retry", { code: "DECK_BUSY" });
+  }
+
+  const ops = undo ? invertOperations(operation.ops) : operation.ops;
+  let outcome;
+  try {
+    outcome = await mutateDeckContent(req, {
+      source: direction,
+      mutate: (content) => {
+        const applied = applyOperations(content.beats, ops);
+        if (!applied.beats) {
+          throw httpError(409, `The beats were changed since this edit and can't be ${undo ? "undone" : "redone"}`, {
+            code: undo ? "UNDO_CONFLICT" : "REDO_CONFLICT",
+            conflicts: applied.conflicts,
+          });
+        }
+        return { content: { ...content, beats: applied.beats } };
+      },
+    });
+  } catch (e) {
+    await setOperationUndone(db, operation, !undo).catch(() => null);
+    throw e;
+  }
+
+  if (outcome.conflict) {
+    await setOperationUndone(db, operation, !undo).catch(() => null);
+    return res.status(409).json(outcome.conflict);
+  }
+
+  setDeckEtag(res, outcome.data);
+  return res.json({
+    ok: true,
+    deck: decorateShareMeta(outcome.data),
+    operation: { id: operation.id, source: operation.source, created_at: operation.created_at },
+    ...(await operationStackState(db, deckId, userId)),
+  });
+}
+
+router.get("/:id/undo", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    return res.json(await operationStackState(dbForReq(req), req.params.id, req.user.id));
+  } catch (e) {
+    console.error("undo state error:", e);
+    return res.status(500).json({ error: e?.message || "Failed to load undo state" });
+  }
+});
+
+router.post("/:id/undo", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    return await stepOperationStack(req, res, "undo");
+  } catch (e) {
+    return sendWriteError(res, e, "undo error", "Undo failed");
+  }
+});
+
+router.post("/:id/redo", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    return await stepOperationStack(req, res, "redo");
   } catch (e) {
-    console.error("update deck tool error:", e);
-    return res.status(500).json({ error: e?.message || "Update failed" });
+    return sendWriteError(res, e, "redo error", "Redo failed");
   }
 });
 
 // =============================================================================
-// BEAT CRUD ENDPOINTS
-// These endpoints allow adding, updating, removing, and reordering beats
+// GET /decks/:id/events - Live change stream (Server-Sent Events)
+// Pushes a "change" event for every save, beat edit, undo/redo, restore and
+// generated visual/storyboard. EventSource can't send headers, so the token
+// may also be passed as ?access_token=
+// Access is checked again on every heartbeat and whenever the deck's
+// collaborators change: a new role is sent as "access", and a user who lost
+// access (or a trashed deck) gets "revoked" and the stream ends.
 // =============================================================================
+function bearerFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === "string") {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  return next();
+}
 
-// =============================================================================
-// POST /decks/:id/beats - Add a new beat to a deck
-// =============================================================================
-router.post("/:id/beats", requireUser, async (req, res) => {
+router.get("/:id/events", bearerFromQuery, requireUser, requireDeckRole("viewer"), async (req, res) => {
+  const deckId = req.params.id;
+  let role = req.deckAccess.role;
+  let closed = false;
+  let heartbeat = null;
+  let unsubscribe = () => {};
+  let unsubscribeAccess = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    unsubscribeAccess();
+  };
+  // Before any await: a client that leaves during the initial read must not
+  // leave a subscription and heartbeat writing to a dead socket
+  req.on("close", close);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop proxies (nginx) from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+
+  // Clients compare updatedAt with the copy they hold and refetch if it moved
+  // while they were disconnected (events are not replayed)
+  let updatedAt = null;
   try {
-    const userId = req.user.id;
-    const deckId = req.params.id;
-    const { beat, index } = req.body || {};
-    const db = dbForReq(req);
+    const deck = await fetchDeckRow(dbForReq(req), req.deckAccess.ownerId, deckId);
+    updatedAt = deck?.updated_at || null;
+  } catch (e) {
+    console.warn("deck events: initial read failed:", e?.message);
+  }
+  if (closed) return;
+
+  res.write("retry: 5000\n\n");
+  res.write(formatSseMessage("ready", { deckId, updatedAt, role }));
+
+  const recheckAccess = async () => {
+    let access;
+    try {
+      access = await resolveDeckAccess(dbForReq(req), req.user, deckId);
+    } catch (e) {
+      console.warn("deck events: access check failed:", e?.message);
+      return;
+    }
+    if (closed) return;
 
-    if (!beat) {
-      return res.status(400).json({ error: "Missing required field: beat" });
+    if (!access || !hasDeckRole(access.role, "viewer")) {
+      res.write(formatSseMessage("revoked", { deckId }));
+      close();
+      res.end();
+      return;
     }
+    if (access.role !== role) {
+      role = access.role;
+      res.write(formatSseMessage("access", { deckId, role }));
+    }
+  };
 
-    // Fetch existing deck
-    const { data: existing, error: fetchError } = await db
-      .from("decks")
-      .select("content")
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .single();
+  unsubscribe = subscribeDeckEvents(deckId, (event) => {
+    res.write(formatSseMessage("change", event, event.id));
+  });
+  unsubscribeAccess = subscribeDeckAccessChanges(deckId, recheckAccess);
+  heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+    recheckAccess();
+  }, EVENT_HEARTBEAT_MS);
+});
 
-    if (fetchError) throw fetchError;
+// =============================================================================
+// BEAT COMMENTS
+// GET /decks/:id/comments                         - All threads (?resolved=true|false)
+// GET /decks/:id/beats/:beatIndex/comments        - Threads on one beat
+// POST /decks/:id/beats/:beatIndex/comments       - Start a thread { body } (or reply: { body, parentId })
+// POST /decks/:id/comments/:commentId/replies     - Reply to a thread { body }
+// POST /decks/:id/comments/:commentId/resolve     - Resolve a thread
+// POST /decks/:id/comments/:commentId/unresolve   - Reopen a thread
+// PATCH /decks/:id/comments/:commentId            - Edit your comment { body }
+// DELETE /decks/:id/comments/:commentId           - Delete (author or owner)
+// Comments anchor on beat uids (see utils/deckComments.js)
+// =============================================================================
+async function loadDeckBeats(db, ownerId, deckId) {
+  const { data, error } = await db
+    .from("decks")
+    .select("content")
+    .eq("user_id", ownerId)
+    .is("deleted_at", null)
+    .eq("id", deckId)
+    .single();
+
+  if (error) throw error;
+  return Array.isArray(data?.content?.beats) ? data.content.beats : [];
+}
 
-    const content = existing?.content || {};
-    const beats = Array.isArray(content.beats) ? [...content.beats] : [];
-
-    // Normalize the new beat
-    const newBeat = typeof beat === "string" 
-      ? { title: `Beat ${beats.length + 1}`, text: beat }
-      : {
-          title: beat.title || `Beat ${beats.length + 1}`,
-          text: beat.text || beat.beatText || "",
-          name: beat.name || null,
-          intent: beat.intent || null,
-          visual_url: beat.visual_url || beat.visualUrl || null,
-          storyboard_url: beat.storyboard_url || beat.storyboardUrl || null,
-          thumbnail_url: beat.thumbnail_url || beat.thumbnailUrl || null,
-        };
+/**
+ * uid of the beat at an index, persisting uids first for decks saved before
+ * beats had them (a bookkeeping write: no version snapshot)
+ */
+async function beatUidAt(req, beatIndex) {
+  const { ownerId } = req.deckAccess;
+  const db = dbForReq(req);
+  const beats = await loadDeckBeats(db, ownerId, req.params.id);
+
+  if (beatIndex >= beats.length) throw httpError(404, "Beat not found at specified index");
+  if (beats[beatIndex]?.uid) return beats[beatIndex].uid;
+
+  const { data } = await mutateDeckContent(req, {
+    source: "beats.ids",
+    recordVersion: false,
+    mutate: (content) => ({ content }),
+  });
+  const uid = data?.content?.beats?.[beatIndex]?.uid;
+  if (!uid) throw httpError(404, "Beat not found at specified index");
+  return uid;
+}
 
-    // Insert at specified index or append to end
-    const insertIndex = typeof index === "number" && index >= 0 && index <= beats.length 
-      ? index 
-      : beats.length;
-    
-    beats.splice(insertIndex, 0, newBeat);
+// Emails that can be @mentioned: collaborators plus anyone who has commented
+async function deckMemberEmails(db, deckId) {
+  const [{ data: collaborators }, { data: authors }] = await Promise.all([
+    db.from("deck_collaborators").select("email").eq("deck_id", deckId),
+    db.from("deck_comments").select("author_email").eq("deck_id", deckId),
+  ]);
+  return [
+    ...(collaborators || []).map((row) => row.email),
+    ...(authors || []).map((row) => row.author_email),
+  ].filter(Boolean);
+}
 
-    // Update titles to maintain sequence
-    beats.forEach((b, i) => {
-      if (b.title?.match(/^Beat \d+$/)) {
-        b.title = `Beat ${i + 1}`;
-      }
-    });
+function readCommentBody(req) {
+  const body = typeof req.body?.body === "string" ? req.body.body.trim() : "";
+  if (!body) throw httpError(400, "Comment body is required");
+  if (body.length > MAX_COMMENT_LENGTH) {
+    throw httpError(400, `Comments must be at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return body;
+}
 
-    const updatedContent = { ...content, beats };
-    const previewFields = buildPreviewFields(updatedContent);
+async function fetchComment(db, deckId, commentId) {
+  const { data, error } = await db
+    .from("deck_comments")
+    .select(COMMENT_COLUMNS)
+    .eq("deck_id", deckId)
+    .eq("id", commentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, "Comment not found");
+  return data;
+}
 
-    const { data, error } = await db
-      .from("decks")
-      .update({ 
-        content: updatedContent,
-        ...previewFields,
-        updated_at: new Date().toISOString(),
-      })
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .select(FULL_COLUMNS)
-      .single();
+async function insertComment(req, { beatUid, parentId = null, body }) {
+  const db = dbForReq(req);
+  const deckId = req.params.id;
+  const authorEmail = normalizeEmail(req.user.email);
+
+  const members = await deckMemberEmails(db, deckId);
+  const mentions = extractMentions(body, members).filter((email) => email !== authorEmail);
+
+  const { data, error } = await db
+    .from("deck_comments")
+    .insert({
+      deck_id: deckId,
+      beat_uid: beatUid,
+      parent_id: parentId,
+      user_id: req.user.id,
+      author_email: authorEmail,
+      body,
+      mentions,
+    })
+    .select(COMMENT_COLUMNS)
+    .single();
 
-    if (error) throw error;
+  if (error) throw error;
+  return data;
+}
 
-    return res.json({ 
-      ok: true, 
-      deck: decorateShareMeta(data),
-      addedBeat: newBeat,
-      beatIndex: insertIndex,
-      totalBeats: beats.length,
-    });
-  } catch (e) {
-    console.error("add beat error:", e);
-    return res.status(500).json({ error: e?.message || "Failed to add beat" });
-  }
-});
+// Replies always hang off the thread's root comment
+async function insertReply(req, parentId, body) {
+  const parent = await fetchComment(dbForReq(req), req.params.id, parentId);
+  return insertComment(req, {
+    beatUid: parent.beat_uid,
+    parentId: parent.parent_id || parent.id,
+    body,
+  });
+}
 
-// =============================================================================
-// PATCH /decks/:id/beats/:beatIndex - Update a specific beat
-// =============================================================================
-router.patch("/:id/beats/:beatIndex", requireUser, async (req, res) => {
+router.get("/:id/comments", requireUser, requireDeckRole("viewer"), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const { ownerId } = req.deckAccess;
     const deckId = req.params.id;
-    const beatIndex = parseInt(req.params.beatIndex, 10);
-    const updates = req.body || {};
     const db = dbForReq(req);
 
-    if (isNaN(beatIndex) || beatIndex < 0) {
-      return res.status(400).json({ error: "Invalid beat index" });
-    }
+    const [beats, { data, error }] = await Promise.all([
+      loadDeckBeats(db, ownerId, deckId),
+      db.from("deck_comments").select(COMMENT_COLUMNS).eq("deck_id", deckId),
+    ]);
 
-    // Fetch existing deck
-    const { data: existing, error: fetchError } = await db
-      .from("decks")
-      .select("content")
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .single();
+    if (error) throw error;
 
-    if (fetchError) throw fetchError;
+    let threads = buildCommentThreads(data || [], beats);
+    if (req.query.resolved === "true") threads = threads.filter((t) => t.resolved);
+    if (req.query.resolved === "false") threads = threads.filter((t) => !t.resolved);
+
+    return res.json({ ok: true, threads });
+  } catch (e) {
+    return sendWriteError(res, e, "list comments error", "Couldn't load comments");
+  }
+});
 
-    const content = existing?.content || {};
-    const beats = Array.isArray(content.beats) ? [...content.beats] : [];
+router.get("/:id/beats/:beatIndex/comments", requireUser, requireDeckRole("viewer"), async (req, res) => {
+  try {
+    const { ownerId } = req.deckAccess;
+    const deckId = req.params.id;
+    const beatIndex = parseBeatIndex(req.params.beatIndex);
+    const db = dbForReq(req);
 
+    const beats = await loadDeckBeats(db, ownerId, deckId);
     if (beatIndex >= beats.length) {
       return res.status(404).json({ error: "Beat not found at specified index" });
     }
 
-    // Update the beat with provided fields
-    const currentBeat = beats[beatIndex] || {};
-    beats[beatIndex] = {
-      ...currentBeat,
-      ...(updates.title !== undefined && { title: updates.title }),
-      ...(updates.text !== undefined && { text: updates.text }),
-      ...(updates.beatText !== undefined && { beatText: updates.beatText, text: updates.beatText }),
-      ...(updates.name !== undefined && { name: updates.name }),
-      ...(updates.intent !== undefined && { intent: updates.intent }),
-      ...(updates.visual_url !== undefined && { visual_url: updates.visual_url, visualUrl: updates.visual_url }),
-      ...(updates.storyboard_url !== undefined && { storyboard_url: updates.storyboard_url, storyboardUrl: updates.storyboard_url }),
-      ...(updates.thumbnail_url !== undefined && { thumbnail_url: updates.thumbnail_url, thumbnailUrl: updates.thumbnail_url }),
-    };
-
-    const updatedContent = { ...content, beats };
-    const previewFields = buildPreviewFields(updatedContent);
+    // A beat without a uid has never been commented on
+    const beatUid = beats[beatIndex]?.uid;
+    if (!beatUid) return res.json({ ok: true, beatIndex, beatUid: null, threads: [] });
 
     const { data, error } = await db
-      .from("decks")
-      .update({ 
-        content: updatedContent,
-        ...previewFields,
-        updated_at: new Date().toISOString(),
-      })
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .select(FULL_COLUMNS)
-      .single();
+      .from("deck_comments")
+      .select(COMMENT_COLUMNS)
+      .eq("deck_id", deckId)
+      .eq("beat_uid", beatUid);
 
     if (error) throw error;
 
-    return res.json({ 
-      ok: true, 
-      deck: decorateShareMeta(data),
-      updatedBeat: beats[beatIndex],
+    return res.json({
+      ok: true,
       beatIndex,
+      beatUid,
+      threads: buildCommentThreads(data || [], beats),
     });
   } catch (e) {
-    console.error("update beat error:", e);
-    return res.status(500).json({ error: e?.message || "Failed to update beat" });
+    return sendWriteError(res, e, "list beat comments error", "Couldn't load comments");
   }
 });
 
-// =============================================================================
-// DELETE /decks/:id/beats/:beatIndex - Remove a specific beat
-// =============================================================================
-router.delete("/:id/beats/:beatIndex", requireUser, async (req, res) => {
+router.post("/:id/beats/:beatIndex/comments", requireUser, requireDeckRole("commenter"), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const deckId = req.params.id;
-    const beatIndex = parseInt(req.params.beatIndex, 10);
-    const db = dbForReq(req);
+    const beatIndex = parseBeatIndex(req.params.beatIndex);
+    const body = readCommentBody(req);
 
-    if (isNaN(beatIndex) || beatIndex < 0) {
-      return res.status(400).json({ error: "Invalid beat index" });
-    }
+    const comment = req.body?.parentId
+      ? await insertReply(req, String(req.body.parentId), body)
+      : await insertComment(req, { beatUid: await beatUidAt(req, beatIndex), body });
 
-    // Fetch existing deck
-    const { data: existing, error: fetchError } = await db
-      .from("decks")
-      .select("content")
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .single();
+    return res.status(201).json({ ok: true, comment });
+  } catch (e) {
+    return sendWriteError(res, e, "add comment error", "Couldn't add comment");
+  }
+});
 
-    if (fetchError) throw fetchError;
+router.post("/:id/comments/:commentId/replies", requireUser, requireDeckRole("commenter"), async (req, res) => {
+  try {
+    const body = readCommentBody(req);
+    const comment = await insertReply(req, req.params.commentId, body);
+    return res.status(201).json({ ok: true, comment });
+  } catch (e) {
+    return sendWriteError(res, e, "reply to comment error", "Couldn't add reply");
+  }
+});
 
-    const content = existing?.content || {};
-    const beats = Array.isArray(content.beats) ? [...content.beats] : [];
+async function setThreadResolved(req, res, resolved) {
+  const db = dbForReq(req);
+  const deckId = req.params.id;
 
-    if (beatIndex >= beats.length) {
-      return res.status(404).json({ error: "Beat not found at specified index" });
-    }
+  const comment = await fetchComment(db, deckId, req.params.commentId);
+  if (comment.parent_id) {
+    return res.status(400).json({ error: "Only a thread's first comment can be resolved" });
+  }
 
-    // Remove the beat
-    const removedBeat = beats.splice(beatIndex, 1)[0];
+  const { data, error } = await db
+    .from("deck_comments")
+    .update(resolved
+      ? { resolved_at: new Date().toISOString(), resolved_by: req.user.id }
+      : { resolved_at: null, resolved_by: null })
+    .eq("deck_id", deckId)
+    .eq("id", comment.id)
+    .select(COMMENT_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return res.json({ ok: true, comment: data });
+}
 
-    // Update titles to maintain sequence
-    beats.forEach((b, i) => {
-      if (b.title?.match(/^Beat \d+$/)) {
-        b.title = `Beat ${i + 1}`;
-      }
-    });
+router.post("/:id/comments/:commentId/resolve", requireUser, requireDeckRole("commenter"), async (req, res) => {
+  try {
+    return await setThreadResolved(req, res, true);
+  } catch (e) {
+    return sendWriteError(res, e, "resolve comment error", "Couldn't resolve comment");
+  }
+});
+
+router.post("/:id/comments/:commentId/unresolve", requireUser, requireDeckRole("commenter"), async (req, res) => {
+  try {
+    return await setThreadResolved(req, res, false);
+  } catch (e) {
+    return sendWriteError(res, e, "unresolve comment error", "Couldn't reopen comment");
+  }
+});
+
+router.patch("/:id/comments/:commentId", requireUser, requireDeckRole("commenter"), async (req, res) => {
+  try {
+    const db = dbForReq(req);
+    const deckId = req.params.id;
+    const body = readCommentBody(req);
+
+    const comment = await fetchComment(db, deckId, req.params.commentId);
+    if (comment.user_id !== req.user.id) {
+      return res.status(403).json({ error: "You can only edit your own comments" });
+    }
 
-    const updatedContent = { ...content, beats };
-    const previewFields = buildPreviewFields(updatedContent);
+    const members = await deckMemberEmails(db, deckId);
+    const authorEmail = normalizeEmail(req.user.email);
 
     const { data, error } = await db
-      .from("decks")
-      .update({ 
-        content: updatedContent,
-        ...previewFields,
-        updated_at: new Date().toISOString(),
+      .from("deck_comments")
+      .update({
+        body,
+        mentions: extractMentions(body, members).filter((email) => email !== authorEmail),
+        edited_at: new Date().toISOString(),
       })
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .select(FULL_COLUMNS)
+      .eq("deck_id", deckId)
+      .eq("id", comment.id)
+      .select(COMMENT_COLUMNS)
       .single();
 
     if (error) throw error;
-
-    return res.json({ 
-      ok: true, 
-      deck: decorateShareMeta(data),
-      removedBeat,
-      removedIndex: beatIndex,
-      totalBeats: beats.length,
-    });
+    return res.json({ ok: true, comment: data });
   } catch (e) {
-    console.error("delete beat error:", e);
-    return res.status(500).json({ error: e?.message || "Failed to delete beat" });
+    return sendWriteError(res, e, "edit comment error", "Couldn't edit comment");
   }
 });
 
-// =============================================================================
-// PUT /decks/:id/beats - Replace all beats (bulk update/reorder)
-// =============================================================================
-router.put("/:id/beats", requireUser, async (req, res) => {
+router.delete("/:id/comments/:commentId", requireUser, requireDeckRole("viewer"), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const deckId = req.params.id;
-    const { beats } = req.body || {};
     const db = dbForReq(req);
+    const deckId = req.params.id;
 
-    if (!Array.isArray(beats)) {
-      return res.status(400).json({ error: "beats must be an array" });
+    const comment = await fetchComment(db, deckId, req.params.commentId);
+    if (comment.user_id !== req.user.id && req.deckAccess.role !== "owner") {
+      return res.status(403).json({ error: "Only the author or the deck owner can delete a comment" });
     }
 
-    // Fetch existing deck
-    const { data: existing, error: fetchError } = await db
-      .from("decks")
-      .select("content")
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .single();
-
-    if (fetchError) throw fetchError;
-
-    const content = existing?.content || {};
+    // Replies cascade with their root (ON DELETE CASCADE)
+    const { error } = await db
+      .from("deck_comments")
+      .delete()
+      .eq("deck_id", deckId)
+      .eq("id", comment.id);
 
-    // Normalize all beats
-    const normalizedBeats = beats.map((beat, i) => {
-      if (typeof beat === "string") {
-        return { title: `Beat ${i + 1}`, text: beat };
-      }
-      return {
-        title: beat.title || `Beat ${i + 1}`,
-        text: beat.text || beat.beatText || "",
-        name: beat.name || null,
-        intent: beat.intent || null,
-        visual_url: beat.visual_url || beat.visualUrl || null,
-        storyboard_url: beat.storyboard_url || beat.storyboardUrl || null,
-        thumbnail_url: beat.thumbnail_url || beat.thumbnailUrl || null,
-        // Preserve camelCase aliases
-        visualUrl: beat.visual_url || beat.visualUrl || null,
-        storyboardUrl: beat.storyboard_url || beat.storyboardUrl || null,
-        thumbnailUrl: beat.thumbnail_url || beat.thumbnailUrl || null,
-      };
-    });
+    if (error) throw error;
+    return res.json({ ok: true, deleted: comment.id });
+  } catch (e) {
+    return sendWriteError(res, e, "delete comment error", "Couldn't delete comment");
+  }
+});
 
-    const updatedContent = { ...content, beats: normalizedBeats };
-    const previewFields = buildPreviewFields(updatedContent);
+// =============================================================================
+// DECK VERSION HISTORY
+// Every save and beat mutation records a snapshot (see utils/deckVersions.js)
+// =============================================================================
 
-    // Update deck thumbnail if it's null and first beat has media
-    const firstBeatThumbnail = normalizedBeats[0]?.visual_url || normalizedBeats[0]?.storyboard_url;
-    const updatePayload = {
-      content: updatedContent,
-      ...previewFields,
-      updated_at: new Date().toISOString(),
-    };
-    
-    if (firstBeatThumbnail && !existing?.thumbnail_url) {
-      updatePayload.thumbnail_url = firstBeatThumbnail;
-    }
+// =============================================================================
+// GET /decks/:id/versions - List snapshots for a deck (newest first)
+// =============================================================================
+router.get("/:id/versions", requireUser, requireDeckRole("viewer"), async (req, res) => {
+  try {
+    const deckId = req.params.id;
+    const db = dbForReq(req);
 
-    const { data, error } = await db
-      .from("decks")
-      .update(updatePayload)
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .select(FULL_COLUMNS)
-      .single();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-    if (error) throw error;
+    const versions = await listDeckVersions(db, deckId, { limit, offset });
 
-    return res.json({ 
-      ok: true, 
-      deck: decorateShareMeta(data),
-      totalBeats: normalizedBeats.length,
+    return res.json({
+      ok: true,
+      versions,
+      pagination: {
+        limit,
+        offset,
+        count: versions.length,
+        hasMore: versions.length === limit,
+      },
     });
   } catch (e) {
-    console.error("replace beats error:", e);
-    return res.status(500).json({ error: e?.message || "Failed to replace beats" });
+    console.error("list deck versions error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load versions" });
   }
 });
 
 // =============================================================================
-// POST /decks/:id/beats/reorder - Reorder beats by providing new order
+// GET /decks/:id/versions/:versionId - Get a snapshot with its diff
+// Diffs against the current deck, or against ?compare=<versionId>
 // =============================================================================
-router.post("/:id/beats/reorder", requireUser, async (req, res) => {
+router.get("/:id/versions/:versionId", requireUser, requireDeckRole("viewer"), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const { ownerId } = req.deckAccess;
     const deckId = req.params.id;
-    const { order } = req.body || {};
     const db = dbForReq(req);
 
-    if (!Array.isArray(order)) {
-      return res.status(400).json({ error: "order must be an array of beat indices" });
-    }
-
-    // Fetch existing deck
     const { data: existing, error: fetchError } = await db
       .from("decks")
       .select("content")
-      .eq("user_id", userId)
+      .eq("user_id", ownerId)
+      .is("deleted_at", null)
       .eq("id", deckId)
       .single();
 
-    if (fetchError) throw fetchError;
-
-    const content = existing?.content || {};
-    const beats = Array.isArray(content.beats) ? content.beats : [];
-
-    // Validate order array
-    if (order.length !== beats.length) {
-      return res.status(400).json({ 
-        error: "order array length must match number of beats",
-        expected: beats.length,
-        received: order.length,
-      });
-    }
+    if (fetchError) return res.status(404).json({ error: "Deck not found" });
 
-    // Validate all indices are valid
-    const validIndices = order.every(i => typeof i === "number" && i >= 0 && i < beats.length);
-    if (!validIndices) {
-      return res.status(400).json({ error: "Invalid index in order array" });
-    }
+    const version = await getDeckVersion(db, deckId, req.params.versionId);
+    if (!version) return res.status(404).json({ error: "Version not found" });
 
-    // Check for duplicates
-    const uniqueIndices = new Set(order);
-    if (uniqueIndices.size !== order.length) {
-      return res.status(400).json({ error: "Duplicate indices in order array" });
+    let compareTo = { versionId: null, content: existing?.content || {} };
+    if (req.query.compare) {
+      const other = await getDeckVersion(db, deckId, String(req.query.compare));
+      if (!other) return res.status(404).json({ error: "Compare version not found" });
+      compareTo = { versionId: other.id, content: other.content };
     }
 
-    // Reorder beats
-    const reorderedBeats = order.map(i => beats[i]);
-
-    // Update titles to maintain sequence
-    reorderedBeats.forEach((b, i) => {
-      if (b.title?.match(/^Beat \d+$/)) {
-        b.title = `Beat ${i + 1}`;
-      }
+    return res.json({
+      ok: true,
+      version: { ...version, content: withoutShareSecrets(version.content) },
+      diff: {
+        against: compareTo.versionId || "current",
+        ...diffDeckContent(version.content, compareTo.content),
+      },
     });
+  } catch (e) {
+    console.error("get deck version error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load version" });
+  }
+});
 
-    const updatedContent = { ...content, beats: reorderedBeats };
-    const previewFields = buildPreviewFields(updatedContent);
+// =============================================================================
+// POST /decks/:id/versions/:versionId/restore - Restore a snapshot
+// The restore itself is recorded as a new version, so it can be undone
+// =============================================================================
+router.post("/:id/versions/:versionId/restore", requireUser, requireDeckRole("editor"), async (req, res) => {
+  try {
+    const deckId = req.params.id;
+    const db = dbForReq(req);
 
-    const { data, error } = await db
-      .from("decks")
-      .update({ 
-        content: updatedContent,
-        ...previewFields,
-        updated_at: new Date().toISOString(),
-      })
-      .eq("user_id", userId)
-      .eq("id", deckId)
-      .select(FULL_COLUMNS)
-      .single();
+    const version = await getDeckVersion(db, deckId, req.params.versionId);
+    if (!version) return res.status(404).json({ error: "Version not found" });
+
+    const { data, version: restoredVersion, conflict } = await mutateDeckContent(req, {
+      source: "restore",
+      restoredFrom: version.id,
+      mutate: (current) => {
+        // Keep the current share state - restoring content must not re-share,
+        // bring back a rotated code or drop a password set after the snapshot
+        const restoredContent = keepShareState({ ...version.content, id: deckId }, current);
+        return {
+          content: restoredContent,
+          update: {
+            title: restoredContent.title || version.title || null,
+            tagline: restoredContent.tagline || null,
+          },
+        };
+      },
+    });
 
-    if (error) throw error;
+    if (conflict) return res.status(409).json(conflict);
 
-    return res.json({ 
-      ok: true, 
+    setDeckEtag(res, data);
+    return res.json({
+      ok: true,
       deck: decorateShareMeta(data),
-      newOrder: order,
-      totalBeats: reorderedBeats.length,
+      restoredFrom: { id: version.id, version: version.version },
+      version: restoredVersion,
     });
   } catch (e) {
-    console.error("reorder beats error:", e);
-    return res.status(500).json({ error: e?.message || "Failed to reorder beats" });
+    return sendWriteError(res, e, "restore deck version error", "Restore failed");
   }
 });
 
@@ -8,6 +8,16 @@ const formats = [
     label: "JPG",
     description: "Single-image export using the tone frame or first available visual.",
   },
+  {
+    id: "fountain",
+    label: "Fountain",
+    description: "Plain-text screenplay (.fountain); each beat becomes a scene.",
+  },
+  {
+    id: "fdx",
+    label: "Final Draft",
+    description: "Final Draft screenplay (.fdx); each beat becomes a scene.",
+  },
 ];
 
 // PDF templates available for export
@@ -0,0 +1,42 @@
+// routes/exportScreenplay.js
+
+import { normalizeDeckPayload, safeFilename } from "../utils/deckFormatter.js";
+import { buildFountain, buildFdx } from "../utils/screenplay.js";
+
+const SCREENPLAY_EXPORTS = {
+  fountain: { build: buildFountain, extension: "fountain", contentType: "text/plain; charset=utf-8" },
+  fdx: { build: buildFdx, extension: "fdx", contentType: "application/xml; charset=utf-8" },
+};
+
+/**
+ * Renders the posted deck as a screenplay so writers can keep working in
+ * their screenwriting software. Each beat becomes a scene (see
+ * beatsToScreenplay in utils/screenplay.js).
+ */
+async function sendScreenplay(req, res, format) {
+  try {
+    const deck = normalizeDeckPayload(req.body || {});
+    if (!deck.beats.length) {
+      return res.status(400).json({ error: "Deck has no beats to export" });
+    }
+
+    const { build, extension, contentType } = SCREENPLAY_EXPORTS[format];
+    const filename = `${safeFilename(deck.title || "aran-script", "aran-script")}.${extension}`;
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    return res.status(200).send(build(deck));
+  } catch (err) {
+    console.error(`export ${format} error:`, err);
+    return res.status(500).json({ error: "Screenplay export failed" });
+  }
+}
+
+export default async function exportFountain(req, res) {
+  return sendScreenplay(req, res, "fountain");
+}
+
+export async function exportFdx(req, res) {
+  return sendScreenplay(req, res, "fdx");
+}
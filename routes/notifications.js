@@ -0,0 +1,109 @@
+// routes/notifications.js
+// The signed-in user's notification feed (see utils/notifications.js).
+// Today this is client review on shared decks ("share.feedback").
+
+import express from "express";
+import {
+  NOTIFICATION_COLUMNS,
+  DEFAULT_NOTIFICATIONS_LIMIT,
+  MAX_NOTIFICATIONS_LIMIT,
+} from "../utils/notifications.js";
+import { requireUser, dbForReq } from "../utils/requestAuth.js";
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Max ids marked read in one request
+const MAX_READ_IDS = 500;
+
+// =============================================================================
+// GET /notifications - Newest first
+// Optional ?unread=true, ?limit= (default 50, max 200), ?before=<created_at>
+// to page back from the last item returned (nextBefore)
+// =============================================================================
+router.get("/", requireUser, async (req, res) => {
+  try {
+    const db = dbForReq(req);
+    const userId = req.user.id;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_NOTIFICATIONS_LIMIT, 1),
+      MAX_NOTIFICATIONS_LIMIT
+    );
+
+    if (req.query.before && Number.isNaN(new Date(req.query.before).getTime())) {
+      return res.status(400).json({ error: "before must be an ISO timestamp" });
+    }
+
+    let query = db
+      .from("deck_notifications")
+      .select(NOTIFICATION_COLUMNS)
+      .eq("user_id", userId);
+
+    if (req.query.unread === "true") query = query.is("read_at", null);
+    if (req.query.before) query = query.lt("created_at", new Date(req.query.before).toISOString());
+
+    const [{ data, error }, { count, error: countError }] = await Promise.all([
+      query.order("created_at", { ascending: false }).limit(limit + 1),
+      db
+        .from("deck_notifications")
+        .select("id", { count: "exact", head: true })
+        .eq("user_id", userId)
+        .is("read_at", null),
+    ]);
+
+    if (error) throw error;
+    if (countError) throw countError;
+
+    const rows = data || [];
+    const hasMore = rows.length > limit;
+    const notifications = rows.slice(0, limit);
+
+    return res.json({
+      ok: true,
+      notifications,
+      unreadCount: count ?? 0,
+      hasMore,
+      nextBefore: hasMore ? notifications[notifications.length - 1].created_at : null,
+    });
+  } catch (e) {
+    console.error("list notifications error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load notifications" });
+  }
+});
+
+// =============================================================================
+// POST /notifications/read - Mark notifications read
+// Body: { ids?: [uuid] } - without ids, everything unread is marked
+// =============================================================================
+router.post("/read", requireUser, async (req, res) => {
+  try {
+    const ids = req.body?.ids;
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || !ids.every((id) => typeof id === "string" && UUID_PATTERN.test(id))) {
+        return res.status(400).json({ error: "ids must be an array of notification ids" });
+      }
+      if (ids.length > MAX_READ_IDS) {
+        return res.status(400).json({ error: `At most ${MAX_READ_IDS} ids at once` });
+      }
+    }
+
+    let query = dbForReq(req)
+      .from("deck_notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("user_id", req.user.id)
+      .is("read_at", null);
+
+    if (ids) query = query.in("id", ids);
+
+    const { data, error } = await query.select("id");
+    if (error) throw error;
+
+    return res.json({ ok: true, updated: (data || []).length });
+  } catch (e) {
+    console.error("mark notifications read error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't update notifications" });
+  }
+});
+
+export default router;
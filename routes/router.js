@@ -23,15 +23,19 @@ import generateVisualsForBeat from "./visualsForBeat.js";
 import exportProject from "./export.js";
 import exportPdf from "./exportPdf.js";
 import exportImage from "./exportImage.js";
+import exportFountain, { exportFdx } from "./exportScreenplay.js";
 import exportOptions from "./exportOptions.js";
 import exportDeckPdf from "./exportDeckPdf.js";
 import exportDeckPngs, { exportSingleDeckPng } from "./exportDeckPngs.js";
-import sharedDeck from "./sharedDeck.js";
+import sharedDeck, { shareFeedback } from "./sharedDeck.js";
+import { oembed } from "./sharePreview.js";
 import dailySpark from "./dailySpark.js";
 import analyzeDna from "./analyzeDna.js";
 import analyzeEmotions from "./analyzeEmotions.js";
 
 import decksRouter from "./decks.js";
+import templatesRouter from "./templates.js";
+import notificationsRouter from "./notifications.js";
 
 import createCheckoutSession from "./createCheckoutSession.js";
 import billingPortal from "./billingPortal.js";
@@ -49,6 +53,8 @@ router.post("/auth/signup", authSignup);
 
 // ✅ Decks (SAVE/LOAD/DELETE)
 router.use("/decks", decksRouter);
+router.use("/templates", templatesRouter);
+router.use("/notifications", notificationsRouter);
 
 // Billing
 router.post("/create-checkout-session", createCheckoutSession);
@@ -66,7 +72,11 @@ router.get("/export/options", exportOptions);
 router.post("/export", exportProject);
 router.post("/export/pdf", exportPdf);
 router.post("/export/image", exportImage);
+router.post("/export/fountain", exportFountain);
+router.post("/export/fdx", exportFdx);
 router.get("/share/:code", sharedDeck);
+router.post("/share/:code/feedback", shareFeedback);
+router.get("/oembed", oembed);
 
 // Deck Builder Exports (PNG images -> PDF/ZIP)
 router.post("/export/deck-pdf", exportDeckPdf);
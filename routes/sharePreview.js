@@ -0,0 +1,130 @@
+// routes/sharePreview.js
+// Link previews for share URLs (see utils/sharePreview.js):
+//   GET /share/:code        - HTML with Open Graph tags, then on to the app
+//   GET /api/oembed?url=    - oEmbed JSON for a share URL
+// Both use the same lookup as GET /api/share/:code. Previews aren't counted
+// as views in share analytics.
+
+import { normalizeDeckPayload } from "../utils/deckFormatter.js";
+import { upgradeDeckContent } from "../utils/deckSchema.js";
+import { isShareExpired, shareVisibility, applyShareVisibility } from "../utils/shareSettings.js";
+import { effectiveShareSettings } from "../utils/shareLinks.js";
+import {
+  shareCodeFromUrl,
+  describeSharePreview,
+  renderSharePreviewHtml,
+  buildOEmbed,
+} from "../utils/sharePreview.js";
+import { findSharedDeck } from "./sharedDeck.js";
+
+// Unfurlers cache; keep it short so a rotated or unshared link drops out soon
+const PREVIEW_CACHE_CONTROL = "public, max-age=300";
+
+const UNAVAILABLE_PREVIEW = {
+  title: "Deck not available",
+  description: "This share link has expired or is no longer shared.",
+  image: null,
+  shareUrl: null,
+};
+
+// The API's public base URL. Only PUBLIC_API_URL is trusted for this: the page
+// is cached publicly, so X-Forwarded-Host / -Proto must never end up in it.
+function publicApiOrigin() {
+  try {
+    const url = new URL(process.env.PUBLIC_API_URL || "");
+    return /^https?:$/.test(url.protocol) ? `${url.origin}${url.pathname}`.replace(/\/$/, "") : null;
+  } catch {
+    return null;
+  }
+}
+
+// Where GET /api/oembed lives; null (no discovery link) without PUBLIC_API_URL
+function oembedUrlFor(shareUrl) {
+  const base = publicApiOrigin();
+  return base ? `${base}/api/oembed?url=${encodeURIComponent(shareUrl)}&format=json` : null;
+}
+
+// When SHARE_BASE_URL points at this page itself, redirecting would loop.
+// Host is part of every cache key, unlike X-Forwarded-Host, so it's safe here.
+function isThisPage(req, shareUrl) {
+  try {
+    const target = new URL(shareUrl);
+    const origin = publicApiOrigin();
+    const hosts = [origin && new URL(origin).host, req.get("host")].filter(Boolean);
+    return hosts.includes(target.host) && target.pathname.replace(/\/$/, "") === req.path.replace(/\/$/, "");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Shared deck for a preview
+ * @returns {Promise<{ preview?: Object, status?: number }>} status 404 / 410
+ *   when there's nothing to show
+ */
+async function loadPreview(code) {
+  const data = await findSharedDeck(code);
+  if (!data) return { status: 404 };
+  const settings = effectiveShareSettings(data);
+  if (isShareExpired({ shareSettings: settings })) return { status: 410 };
+
+  const upgraded = upgradeDeckContent(data.content || {}).content;
+  const visibility = shareVisibility({ shareSettings: settings });
+  const publicDeck = applyShareVisibility(normalizeDeckPayload(upgraded), visibility);
+  // The row's thumbnail is a beat visual or storyboard, so it's only used when
+  // both are public; otherwise og:image comes from what the link still shows
+  const rowThumbnail = visibility.visuals && visibility.storyboards ? data.thumbnail_url : null;
+  const deck = {
+    ...publicDeck,
+    thumbnail_url: rowThumbnail || publicDeck.thumbnail_url || null,
+    title: data.title || upgraded.title,
+    shareCode: code,
+  };
+  const passwordProtected = !!settings.passwordHash;
+
+  return { preview: describeSharePreview(deck, { passwordProtected }) };
+}
+
+export async function sharePreviewPage(req, res) {
+  try {
+    const { preview, status } = await loadPreview(req.params.code);
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    if (!preview) {
+      return res.status(status).send(renderSharePreviewHtml(UNAVAILABLE_PREVIEW, { redirect: false }));
+    }
+
+    res.setHeader("Cache-Control", PREVIEW_CACHE_CONTROL);
+    return res.send(
+      renderSharePreviewHtml(preview, {
+        oembedUrl: preview.shareUrl ? oembedUrlFor(preview.shareUrl) : null,
+        redirect: !!preview.shareUrl && !isThisPage(req, preview.shareUrl),
+      })
+    );
+  } catch (e) {
+    console.error("share preview error:", e);
+    return res.status(500).send(renderSharePreviewHtml(UNAVAILABLE_PREVIEW, { redirect: false }));
+  }
+}
+
+export async function oembed(req, res) {
+  try {
+    const format = String(req.query.format || "json").toLowerCase();
+    if (format !== "json") return res.status(501).json({ error: "Only format=json is supported" });
+
+    const code = shareCodeFromUrl(req.query.url);
+    if (!code) return res.status(404).json({ error: "Not a share URL" });
+
+    // Expired links are a 404 too: oEmbed has no "gone"
+    const { preview } = await loadPreview(code);
+    if (!preview) return res.status(404).json({ error: "Deck not found or not shared" });
+
+    res.setHeader("Cache-Control", PREVIEW_CACHE_CONTROL);
+    return res.json(buildOEmbed(preview));
+  } catch (e) {
+    console.error("oembed error:", e);
+    return res.status(500).json({ error: e?.message || "Unable to build oEmbed" });
+  }
+}
+
+export default sharePreviewPage;
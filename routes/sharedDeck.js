@@ -1,9 +1,45 @@
 // routes/sharedDeck.js
 // Public endpoint to retrieve a shared deck by share code.
+// Codes resolve through share_links (utils/shareLinks.js); a deck can have
+// several links, each with its own expiry, password and visibility.
+// Expired links return 410; password-protected ones need the password in an
+// X-Share-Password header (401 without it or when it's wrong).
+// Sections the link doesn't make public (visibility: prompt, critique, ...)
+// are stripped here, server-side.
+// Optional ?sections= and ?beats= narrow the deck; every view is recorded for
+// GET /api/decks/:id/share/analytics (utils/shareAnalytics.js).
+// POST /api/share/:code/feedback takes client review without an account
+// (utils/shareFeedback.js); it passes the same expiry and password checks and
+// is throttled per client IP and per code (429 with Retry-After).
 
 import { createClient } from "@supabase/supabase-js";
 import { normalizeDeckPayload } from "../utils/deckFormatter.js";
+import { upgradeDeckContent } from "../utils/deckSchema.js";
 import { buildShareUrl } from "../utils/shareLink.js";
+import {
+  isShareExpired,
+  verifySharePassword,
+  shareVisibility,
+  applyShareVisibility,
+} from "../utils/shareSettings.js";
+import {
+  parseShareViewRequest,
+  applyShareViewRequest,
+  recordShareView,
+  viewerFingerprint,
+} from "../utils/shareAnalytics.js";
+import {
+  FEEDBACK_COLUMNS,
+  MAX_FEEDBACK_ROWS_PER_DAY,
+  takeFeedbackSlot,
+  countRecentFeedback,
+  parseShareFeedbackInput,
+  buildFeedbackRows,
+  feedbackNotificationData,
+} from "../utils/shareFeedback.js";
+import { createNotification } from "../utils/notifications.js";
+import { findLinkedDeck, effectiveShareSettings, linkAllowsFeedback } from "../utils/shareLinks.js";
+import { writeUpgradedContent } from "../utils/deckRows.js";
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
@@ -18,36 +54,114 @@ const supabasePublic = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY || S
   auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
 });
 
+const SHARED_DECK_COLUMNS = "id,user_id,title,content,created_at,updated_at,export_pdf_url,prompt,thumbnail_url";
+
+/**
+ * Live deck for a share code, with the share_links row it came through.
+ * Revoked links, unshared decks and trashed decks don't resolve; expiry and
+ * password are left to the caller. Also used by the link previews (routes/sharePreview.js).
+ *
+ * Before migration 018 there is no share_links table: the deck's own code is
+ * found by scanning decks.content (link is then null).
+ *
+ * @param {string} code - Share code
+ * @returns {Promise<Object|null>} { id, user_id, title, content, created_at,
+ *   updated_at, export_pdf_url, prompt, thumbnail_url, link }
+ */
+export async function findSharedDeck(code) {
+  if (!code) return null;
+
+  const { deck, link, missingTable } = await findLinkedDeck(supabasePublic, code, SHARED_DECK_COLUMNS);
+  if (!missingTable) return deck ? { ...deck, link } : null;
+
+  const { data, error } = await supabasePublic
+    .from("decks")
+    .select(SHARED_DECK_COLUMNS)
+    .eq("content->>shareCode", code)
+    .eq("content->>shared", "true")
+    .is("deleted_at", null)
+    .single();
+
+  return error || !data ? null : { ...data, link: null };
+}
+
+/**
+ * Expiry and password checks for the link a shared deck was found through
+ * @param {Object} settings - From effectiveShareSettings
+ * @returns {Promise<{ status: number, body: Object }|null>} null when the
+ *   request may see the deck
+ */
+async function shareAccessDenial(req, settings) {
+  if (isShareExpired({ shareSettings: settings })) {
+    return {
+      status: 410,
+      body: { error: "This share link has expired", code: "SHARE_EXPIRED", expiredAt: settings.expiresAt },
+    };
+  }
+
+  if (settings.passwordHash) {
+    const password = req.get("x-share-password");
+    if (!password) {
+      return { status: 401, body: { error: "This deck needs a password", code: "SHARE_PASSWORD_REQUIRED" } };
+    }
+    if (!(await verifySharePassword(password, settings.passwordHash))) {
+      return { status: 401, body: { error: "Wrong password", code: "SHARE_PASSWORD_INVALID" } };
+    }
+  }
+
+  return null;
+}
+
 export default async function sharedDeck(req, res) {
   try {
     const code = req.params.code;
     if (!code) return res.status(400).json({ error: "Missing share code" });
 
-    const { data, error } = await supabasePublic
-      .from("decks")
-      .select("id,title,content,created_at,export_pdf_url,prompt")
-      .eq("content->>shareCode", code)
-      .eq("content->>shared", "true")
-      .single();
+    const { value: viewRequest, error: requestError } = parseShareViewRequest(req.query);
+    if (requestError) return res.status(400).json({ error: requestError });
+
+    const data = await findSharedDeck(code);
+    if (!data) return res.status(404).json({ error: "Deck not found or not shared" });
 
-    if (error || !data) return res.status(404).json({ error: "Deck not found or not shared" });
+    const settings = effectiveShareSettings(data);
+    const denial = await shareAccessDenial(req, settings);
+    if (denial) return res.status(denial.status).json(denial.body);
 
-    const normalized = normalizeDeckPayload(data.content || {});
-    const shareUrl = buildShareUrl(normalized.shareCode);
+    const upgraded = upgradeDeckContent(data.content || {}).content;
+    // Every link shows its own code, never the deck's other links
+    const normalized = { ...normalizeDeckPayload(upgraded), schemaVersion: upgraded.schemaVersion, shareCode: code };
+    const shareUrl = buildShareUrl(code);
 
     // Determine story_type - NEVER allow undefined
     // Priority: normalized.contentType > derive from tool > 'general'
     const storyType = normalized.contentType || (normalized.tool === "shot_list" ? "shot_list" : normalized.tool === "canvas" ? "canvas" : "general");
 
+    const publicDeck = applyShareVisibility(
+      {
+        ...normalized,
+        prompt: data.prompt || normalized.prompt,
+        export_pdf_url: data.export_pdf_url || null,
+      },
+      shareVisibility({ shareSettings: settings })
+    );
+    const served = applyShareViewRequest(publicDeck, viewRequest);
+
+    // Not awaited: analytics never slow down or fail the shared deck
+    recordShareView(supabasePublic, {
+      req,
+      deckId: data.id,
+      shareCode: code,
+      sections: served.sections,
+      beats: served.beats,
+    });
+
     return res.json({
       ok: true,
       deck: {
-        ...normalized,
+        ...served.deck,
         id: data.id,
         title: data.title || normalized.title,
-        prompt: data.prompt || normalized.prompt,
         story_type: storyType, // REQUIRED - never undefined
-        export_pdf_url: data.export_pdf_url || null,
       },
       shareUrl,
     });
@@ -56,3 +170,87 @@ export default async function sharedDeck(req, res) {
     return res.status(500).json({ error: e?.message || "Unable to load shared deck" });
   }
 }
+
+/**
+ * POST /api/share/:code/feedback - Review a shared deck without an account
+ * Body: { name?, email?, comment?, beats?: [{ beat: uid | index, status?: "approved" | "needs_changes", comment? }] }
+ * The deck owner gets one notification per submission.
+ * 429 when the client IP or the code is over its window, or the deck has taken
+ * MAX_FEEDBACK_ROWS_PER_DAY rows in the last 24 hours.
+ */
+export async function shareFeedback(req, res) {
+  try {
+    const slot = takeFeedbackSlot({ ip: req.ip || req.socket?.remoteAddress || "", code: req.params.code });
+    if (!slot.ok) {
+      res.setHeader("Retry-After", String(slot.retryAfter));
+      return res.status(429).json({
+        error: "Too much feedback; try again later",
+        code: "SHARE_FEEDBACK_THROTTLED",
+        retryAfter: slot.retryAfter,
+      });
+    }
+
+    const data = await findSharedDeck(req.params.code);
+    if (!data) return res.status(404).json({ error: "Deck not found or not shared" });
+
+    const denial = await shareAccessDenial(req, effectiveShareSettings(data));
+    if (denial) return res.status(denial.status).json(denial.body);
+    if (!linkAllowsFeedback(data.link)) {
+      return res.status(403).json({ error: "This link doesn't take feedback", code: "SHARE_FEEDBACK_DISABLED" });
+    }
+
+    const { content: upgraded, upgraded: isOutdated } = upgradeDeckContent(data.content || {});
+    const beats = Array.isArray(upgraded.beats) ? upgraded.beats : [];
+
+    // Feedback anchors on beat uids; decks stored before beats had them get
+    // theirs persisted first, or every read would hand out new ones
+    if (isOutdated && !(await writeUpgradedContent(supabasePublic, data, upgraded))) {
+      return res.status(409).json({ error: "The deck just changed; please try again" });
+    }
+
+    const { value, error: inputError } = parseShareFeedbackInput(req.body || {}, beats);
+    if (inputError) return res.status(400).json({ error: inputError });
+
+    const rows = buildFeedbackRows({
+      deckId: data.id,
+      shareCode: req.params.code,
+      reviewer: value.reviewer,
+      reviewerHash: viewerFingerprint(req, data.id),
+      entries: value.entries,
+    });
+
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    if ((await countRecentFeedback(supabasePublic, data.id, since)) + rows.length > MAX_FEEDBACK_ROWS_PER_DAY) {
+      return res.status(429).json({
+        error: "This deck has taken all the feedback it can for today",
+        code: "SHARE_FEEDBACK_LIMIT",
+      });
+    }
+
+    const { data: feedback, error } = await supabasePublic
+      .from("deck_share_feedback")
+      .insert(rows)
+      .select(FEEDBACK_COLUMNS);
+    if (error) throw error;
+
+    await createNotification(supabasePublic, {
+      userId: data.user_id,
+      deckId: data.id,
+      type: "share.feedback",
+      data: feedbackNotificationData({
+        deckTitle: data.title || upgraded.title,
+        reviewer: value.reviewer,
+        entries: value.entries,
+      }),
+    });
+
+    // The reviewer's fingerprint stays server-side
+    return res.status(201).json({
+      ok: true,
+      feedback: (feedback || []).map(({ reviewer_hash, ...row }) => row),
+    });
+  } catch (e) {
+    console.error("share feedback error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't save feedback" });
+  }
+}
@@ -20,7 +20,7 @@ import {
   generateTitle,
   validateInput,
 } from "../services/storyIntelligence/index.js";
-import { regenerateSingleBeat } from "../services/storyIntelligence/beatGenerator.js";
+import { regenerateSingleBeat, isLockedBeat } from "../services/storyIntelligence/beatGenerator.js";
 import { critiqueBeats } from "../services/storyIntelligence/critic.js";
 
 /**
@@ -91,6 +91,8 @@ function validateGenerationOutput(out) {
  *   risk?: string - safe|interesting|bold|unusual|experimental
  *   style?: string - Style hints
  *   ending?: string - resolved|twist|open|bittersweet|no_ending_button
+ *   beats?: Beat[] - Current beats; beats with `locked: true` are kept verbatim
+ *                    in place and only the others are generated
  * }
  * 
  * Response:
@@ -134,6 +136,7 @@ export async function storyIntelligenceGenerate(req, res) {
       risk,
       style,
       ending,
+      beats,
     } = validation.params;
 
     // Generate story intelligence
@@ -147,6 +150,7 @@ export async function storyIntelligenceGenerate(req, res) {
       risk,
       style,
       ending,
+      beats,
     });
 
     if (!result.success) {
@@ -241,7 +245,8 @@ export async function storyIntelligenceGenerate(req, res) {
  *   storyType?: string,
  *   selectedConcept: { id, name, tagline, oneLiner, profilePatch? } (required),
  *   currentProfile?: Object,
- *   controls?: { risk?, creativityLevel? }
+ *   controls?: { risk?, creativityLevel? },
+ *   beats?: Beat[] - Current beats; locked beats survive the new concept
  * }
  * 
  * Response MUST include:
@@ -295,6 +300,7 @@ export async function storyIntelligenceApplyConcept(req, res) {
       selectedConcept: body.selectedConcept,
       currentProfile: body.currentProfile || null,
       controls: body.controls || {},
+      beats: Array.isArray(body.beats) ? body.beats : [],
     });
 
     if (!result.success) {
@@ -379,6 +385,8 @@ export async function storyIntelligenceApplyConcept(req, res) {
  *   beatContext?: { instructions? },
  *   controls?: { temperature?, creativityLevel? }
  * }
+ *
+ * Locked beats are not regenerated (409 BEAT_LOCKED).
  */
 export async function storyIntelligenceRegenerateBeat(req, res) {
   try {
@@ -405,6 +413,17 @@ export async function storyIntelligenceRegenerateBeat(req, res) {
       });
     }
 
+    const listedBeat = Array.isArray(body.allBeats)
+      ? body.allBeats.find((b) => b?.id === body.beatId || b?.id === Number(body.beatId))
+      : null;
+    if (isLockedBeat(body.currentBeat) || isLockedBeat(listedBeat)) {
+      return res.status(409).json({
+        success: false,
+        error: "Beat is locked. Unlock it before regenerating.",
+        code: "BEAT_LOCKED",
+      });
+    }
+
     const updatedBeat = await regenerateSingleBeat({
       beatId: body.beatId,
       currentBeat: body.currentBeat || null,
@@ -489,12 +508,14 @@ export async function storyIntelligenceHealth(req, res) {
         risk: "safe|interesting|bold|unusual|experimental",
         style: "string",
         ending: "resolved|twist|open|bittersweet|no_ending_button",
+        beats: "Beat[] (beats with locked: true are kept)",
       },
       applyConcept: {
         prompt: "string (required)",
         selectedConcept: "{ id, name, tagline, oneLiner, profilePatch? } (required)",
         currentProfile: "StoryProfile object",
         controls: "{ risk?, creativityLevel? }",
+        beats: "Beat[] (beats with locked: true are kept)",
       },
       regenerateBeat: {
         beatId: "number|string (required)",
@@ -0,0 +1,186 @@
+// routes/templates.js
+// Deck template gallery: built-in templates plus the user's own (saved with
+// POST /api/decks/:id/save-as-template), and creating decks from them.
+
+import express from "express";
+import { randomUUID } from "crypto";
+import { normalizeDeckPayload, ensureBeatUids } from "../utils/deckFormatter.js";
+import {
+  TEMPLATE_COLUMNS,
+  BUILT_IN_TEMPLATES,
+  isBuiltInTemplateId,
+  findBuiltInTemplate,
+  instantiateTemplateContent,
+  summarizeTemplate,
+} from "../utils/deckTemplates.js";
+import { requireUser, dbForReq } from "../utils/requestAuth.js";
+import { validateTool, insertNewDeck, decorateShareMeta, setDeckEtag } from "../utils/deckRows.js";
+
+const router = express.Router();
+
+// Max personal templates returned by the gallery
+const PERSONAL_TEMPLATES_LIMIT = 200;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * The user's templates, newest first. Never fails the gallery (before
+ * migration 015 there are none).
+ */
+async function listPersonalTemplates(db, userId, toolFilter) {
+  try {
+    let query = db
+      .from("deck_templates")
+      .select(TEMPLATE_COLUMNS)
+      .eq("user_id", userId);
+
+    if (toolFilter) query = query.eq("tool", toolFilter);
+
+    const { data, error } = await query
+      .order("created_at", { ascending: false })
+      .limit(PERSONAL_TEMPLATES_LIMIT);
+
+    if (error) throw error;
+    return data || [];
+  } catch (e) {
+    console.warn("personal templates lookup failed:", e?.message);
+    return [];
+  }
+}
+
+/**
+ * Built-in template by id, or one of the user's
+ * @returns {Promise<Object|null>}
+ */
+async function findTemplate(db, userId, templateId) {
+  if (isBuiltInTemplateId(templateId)) return findBuiltInTemplate(templateId);
+  if (!UUID_PATTERN.test(templateId || "")) return null;
+
+  const { data, error } = await db
+    .from("deck_templates")
+    .select(TEMPLATE_COLUMNS)
+    .eq("user_id", userId)
+    .eq("id", templateId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// =============================================================================
+// GET /templates - Template gallery (built-in first, then personal)
+// Optional ?tool= filter
+// =============================================================================
+router.get("/", requireUser, async (req, res) => {
+  try {
+    const db = dbForReq(req);
+    const toolFilter = req.query.tool ? validateTool(req.query.tool) : null;
+
+    const builtIn = BUILT_IN_TEMPLATES.filter((template) => !toolFilter || template.tool === toolFilter);
+    const personal = await listPersonalTemplates(db, req.user.id, toolFilter);
+
+    return res.json({
+      ok: true,
+      templates: [...builtIn, ...personal].map(summarizeTemplate),
+    });
+  } catch (e) {
+    console.error("list templates error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load templates" });
+  }
+});
+
+// =============================================================================
+// GET /templates/:id - One template, with its content
+// =============================================================================
+router.get("/:id", requireUser, async (req, res) => {
+  try {
+    const template = await findTemplate(dbForReq(req), req.user.id, req.params.id);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+
+    return res.json({ ok: true, template: { ...summarizeTemplate(template), content: template.content } });
+  } catch (e) {
+    console.error("get template error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't load template" });
+  }
+});
+
+// =============================================================================
+// DELETE /templates/:id - Delete one of the user's templates
+// =============================================================================
+router.delete("/:id", requireUser, async (req, res) => {
+  try {
+    if (isBuiltInTemplateId(req.params.id)) {
+      return res.status(403).json({ error: "Built-in templates can't be deleted" });
+    }
+    if (!UUID_PATTERN.test(req.params.id)) return res.status(404).json({ error: "Template not found" });
+
+    const { data, error } = await dbForReq(req)
+      .from("deck_templates")
+      .delete()
+      .eq("user_id", req.user.id)
+      .eq("id", req.params.id)
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Template not found" });
+
+    return res.json({ ok: true, deleted: true });
+  } catch (e) {
+    console.error("delete template error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't delete template" });
+  }
+});
+
+// =============================================================================
+// POST /templates/:id/instantiate - Create a deck from a template
+// Body: { variables?: { brand, product, ... }, title?, tool? }
+// Beats without starter copy become placeholders; {{variables}} without a
+// value stay in the text and are listed in missingVariables.
+// =============================================================================
+router.post("/:id/instantiate", requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const db = dbForReq(req);
+    const body = req.body || {};
+
+    const variables = body.variables ?? {};
+    if (typeof variables !== "object" || Array.isArray(variables) ||
+        Object.values(variables).some((value) => value !== null && typeof value === "object")) {
+      return res.status(400).json({ error: "variables must be an object of strings" });
+    }
+
+    const template = await findTemplate(db, userId, req.params.id);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+
+    const { content: filled, missingVariables } = instantiateTemplateContent(template, { variables });
+    const normalized = normalizeDeckPayload(filled);
+    const title = typeof body.title === "string" && body.title.trim() ? body.title.trim() : normalized.title;
+
+    const content = {
+      ...normalized,
+      id: randomUUID(),
+      title: title || template.name,
+      tool: validateTool(body.tool || template.tool || normalized.tool),
+      beats: ensureBeatUids(normalized.beats),
+      shareCode: randomUUID(),
+      shared: false,
+      templateId: template.id,
+    };
+
+    const data = await insertNewDeck(db, userId, content, "template");
+
+    setDeckEtag(res, data);
+    return res.status(201).json({
+      ok: true,
+      deck: decorateShareMeta(data),
+      template: { id: template.id, name: template.name },
+      missingVariables,
+    });
+  } catch (e) {
+    console.error("instantiate template error:", e);
+    return res.status(500).json({ error: e?.message || "Couldn't create deck from template" });
+  }
+});
+
+export default router;
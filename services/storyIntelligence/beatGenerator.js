@@ -141,16 +141,45 @@ function getBeatNames(structure, count) {
   return names;
 }
 
+/**
+ * Whether a beat was approved and must survive regeneration untouched
+ */
+export function isLockedBeat(beat) {
+  return !!beat && typeof beat === "object" && beat.locked === true;
+}
+
+/**
+ * Describe locked beats for the prompt (they are fixed context, not output)
+ */
+function describeLockedBeats(existingBeats) {
+  return existingBeats
+    .map((beat, index) => {
+      if (!isLockedBeat(beat)) return null;
+      const text = beat.beatText || beat.text || "";
+      return `Beat ${index + 1} - "${beat.name || beat.title || `Beat ${index + 1}`}": ${text}`;
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
 /**
  * Generate story beats based on the story profile
+ *
+ * When existingBeats contains locked beats, the story keeps its current
+ * length: locked beats are returned verbatim at their positions and only
+ * the unlocked positions are generated, with the locked beats given to the
+ * model as fixed context.
+ *
  * @param {Object} profile - The story profile
  * @param {string} prompt - Original user prompt
  * @param {string} brand - Brand name (optional)
  * @param {string} conceptNorthStar - Optional concept to use as a hard constraint
+ * @param {Array} existingBeats - Current beats; those with `locked: true` are kept (optional)
  * @returns {Promise<Array>} - Array of beat objects
  */
-export async function generateBeats({ profile, prompt, brand, conceptNorthStar }) {
+export async function generateBeats({ profile, prompt, brand, conceptNorthStar, existingBeats = [] }) {
   const isDev = process.env.NODE_ENV !== "production";
+  const layout = Array.isArray(existingBeats) && existingBeats.some(isLockedBeat) ? existingBeats : null;
   
   if (isDev) {
     console.log("[DEV] generateBeats called with:", {
@@ -159,18 +188,34 @@ export async function generateBeats({ profile, prompt, brand, conceptNorthStar }
       durationSec: profile?.constraints?.durationSec,
       conceptNorthStar: conceptNorthStar || "(none)",
       promptLength: prompt?.length,
+      lockedBeats: layout ? layout.filter(isLockedBeat).length : 0,
     });
   }
 
-  const beatCount = calculateBeatCount(
-    profile.constraints.durationSec,
-    profile.format,
-    profile.structure
-  );
+  const beatCount = layout
+    ? layout.length
+    : calculateBeatCount(profile.constraints.durationSec, profile.format, profile.structure);
+
+  // Positions the model writes (all of them unless some beats are locked)
+  const openSlots = [];
+  for (let i = 0; i < beatCount; i++) {
+    if (!layout || !isLockedBeat(layout[i])) openSlots.push(i);
+  }
+
+  if (!openSlots.length) {
+    return layout.map((beat) => ({ ...beat }));
+  }
 
   const beatNames = getBeatNames(profile.structure, beatCount);
+  const openNames = openSlots.map((i) => beatNames[i]);
   const formatGuidance = FORMAT_GUIDANCE[profile.format] || FORMAT_GUIDANCE.commercial;
 
+  const lockedConstraint = layout
+    ? `\n\nLOCKED BEATS (APPROVED - FIXED CONTEXT, DO NOT REWRITE OR RETURN THEM):
+${describeLockedBeats(layout)}
+The story has ${beatCount} beats in total. Write ONLY beats ${openSlots.map((i) => i + 1).join(", ")}, using those numbers as ids, so they flow into and out of the locked beats around them.`
+    : "";
+
   // Build concept constraint section if provided
   const conceptConstraint = conceptNorthStar 
     ? `\n\nCONCEPT NORTH STAR (HARD CONSTRAINT - MUST PERMEATE ALL BEATS):
@@ -190,7 +235,7 @@ CRITICAL REQUIREMENTS:
 7. Ending type: ${profile.ending}
 
 FORMAT GUIDANCE: ${formatGuidance}
-${conceptConstraint}
+${conceptConstraint}${lockedConstraint}
 
 CREATIVE HOOKS TO INCORPORATE:
 ${profile.creativeHooks.map((h, i) => `${i + 1}. ${h}`).join("\n")}
@@ -201,7 +246,7 @@ ${profile.referenceVibes.join(", ")}
 MUST INCLUDE: ${JSON.stringify(profile.constraints.mustInclude)}
 MUST AVOID: ${JSON.stringify(profile.constraints.mustAvoid.slice(0, 10))}
 
-Beat names should be: ${beatNames.join(", ")}
+Beat names should be: ${openNames.join(", ")}
 
 Respond with ONLY valid JSON in this format:
 {
@@ -219,7 +264,7 @@ Respond with ONLY valid JSON in this format:
   ]
 }`;
 
-  const userPrompt = `Generate ${beatCount} story beats for:
+  const userPrompt = `Generate ${openSlots.length} story beats for:
 
 STORY PROMPT: ${prompt}
 ${brand ? `BRAND: ${brand}` : ""}
@@ -257,7 +302,7 @@ Remember: Beat names should be varied and story-type aware, NOT generic "Beat 1"
   }
 
   // Validate and normalize beats
-  const beats = parsed.beats.map((beat, index) => ({
+  const normalize = (beat, index) => ({
     id: beat.id || index + 1,
     name: beat.name || beatNames[index] || `Beat ${index + 1}`,
     intent: beat.intent || "",
@@ -266,10 +311,32 @@ Remember: Beat names should be varied and story-type aware, NOT generic "Beat 1"
     audioNotes: beat.audioNotes || null,
     onScreenText: beat.onScreenText || null,
     brandIntegration: beat.brandIntegration || null,
-  }));
+  });
+
+  let beats;
+  if (layout) {
+    // The model sometimes echoes the whole story; take only the open positions then
+    const written = parsed.beats.length >= beatCount
+      ? openSlots.map((i) => parsed.beats[i])
+      : parsed.beats.slice(0, openSlots.length);
+
+    if (written.length < openSlots.length) {
+      if (isDev) {
+        console.error("[DEV] Generated too few beats around locked beats:", written.length, "of", openSlots.length);
+      }
+      throw new Error("Generated too few beats");
+    }
+
+    let next = 0;
+    beats = layout.map((beat, index) =>
+      isLockedBeat(beat) ? beat : { ...normalize(written[next++] || {}, index), id: index + 1 }
+    );
+  } else {
+    beats = parsed.beats.map(normalize);
+  }
 
   // Ensure we have at least 3 beats
-  if (beats.length < 3) {
+  if (!layout && beats.length < 3) {
     if (isDev) {
       console.error("[DEV] Generated too few beats:", beats.length);
     }
@@ -286,8 +353,9 @@ Remember: Beat names should be varied and story-type aware, NOT generic "Beat 1"
 
 /**
  * Regenerate beats with modified profile (used in critique loop)
+ * Locked beats in existingBeats are kept (see generateBeats).
  */
-export async function regenerateBeats({ profile, prompt, brand, critiqueNotes = [] }) {
+export async function regenerateBeats({ profile, prompt, brand, critiqueNotes = [], existingBeats = [] }) {
   const systemPrompt = `You are regenerating story beats because the previous version was flagged as too generic or cliché.
 
 CRITIQUE NOTES TO ADDRESS:
@@ -315,6 +383,7 @@ Follow all other profile requirements strictly.`;
     profile: modifiedProfile,
     prompt: `${prompt}\n\nIMPORTANT: Avoid generic approaches. ${critiqueNotes.join(". ")}`,
     brand,
+    existingBeats,
   });
 }
 
@@ -424,4 +493,4 @@ Create a fresh version of this beat that:
   return updatedBeat;
 }
 
-export default { generateBeats, regenerateBeats, regenerateSingleBeat };
+export default { generateBeats, regenerateBeats, regenerateSingleBeat, isLockedBeat };
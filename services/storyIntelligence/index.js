@@ -13,7 +13,7 @@
  */
 
 import { generateProfile, regenerateProfileElements } from "./profile.js";
-import { generateBeats, regenerateBeats, regenerateSingleBeat } from "./beatGenerator.js";
+import { generateBeats, regenerateBeats, regenerateSingleBeat, isLockedBeat } from "./beatGenerator.js";
 import {
   critiqueBeats,
   getRegenerationStrategy,
@@ -121,12 +121,14 @@ export async function generateStoryIntelligence({
   risk = "interesting",
   style,
   ending,
+  beats: existingBeats = [],
 }) {
   const startTime = Date.now();
   const metadata = {
     regenerationAttempts: 0,
     profileRegenerations: 0,
     beatRegenerations: 0,
+    lockedBeats: existingBeats.filter(isLockedBeat).length,
     totalDurationMs: 0,
     model: "gpt-4o",
   };
@@ -166,6 +168,7 @@ export async function generateStoryIntelligence({
       profile: storyProfile,
       prompt,
       brand,
+      existingBeats,
     });
 
     // CRITICAL: Validate beats were generated
@@ -208,11 +211,12 @@ export async function generateStoryIntelligence({
         });
         metadata.profileRegenerations++;
 
-        // Regenerate beats with new profile
+        // Regenerate beats with new profile (locked beats stay in place)
         beats = await generateBeats({
           profile: storyProfile,
           prompt,
           brand,
+          existingBeats: beats,
         });
         metadata.beatRegenerations++;
       } else {
@@ -222,6 +226,7 @@ export async function generateStoryIntelligence({
           prompt,
           brand,
           critiqueNotes: [...critique.fixes, ...strategy.notes],
+          existingBeats: beats,
         });
         metadata.beatRegenerations++;
       }
@@ -368,6 +373,7 @@ export function validateInput(params) {
       risk,
       style: params.style || null,
       ending,
+      beats: Array.isArray(params.beats) ? params.beats : [],
     },
   };
 }
@@ -413,12 +419,14 @@ export async function applyConceptAndRegenerate({
   selectedConcept,
   currentProfile,
   controls = {},
+  beats: existingBeats = [],
 }) {
   const startTime = Date.now();
   const metadata = {
     appliedConcept: selectedConcept?.id || null,
     appliedConceptName: selectedConcept?.name || null,
     appliedConceptOneLiner: selectedConcept?.oneLiner || null,
+    lockedBeats: existingBeats.filter(isLockedBeat).length,
     regenerationAttempts: 0,
     totalDurationMs: 0,
     model: "gpt-4o",
@@ -475,6 +483,7 @@ export async function applyConceptAndRegenerate({
     // ============================================
     // STEP 2: REGENERATE BEATS with concept as hard constraint
     // This is the CRITICAL step - beats MUST reflect the selected concept
+    // (locked beats are kept verbatim; only the others are rewritten)
     // ============================================
     if (isDev()) {
       console.log("[DEV] Regenerating beats with concept constraint...");
@@ -485,6 +494,7 @@ export async function applyConceptAndRegenerate({
       prompt,
       brand,
       conceptNorthStar: selectedConcept?.oneLiner || null, // Pass concept directly to beat generator
+      existingBeats,
     });
 
     // CRITICAL: Validate beats were generated
@@ -566,7 +576,7 @@ export async function applyConceptAndRegenerate({
 
 // Export all submodules for direct access if needed
 export { generateProfile, regenerateProfileElements } from "./profile.js";
-export { generateBeats, regenerateBeats, regenerateSingleBeat } from "./beatGenerator.js";
+export { generateBeats, regenerateBeats, regenerateSingleBeat, isLockedBeat } from "./beatGenerator.js";
 export {
   critiqueBeats,
   shouldRegenerate,
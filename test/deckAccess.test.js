@@ -0,0 +1,57 @@
+// test/deckAccess.test.js
+/**
+ * Tests for utils/deckAccess.js
+ *
+ * Run with: node --test test/deckAccess.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveDeckAccess, listSharedDeckRoles } from "../utils/deckAccess.js";
+import { createFakeDb } from "./helpers/fakeSupabase.js";
+
+const DECK_ID = "deck-1";
+
+function setup(collaborators) {
+  return createFakeDb({
+    decks: [{ id: DECK_ID, user_id: "owner", deleted_at: null }],
+    deck_collaborators: collaborators.map((row, i) => ({
+      id: `collab-${i}`,
+      deck_id: DECK_ID,
+      user_id: null,
+      accepted_at: null,
+      role: "editor",
+      ...row,
+    })),
+  });
+}
+
+const confirmed = { id: "user-b", email: "B@Example.com", email_confirmed_at: "2026-01-01T00:00:00Z" };
+const unconfirmed = { id: "user-x", email: "b@example.com", email_confirmed_at: null };
+
+test("a confirmed email accepts its pending invite on first access", async () => {
+  const db = setup([{ email: "b@example.com" }]);
+
+  const access = await resolveDeckAccess(db, confirmed, DECK_ID);
+
+  assert.deepEqual(access, { role: "editor", ownerId: "owner", collaboratorId: "collab-0" });
+  assert.equal(db.tables.deck_collaborators[0].user_id, "user-b");
+  assert.ok(db.tables.deck_collaborators[0].accepted_at);
+});
+
+test("an unconfirmed email neither sees nor accepts the invite", async () => {
+  const db = setup([{ email: "b@example.com" }]);
+
+  assert.equal(await resolveDeckAccess(db, unconfirmed, DECK_ID), null);
+  assert.equal((await listSharedDeckRoles(db, unconfirmed)).size, 0);
+  assert.equal(db.tables.deck_collaborators[0].user_id, null, "the invite stays pending");
+});
+
+test("an accepted invite belongs to the account that took it, not to its email", async () => {
+  const db = setup([{ email: "b@example.com", user_id: "user-b", accepted_at: "2026-01-01T00:00:00Z" }]);
+  // Someone else now holds (and has confirmed) the address
+  const newHolder = { ...confirmed, id: "user-c" };
+
+  assert.equal(await resolveDeckAccess(db, newHolder, DECK_ID), null);
+  assert.equal((await resolveDeckAccess(db, { id: "user-b", email: "changed@example.com" }, DECK_ID)).role, "editor");
+});
@@ -0,0 +1,91 @@
+// test/deckListCursor.test.js
+/**
+ * Tests for utils/deckListCursor.js
+ *
+ * Run with: node --test test/deckListCursor.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  deckSortKey,
+  encodeListCursor,
+  decodeListCursor,
+  parseListPaging,
+  paginateDeckRows,
+} from "../utils/deckListCursor.js";
+
+const rows = [
+  { id: "d1", title: "Beta", updated_at: "2026-01-03T00:00:00Z", beats_count: 3 },
+  { id: "d2", title: "alpha", updated_at: "2026-01-01T00:00:00Z", beats_count: 12 },
+  { id: "d3", title: "Gamma", updated_at: "2026-01-03T00:00:00Z", beats_count: 0 },
+  { id: "d4", title: "delta", updated_at: "2026-01-02T00:00:00Z", beats_count: 7 },
+  { id: "d5", title: "Epsilon", updated_at: null, created_at: "2025-12-31T00:00:00Z", beats_count: 1 },
+];
+
+function readAll(sourceRows, { sort, order, limit }) {
+  const ids = [];
+  let cursor = null;
+  for (let page = 0; page < 10; page++) {
+    const result = paginateDeckRows(sourceRows, { sort, order, cursor, limit });
+    ids.push(...result.rows.map((row) => row.id));
+    if (!result.hasMore) return { ids, lastCursor: result.nextCursor };
+    cursor = decodeListCursor(result.nextCursor);
+  }
+  throw new Error("paging did not finish");
+}
+
+test("cursors round-trip and malformed ones decode to null", () => {
+  const cursor = { sort: "title", order: "asc", key: "beta", id: "d1" };
+
+  assert.deepEqual(decodeListCursor(encodeListCursor(cursor)), cursor);
+  assert.equal(decodeListCursor("not-a-cursor"), null);
+  assert.equal(decodeListCursor(""), null);
+  assert.equal(decodeListCursor(encodeListCursor({ ...cursor, sort: "size" })), null);
+  assert.equal(decodeListCursor(encodeListCursor({ ...cursor, id: "" })), null);
+});
+
+test("sort keys compare as strings in the intended order", () => {
+  assert.equal(deckSortKey(rows[1], "title"), "alpha");
+  assert.equal(deckSortKey(rows[1], "beats_count"), "0000000012");
+  assert.ok(deckSortKey(rows[0], "beats_count") < deckSortKey(rows[1], "beats_count"));
+  assert.equal(deckSortKey(rows[4], "updated_at"), "2025-12-31T00:00:00.000Z", "falls back to created_at");
+});
+
+test("paging with cursors visits every deck once, ties broken by id", () => {
+  assert.deepEqual(readAll(rows, { sort: "updated_at", order: "desc", limit: 2 }), {
+    ids: ["d3", "d1", "d4", "d2", "d5"],
+    lastCursor: null,
+  });
+  assert.deepEqual(readAll(rows, { sort: "title", order: "asc", limit: 3 }).ids, ["d2", "d1", "d4", "d5", "d3"]);
+  assert.deepEqual(readAll(rows, { sort: "beats_count", order: "desc", limit: 1 }).ids, ["d2", "d4", "d1", "d5", "d3"]);
+});
+
+test("a deck saved while paging moves to the front instead of repeating or skipping", () => {
+  const first = paginateDeckRows(rows, { sort: "updated_at", order: "desc", cursor: null, limit: 2 });
+  assert.deepEqual(first.rows.map((row) => row.id), ["d3", "d1"]);
+
+  // d2 was on a later page; now it's the newest
+  const saved = rows.map((row) => (row.id === "d2" ? { ...row, updated_at: "2026-02-01T00:00:00Z" } : row));
+  const rest = paginateDeckRows(saved, {
+    sort: "updated_at",
+    order: "desc",
+    cursor: decodeListCursor(first.nextCursor),
+    limit: 10,
+  });
+
+  assert.deepEqual(rest.rows.map((row) => row.id), ["d4", "d5"]);
+  assert.equal(rest.hasMore, false);
+});
+
+test("parseListPaging defaults per sort and rejects cursors for another sort", () => {
+  assert.deepEqual(parseListPaging({}), { sort: "updated_at", order: "desc", cursor: null });
+  assert.deepEqual(parseListPaging({ sort: "TITLE" }), { sort: "title", order: "asc", cursor: null });
+
+  const cursor = encodeListCursor({ sort: "title", order: "asc", key: "beta", id: "d1" });
+  assert.deepEqual(parseListPaging({ cursor }).cursor, { sort: "title", order: "asc", key: "beta", id: "d1" });
+  assert.match(parseListPaging({ cursor, sort: "updated_at" }).error, /different sort/);
+  assert.match(parseListPaging({ cursor: "garbage" }).error, /Invalid cursor/);
+  assert.match(parseListPaging({ sort: "size" }).error, /Invalid sort/);
+  assert.match(parseListPaging({ order: "sideways" }).error, /Invalid order/);
+});
@@ -0,0 +1,74 @@
+// test/deckOperations.test.js
+/**
+ * Tests for utils/deckOperations.js (undo/redo operations)
+ *
+ * Run with: node --test test/deckOperations.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffBeatOperations, invertOperations, applyOperations } from "../utils/deckOperations.js";
+
+const beat = (uid, beatText) => ({ uid, title: uid.toUpperCase(), beatText });
+
+const before = [beat("a", "one"), beat("b", "two"), beat("c", "three")];
+const after = [beat("c", "three"), beat("a", "ONE"), beat("d", "four")];
+
+test("diffBeatOperations describes deletes, field updates, inserts and reorders", () => {
+  const ops = diffBeatOperations(before, after);
+
+  assert.deepEqual(ops, [
+    { type: "delete", uid: "b", index: 1, beat: before[1] },
+    { type: "update-field", uid: "a", field: "beatText", from: "one", to: "ONE" },
+    { type: "insert", uid: "d", index: 2, beat: after[2] },
+    { type: "reorder", from: ["a", "c"], to: ["c", "a"] },
+  ]);
+  assert.deepEqual(diffBeatOperations(before, before), []);
+});
+
+test("applying the operations redoes the write, applying their inverse undoes it", () => {
+  const ops = diffBeatOperations(before, after);
+
+  const redone = applyOperations(before, ops);
+  assert.deepEqual(redone, { beats: after, conflicts: [] });
+
+  const undone = applyOperations(after, invertOperations(ops));
+  assert.deepEqual(undone, { beats: before, conflicts: [] });
+});
+
+test("invertOperations swaps inserts with deletes and from with to", () => {
+  const inverted = invertOperations([
+    { type: "insert", uid: "x", index: 0, beat: beat("x", "new") },
+    { type: "update-field", uid: "a", field: "title", from: "A", to: "Alpha" },
+    { type: "reorder", from: ["a", "b"], to: ["b", "a"] },
+  ]);
+
+  assert.deepEqual(inverted.map((op) => op.type), ["delete", "update-field", "reorder"]);
+  assert.deepEqual([inverted[1].from, inverted[1].to], ["Alpha", "A"]);
+  assert.deepEqual(inverted[2].to, ["a", "b"]);
+  assert.deepEqual(invertOperations(invertOperations(inverted)), inverted);
+});
+
+test("undo is refused when a later edit touched the same beats", () => {
+  const ops = diffBeatOperations(before, after);
+  // Someone else edits beat a and removes beat d after the write
+  const edited = [beat("c", "three"), beat("a", "ONE!")];
+
+  const result = applyOperations(edited, invertOperations(ops));
+
+  assert.equal(result.beats, null);
+  assert.deepEqual(
+    result.conflicts.map(({ uid, reason }) => [uid, reason]),
+    [["a", "changed"], ["d", "missing"]]
+  );
+});
+
+test("undoing an insert fails if the beat changed, redoing it fails if the uid is taken", () => {
+  const insert = diffBeatOperations([beat("a", "one")], [beat("a", "one"), beat("b", "two")]);
+
+  const changed = applyOperations([beat("a", "one"), beat("b", "edited")], invertOperations(insert));
+  assert.deepEqual(changed.conflicts, [{ type: "delete", uid: "b", reason: "changed" }]);
+
+  const taken = applyOperations([beat("a", "one"), beat("b", "two")], insert);
+  assert.deepEqual(taken.conflicts, [{ type: "insert", uid: "b", reason: "exists" }]);
+});
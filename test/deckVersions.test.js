@@ -0,0 +1,117 @@
+// test/deckVersions.test.js
+/**
+ * Tests for utils/deckVersions.js
+ *
+ * Run with: node --test test/deckVersions.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { recordDeckVersion, diffDeckContent, proposeDeckMerge } from "../utils/deckVersions.js";
+import { createFakeDb } from "./helpers/fakeSupabase.js";
+
+const deck = { id: "deck-1", user_id: "user-1", title: "Pitch", content: { title: "Pitch", beats: [] } };
+
+// UNIQUE (deck_id, version), as in migrations/006_deck_versions.sql
+function uniqueVersions(table, rows, existing) {
+  const taken = rows.some((row) => existing.some((other) => other.deck_id === row.deck_id && other.version === row.version));
+  return taken ? { code: "23505", message: "duplicate key value violates unique constraint" } : null;
+}
+
+test("recordDeckVersion numbers snapshots per deck", async () => {
+  const db = createFakeDb({}, { beforeInsert: uniqueVersions });
+
+  const first = await recordDeckVersion(db, deck, { userId: "user-1", source: "save" });
+  const second = await recordDeckVersion(db, deck, { userId: "user-1", source: "beats.add" });
+
+  assert.equal(first.version, 1);
+  assert.equal(second.version, 2);
+  assert.deepEqual(db.tables.deck_versions.map((row) => row.source), ["save", "beats.add"]);
+});
+
+test("recordDeckVersion retries when a concurrent write takes the same number", async () => {
+  let raced = false;
+  const db = createFakeDb({}, {
+    beforeInsert: (table, rows, existing) => {
+      // Another writer lands version 1 between our read and our insert
+      if (!raced) {
+        raced = true;
+        existing.push({ id: "other", deck_id: deck.id, version: 1, source: "save" });
+      }
+      return uniqueVersions(table, rows, existing);
+    },
+  });
+
+  const version = await recordDeckVersion(db, deck, { userId: "user-1", source: "beats.update" });
+
+  assert.equal(version?.version, 2, "the snapshot is kept under the next free number");
+  assert.equal(db.tables.deck_versions.length, 2);
+});
+
+const beat = (uid, beatText) => ({ uid, title: uid.toUpperCase(), beatText });
+
+test("diffDeckContent reports moved, modified, added and removed beats by uid", () => {
+  const before = { title: "Pitch", beats: [beat("a", "one"), beat("b", "two"), beat("c", "three")] };
+  const after = { title: "Pitch 2", beats: [beat("c", "three"), beat("a", "ONE"), beat("d", "four")] };
+
+  const diff = diffDeckContent(before, after);
+
+  assert.equal(diff.changed, true);
+  assert.deepEqual(diff.fields, { title: { from: "Pitch", to: "Pitch 2" } });
+  assert.deepEqual(
+    diff.beats.map(({ uid, change, index, movedFrom }) => ({ uid, change, index, movedFrom })),
+    [
+      { uid: "b", change: "removed", index: 1, movedFrom: undefined },
+      { uid: "c", change: "moved", index: 0, movedFrom: 2 },
+      { uid: "a", change: "modified", index: 1, movedFrom: undefined },
+      { uid: "d", change: "added", index: 2, movedFrom: undefined },
+    ]
+  );
+  assert.deepEqual(diff.beats[2].fields, { beatText: { from: "one", to: "ONE" } });
+});
+
+test("diffDeckContent falls back to indices when beats have no uids", () => {
+  const diff = diffDeckContent({ beats: ["x", "y"] }, { beats: ["x", "z", "w"] });
+
+  assert.deepEqual(diff.beats.map(({ index, change }) => [index, change]), [[1, "modified"], [2, "added"]]);
+  assert.equal(diffDeckContent({ beats: ["x"] }, { beats: ["x"] }).changed, false);
+});
+
+test("proposeDeckMerge keeps both sides' edits and flags beats both sides changed", () => {
+  const base = { title: "Pitch", beats: [beat("a", "one"), beat("b", "two"), beat("c", "three")] };
+  const mine = {
+    title: "Pitch",
+    tagline: "mine",
+    beats: [beat("a", "one"), beat("n", "new"), beat("b", "mine two"), beat("c", "mine three")],
+  };
+  const theirs = { title: "Server", beats: [beat("c", "server three"), beat("a", "one"), beat("b", "two")] };
+
+  const merge = proposeDeckMerge({ base, mine, theirs });
+
+  assert.equal(merge.strategy, "three-way");
+  assert.equal(merge.conflicts, 1);
+  assert.equal(merge.content.title, "Server", "server-only field edits are kept");
+  assert.equal(merge.content.tagline, "mine", "client-only field edits are applied");
+  // Server order wins; the client's new beat follows the beat before it in the client's copy
+  assert.deepEqual(
+    merge.content.beats.map((b) => [b.uid, b.beatText]),
+    [["c", "server three"], ["a", "one"], ["n", "new"], ["b", "mine two"]]
+  );
+  assert.deepEqual(
+    merge.beats.map(({ uid, resolution }) => [uid, resolution]),
+    [["c", "conflict"], ["b", "client"], ["n", "client"]]
+  );
+  assert.equal(merge.beats[0].client.beatText, "mine three");
+});
+
+test("proposeDeckMerge without a base only merges identical values", () => {
+  const mine = { title: "Mine", beats: [beat("a", "one"), beat("b", "mine")] };
+  const theirs = { title: "Server", beats: [beat("a", "one"), beat("b", "server")] };
+
+  const merge = proposeDeckMerge({ base: null, mine, theirs });
+
+  assert.equal(merge.strategy, "two-way");
+  assert.equal(merge.conflicts, 2);
+  assert.deepEqual(merge.content, theirs, "conflicts keep the server copy");
+  assert.equal(merge.beats.some((entry) => "base" in entry), false);
+});
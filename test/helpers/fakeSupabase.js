@@ -0,0 +1,229 @@
+// test/helpers/fakeSupabase.js
+/**
+ * In-memory stand-in for the part of the supabase-js query builder the utils
+ * use (from / select / insert / update / eq / is / in / or / order / limit /
+ * single / maybeSingle, plus rpc), so database helpers can be tested without a
+ * server. or() understands eq and is.null terms, and and(...) groups.
+ *
+ *   const db = createFakeDb({ share_links: [...] });
+ *   await syncPrimaryShareLink(db, { ... });
+ *   db.tables.share_links // rows after the call
+ *
+ * Pass missingTables to answer like a database without those migrations.
+ *
+ * db.storage is a matching stand-in for supabase.storage (list / remove /
+ * copy / upload / getPublicUrl) over the storage option:
+ * { bucketName: [objectPaths] }.
+ */
+
+import { randomUUID } from "crypto";
+
+// Split a PostgREST filter list on the commas outside parentheses
+function splitTerms(expression) {
+  const terms = [];
+  let depth = 0;
+  let current = "";
+  for (const char of expression) {
+    if (char === "," && depth === 0) {
+      terms.push(current);
+      current = "";
+      continue;
+    }
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    current += char;
+  }
+  return [...terms, current];
+}
+
+function termFilter(term) {
+  if (term.startsWith("and(")) {
+    const parts = splitTerms(term.slice(4, -1)).map(termFilter);
+    return (row) => parts.every((part) => part(row));
+  }
+  const [column, operator, ...rest] = term.split(".");
+  const value = rest.join(".");
+  if (operator === "is" && value === "null") return (row) => row[column] == null;
+  if (operator === "eq") return (row) => row[column] != null && String(row[column]) === value;
+  throw new Error(`fakeSupabase: unsupported or() term ${term}`);
+}
+
+function orFilter(expression) {
+  const terms = splitTerms(expression).map(termFilter);
+  return (row) => terms.some((term) => term(row));
+}
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.op = "select";
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.mode = null;
+  }
+
+  select() {
+    return this;
+  }
+
+  insert(payload) {
+    this.op = "insert";
+    this.payload = payload;
+    return this;
+  }
+
+  update(payload) {
+    this.op = "update";
+    this.payload = payload;
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push((row) => row[column] === value);
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push((row) => (value === null ? row[column] == null : row[column] === value));
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push((row) => values.includes(row[column]));
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push(orFilter(expression));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push([column, ascending ? 1 : -1]);
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.mode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = "maybe";
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+
+  run() {
+    if (this.db.missingTables.has(this.table)) {
+      return { data: null, error: { code: "42P01", message: `relation "public.${this.table}" does not exist` } };
+    }
+
+    const rows = this.db.tables[this.table] || (this.db.tables[this.table] = []);
+    let result;
+
+    if (this.op === "insert") {
+      const now = new Date().toISOString();
+      const inserted = (Array.isArray(this.payload) ? this.payload : [this.payload])
+        .map((row) => ({ id: randomUUID(), created_at: now, ...row }));
+      const failure = this.db.beforeInsert?.(this.table, inserted, rows);
+      if (failure) return { data: null, error: failure };
+      rows.push(...inserted);
+      result = inserted;
+    } else {
+      result = rows.filter((row) => this.filters.every((filter) => filter(row)));
+      if (this.op === "update") result.forEach((row) => Object.assign(row, this.payload));
+    }
+
+    result = result.map((row) => ({ ...row }));
+    for (const [column, direction] of this.orders.slice().reverse()) {
+      result.sort((a, b) => (a[column] === b[column] ? 0 : a[column] < b[column] ? -direction : direction));
+    }
+    if (this.limitCount !== null) result = result.slice(0, this.limitCount);
+
+    if (!this.mode) return { data: result, error: null };
+    if (result.length === 1) return { data: result[0], error: null };
+    if (result.length === 0 && this.mode === "maybe") return { data: null, error: null };
+    return { data: null, error: { code: "PGRST116", message: "JSON object requested, multiple (or no) rows returned" } };
+  }
+}
+
+class FakeBucket {
+  constructor(name, objects) {
+    this.name = name;
+    this.objects = objects;
+  }
+
+  async copy(from, to) {
+    if (!this.objects.includes(from)) return { data: null, error: { message: "Object not found" } };
+    this.objects.push(to);
+    return { data: { path: to }, error: null };
+  }
+
+  async upload(path) {
+    this.objects.push(path);
+    return { data: { path }, error: null };
+  }
+
+  getPublicUrl(path) {
+    return { data: { publicUrl: `https://storage.test/storage/v1/object/public/${this.name}/${path}` } };
+  }
+
+  // One level of a folder: files, plus folders as entries without an id
+  async list(prefix = "", { limit = 100, offset = 0 } = {}) {
+    const base = prefix ? `${prefix}/` : "";
+    const entries = new Map();
+    for (const path of this.objects) {
+      if (!path.startsWith(base)) continue;
+      const [name, ...rest] = path.slice(base.length).split("/");
+      if (!entries.has(name)) entries.set(name, rest.length ? { name, id: null } : { name, id: path });
+    }
+    return { data: [...entries.values()].slice(offset, offset + limit), error: null };
+  }
+
+  async remove(paths) {
+    const removed = paths.filter((path) => this.objects.includes(path));
+    this.objects.splice(0, this.objects.length, ...this.objects.filter((path) => !paths.includes(path)));
+    return { data: removed.map((name) => ({ name })), error: null };
+  }
+}
+
+/**
+ * @param {Object} [tables] - { tableName: [rows] }
+ * @param {Object} [options]
+ * @param {Array<string>} [options.missingTables] - Tables that "don't exist"
+ * @param {Object} [options.rpc] - { functionName: (args, db) => ({ data, error }) }
+ * @param {Function} [options.beforeInsert] - (table, rows, existing) => error|null
+ * @param {Object} [options.storage] - { bucketName: [objectPaths] }
+ */
+export function createFakeDb(tables = {}, { missingTables = [], rpc = {}, beforeInsert = null, storage = {} } = {}) {
+  const db = {
+    tables,
+    buckets: storage,
+    storage: {
+      from: (bucket) => new FakeBucket(bucket, (storage[bucket] ||= [])),
+    },
+    missingTables: new Set(missingTables),
+    beforeInsert,
+    from: (table) => new FakeQuery(db, table),
+    rpc: async (name, args) => {
+      if (!rpc[name]) {
+        return { data: null, error: { code: "PGRST202", message: `Could not find the function public.${name}` } };
+      }
+      return rpc[name](args, db);
+    },
+  };
+  return db;
+}
+
+export default { createFakeDb };
@@ -0,0 +1,148 @@
+// test/screenplay.test.js
+/**
+ * Tests for utils/screenplay.js
+ *
+ * Run with: node --test test/screenplay.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseFountain,
+  parseFdx,
+  parseScreenplay,
+  detectScreenplayFormat,
+  screenplayToBeats,
+  buildFountain,
+  buildFdx,
+} from "../utils/screenplay.js";
+
+const FOUNTAIN = `Title: The *Long* Night
+Author: Someone
+
+FADE IN:
+
+INT. DINER - NIGHT #12#
+
+= Mara meets the stranger.
+
+Rain hammers the window. A **neon** sign flickers.
+
+MARA (V.O.)
+(quietly)
+I knew he'd come.
+
+/* cut this */
+STRANGER
+Coffee. Black.
+
+CUT TO:
+
+EXT. PARKING LOT - CONTINUOUS
+
+!SHE RUNS.
+`;
+
+const SCENES = [
+  {
+    heading: "INT. DINER - NIGHT",
+    synopsis: "Mara meets the stranger.",
+    elements: [
+      { type: "action", text: "Rain hammers the window. A neon sign flickers." },
+      { type: "dialogue", character: "MARA", extension: "V.O.", parenthetical: "quietly", text: "I knew he'd come." },
+      { type: "dialogue", character: "STRANGER", extension: null, parenthetical: null, text: "Coffee. Black." },
+      { type: "transition", text: "CUT TO:" },
+    ],
+  },
+  {
+    heading: "EXT. PARKING LOT - CONTINUOUS",
+    synopsis: null,
+    elements: [{ type: "action", text: "SHE RUNS." }],
+  },
+];
+
+test("parseFountain reads headings, synopses, dialogue and transitions", () => {
+  const script = parseFountain(FOUNTAIN);
+
+  assert.equal(script.title, "The Long Night");
+  assert.deepEqual(script.scenes, SCENES, "FADE IN:, scene numbers, emphasis and boneyard are dropped");
+});
+
+test("parseFdx reads paragraphs, dialogue blocks and the title page", () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<FinalDraft DocumentType="Script" Version="5">
+  <Content>
+    <Paragraph Type="Scene Heading"><Text>int. diner - night</Text></Paragraph>
+    <Paragraph Type="Action"><Text>Rain &amp; </Text><Text>neon.</Text></Paragraph>
+    <Paragraph Type="Character"><Text>MARA (V.O.)</Text></Paragraph>
+    <Paragraph Type="Parenthetical"><Text>(quietly)</Text></Paragraph>
+    <Paragraph Type="Dialogue"><Text>I knew.</Text></Paragraph>
+    <Paragraph Type="Shot"><Text>CLOSE ON THE CUP</Text></Paragraph>
+  </Content>
+  <TitlePage><Content><Paragraph Type="Title"><Text>Night &#38; Day</Text></Paragraph></Content></TitlePage>
+</FinalDraft>`;
+
+  const script = parseFdx(xml);
+
+  assert.equal(script.title, "Night & Day");
+  assert.deepEqual(script.scenes, [
+    {
+      heading: "INT. DINER - NIGHT",
+      synopsis: null,
+      elements: [
+        { type: "action", text: "Rain & neon." },
+        { type: "dialogue", character: "MARA", extension: "V.O.", parenthetical: "quietly", text: "I knew." },
+        { type: "shot", text: "CLOSE ON THE CUP" },
+      ],
+    },
+  ]);
+  assert.throws(() => parseFdx("<FinalDraft></FinalDraft>"), /no <Content> section/);
+});
+
+test("Fountain export parses back to the same script", () => {
+  const beats = screenplayToBeats(parseFountain(FOUNTAIN));
+  const fountain = buildFountain({ title: "The Long Night", beats });
+
+  const script = parseScreenplay(fountain);
+
+  assert.equal(script.format, "fountain");
+  assert.equal(script.title, "The Long Night");
+  assert.deepEqual(script.scenes, SCENES);
+});
+
+test("FDX export parses back to the same scenes and dialogue", () => {
+  const beats = screenplayToBeats(parseFountain(FOUNTAIN));
+  const xml = buildFdx({ title: "The Long Night", beats });
+
+  const script = parseScreenplay(xml);
+
+  assert.equal(script.format, "fdx");
+  assert.equal(script.title, "The Long Night");
+  assert.deepEqual(script.scenes.map((scene) => scene.heading), SCENES.map((scene) => scene.heading));
+  // FDX has no synopsis paragraph, so the export writes it as action
+  assert.deepEqual(script.scenes[0].elements, [
+    { type: "action", text: "Mara meets the stranger." },
+    ...SCENES[0].elements,
+  ]);
+  assert.deepEqual(script.scenes[1].elements, SCENES[1].elements);
+});
+
+test("Fountain export escapes text that would otherwise change meaning", () => {
+  const beats = [
+    { name: "Math", beatText: "2 * 3 = _six_\n\nCUT TO:", cameraNotes: "" },
+  ];
+
+  const script = parseFountain(buildFountain({ title: "T", beats }));
+
+  assert.deepEqual(script.scenes[0].elements, [
+    { type: "action", text: "2 * 3 = _six_" },
+    { type: "action", text: "CUT TO:" },
+  ]);
+});
+
+test("detectScreenplayFormat prefers the hint, then the filename, then the content", () => {
+  assert.equal(detectScreenplayFormat("<FinalDraft>", { format: "fountain" }), "fountain");
+  assert.equal(detectScreenplayFormat("INT. ROOM", { filename: "draft.FDX" }), "fdx");
+  assert.equal(detectScreenplayFormat('<?xml version="1.0"?>\n<FinalDraft Version="5">'), "fdx");
+  assert.equal(detectScreenplayFormat("INT. ROOM - DAY"), "fountain");
+});
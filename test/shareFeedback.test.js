@@ -0,0 +1,69 @@
+// test/shareFeedback.test.js
+/**
+ * Tests for utils/shareFeedback.js
+ *
+ * Run with: node --test test/shareFeedback.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_FEEDBACK_PER_IP,
+  MAX_FEEDBACK_PER_CODE,
+  MAX_FEEDBACK_SUBMISSION_LENGTH,
+  FEEDBACK_WINDOW_MS,
+  takeFeedbackSlot,
+  parseShareFeedbackInput,
+  summarizeShareFeedback,
+} from "../utils/shareFeedback.js";
+
+const beats = [{ uid: "b1", title: "Open" }, { uid: "b2", title: "Close" }];
+
+test("takeFeedbackSlot throttles one client IP, then lets it back after the window", () => {
+  const now = Date.parse("2026-01-01T00:00:00.000Z");
+  for (let i = 0; i < MAX_FEEDBACK_PER_IP; i += 1) {
+    assert.equal(takeFeedbackSlot({ ip: "203.0.113.1", code: `code-${i}`, now }).ok, true);
+  }
+
+  const blocked = takeFeedbackSlot({ ip: "203.0.113.1", code: "code-new", now });
+  assert.equal(blocked.ok, false);
+  assert.equal(blocked.scope, "ip");
+  assert.equal(blocked.retryAfter, FEEDBACK_WINDOW_MS / 1000);
+
+  assert.equal(takeFeedbackSlot({ ip: "203.0.113.1", code: "code-new", now: now + FEEDBACK_WINDOW_MS }).ok, true);
+});
+
+test("takeFeedbackSlot throttles one share code across many IPs", () => {
+  const now = Date.parse("2026-01-02T00:00:00.000Z");
+  for (let i = 0; i < MAX_FEEDBACK_PER_CODE; i += 1) {
+    assert.equal(takeFeedbackSlot({ ip: `198.51.100.${i}`, code: "busy-code", now }).ok, true);
+  }
+
+  const blocked = takeFeedbackSlot({ ip: "198.51.100.250", code: "busy-code", now });
+  assert.equal(blocked.ok, false);
+  assert.equal(blocked.scope, "code");
+});
+
+test("parseShareFeedbackInput caps the comments in one submission", () => {
+  const manyBeats = Array.from({ length: 5 }, (_, index) => ({ uid: `b${index}` }));
+  const comment = "x".repeat(MAX_FEEDBACK_SUBMISSION_LENGTH / 5 + 1);
+  const body = { beats: manyBeats.map((beat) => ({ beat: beat.uid, comment })) };
+
+  assert.match(parseShareFeedbackInput(body, manyBeats).error, /in total/);
+  assert.ok(parseShareFeedbackInput({ beats: body.beats.slice(0, 4) }, manyBeats).value);
+});
+
+test("summarizeShareFeedback tells reviewers apart by fingerprint, not by typed email", () => {
+  const rows = [
+    { id: "1", beat_uid: "b1", status: "approved", reviewer_email: "ceo@brand.com", reviewer_hash: "h-ceo", created_at: "2026-01-01T00:00:00Z" },
+    // Someone else claims the same email
+    { id: "2", beat_uid: "b1", status: "needs_changes", reviewer_email: "ceo@brand.com", reviewer_hash: "h-other", created_at: "2026-01-01T00:01:00Z" },
+  ];
+
+  const summary = summarizeShareFeedback(rows, beats);
+
+  assert.equal(summary.reviewers, 2);
+  assert.equal(summary.beats[0].approved, 1, "the claimed email doesn't overwrite the first review");
+  assert.equal(summary.beats[0].needsChanges, 1);
+  assert.ok(summary.beats[0].reviews.every((review) => review.verified === false));
+});
@@ -0,0 +1,119 @@
+// test/shareLinks.test.js
+/**
+ * Tests for utils/shareLinks.js
+ *
+ * Run with: node --test test/shareLinks.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  syncPrimaryShareLink,
+  findShareLink,
+  findLinkedDeck,
+  buildShareLinkRow,
+} from "../utils/shareLinks.js";
+import { createFakeDb } from "./helpers/fakeSupabase.js";
+
+const DECK_ID = "deck-1";
+const OWNER_ID = "user-1";
+
+function linkRow(code, extra = {}) {
+  return {
+    id: `link-${code}`,
+    deck_id: DECK_ID,
+    code,
+    is_primary: false,
+    permissions: {},
+    revoked_at: null,
+    ...extra,
+  };
+}
+
+test("unsharing revokes the deck's extra links, so their codes stop resolving", async () => {
+  const db = createFakeDb({
+    share_links: [
+      linkRow("primary-code", { is_primary: true }),
+      linkRow("acme-code"),
+      linkRow("other-deck-code", { deck_id: "deck-2" }),
+    ],
+  });
+
+  assert.ok((await findShareLink(db, "acme-code")).link);
+
+  await syncPrimaryShareLink(db, {
+    deckId: DECK_ID,
+    userId: OWNER_ID,
+    content: { shareCode: "primary-code", shared: false },
+  });
+
+  // GET /api/share/:code answers 404 when no live link matches
+  assert.equal((await findShareLink(db, "primary-code")).link, null);
+  assert.equal((await findShareLink(db, "acme-code")).link, null);
+  assert.ok((await findShareLink(db, "other-deck-code")).link, "other decks' links are untouched");
+});
+
+test("sharing again brings back only the primary link", async () => {
+  const db = createFakeDb({
+    share_links: [
+      linkRow("primary-code", { is_primary: true, revoked_at: "2026-01-01T00:00:00.000Z" }),
+      linkRow("acme-code", { revoked_at: "2026-01-01T00:00:00.000Z" }),
+    ],
+  });
+
+  await syncPrimaryShareLink(db, {
+    deckId: DECK_ID,
+    userId: OWNER_ID,
+    content: { shareCode: "primary-code", shared: true },
+  });
+
+  assert.ok((await findShareLink(db, "primary-code")).link);
+  assert.equal((await findShareLink(db, "acme-code")).link, null);
+});
+
+test("a link added after unsharing doesn't resolve until the deck is shared again", async () => {
+  const deck = { id: DECK_ID, user_id: OWNER_ID, content: { shareCode: "primary-code", shared: false }, deleted_at: null };
+  const db = createFakeDb({ decks: [deck], share_links: [linkRow("primary-code", { is_primary: true })] });
+
+  await syncPrimaryShareLink(db, { deckId: DECK_ID, userId: OWNER_ID, content: deck.content });
+  // What POST /:id/share/links would have inserted before it checked content.shared
+  await db.from("share_links").insert(buildShareLinkRow({ deckId: DECK_ID, userId: OWNER_ID, label: "Late", feedback: true }));
+  const late = db.tables.share_links.find((link) => link.label === "Late");
+
+  assert.ok((await findShareLink(db, late.code)).link, "the row itself is live");
+  assert.deepEqual(await findLinkedDeck(db, late.code, "id,content"), { deck: null, link: null });
+
+  deck.content = { ...deck.content, shared: true };
+  const found = await findLinkedDeck(db, late.code, "id,content");
+  assert.equal(found.deck.id, DECK_ID);
+  assert.equal(found.link.id, late.id);
+});
+
+test("rotating retires the old primary code and keeps extra links live", async () => {
+  const db = createFakeDb({
+    share_links: [linkRow("old-code", { is_primary: true }), linkRow("acme-code")],
+  });
+
+  await syncPrimaryShareLink(db, {
+    deckId: DECK_ID,
+    userId: OWNER_ID,
+    content: { shareCode: "new-code", shared: true },
+    previousCode: "old-code",
+  });
+
+  assert.equal((await findShareLink(db, "old-code")).link, null);
+  assert.equal((await findShareLink(db, "new-code")).link.is_primary, true);
+  assert.ok((await findShareLink(db, "acme-code")).link);
+});
+
+test("before migration 018 syncing is a no-op and lookups report the missing table", async () => {
+  const db = createFakeDb({}, { missingTables: ["share_links"] });
+
+  await syncPrimaryShareLink(db, {
+    deckId: DECK_ID,
+    userId: OWNER_ID,
+    content: { shareCode: "primary-code", shared: false },
+  });
+
+  assert.deepEqual(await findShareLink(db, "primary-code"), { link: null, missingTable: true });
+});
@@ -0,0 +1,98 @@
+// test/shareSettings.test.js
+/**
+ * Tests for utils/shareSettings.js
+ *
+ * Run with: node --test test/shareSettings.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  hashSharePassword,
+  verifySharePassword,
+  parseShareSettingsInput,
+  isShareExpired,
+  describeShareSettings,
+  applyShareVisibility,
+  keepShareState,
+  withoutShareSecrets,
+} from "../utils/shareSettings.js";
+
+const now = new Date("2026-01-01T00:00:00.000Z");
+
+test("share passwords verify only against their own hash", async () => {
+  const hash = await hashSharePassword("open sesame");
+
+  assert.equal(await verifySharePassword("open sesame", hash), true);
+  assert.equal(await verifySharePassword("open sesam", hash), false);
+  assert.equal(await verifySharePassword("open sesame", "$scrypt$bad"), false);
+  assert.equal(await verifySharePassword(undefined, hash), false);
+});
+
+test("parseShareSettingsInput validates expiry, password and visibility", async () => {
+  const { value } = await parseShareSettingsInput(
+    { shared: 1, expiresAt: "2026-02-01T00:00:00Z", rotate: true, visibility: { prompt: true } },
+    now
+  );
+  assert.deepEqual(value, {
+    shared: true,
+    expiresAt: "2026-02-01T00:00:00.000Z",
+    rotate: true,
+    visibility: { prompt: true },
+  });
+
+  assert.match((await parseShareSettingsInput({ expiresAt: "2025-12-31T00:00:00Z" }, now)).error, /future/);
+  assert.match((await parseShareSettingsInput({ password: "abc" }, now)).error, /4-200 characters/);
+  assert.match((await parseShareSettingsInput({ visibility: { secrets: true } }, now)).error, /Unknown visibility/);
+  assert.match((await parseShareSettingsInput({ rotate: "yes" }, now)).error, /rotate must be true/);
+  assert.deepEqual((await parseShareSettingsInput({ password: "", expiresAt: null }, now)).value, {
+    passwordHash: null,
+    expiresAt: null,
+  });
+});
+
+test("describeShareSettings reports expiry and protection without the hash", () => {
+  const content = {
+    shared: true,
+    shareSettings: { expiresAt: "2025-12-01T00:00:00.000Z", passwordHash: "$scrypt$x", visibility: { visuals: false } },
+  };
+
+  const described = describeShareSettings(content, now);
+
+  assert.equal(isShareExpired(content, now), true);
+  assert.equal(described.expired, true);
+  assert.equal(described.passwordProtected, true);
+  assert.equal(described.visibility.visuals, false);
+  assert.equal(described.visibility.storyboards, true);
+  assert.equal(JSON.stringify(described).includes("scrypt"), false);
+  assert.equal(JSON.stringify(withoutShareSecrets(content)).includes("scrypt"), false);
+});
+
+test("applyShareVisibility strips hidden sections and rebuilds thumbnails from what's left", () => {
+  const deck = {
+    prompt: "secret prompt",
+    export_pdf_url: "https://cdn/deck.pdf",
+    visuals: [{ image: "https://cdn/v.png" }],
+    storyboards: [{ url: "https://cdn/s.png" }],
+    beats: [{ uid: "a", visual_url: "https://cdn/v.png", storyboard_url: "https://cdn/s.png", thumbnail_url: "https://cdn/v.png" }],
+  };
+
+  const stripped = applyShareVisibility(deck, { visuals: false });
+
+  assert.equal(stripped.prompt, null);
+  assert.equal(stripped.export_pdf_url, "https://cdn/deck.pdf");
+  assert.deepEqual(stripped.visuals, []);
+  assert.equal(stripped.beats[0].visual_url, null);
+  assert.equal(stripped.beats[0].thumbnail_url, "https://cdn/s.png");
+  assert.equal(stripped.thumbnail_url, "https://cdn/s.png");
+  assert.equal(deck.beats[0].visual_url, "https://cdn/v.png", "the input is not modified");
+});
+
+test("keepShareState keeps the stored code, flag and settings over the client's", () => {
+  const stored = { shareCode: "live", shared: true, shareSettings: { passwordHash: "$scrypt$x" } };
+
+  const kept = keepShareState({ title: "New", shareCode: "rotated-away", shared: false }, stored);
+
+  assert.deepEqual(kept, { title: "New", shareCode: "live", shared: true, shareSettings: stored.shareSettings });
+  assert.equal("shareSettings" in keepShareState({ shareSettings: { visibility: {} } }, { shared: false }), false);
+});
@@ -0,0 +1,79 @@
+// test/supabaseStorage.test.js
+/**
+ * Tests for utils/supabaseStorage.js
+ *
+ * Run with: node --test test/supabaseStorage.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeDb } from "./helpers/fakeSupabase.js";
+
+// Read when the module loads
+const SUPABASE_URL = "https://project.supabase.co";
+process.env.SUPABASE_URL = SUPABASE_URL;
+delete process.env.SUPABASE_STORAGE_BUCKET;
+const { deleteDeckStorage, copyDeckImage } = await import("../utils/supabaseStorage.js");
+
+test("deleteDeckStorage removes the deck's images and exports, nothing else", async () => {
+  const db = createFakeDb({}, {
+    storage: {
+      "deck-images": ["decks/d1/thumb.png", "decks/d1/beats/0/visual.png", "decks/d2/thumb.png"],
+      exports: ["u1/d1/deck.pdf", "u1/d2/deck.pdf", "u2/d9/theirs.pdf"],
+    },
+  });
+
+  const result = await deleteDeckStorage(
+    {
+      id: "d1",
+      user_id: "u1",
+      // Set by the client on save; must not steer the purge
+      export_pdf_url: "https://project.supabase.co/storage/v1/object/public/exports/u2/d9/theirs.pdf",
+    },
+    db
+  );
+
+  assert.deepEqual(result, { removed: 3, errors: [] });
+  assert.deepEqual(db.buckets["deck-images"], ["decks/d2/thumb.png"]);
+  assert.deepEqual(db.buckets.exports, ["u1/d2/deck.pdf", "u2/d9/theirs.pdf"]);
+});
+
+test("copyDeckImage copies this project's images into the images bucket", async () => {
+  const db = createFakeDb({}, { storage: { "deck-images": ["decks/d1/visual.png"], avatars: [] } });
+  const originalFetch = globalThis.fetch;
+  const fetched = [];
+  globalThis.fetch = async (url) => {
+    fetched.push(url);
+    return new Response(Buffer.from("png"), { headers: { "content-type": "image/png" } });
+  };
+
+  try {
+    const same = await copyDeckImage(`${SUPABASE_URL}/storage/v1/object/public/deck-images/decks/d1/visual.png`, "d2", "visual", 0, db);
+    const other = `${SUPABASE_URL}/storage/v1/object/public/avatars/u1/face.jpg`;
+    const cross = await copyDeckImage(other, "d2", "thumbnail", null, db);
+
+    assert.equal(same.copied, true);
+    assert.equal(cross.copied, true);
+    assert.deepEqual(fetched, [other], "other buckets are read through their public URL");
+    assert.deepEqual(db.buckets.avatars, [], "nothing is written to the source bucket");
+    assert.equal(db.buckets["deck-images"].length, 3);
+    assert.ok(db.buckets["deck-images"].slice(1).every((path) => path.startsWith("decks/d2/")));
+    assert.match(cross.url, /\/deck-images\/decks\/d2\/thumbnail_.*\.jpg$/);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
+
+test("copyDeckImage leaves URLs from other hosts alone", async () => {
+  const db = createFakeDb({}, { storage: { "deck-images": ["decks/d1/visual.png"] } });
+  const foreign = [
+    "https://attacker.supabase.co/storage/v1/object/public/deck-images/decks/d1/visual.png",
+    "https://cdn.example.com/storage/v1/object/public/exports/u2/d9/theirs.pdf",
+    "https://example.com/picture.png",
+  ];
+
+  for (const url of foreign) {
+    assert.deepEqual(await copyDeckImage(url, "d2", "visual", 0, db), { url, copied: false });
+  }
+  assert.deepEqual(db.buckets["deck-images"], ["decks/d1/visual.png"]);
+});
@@ -0,0 +1,240 @@
+// utils/beatEdits.js
+/**
+ * Beat split and merge
+ *
+ * Pure helpers behind POST /api/decks/:id/beats/:beatIndex/split and
+ * POST /api/decks/:id/beats/merge. The first beat of a split keeps the
+ * original uid (so its comments stay put) and its media; a merge keeps the
+ * first beat's uid and the first image of each kind across the range.
+ */
+
+import { randomUUID } from "crypto";
+import { generateJson } from "./openaiClient.js";
+
+export const MAX_SPLIT_PARTS = 4;
+
+// Free-text fields joined when beats merge, with their separators
+const MERGED_TEXT_FIELDS = [
+  ["intent", " "],
+  ["cameraNotes", "\n"],
+  ["audioNotes", "\n"],
+  ["onScreenText", "\n"],
+  ["brandIntegration", "\n"],
+];
+
+// Media fields: [snake_case, camelCase alias]
+const MEDIA_FIELDS = [
+  ["visual_url", "visualUrl"],
+  ["storyboard_url", "storyboardUrl"],
+  ["thumbnail_url", "thumbnailUrl"],
+];
+
+export function beatText(beat) {
+  if (typeof beat === "string") return beat;
+  return String(beat?.beatText || beat?.text || "");
+}
+
+function asBeatObject(beat) {
+  return typeof beat === "string" ? { text: beat, beatText: beat } : { ...(beat || {}) };
+}
+
+function continuationLabel(value) {
+  if (!value || /^Beat \d+$/.test(value)) return value || null;
+  return `${value} (cont.)`;
+}
+
+// A beat after the first part of a split: new uid, no media
+function continuationBeat(source, fields) {
+  const beat = {
+    ...source,
+    uid: randomUUID(),
+    title: continuationLabel(source.title),
+    name: continuationLabel(source.name),
+    cameraNotes: null,
+    audioNotes: null,
+    onScreenText: null,
+    ...fields,
+  };
+  for (const [snake, camel] of MEDIA_FIELDS) {
+    beat[snake] = null;
+    beat[camel] = null;
+  }
+  return beat;
+}
+
+/**
+ * Split a beat's text at a character offset
+ *
+ * Whitespace around the cut is trimmed. The first beat keeps everything
+ * (uid, media, notes); the second gets the remaining text.
+ *
+ * @param {Object|string} beat - Beat to split
+ * @param {number} offset - Character offset into beatText
+ * @returns {Array<Object>} The two beats
+ * @throws {Error} with status 400 when either side would be empty
+ */
+export function splitBeatAtOffset(beat, offset) {
+  const text = beatText(beat);
+  const head = text.slice(0, offset).trim();
+  const tail = text.slice(offset).trim();
+
+  if (!Number.isInteger(offset) || offset <= 0 || offset >= text.length || !head || !tail) {
+    const err = new Error(`offset must fall inside the beat text (1-${Math.max(text.length - 1, 1)}) with text on both sides`);
+    err.status = 400;
+    throw err;
+  }
+
+  const source = asBeatObject(beat);
+  return [
+    { ...source, text: head, beatText: head },
+    continuationBeat(source, { text: tail, beatText: tail }),
+  ];
+}
+
+/**
+ * Apply LLM-proposed parts to a beat (see suggestBeatSplit)
+ * @param {Object|string} beat - Beat being split
+ * @param {Array<Object>} parts - [{ name, intent, beatText, cameraNotes, audioNotes, onScreenText }]
+ * @returns {Array<Object>} The new beats
+ */
+export function splitBeatIntoParts(beat, parts) {
+  const source = asBeatObject(beat);
+  return parts.map((part, index) => {
+    const fields = {
+      text: part.beatText,
+      beatText: part.beatText,
+      ...(part.name && { name: part.name }),
+      ...(part.intent && { intent: part.intent }),
+      ...(part.cameraNotes && { cameraNotes: part.cameraNotes }),
+      ...(part.audioNotes && { audioNotes: part.audioNotes }),
+      ...(part.onScreenText && { onScreenText: part.onScreenText }),
+    };
+    return index === 0 ? { ...source, ...fields } : continuationBeat(source, fields);
+  });
+}
+
+function joinDistinct(values, separator) {
+  const seen = new Set();
+  const out = [];
+  for (const value of values) {
+    const text = typeof value === "string" ? value.trim() : "";
+    if (text && !seen.has(text)) {
+      seen.add(text);
+      out.push(text);
+    }
+  }
+  return out.length ? out.join(separator) : null;
+}
+
+/**
+ * Merge a run of beats into one
+ *
+ * Text is joined with blank lines and notes with newlines. The merged beat
+ * keeps the first beat's uid and name, and the first visual and first
+ * storyboard found in the range; media that no longer has a beat is
+ * reported in `droppedMedia` (left in storage so versions can restore it).
+ *
+ * @param {Array<Object|string>} beats - Beats to merge, in order
+ * @returns {{ beat: Object, droppedMedia: string[] }}
+ */
+export function mergeBeats(beats) {
+  const sources = beats.map(asBeatObject);
+  const [first] = sources;
+  const text = sources.map(beatText).map((t) => t.trim()).filter(Boolean).join("\n\n");
+
+  const merged = {
+    ...first,
+    name: sources.map((b) => b.name).find(Boolean) || first.name || null,
+    text,
+    beatText: text,
+  };
+  for (const [field, separator] of MERGED_TEXT_FIELDS) {
+    merged[field] = joinDistinct(sources.map((b) => b[field]), separator);
+  }
+
+  const kept = new Set();
+  for (const [snake, camel] of MEDIA_FIELDS.slice(0, 2)) {
+    const url = sources.map((b) => b[snake] || b[camel]).find(Boolean) || null;
+    merged[snake] = url;
+    merged[camel] = url;
+    if (url) kept.add(url);
+  }
+  const thumbnail = merged.visual_url || merged.storyboard_url || first.thumbnail_url || first.thumbnailUrl || null;
+  merged.thumbnail_url = thumbnail;
+  merged.thumbnailUrl = thumbnail;
+  if (thumbnail) kept.add(thumbnail);
+
+  const droppedMedia = [
+    ...new Set(
+      sources
+        .flatMap((b) => MEDIA_FIELDS.flatMap(([snake, camel]) => [b[snake], b[camel]]))
+        .filter((url) => typeof url === "string" && url && !kept.has(url))
+    ),
+  ];
+
+  return { beat: merged, droppedMedia };
+}
+
+/**
+ * Ask the model where a beat naturally breaks
+ *
+ * @param {Object|string} beat - Beat to split
+ * @param {Object} [options]
+ * @param {number} [options.parts=2] - Number of beats to produce (2-4)
+ * @param {Object} [options.context] - { title, previousBeat, nextBeat } for continuity
+ * @returns {Promise<Array<Object>>} Parts: { name, intent, beatText, cameraNotes, audioNotes, onScreenText }
+ * @throws {Error} with status 502 when the response is unusable
+ */
+export async function suggestBeatSplit(beat, { parts = 2, context = {} } = {}) {
+  const source = asBeatObject(beat);
+  const neighbour = (b) => (b ? `${b.name || b.title || ""}: ${beatText(b)}`.slice(0, 400) : "none");
+
+  const system = `You are a story editor. Split one story beat into ${parts} consecutive, self-contained beats.
+Keep the original wording wherever possible: every sentence of the original must land in exactly one part, in order.
+Return JSON: { "beats": [ { "name": "short beat name", "intent": "what this beat does", "beatText": "the text", "cameraNotes": "optional", "audioNotes": "optional", "onScreenText": "optional" } ] }`;
+
+  const user = `Story: ${context.title || "Untitled"}
+Previous beat: ${neighbour(context.previousBeat)}
+Next beat: ${neighbour(context.nextBeat)}
+
+Beat to split:
+Name: ${source.name || source.title || ""}
+Intent: ${source.intent || ""}
+Text: ${beatText(source)}
+Camera notes: ${source.cameraNotes || ""}
+Audio notes: ${source.audioNotes || ""}
+On-screen text: ${source.onScreenText || ""}
+
+Return exactly ${parts} beats.`;
+
+  const result = await generateJson({ system, user, temperature: 0.3, maxTokens: 1500 });
+  const proposed = Array.isArray(result?.beats) ? result.beats : [];
+  const cleaned = proposed
+    .map((part) => ({
+      name: typeof part?.name === "string" ? part.name.trim() : "",
+      intent: typeof part?.intent === "string" ? part.intent.trim() : "",
+      beatText: typeof part?.beatText === "string" ? part.beatText.trim() : beatText(part).trim(),
+      cameraNotes: typeof part?.cameraNotes === "string" ? part.cameraNotes.trim() : "",
+      audioNotes: typeof part?.audioNotes === "string" ? part.audioNotes.trim() : "",
+      onScreenText: typeof part?.onScreenText === "string" ? part.onScreenText.trim() : "",
+    }))
+    .filter((part) => part.beatText);
+
+  if (cleaned.length < 2) {
+    const err = new Error("The model did not return a usable split");
+    err.status = 502;
+    err.details = { code: "SPLIT_FAILED" };
+    throw err;
+  }
+
+  return cleaned.slice(0, parts);
+}
+
+export default {
+  MAX_SPLIT_PARTS,
+  beatText,
+  splitBeatAtOffset,
+  splitBeatIntoParts,
+  mergeBeats,
+  suggestBeatSplit,
+};
@@ -0,0 +1,153 @@
+// utils/deckAccess.js
+/**
+ * Deck access: owners and collaborators
+ *
+ * A deck belongs to one owner (decks.user_id). Other accounts get access
+ * through deck_collaborators rows (see migrations/010_deck_collaborators.sql),
+ * matched on user_id or, before the invite is accepted, on email. Email only
+ * matches once the account has confirmed it: anyone can sign up with an
+ * unconfirmed address, and the first access would accept the invite for them.
+ *
+ * Roles are ordered: viewer < commenter < editor < owner.
+ */
+
+export const COLLABORATOR_ROLES = ["viewer", "commenter", "editor"];
+
+const ROLE_RANK = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+// Also rejects characters that would need quoting in PostgREST or() filters
+const EMAIL_PATTERN = /^[^\s@",()]+@[^\s@",()]+\.[^\s@",()]+$/;
+
+export const COLLABORATOR_COLUMNS =
+  "id,deck_id,email,user_id,role,invited_by,accepted_at,created_at,updated_at";
+
+/**
+ * Normalize an email for matching invites
+ * @param {*} email - Raw email
+ * @returns {string|null} Lowercased email or null if invalid
+ */
+export function normalizeEmail(email) {
+  if (typeof email !== "string") return null;
+  const normalized = email.trim().toLowerCase();
+  return EMAIL_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Whether a role meets a minimum role
+ * @param {string} role - Role held
+ * @param {string} minRole - Role required
+ * @returns {boolean}
+ */
+export function hasDeckRole(role, minRole) {
+  return (ROLE_RANK[role] || 0) >= (ROLE_RANK[minRole] || Infinity);
+}
+
+// The user's email, if they've confirmed it (see the module comment)
+function confirmedEmail(user) {
+  return user?.email_confirmed_at ? normalizeEmail(user.email) : null;
+}
+
+// Accepted rows by user_id; pending invites by confirmed email
+function collaboratorMatch(user) {
+  const email = confirmedEmail(user);
+  return email
+    ? `user_id.eq.${user.id},and(email.eq.${email},user_id.is.null)`
+    : `user_id.eq.${user.id}`;
+}
+
+// Collaborator queries fail before migration 010; treat that as "no invites"
+function isMissingTableError(error) {
+  return /deck_collaborators/.test(error?.message || "") && /not exist|schema cache/i.test(error.message);
+}
+
+/**
+ * Fill in user_id on invites matched by email (first access accepts them)
+ * @param {Object} db - Supabase client
+ * @param {Object} user - Signed-in user
+ * @param {Array} rows - Collaborator rows for this user
+ */
+async function acceptPendingInvites(db, user, rows) {
+  const pending = rows.filter((row) => !row.user_id);
+  if (!pending.length) return;
+
+  const { error } = await db
+    .from("deck_collaborators")
+    .update({ user_id: user.id, accepted_at: new Date().toISOString() })
+    .in("id", pending.map((row) => row.id))
+    .is("user_id", null);
+
+  if (error) console.warn("acceptPendingInvites failed:", error.message);
+}
+
+/**
+ * Resolve the signed-in user's access to a live deck
+ *
+ * @param {Object} db - Supabase client
+ * @param {Object} user - Signed-in user ({ id, email })
+ * @param {string} deckId - Deck ID
+ * @returns {Promise<{ role: string, ownerId: string, collaboratorId?: string }|null>}
+ *   null when the deck doesn't exist, is trashed, or isn't shared with the user
+ */
+export async function resolveDeckAccess(db, user, deckId) {
+  const { data: deck, error } = await db
+    .from("decks")
+    .select("id,user_id")
+    .eq("id", deckId)
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!deck) return null;
+  if (deck.user_id === user.id) return { role: "owner", ownerId: deck.user_id };
+
+  const { data: rows, error: collabError } = await db
+    .from("deck_collaborators")
+    .select(COLLABORATOR_COLUMNS)
+    .eq("deck_id", deckId)
+    .or(collaboratorMatch(user))
+    .limit(1);
+
+  if (collabError) {
+    if (isMissingTableError(collabError)) return null;
+    throw collabError;
+  }
+
+  const membership = rows?.[0];
+  if (!membership) return null;
+
+  await acceptPendingInvites(db, user, [membership]);
+
+  return { role: membership.role, ownerId: deck.user_id, collaboratorId: membership.id };
+}
+
+/**
+ * List the decks shared with the signed-in user
+ *
+ * @param {Object} db - Supabase client
+ * @param {Object} user - Signed-in user ({ id, email })
+ * @returns {Promise<Map<string, string>>} deck id -> role
+ */
+export async function listSharedDeckRoles(db, user) {
+  const { data, error } = await db
+    .from("deck_collaborators")
+    .select(COLLABORATOR_COLUMNS)
+    .or(collaboratorMatch(user));
+
+  if (error) {
+    if (isMissingTableError(error)) return new Map();
+    throw error;
+  }
+
+  await acceptPendingInvites(db, user, data || []);
+
+  return new Map((data || []).map((row) => [row.deck_id, row.role]));
+}
+
+export default {
+  COLLABORATOR_ROLES,
+  COLLABORATOR_COLUMNS,
+  normalizeEmail,
+  hasDeckRole,
+  resolveDeckAccess,
+  listSharedDeckRoles,
+};
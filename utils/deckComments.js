@@ -0,0 +1,107 @@
+// utils/deckComments.js
+/**
+ * Beat comments
+ *
+ * Comments anchor on a beat's stable uid (see ensureBeatUids in
+ * deckFormatter.js) and are stored in deck_comments
+ * (migrations/011_deck_comments.sql). A thread is a root comment plus its
+ * replies; the thread's current beat index is looked up from the deck's
+ * beats at read time, so reorders and deletions never detach it.
+ */
+
+export const COMMENT_COLUMNS = [
+  "id",
+  "deck_id",
+  "beat_uid",
+  "parent_id",
+  "user_id",
+  "author_email",
+  "body",
+  "mentions",
+  "resolved_at",
+  "resolved_by",
+  "edited_at",
+  "created_at",
+].join(",");
+
+export const MAX_COMMENT_LENGTH = 5000;
+
+// @someone@example.com (full email) or @someone (email local part)
+const MENTION_PATTERN = /(^|[^\w@])@([a-z0-9._%+-]+(?:@[a-z0-9.-]+\.[a-z]{2,})?)/gi;
+
+/**
+ * Find the @mentions in a comment that match deck members
+ *
+ * A full email must match a member exactly; a bare handle must match the
+ * local part of exactly one member's email.
+ *
+ * @param {string} body - Comment text
+ * @param {string[]} memberEmails - Lowercased emails of the deck's members
+ * @returns {string[]} Unique mentioned emails
+ */
+export function extractMentions(body, memberEmails = []) {
+  if (!body || !memberEmails.length) return [];
+  const members = [...new Set(memberEmails.filter(Boolean))];
+  const mentions = new Set();
+
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    const handle = match[2].toLowerCase().replace(/[.]+$/, "");
+    if (handle.includes("@")) {
+      if (members.includes(handle)) mentions.add(handle);
+      continue;
+    }
+    const candidates = members.filter((email) => email.split("@")[0] === handle);
+    if (candidates.length === 1) mentions.add(candidates[0]);
+  }
+
+  return [...mentions];
+}
+
+/**
+ * Current index of a beat uid in a beats array
+ * @returns {number} Index or -1 when the beat no longer exists
+ */
+export function findBeatIndexByUid(beats, uid) {
+  if (!Array.isArray(beats) || !uid) return -1;
+  return beats.findIndex((beat) => beat && typeof beat === "object" && beat.uid === uid);
+}
+
+/**
+ * Group comment rows into threads (root + replies, oldest first)
+ *
+ * @param {Array} rows - deck_comments rows
+ * @param {Array} beats - Deck beats (to resolve each thread's current index)
+ * @returns {Array} Threads: root fields + { beatIndex, orphaned, resolved, replies }
+ */
+export function buildCommentThreads(rows = [], beats = []) {
+  const byCreated = [...rows].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  const threads = new Map();
+
+  for (const row of byCreated) {
+    if (!row.parent_id) {
+      const beatIndex = findBeatIndexByUid(beats, row.beat_uid);
+      threads.set(row.id, {
+        ...row,
+        beatIndex: beatIndex >= 0 ? beatIndex : null,
+        // The beat was deleted; the thread is kept for the record
+        orphaned: beatIndex < 0,
+        resolved: !!row.resolved_at,
+        replies: [],
+      });
+    }
+  }
+
+  for (const row of byCreated) {
+    if (row.parent_id) threads.get(row.parent_id)?.replies.push(row);
+  }
+
+  return [...threads.values()];
+}
+
+export default {
+  COMMENT_COLUMNS,
+  MAX_COMMENT_LENGTH,
+  extractMentions,
+  findBeatIndexByUid,
+  buildCommentThreads,
+};
@@ -0,0 +1,165 @@
+// utils/deckEvents.js
+/**
+ * Live deck change events
+ *
+ * Writes publish a beat-level description of what changed, and
+ * GET /api/decks/:id/events streams it to every open tab as Server-Sent
+ * Events. The bus is in-process: with several API instances behind a load
+ * balancer, a tab only hears about writes handled by the instance it is
+ * connected to.
+ *
+ * Publishing never throws; a listener failure is logged and the write that
+ * triggered it is unaffected.
+ *
+ * Access changes (a collaborator removed or re-roled, the deck trashed) are
+ * published separately, so open streams re-check who may keep listening.
+ */
+
+import { EventEmitter } from "events";
+import { diffBeatOperations } from "./deckOperations.js";
+
+// Interval between keep-alive comments on open streams
+export const EVENT_HEARTBEAT_MS = 25000;
+
+// Deck-level fields reported in "deck.update" changes
+const DECK_EVENT_FIELDS = ["title", "tagline", "prompt", "tool", "toneImage"];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let eventSeq = 0;
+
+/**
+ * Beat-level changes between two content snapshots
+ *
+ * @param {Object} before - Content before the write
+ * @param {Object} after - Content after the write
+ * @returns {Array<Object>} beat.insert | beat.update | beat.delete | beats.reorder | deck.update
+ */
+export function describeDeckChanges(before = {}, after = {}) {
+  const beats = Array.isArray(after?.beats) ? after.beats : [];
+  const indexOf = (uid) => beats.findIndex((beat) => beat?.uid === uid);
+  const changes = [];
+  const updates = new Map();
+
+  for (const op of diffBeatOperations(before?.beats, after?.beats)) {
+    if (op.type === "insert") {
+      changes.push({ type: "beat.insert", uid: op.uid, index: op.index, beat: op.beat });
+    } else if (op.type === "delete") {
+      changes.push({ type: "beat.delete", uid: op.uid, index: op.index });
+    } else if (op.type === "update-field") {
+      if (!updates.has(op.uid)) {
+        const change = { type: "beat.update", uid: op.uid, index: indexOf(op.uid), fields: {} };
+        updates.set(op.uid, change);
+        changes.push(change);
+      }
+      updates.get(op.uid).fields[op.field] = op.to;
+    } else if (op.type === "reorder") {
+      changes.push({ type: "beats.reorder", order: beats.map((beat) => beat?.uid || null) });
+    }
+  }
+
+  const fields = {};
+  for (const field of DECK_EVENT_FIELDS) {
+    if ((before?.[field] ?? null) !== (after?.[field] ?? null)) fields[field] = after?.[field] ?? null;
+  }
+  if (Object.keys(fields).length) changes.push({ type: "deck.update", fields });
+
+  return changes;
+}
+
+/**
+ * Publish a write to a deck's subscribers
+ *
+ * @param {string} deckId - Deck ID
+ * @param {Object} change
+ * @param {string} change.source - What made the write (e.g. "save", "beats.update", "media")
+ * @param {string} [change.userId] - Who made it (null for background jobs)
+ * @param {Object} change.before - Content before the write
+ * @param {Object} change.after - Content after the write
+ * @param {string} [change.updatedAt] - decks.updated_at after the write
+ * @returns {Object|null} The published event, or null when nothing changed
+ */
+export function publishDeckChange(deckId, { source, userId = null, before, after, updatedAt = null }) {
+  if (!deckId || bus.listenerCount(deckId) === 0) return null;
+
+  try {
+    const changes = describeDeckChanges(before, after);
+    if (!changes.length) return null;
+
+    const event = {
+      id: ++eventSeq,
+      deckId,
+      source: source || null,
+      userId,
+      updatedAt,
+      beatsCount: Array.isArray(after?.beats) ? after.beats.length : 0,
+      changes,
+    };
+    bus.emit(deckId, event);
+    return event;
+  } catch (err) {
+    console.warn(`publishDeckChange: event skipped for deck ${deckId}:`, err?.message);
+    return null;
+  }
+}
+
+/**
+ * Listen for a deck's change events
+ *
+ * @param {string} deckId - Deck ID
+ * @param {Function} listener - (event) => void
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeDeckEvents(deckId, listener) {
+  const safe = (event) => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.warn(`deck event listener failed for deck ${deckId}:`, err?.message);
+    }
+  };
+  bus.on(deckId, safe);
+  return () => bus.off(deckId, safe);
+}
+
+/**
+ * Tell a deck's open streams that who can see it may have changed
+ * @param {string} deckId - Deck ID
+ */
+export function publishDeckAccessChange(deckId) {
+  if (!deckId) return;
+  try {
+    bus.emit(`access:${deckId}`);
+  } catch (err) {
+    console.warn(`publishDeckAccessChange: skipped for deck ${deckId}:`, err?.message);
+  }
+}
+
+/**
+ * Listen for a deck's access changes
+ *
+ * @param {string} deckId - Deck ID
+ * @param {Function} listener - () => void
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeDeckAccessChanges(deckId, listener) {
+  return subscribeDeckEvents(`access:${deckId}`, listener);
+}
+
+/**
+ * Format one Server-Sent Events message
+ */
+export function formatSseMessage(event, data, id = null) {
+  return `${id !== null ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+export default {
+  EVENT_HEARTBEAT_MS,
+  describeDeckChanges,
+  publishDeckChange,
+  subscribeDeckEvents,
+  publishDeckAccessChange,
+  subscribeDeckAccessChanges,
+  formatSseMessage,
+};
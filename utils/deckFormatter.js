@@ -44,6 +44,9 @@ function normalizeBeatEntry(entry, fallbackLabel, index = 0, visuals = [], story
     
     return {
       ...basic,
+      uid: null,
+      beatText: basic.text,
+      locked: false,
       // Canonical snake_case fields
       visual_url: visualFromArray?.image || visualFromArray?.url || visualFromArray?.dataUrl || null,
       storyboard_url: storyboardFromArray?.image || storyboardFromArray?.url || storyboardFromArray?.dataUrl || null,
@@ -67,12 +70,25 @@ function normalizeBeatEntry(entry, fallbackLabel, index = 0, visuals = [], story
   const thumbnail_url = entry.thumbnail_url || entry.thumbnailUrl || 
                         visual_url || storyboard_url || null;
   
+  const beatText = entry.beatText || entry.text || basic.text || "";
+
   return {
     ...basic,
+    // `text` and `beatText` always carry the same copy
+    text: basic.text || beatText,
+    // Stable beat id (assigned on write by ensureBeatUids)
+    uid: entry.uid || null,
     // Preserve original beat-specific fields
     name: entry.name || null,
     intent: entry.intent || null,
-    beatText: entry.beatText || entry.text || basic.text || "",
+    beatText,
+    // Production notes (generation, screenplay import)
+    cameraNotes: entry.cameraNotes || null,
+    audioNotes: entry.audioNotes || null,
+    onScreenText: entry.onScreenText || null,
+    brandIntegration: entry.brandIntegration || null,
+    // Approved beats that regeneration must keep verbatim
+    locked: entry.locked === true,
     // Canonical snake_case fields
     visual_url,
     storyboard_url,
@@ -84,6 +100,37 @@ function normalizeBeatEntry(entry, fallbackLabel, index = 0, visuals = [], story
   };
 }
 
+/**
+ * Give every beat a stable uid (comments and merges anchor on it)
+ * String beats are converted to objects; duplicate uids are replaced.
+ * Beats without a uid inherit the one stored at the same position in
+ * previousBeats, so clients that don't round-trip uids keep them on save.
+ *
+ * @param {Array} beats - Beats array
+ * @param {Array} [previousBeats] - Stored beats this array replaces
+ * @returns {Array} Copy of the beats, each with a unique uid
+ */
+export function ensureBeatUids(beats, previousBeats = []) {
+  if (!Array.isArray(beats)) return [];
+  const uidOf = (beat) =>
+    beat && typeof beat === "object" && typeof beat.uid === "string" && beat.uid ? beat.uid : null;
+  const explicit = new Set(beats.map(uidOf).filter(Boolean));
+  const previous = Array.isArray(previousBeats) ? previousBeats : [];
+  const seen = new Set();
+
+  return beats.map((beat, index) => {
+    const entry =
+      beat && typeof beat === "object"
+        ? beat
+        : { title: `Beat ${index + 1}`, text: coerceString(beat), beatText: coerceString(beat) };
+    const inherited = uidOf(previous[index]);
+    let uid = uidOf(entry) || (inherited && !explicit.has(inherited) ? inherited : null);
+    if (!uid || seen.has(uid)) uid = randomUUID();
+    seen.add(uid);
+    return entry.uid === uid ? entry : { ...entry, uid };
+  });
+}
+
 function normalizeVisualEntry(entry, index, prefix = "Visual") {
   if (!entry) return { title: `${prefix} ${index + 1}`, image: null, caption: "" };
   if (typeof entry === "string") {
@@ -391,15 +438,23 @@ export function normalizeBeatsForResponse(beats, visuals = [], storyboards = [])
   });
 }
 
+// Marks JSON exports so POST /api/decks/import can recognize (and version) them
+export const DECK_EXPORT_FORMAT = "aran.deck";
+export const DECK_EXPORT_VERSION = 1;
+
 export function buildExportPayload(deck, includeSections) {
   const includeSet = Array.isArray(includeSections)
     ? new Set(includeSections.map((s) => String(s).toLowerCase()))
     : null;
 
   const payload = {
+    format: DECK_EXPORT_FORMAT,
+    formatVersion: DECK_EXPORT_VERSION,
     exportedAt: new Date().toISOString(),
     id: deck.id,
     title: deck.title,
+    tagline: deck.tagline,
+    tool: deck.tool,
     prompt: deck.prompt,
     brief: deck.brief,
     contentType: deck.contentType,
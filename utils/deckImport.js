@@ -0,0 +1,110 @@
+// utils/deckImport.js
+/**
+ * Deck import: validate JSON produced by POST /api/export
+ *
+ * Exports carry `format: "aran.deck"` and a `formatVersion` (see
+ * buildExportPayload in deckFormatter.js). Older exports have neither and are
+ * accepted as long as their shape matches. Validation is deliberately shallow:
+ * it checks types and sizes so normalizeDeckPayload gets sane input, and that
+ * every image is either a remote URL or an inline image data URL.
+ */
+
+import { DECK_EXPORT_FORMAT, DECK_EXPORT_VERSION } from "./deckFormatter.js";
+import { validateSchema } from "./deckSchema.js";
+
+export const MAX_IMPORT_BEATS = 500;
+export const MAX_IMPORT_ERRORS = 20;
+
+const VALID_TOOLS = ["story_engine", "shot_list", "canvas"];
+
+const text = (maxLength) => ({ type: ["string", "null"], maxLength });
+const image = { type: ["string", "null"], format: "image" };
+
+const IMAGE_ENTRY_SCHEMA = {
+  type: ["string", "object", "null"],
+  format: "image",
+  properties: {
+    title: text(300),
+    // String-form visuals are normalized with the image repeated as the caption
+    caption: { type: ["string", "null"] },
+    image,
+    url: image,
+    dataUrl: image,
+  },
+};
+
+const BEAT_SCHEMA = {
+  type: ["string", "object"],
+  maxLength: 20000,
+  properties: {
+    uid: text(100),
+    title: text(300),
+    name: text(300),
+    intent: text(5000),
+    text: text(20000),
+    beatText: text(20000),
+    visual_url: image,
+    visualUrl: image,
+    storyboard_url: image,
+    storyboardUrl: image,
+    thumbnail_url: image,
+    thumbnailUrl: image,
+  },
+};
+
+const LABELED_ENTRY_SCHEMA = { type: ["string", "object"] };
+
+// Top-level shape of an export (every field optional)
+export const DECK_IMPORT_SCHEMA = {
+  type: "object",
+  properties: {
+    format: { type: "string", enum: [DECK_EXPORT_FORMAT] },
+    formatVersion: { type: "integer", minimum: 1, maximum: DECK_EXPORT_VERSION },
+    id: text(100),
+    title: text(300),
+    tagline: text(1000),
+    tool: { type: ["string", "null"], enum: [...VALID_TOOLS, null] },
+    prompt: text(20000),
+    brief: { type: ["string", "object", "null"] },
+    contentType: text(100),
+    story_type: text(100),
+    toneImage: image,
+    shareCode: text(100),
+    meta: { type: ["object", "null"] },
+    beatTitles: { type: "array", maxItems: MAX_IMPORT_BEATS, items: text(300) },
+    beats: { type: "array", maxItems: MAX_IMPORT_BEATS, items: BEAT_SCHEMA },
+    scenes: { type: "array", maxItems: MAX_IMPORT_BEATS, items: LABELED_ENTRY_SCHEMA },
+    shots: { type: "array", maxItems: MAX_IMPORT_BEATS, items: LABELED_ENTRY_SCHEMA },
+    // The frontend also stores these as { [beatIndex]: image } maps
+    visuals: { type: ["array", "object"], maxItems: MAX_IMPORT_BEATS, items: IMAGE_ENTRY_SCHEMA },
+    storyboards: { type: ["array", "object"], maxItems: MAX_IMPORT_BEATS, items: IMAGE_ENTRY_SCHEMA },
+    suggestions: { type: "array", maxItems: 200 },
+  },
+};
+
+/**
+ * Validate an exported deck against DECK_IMPORT_SCHEMA
+ *
+ * @param {*} payload - Parsed export JSON
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateDeckImport(payload) {
+  const errors = validateSchema(payload, DECK_IMPORT_SCHEMA, { maxErrors: MAX_IMPORT_ERRORS });
+
+  if (!errors.length) {
+    const hasContent =
+      (typeof payload.title === "string" && payload.title.trim()) ||
+      (typeof payload.prompt === "string" && payload.prompt.trim()) ||
+      (Array.isArray(payload.beats) && payload.beats.length);
+    if (!hasContent) errors.push({ path: "(root)", message: "needs a title, prompt or beats" });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+export default {
+  DECK_IMPORT_SCHEMA,
+  MAX_IMPORT_BEATS,
+  MAX_IMPORT_ERRORS,
+  validateDeckImport,
+};
@@ -0,0 +1,167 @@
+// utils/deckListCursor.js
+/**
+ * Sort options and cursor pagination for the deck list
+ *
+ * GET /api/decks pages by keyset instead of offset: each deck gets a sort key
+ * (see deckSortKey, mirrored by get_user_decks() in
+ * migrations/014_deck_list_cursor.sql) and the cursor carries the last key
+ * and deck id returned. Decks saved while a client is paging move within the
+ * list but are never repeated or skipped on the pages that follow.
+ *
+ * Cursors are opaque to clients (base64url JSON) and only valid for the sort
+ * and order they were issued for.
+ */
+
+export const DECK_LIST_SORTS = ["updated_at", "created_at", "title", "beats_count"];
+export const DECK_LIST_ORDERS = ["asc", "desc"];
+
+const DEFAULT_SORT = "updated_at";
+const DEFAULT_ORDERS = {
+  updated_at: "desc",
+  created_at: "desc",
+  title: "asc",
+  beats_count: "desc",
+};
+
+function timestampKey(value) {
+  const time = value ? new Date(value) : null;
+  return time && !Number.isNaN(time.getTime()) ? time.toISOString() : "";
+}
+
+/**
+ * Sort key for a list row: ISO timestamps (ms precision, UTC), lowercased
+ * titles and zero-padded beat counts, all compared as plain strings
+ *
+ * @param {Object} row - Deck list row
+ * @param {string} sort - One of DECK_LIST_SORTS
+ * @returns {string}
+ */
+export function deckSortKey(row, sort) {
+  switch (sort) {
+    case "created_at":
+      return timestampKey(row?.created_at);
+    case "title":
+      return String(row?.title || "").toLowerCase();
+    case "beats_count":
+      return String(Math.max(parseInt(row?.beats_count, 10) || 0, 0)).padStart(10, "0");
+    default:
+      return timestampKey(row?.updated_at || row?.created_at);
+  }
+}
+
+/**
+ * Encode the position after a row
+ * @returns {string} Opaque cursor
+ */
+export function encodeListCursor({ sort, order, key, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, k: key, id })).toString("base64url");
+}
+
+/**
+ * Decode a cursor from encodeListCursor
+ * @returns {{ sort: string, order: string, key: string, id: string }|null} null when malformed
+ */
+export function decodeListCursor(raw) {
+  if (typeof raw !== "string" || !raw.trim()) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(raw.trim(), "base64url").toString("utf8"));
+    if (
+      !DECK_LIST_SORTS.includes(parsed?.s) ||
+      !DECK_LIST_ORDERS.includes(parsed?.o) ||
+      typeof parsed.k !== "string" ||
+      typeof parsed.id !== "string" ||
+      !parsed.id
+    ) {
+      return null;
+    }
+    return { sort: parsed.s, order: parsed.o, key: parsed.k, id: parsed.id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse sort, order and cursor query parameters
+ *
+ * sort and order default to the cursor's (or to updated_at, newest first);
+ * an explicit value that differs from the cursor's is an error.
+ *
+ * @param {Object} query - req.query
+ * @returns {{ sort: string, order: string, cursor: Object|null, error?: string }}
+ */
+export function parseListPaging(query = {}) {
+  const rawSort = typeof query.sort === "string" ? query.sort.trim().toLowerCase() : "";
+  const rawOrder = typeof query.order === "string" ? query.order.trim().toLowerCase() : "";
+
+  if (rawSort && !DECK_LIST_SORTS.includes(rawSort)) {
+    return { error: `Invalid sort (use ${DECK_LIST_SORTS.join(", ")})` };
+  }
+  if (rawOrder && !DECK_LIST_ORDERS.includes(rawOrder)) {
+    return { error: `Invalid order (use ${DECK_LIST_ORDERS.join(" or ")})` };
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined && query.cursor !== "") {
+    cursor = decodeListCursor(query.cursor);
+    if (!cursor) return { error: "Invalid cursor" };
+    if ((rawSort && rawSort !== cursor.sort) || (rawOrder && rawOrder !== cursor.order)) {
+      return { error: "Cursor was issued for a different sort or order" };
+    }
+  }
+
+  const sort = cursor?.sort || rawSort || DEFAULT_SORT;
+  const order = cursor?.order || rawOrder || DEFAULT_ORDERS[sort];
+  return { sort, order, cursor };
+}
+
+function compareKeys(a, b) {
+  if (a.key !== b.key) return a.key < b.key ? -1 : 1;
+  if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+  return 0;
+}
+
+/**
+ * Sort rows and take one page after the cursor (in-memory counterpart of
+ * get_user_decks)
+ *
+ * @param {Array<Object>} rows - Every matching row
+ * @param {Object} paging
+ * @param {string} paging.sort
+ * @param {string} paging.order
+ * @param {Object|null} paging.cursor - Decoded cursor
+ * @param {number} paging.limit
+ * @param {number} [paging.offset=0] - Ignored when a cursor is given
+ * @returns {{ rows: Array<Object>, hasMore: boolean, nextCursor: string|null }}
+ */
+export function paginateDeckRows(rows, { sort, order, cursor, limit, offset = 0 }) {
+  const direction = order === "asc" ? 1 : -1;
+  let keyed = (rows || [])
+    .map((row) => ({ row, key: deckSortKey(row, sort), id: String(row.id) }))
+    .sort((a, b) => compareKeys(a, b) * direction);
+
+  if (cursor) {
+    keyed = keyed.filter((entry) => compareKeys(entry, cursor) * direction > 0);
+  } else if (offset) {
+    keyed = keyed.slice(offset);
+  }
+
+  const page = keyed.slice(0, limit);
+  const hasMore = keyed.length > limit;
+  const last = page[page.length - 1];
+
+  return {
+    rows: page.map((entry) => entry.row),
+    hasMore,
+    nextCursor: hasMore && last ? encodeListCursor({ sort, order, key: last.key, id: last.id }) : null,
+  };
+}
+
+export default {
+  DECK_LIST_SORTS,
+  DECK_LIST_ORDERS,
+  deckSortKey,
+  encodeListCursor,
+  decodeListCursor,
+  parseListPaging,
+  paginateDeckRows,
+};
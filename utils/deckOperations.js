@@ -0,0 +1,301 @@
+// utils/deckOperations.js
+/**
+ * Deck operation journal (server-side undo/redo)
+ *
+ * Beat endpoints record what they changed as a list of operations in the
+ * deck_operations table (see migrations/012_deck_operations.sql): insert,
+ * update-field, delete and reorder, all addressed by beat uid. Each user has
+ * their own undo/redo stack per deck, so undo survives reloads and works
+ * across devices. Undoing applies the inverse operations to the current
+ * beats and is refused when another edit has touched the same beats since.
+ *
+ * Recording is best-effort, like version snapshots: a failure is logged but
+ * never fails the write that triggered it.
+ */
+
+export const OPERATION_TYPES = ["insert", "update-field", "delete", "reorder"];
+
+// Maximum number of journal entries kept per deck (oldest are pruned first)
+const MAX_OPERATIONS_PER_DECK = Math.max(parseInt(process.env.DECK_OPERATION_LIMIT, 10) || 100, 1);
+
+const OPERATION_COLUMNS = ["id", "deck_id", "user_id", "seq", "source", "ops", "undone_at", "created_at"].join(",");
+
+function uidOf(beat) {
+  return beat && typeof beat === "object" && typeof beat.uid === "string" && beat.uid ? beat.uid : null;
+}
+
+// undefined and null are the same value once stored as JSON
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Describe the change between two beat arrays as journal operations
+ *
+ * Beats are matched by uid; beats without one are ignored.
+ *
+ * @param {Array} before - Beats before the write
+ * @param {Array} after - Beats after the write (uids assigned)
+ * @returns {Array<Object>} Operations
+ */
+export function diffBeatOperations(before = [], after = []) {
+  const prev = (Array.isArray(before) ? before : []).filter(uidOf);
+  const next = (Array.isArray(after) ? after : []).filter(uidOf);
+  const prevByUid = new Map(prev.map((beat) => [beat.uid, beat]));
+  const nextByUid = new Map(next.map((beat) => [beat.uid, beat]));
+  const ops = [];
+
+  prev.forEach((beat, index) => {
+    if (!nextByUid.has(beat.uid)) ops.push({ type: "delete", uid: beat.uid, index, beat });
+  });
+
+  for (const beat of next) {
+    const old = prevByUid.get(beat.uid);
+    if (!old) continue;
+    const fields = new Set([...Object.keys(old), ...Object.keys(beat)]);
+    fields.delete("uid");
+    for (const field of fields) {
+      if (!sameValue(old[field], beat[field])) {
+        ops.push({ type: "update-field", uid: beat.uid, field, from: old[field] ?? null, to: beat[field] ?? null });
+      }
+    }
+  }
+
+  next.forEach((beat, index) => {
+    if (!prevByUid.has(beat.uid)) ops.push({ type: "insert", uid: beat.uid, index, beat });
+  });
+
+  const from = prev.map(uidOf).filter((uid) => nextByUid.has(uid));
+  const to = next.map(uidOf).filter((uid) => prevByUid.has(uid));
+  if (!sameValue(from, to)) ops.push({ type: "reorder", from, to });
+
+  return ops;
+}
+
+/**
+ * Operations that undo the given ones
+ */
+export function invertOperations(ops = []) {
+  return ops.map((op) => {
+    switch (op.type) {
+      case "insert":
+        return { ...op, type: "delete" };
+      case "delete":
+        return { ...op, type: "insert" };
+      case "update-field":
+        return { ...op, from: op.to, to: op.from };
+      case "reorder":
+        return { ...op, from: op.to, to: op.from };
+      default:
+        return op;
+    }
+  });
+}
+
+/**
+ * Apply operations to the current beats
+ *
+ * Every operation is checked against the current beats first: deleted beats
+ * must still exist unchanged, inserted uids must be free, and updated fields
+ * must still hold their `from` value. Nothing is applied if any check fails.
+ *
+ * @param {Array} beats - Current beats
+ * @param {Array<Object>} ops - Operations (see diffBeatOperations)
+ * @returns {{ beats: Array|null, conflicts: Array<{ type, uid, field?, reason }> }}
+ */
+export function applyOperations(beats = [], ops = []) {
+  const current = Array.isArray(beats) ? beats : [];
+  const byUid = new Map(current.filter(uidOf).map((beat) => [beat.uid, beat]));
+  const conflicts = [];
+
+  for (const op of ops) {
+    const beat = byUid.get(op.uid);
+    if (op.type === "delete") {
+      if (!beat) {
+        conflicts.push({ type: op.type, uid: op.uid, reason: "missing" });
+      } else if (Object.keys(op.beat || {}).some((field) => !sameValue(beat[field], op.beat[field]))) {
+        conflicts.push({ type: op.type, uid: op.uid, reason: "changed" });
+      }
+    } else if (op.type === "insert" && beat) {
+      conflicts.push({ type: op.type, uid: op.uid, reason: "exists" });
+    } else if (op.type === "update-field") {
+      if (!beat) {
+        conflicts.push({ type: op.type, uid: op.uid, field: op.field, reason: "missing" });
+      } else if (!sameValue(beat[op.field], op.from)) {
+        conflicts.push({ type: op.type, uid: op.uid, field: op.field, reason: "changed" });
+      }
+    }
+  }
+
+  if (conflicts.length) return { beats: null, conflicts };
+
+  const deleted = new Set(ops.filter((op) => op.type === "delete").map((op) => op.uid));
+  let result = current.filter((beat) => !deleted.has(uidOf(beat)));
+
+  const updates = ops.filter((op) => op.type === "update-field");
+  if (updates.length) {
+    result = result.map((beat) => {
+      const own = updates.filter((op) => op.uid === uidOf(beat));
+      if (!own.length) return beat;
+      const updated = { ...beat };
+      for (const op of own) updated[op.field] = op.to;
+      return updated;
+    });
+  }
+
+  const inserts = ops.filter((op) => op.type === "insert").sort((a, b) => a.index - b.index);
+  for (const op of inserts) {
+    result.splice(Math.min(op.index, result.length), 0, { ...op.beat, uid: op.uid });
+  }
+
+  // Refill the slots the reordered beats occupy; other beats stay where they are
+  for (const op of ops.filter((o) => o.type === "reorder")) {
+    const present = new Set(result.map(uidOf));
+    const order = op.to.filter((uid) => present.has(uid));
+    const wanted = new Set(order);
+    const slots = result.map((beat, index) => (wanted.has(uidOf(beat)) ? index : -1)).filter((i) => i >= 0);
+    const byCurrentUid = new Map(result.map((beat) => [uidOf(beat), beat]));
+    const reordered = [...result];
+    slots.forEach((slot, i) => {
+      reordered[slot] = byCurrentUid.get(order[i]);
+    });
+    result = reordered;
+  }
+
+  return { beats: result, conflicts: [] };
+}
+
+/**
+ * Journal a beat write and clear the user's redo stack
+ *
+ * @param {Object} db - Supabase client
+ * @param {Object} entry
+ * @param {string} entry.deckId - Deck ID
+ * @param {string} entry.userId - User who made the change
+ * @param {string} entry.source - Endpoint that made it (e.g. "beats.update")
+ * @param {Array<Object>} entry.ops - Operations (see diffBeatOperations)
+ * @returns {Promise<Object|null>} The recorded entry or null (nothing changed or failure)
+ */
+export async function recordDeckOperation(db, { deckId, userId, source, ops }) {
+  if (!deckId || !userId || !Array.isArray(ops) || !ops.length) return null;
+
+  try {
+    // A new edit makes everything this user undid unreachable
+    const { error: clearError } = await db
+      .from("deck_operations")
+      .delete()
+      .eq("deck_id", deckId)
+      .eq("user_id", userId)
+      .not("undone_at", "is", null);
+
+    if (clearError) throw clearError;
+
+    const { data: latest, error: latestError } = await db
+      .from("deck_operations")
+      .select("seq")
+      .eq("deck_id", deckId)
+      .order("seq", { ascending: false })
+      .limit(1);
+
+    if (latestError) throw latestError;
+
+    const nextSeq = (latest?.[0]?.seq || 0) + 1;
+
+    const { data, error } = await db
+      .from("deck_operations")
+      .insert({ deck_id: deckId, user_id: userId, seq: nextSeq, source: source || null, ops })
+      .select(OPERATION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    if (nextSeq > MAX_OPERATIONS_PER_DECK) {
+      const { error: pruneError } = await db
+        .from("deck_operations")
+        .delete()
+        .eq("deck_id", deckId)
+        .lte("seq", nextSeq - MAX_OPERATIONS_PER_DECK);
+
+      if (pruneError) {
+        console.warn("recordDeckOperation: prune failed:", pruneError.message);
+      }
+    }
+
+    return data;
+  } catch (err) {
+    console.warn(`recordDeckOperation: journal entry skipped for deck ${deckId}:`, err?.message);
+    return null;
+  }
+}
+
+/**
+ * Next entry to undo (the user's newest active one) or redo (their oldest undone one)
+ *
+ * @param {Object} db - Supabase client
+ * @param {string} deckId - Deck ID
+ * @param {string} userId - User ID
+ * @param {"undo"|"redo"} direction
+ * @returns {Promise<Object|null>} Entry or null when the stack is empty
+ */
+export async function nextStackOperation(db, deckId, userId, direction) {
+  let query = db
+    .from("deck_operations")
+    .select(OPERATION_COLUMNS)
+    .eq("deck_id", deckId)
+    .eq("user_id", userId);
+
+  query = direction === "undo"
+    ? query.is("undone_at", null).order("seq", { ascending: false })
+    : query.not("undone_at", "is", null).order("seq", { ascending: true });
+
+  const { data, error } = await query.limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Move an entry between the undo and redo stacks
+ *
+ * The update only matches while the entry is still on the expected stack, so
+ * two devices undoing at once cannot both claim it.
+ *
+ * @param {Object} db - Supabase client
+ * @param {Object} operation - Entry from nextStackOperation
+ * @param {boolean} undone - true to mark it undone, false to restore it
+ * @returns {Promise<Object|null>} Updated entry or null when someone else moved it first
+ */
+export async function setOperationUndone(db, operation, undone) {
+  let query = db
+    .from("deck_operations")
+    .update({ undone_at: undone ? new Date().toISOString() : null })
+    .eq("id", operation.id);
+
+  query = undone ? query.is("undone_at", null) : query.not("undone_at", "is", null);
+
+  const { data, error } = await query.select(OPERATION_COLUMNS).maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Whether the user has anything to undo or redo on a deck
+ * @returns {Promise<{ canUndo: boolean, canRedo: boolean }>}
+ */
+export async function operationStackState(db, deckId, userId) {
+  const [undo, redo] = await Promise.all([
+    nextStackOperation(db, deckId, userId, "undo"),
+    nextStackOperation(db, deckId, userId, "redo"),
+  ]);
+  return { canUndo: !!undo, canRedo: !!redo };
+}
+
+export default {
+  OPERATION_TYPES,
+  diffBeatOperations,
+  invertOperations,
+  applyOperations,
+  recordDeckOperation,
+  nextStackOperation,
+  setOperationUndone,
+  operationStackState,
+};
@@ -0,0 +1,124 @@
+// utils/deckOrganization.js
+/**
+ * Deck organization: folders, tags and pins
+ *
+ * Folders live in the deck_folders table; tags and pins are columns on decks
+ * (see migrations/009_deck_folders_tags_pins.sql). Tags are free-form but
+ * stored lowercased so filtering and renaming are case-insensitive.
+ */
+
+export const MAX_TAGS_PER_DECK = 20;
+export const MAX_TAG_LENGTH = 40;
+export const MAX_FOLDER_NAME_LENGTH = 80;
+
+// Accepts #rgb / #rrggbb
+const FOLDER_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Normalize a single tag: trim, collapse whitespace, lowercase, strip a leading #
+ * @param {*} tag - Raw tag
+ * @returns {string|null} Normalized tag or null if empty/invalid
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== "string") return null;
+  const normalized = tag.trim().replace(/^#+/, "").replace(/\s+/g, " ").toLowerCase();
+  if (!normalized) return null;
+  return normalized.slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Normalize a tag list (accepts an array or a comma-separated string)
+ * @param {Array|string} tags - Raw tags
+ * @returns {string[]} Unique normalized tags
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === "string" ? tags.split(",") : Array.isArray(tags) ? tags : [];
+  const unique = [];
+  for (const tag of list) {
+    const normalized = normalizeTag(tag);
+    if (normalized && !unique.includes(normalized)) unique.push(normalized);
+  }
+  return unique;
+}
+
+/**
+ * Validate folder fields from a request body
+ * @param {Object} body - { name?, color?, position? }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow a missing name (updates)
+ * @returns {{ value?: Object, error?: string }}
+ */
+export function parseFolderInput(body = {}, { partial = false } = {}) {
+  const value = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === "string" ? body.name.trim().replace(/\s+/g, " ") : "";
+    if (!name) return { error: "Folder name is required" };
+    if (name.length > MAX_FOLDER_NAME_LENGTH) {
+      return { error: `Folder name must be at most ${MAX_FOLDER_NAME_LENGTH} characters` };
+    }
+    value.name = name;
+  }
+
+  if (body.color !== undefined) {
+    if (body.color !== null && !FOLDER_COLOR_PATTERN.test(String(body.color))) {
+      return { error: "Folder color must be a hex color like #ff8800" };
+    }
+    value.color = body.color;
+  }
+
+  if (body.position !== undefined) {
+    const position = parseInt(body.position, 10);
+    if (!Number.isFinite(position)) return { error: "Folder position must be a number" };
+    value.position = position;
+  }
+
+  return { value };
+}
+
+/**
+ * Parse the `folder` list filter
+ * "none" / "unfiled" -> decks without a folder; otherwise a folder id
+ * @param {string} raw - Query value
+ * @returns {{ folderId: string|null }|null} Filter, or null if not set/invalid
+ */
+export function parseFolderFilter(raw) {
+  if (typeof raw !== "string" || !raw.trim()) return null;
+  const value = raw.trim().toLowerCase();
+  if (value === "none" || value === "unfiled") return { folderId: null };
+  return UUID_PATTERN.test(value) ? { folderId: value } : null;
+}
+
+/**
+ * Parse a boolean query flag ("true"/"1"/"false"/"0")
+ * @param {string} raw - Query value
+ * @returns {boolean|null}
+ */
+export function parseBooleanFlag(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const value = String(raw).toLowerCase();
+  if (value === "true" || value === "1") return true;
+  if (value === "false" || value === "0") return false;
+  return null;
+}
+
+/**
+ * Whether a folder violates the unique (user_id, lower(name)) index
+ */
+export function isDuplicateFolderError(error) {
+  return error?.code === "23505" || /duplicate key/i.test(error?.message || "");
+}
+
+export default {
+  MAX_TAGS_PER_DECK,
+  MAX_TAG_LENGTH,
+  MAX_FOLDER_NAME_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  parseFolderInput,
+  parseFolderFilter,
+  parseBooleanFlag,
+  isDuplicateFolderError,
+};
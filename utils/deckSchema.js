@@ -0,0 +1,266 @@
+// utils/deckSchema.js
+/**
+ * Versioned deck content schema
+ *
+ * decks.content carries a `schemaVersion`. Content written before versioning
+ * (no schemaVersion) is version 0 and comes in several shapes: string beats,
+ * `text` without `beatText`, visuals/storyboards as { [beatIndex]: image }
+ * maps, `tone_image` instead of `toneImage`, media only on camelCase fields.
+ *
+ * upgradeDeckContent runs the chain of upgrades on every read and write, so
+ * API responses always have the current shape; POST /api/decks/migrate
+ * rewrites stored rows. DECK_CONTENT_SCHEMA describes the current version and
+ * is checked by validateSchema (a small subset of JSON Schema, also used by
+ * deck imports).
+ */
+
+import { normalizeDeckPayload, ensureBeatUids } from "./deckFormatter.js";
+
+export const DECK_SCHEMA_VERSION = 2;
+
+const VALID_TOOLS = ["story_engine", "shot_list", "canvas"];
+
+const IMAGE_PATTERN = /^(https?:\/\/\S+|data:image\/(png|jpe?g|webp|gif);base64,[A-Za-z0-9+/=\s]+)$/i;
+
+const FORMATS = {
+  image: { pattern: IMAGE_PATTERN, message: "must be an http(s) URL or an image data URL" },
+};
+
+const nullable = (type) => ({ type: [type, "null"] });
+
+const IMAGE_ENTRY = {
+  type: "object",
+  required: ["title", "image"],
+  properties: {
+    title: { type: "string" },
+    caption: { type: "string" },
+    image: { type: ["string", "null"], format: "image" },
+  },
+};
+
+const LABELED_ENTRY = {
+  type: "object",
+  required: ["title", "text"],
+  properties: {
+    title: { type: "string" },
+    text: { type: "string" },
+  },
+};
+
+const BEAT = {
+  type: "object",
+  required: ["uid", "title", "text", "beatText", "locked"],
+  properties: {
+    uid: { type: "string" },
+    title: { type: "string" },
+    text: { type: "string" },
+    beatText: { type: "string" },
+    name: nullable("string"),
+    intent: nullable("string"),
+    cameraNotes: nullable("string"),
+    audioNotes: nullable("string"),
+    onScreenText: nullable("string"),
+    brandIntegration: nullable("string"),
+    locked: { type: "boolean" },
+    visual_url: { type: ["string", "null"], format: "image" },
+    storyboard_url: { type: ["string", "null"], format: "image" },
+    thumbnail_url: { type: ["string", "null"], format: "image" },
+    // camelCase aliases, kept in sync for older clients
+    visualUrl: { type: ["string", "null"], format: "image" },
+    storyboardUrl: { type: ["string", "null"], format: "image" },
+    thumbnailUrl: { type: ["string", "null"], format: "image" },
+  },
+};
+
+// JSON Schema for the current content version (unknown properties are allowed)
+export const DECK_CONTENT_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `deck-content.v${DECK_SCHEMA_VERSION}`,
+  title: "Deck content",
+  type: "object",
+  required: ["schemaVersion", "tool", "beats", "visuals", "storyboards"],
+  properties: {
+    schemaVersion: { type: "integer", const: DECK_SCHEMA_VERSION },
+    id: nullable("string"),
+    title: nullable("string"),
+    tagline: nullable("string"),
+    prompt: { type: "string" },
+    brief: { type: "string" },
+    contentType: { type: "string" },
+    story_type: { type: "string" },
+    tool: { type: "string", enum: VALID_TOOLS },
+    toneImage: { type: ["string", "null"], format: "image" },
+    thumbnail_url: { type: ["string", "null"], format: "image" },
+    thumbnailUrl: { type: ["string", "null"], format: "image" },
+    shareCode: { type: "string" },
+    shared: { type: "boolean" },
+    // { expiresAt, passwordHash, rotatedAt } (see utils/shareSettings.js)
+    shareSettings: { type: "object" },
+    beatTitles: { type: "array", items: { type: "string" } },
+    beats: { type: "array", items: BEAT },
+    scenes: { type: "array", items: LABELED_ENTRY },
+    shots: { type: "array", items: LABELED_ENTRY },
+    visuals: { type: "array", items: IMAGE_ENTRY },
+    storyboards: { type: "array", items: IMAGE_ENTRY },
+    suggestions: { type: "array", items: { type: "object", properties: { text: { type: "string" } } } },
+    meta: { type: "object" },
+    storyProfile: nullable("object"),
+    critique: nullable("object"),
+    altConcepts: nullable("array"),
+  },
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return types.some((type) => type === actual || (type === "number" && actual === "integer"));
+}
+
+function validateValue(value, schema, path, errors, maxErrors) {
+  if (errors.length >= maxErrors) return;
+  const fail = (message) => errors.push({ path: path || "(root)", message });
+
+  const types = [].concat(schema.type || []);
+  if (types.length && !matchesType(value, types)) {
+    return fail(`must be ${types.join(" or ")}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    return fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.filter((v) => v !== null).join(", ")}`);
+  }
+  if (typeof value === "string") {
+    if (schema.maxLength && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+    const format = FORMATS[schema.format];
+    if (format && value && !format.pattern.test(value)) {
+      return fail(format.message);
+    }
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be <= ${schema.maximum}`);
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : value && typeof value === "object" && schema.items
+      ? Object.entries(value)
+      : null;
+
+  if (entries && schema.maxItems && entries.length > schema.maxItems) {
+    return fail(`must have at most ${schema.maxItems} entries`);
+  }
+
+  if (entries && schema.items) {
+    for (const [key, item] of entries) {
+      validateValue(item, schema.items, `${path}[${key}]`, errors, maxErrors);
+    }
+    return;
+  }
+
+  if (value && typeof value === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: "is required" });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      validateValue(value[key], propertySchema, path ? `${path}.${key}` : key, errors, maxErrors);
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * Supports type (string or list), const, enum, required, properties, items
+ * (arrays, or every value of an object map), maxItems, maxLength,
+ * minimum/maximum and format: "image".
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {Object} [options]
+ * @param {number} [options.maxErrors=20] - Stop after this many errors
+ * @returns {Array<{ path: string, message: string }>} Errors (empty when valid)
+ */
+export function validateSchema(value, schema, { maxErrors = 20 } = {}) {
+  const errors = [];
+  validateValue(value, schema, "", errors, maxErrors);
+  return errors;
+}
+
+/**
+ * Validate content against the current DECK_CONTENT_SCHEMA
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateDeckContent(content) {
+  const errors = validateSchema(content, DECK_CONTENT_SCHEMA);
+  return { valid: errors.length === 0, errors };
+}
+
+// =============================================================================
+// UPGRADES
+// =============================================================================
+
+// Upgrades keyed by the version they produce; each takes the previous version
+const UPGRADES = {
+  // 1: one shape for every field (what normalizeDeckPayload guesses at)
+  1: (content) => {
+    const upgraded = { ...content, ...normalizeDeckPayload(content) };
+    delete upgraded.tone_image;
+    return upgraded;
+  },
+  // 2: every beat has a stable uid and an explicit locked flag
+  2: (content) => ({
+    ...content,
+    beats: ensureBeatUids(content.beats).map((beat) => ({ ...beat, locked: beat.locked === true })),
+  }),
+};
+
+/**
+ * Schema version of stored content (0 for content written before versioning)
+ */
+export function deckSchemaVersion(content) {
+  const version = content?.schemaVersion;
+  return Number.isInteger(version) && version > 0 ? version : 0;
+}
+
+/**
+ * Bring content up to DECK_SCHEMA_VERSION
+ *
+ * Content from a newer version (written by a newer server) is returned as-is.
+ *
+ * @param {Object} content - Stored deck content
+ * @returns {{ content: Object, from: number, to: number, upgraded: boolean }}
+ */
+export function upgradeDeckContent(content) {
+  const from = deckSchemaVersion(content);
+  let current = content && typeof content === "object" && !Array.isArray(content) ? content : {};
+
+  for (let version = from + 1; version <= DECK_SCHEMA_VERSION; version++) {
+    current = { ...UPGRADES[version](current), schemaVersion: version };
+  }
+
+  return { content: current, from, to: Math.max(from, DECK_SCHEMA_VERSION), upgraded: from < DECK_SCHEMA_VERSION };
+}
+
+export default {
+  DECK_SCHEMA_VERSION,
+  DECK_CONTENT_SCHEMA,
+  validateSchema,
+  validateDeckContent,
+  deckSchemaVersion,
+  upgradeDeckContent,
+};
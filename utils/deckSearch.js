@@ -0,0 +1,175 @@
+// utils/deckSearch.js
+/**
+ * Deck search helpers
+ *
+ * GET /api/decks/search ranks decks with the search_user_decks() RPC
+ * (migrations/008_deck_search_index.sql). Databases without that migration
+ * fall back to scanning deck content in memory with the same result shape.
+ *
+ * Snippets from both paths wrap matches in \u0002 ... \u0003 markers;
+ * renderSnippet() escapes the text and turns the markers into <mark> tags.
+ */
+
+const MARK_START = "\u0002";
+const MARK_END = "\u0003";
+
+// Characters of context kept on each side of the first match
+const SNIPPET_RADIUS = 60;
+
+// Field weights for the in-memory fallback (mirrors the A-D tsvector weights)
+const FIELD_WEIGHTS = { title: 1, tagline: 0.4, prompt: 0.2, beat: 0.1 };
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Split a search query into lowercase terms (quotes and operators dropped)
+ * @param {string} query - Raw query string
+ * @returns {string[]} Unique terms
+ */
+export function parseSearchTerms(query) {
+  if (!query || typeof query !== "string") return [];
+  const terms = query
+    .toLowerCase()
+    .replace(/["()]/g, " ")
+    .split(/\s+/)
+    .map((term) => term.replace(/^[-+]+/, "").trim())
+    .filter((term) => term.length > 1 && term !== "or");
+  return [...new Set(terms)];
+}
+
+/**
+ * Searchable text of a beat: name, intent and beatText/text
+ * @param {Object|string} beat - Beat entry
+ * @returns {string}
+ */
+export function beatSearchText(beat) {
+  if (!beat) return "";
+  if (typeof beat === "string") return beat;
+  return [beat.name, beat.intent, beat.beatText || beat.text]
+    .filter((part) => typeof part === "string" && part.trim())
+    .join(" ");
+}
+
+/**
+ * Build a snippet around the first match, with every match marked
+ * @param {string} text - Source text
+ * @param {string[]} terms - Search terms
+ * @returns {string|null} Marked snippet or null when nothing matches
+ */
+export function buildSnippet(text, terms) {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join("|"), "gi");
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const excerpt = text.slice(start, end).replace(
+    new RegExp(terms.map(escapeRegExp).join("|"), "gi"),
+    (match) => `${MARK_START}${match}${MARK_END}`
+  );
+
+  return `${start > 0 ? "…" : ""}${excerpt}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Convert a marked snippet into HTML-safe text with <mark> highlights
+ * @param {string|null} snippet - Snippet from the RPC or buildSnippet()
+ * @returns {string|null}
+ */
+export function renderSnippet(snippet) {
+  if (!snippet || !snippet.includes(MARK_START)) return null;
+  return escapeHtml(snippet)
+    .split(MARK_START).join("<mark>")
+    .split(MARK_END).join("</mark>");
+}
+
+function countMatches(text, terms) {
+  if (!text) return 0;
+  const lower = text.toLowerCase();
+  return terms.reduce((sum, term) => sum + lower.split(term).length - 1, 0);
+}
+
+/**
+ * Match a deck (with content) against search terms in memory.
+ * Every term must appear somewhere in the deck.
+ *
+ * @param {Object} deck - { title, tagline, prompt, content }
+ * @param {string[]} terms - Terms from parseSearchTerms()
+ * @returns {Object|null} { rank, title_snippet, tagline_snippet, prompt_snippet, beat_index, beat_snippet }
+ */
+export function matchDeck(deck, terms) {
+  if (!terms.length) return null;
+
+  const beats = Array.isArray(deck?.content?.beats) ? deck.content.beats : [];
+  const fields = {
+    title: deck.title || deck.content?.title || "",
+    tagline: deck.tagline || deck.content?.tagline || "",
+    prompt: deck.prompt || deck.content?.prompt || "",
+  };
+  const beatTexts = beats.map(beatSearchText);
+
+  const haystack = [fields.title, fields.tagline, fields.prompt, ...beatTexts]
+    .join("\n")
+    .toLowerCase();
+  if (!terms.every((term) => haystack.includes(term))) return null;
+
+  const beatIndex = beatTexts.findIndex((text) => countMatches(text, terms) > 0);
+
+  const rank =
+    countMatches(fields.title, terms) * FIELD_WEIGHTS.title +
+    countMatches(fields.tagline, terms) * FIELD_WEIGHTS.tagline +
+    countMatches(fields.prompt, terms) * FIELD_WEIGHTS.prompt +
+    beatTexts.reduce((sum, text) => sum + countMatches(text, terms), 0) * FIELD_WEIGHTS.beat;
+
+  return {
+    rank,
+    title_snippet: buildSnippet(fields.title, terms),
+    tagline_snippet: buildSnippet(fields.tagline, terms),
+    prompt_snippet: buildSnippet(fields.prompt, terms),
+    beat_index: beatIndex >= 0 ? beatIndex : null,
+    beat_snippet: beatIndex >= 0 ? buildSnippet(beatTexts[beatIndex], terms) : null,
+  };
+}
+
+/**
+ * Shape the search fields of a result row (RPC or in-memory match)
+ * @param {Object} row - Row with *_snippet, beat_index and rank
+ * @returns {{ rank: number, highlights: Object, match: Object|null }}
+ */
+export function formatSearchHit(row) {
+  const beatIndex = Number.isInteger(row.beat_index) ? row.beat_index : null;
+  return {
+    rank: Number(row.rank) || 0,
+    highlights: {
+      title: renderSnippet(row.title_snippet),
+      tagline: renderSnippet(row.tagline_snippet),
+      prompt: renderSnippet(row.prompt_snippet),
+    },
+    match:
+      beatIndex !== null
+        ? { beatIndex, snippet: renderSnippet(row.beat_snippet) }
+        : null,
+  };
+}
+
+export default {
+  parseSearchTerms,
+  beatSearchText,
+  buildSnippet,
+  renderSnippet,
+  matchDeck,
+  formatSearchHit,
+};
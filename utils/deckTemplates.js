@@ -0,0 +1,327 @@
+// utils/deckTemplates.js
+/**
+ * Deck templates
+ *
+ * A template is a reusable deck skeleton: beat titles and intents (optionally
+ * with starter copy), a prefilled storyProfile and the deck-level fields.
+ * Any string may contain {{variables}} such as {{brand}} or {{product}}; they
+ * are filled in when the template is instantiated into a new deck.
+ *
+ * Built-in templates live here; personal ones are rows in deck_templates
+ * (see migrations/015_deck_templates.sql), saved from an existing deck with
+ * POST /api/decks/:id/save-as-template.
+ */
+
+import { upgradeDeckContent } from "./deckSchema.js";
+
+export const TEMPLATE_COLUMNS = [
+  "id",
+  "user_id",
+  "name",
+  "description",
+  "tool",
+  "content",
+  "variables",
+  "source_deck_id",
+  "created_at",
+  "updated_at",
+].join(",");
+
+export const MAX_TEMPLATE_NAME_LENGTH = 120;
+export const MAX_TEMPLATE_DESCRIPTION_LENGTH = 1000;
+export const MAX_TEMPLATE_BEATS = 50;
+
+// Built-in ids can't collide with uuids
+const BUILT_IN_PREFIX = "builtin-";
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/gi;
+
+// Deck-level fields a template carries over
+const TEMPLATE_DECK_FIELDS = ["title", "tagline", "prompt", "brief", "contentType", "story_type"];
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: `${BUILT_IN_PREFIX}agency-six-beat`,
+    name: "Agency six-beat",
+    description: "The classic client pitch: tension, insight, idea, proof and a clean brand button.",
+    tool: "story_engine",
+    content: {
+      title: "{{brand}}: {{product}}",
+      tagline: "",
+      prompt: "A 30-second spot for {{brand}} {{product}}.",
+      contentType: "commercial",
+      story_type: "commercial",
+      storyProfile: {
+        structure: "three_act",
+        arc: "positive_change",
+        tone: "hopeful",
+        pov: "observer",
+        rhythm: "punchy_cuts",
+        risk: "interesting",
+        ending: "resolved",
+        brand_role: "reveal_late",
+        format: "commercial",
+        constraints: { durationSec: 30, mustInclude: [], mustAvoid: [], productCategory: "", brandVoice: "" },
+        creativeHooks: [],
+        referenceVibes: [],
+      },
+      beats: [
+        { title: "Hook", intent: "Stop the scroll in the first three seconds." },
+        { title: "Tension", intent: "The everyday problem {{product}} is for." },
+        { title: "Insight", intent: "The human truth behind the problem." },
+        { title: "Idea", intent: "How {{brand}} turns the insight around." },
+        { title: "Proof", intent: "Show {{product}} doing it, not a claim." },
+        { title: "Button", intent: "Land the line and the {{brand}} logo." },
+      ],
+    },
+  },
+  {
+    id: `${BUILT_IN_PREFIX}product-launch`,
+    name: "Product launch",
+    description: "Teaser-to-reveal structure for a new product, built around one hero moment.",
+    tool: "story_engine",
+    content: {
+      title: "Introducing {{product}}",
+      tagline: "",
+      prompt: "Launch film for {{product}} by {{brand}}.",
+      contentType: "commercial",
+      story_type: "commercial",
+      storyProfile: {
+        structure: "three_act",
+        arc: "positive_change",
+        tone: "editorial",
+        pov: "brand_as_character",
+        rhythm: "fast_montage",
+        risk: "bold",
+        ending: "twist",
+        brand_role: "foreground",
+        format: "trailer",
+        constraints: { durationSec: 45, mustInclude: [], mustAvoid: [], productCategory: "", brandVoice: "" },
+        creativeHooks: [],
+        referenceVibes: [],
+      },
+      beats: [
+        { title: "Tease", intent: "A detail of {{product}} without showing it whole." },
+        { title: "World", intent: "The world before {{product}}." },
+        { title: "Reveal", intent: "The hero shot of {{product}}." },
+        { title: "Moment", intent: "One person's life with {{product}} in it." },
+        { title: "Sign-off", intent: "{{brand}} name, date and where to get it." },
+      ],
+    },
+  },
+  {
+    id: `${BUILT_IN_PREFIX}social-cutdown`,
+    name: "Social cutdown",
+    description: "Three fast beats for a 15-second vertical cut.",
+    tool: "story_engine",
+    content: {
+      title: "{{brand}} social cutdown",
+      tagline: "",
+      prompt: "15-second vertical cutdown for {{brand}} {{product}}.",
+      contentType: "social",
+      story_type: "social",
+      storyProfile: {
+        structure: "single_scene",
+        arc: "flat_arc",
+        tone: "comedic",
+        pov: "first_person",
+        rhythm: "punchy_cuts",
+        risk: "interesting",
+        ending: "no_ending_button",
+        brand_role: "background_presence",
+        format: "social_cutdown",
+        constraints: { durationSec: 15, mustInclude: [], mustAvoid: [], productCategory: "", brandVoice: "" },
+        creativeHooks: [],
+        referenceVibes: [],
+      },
+      beats: [
+        { title: "Hook", intent: "Open mid-action." },
+        { title: "Turn", intent: "{{product}} changes the moment." },
+        { title: "Payoff", intent: "The reaction, with {{brand}} on screen." },
+      ],
+    },
+  },
+];
+
+export function isBuiltInTemplateId(id) {
+  return typeof id === "string" && id.startsWith(BUILT_IN_PREFIX);
+}
+
+export function findBuiltInTemplate(id) {
+  return BUILT_IN_TEMPLATES.find((template) => template.id === id) || null;
+}
+
+/**
+ * Validate template fields from a request body
+ * @param {Object} body - { name?, description? }
+ * @param {Object} [options]
+ * @param {string} [options.fallbackName] - Name to use when none is given
+ * @returns {{ value?: { name: string, description: string|null }, error?: string }}
+ */
+export function parseTemplateInput(body = {}, { fallbackName = "" } = {}) {
+  const rawName = typeof body.name === "string" && body.name.trim() ? body.name : fallbackName;
+  const name = String(rawName || "").trim().replace(/\s+/g, " ");
+  if (!name) return { error: "Template name is required" };
+  if (name.length > MAX_TEMPLATE_NAME_LENGTH) {
+    return { error: `Template name must be at most ${MAX_TEMPLATE_NAME_LENGTH} characters` };
+  }
+
+  let description = null;
+  if (body.description !== undefined && body.description !== null) {
+    if (typeof body.description !== "string") return { error: "Template description must be a string" };
+    description = body.description.trim() || null;
+    if (description && description.length > MAX_TEMPLATE_DESCRIPTION_LENGTH) {
+      return { error: `Template description must be at most ${MAX_TEMPLATE_DESCRIPTION_LENGTH} characters` };
+    }
+  }
+
+  return { value: { name, description } };
+}
+
+/**
+ * {{variables}} used anywhere in a template, in first-use order
+ * @param {*} value - Template content (or any value)
+ * @returns {string[]}
+ */
+export function templateVariables(value) {
+  const found = new Set();
+  const visit = (node) => {
+    if (typeof node === "string") {
+      for (const match of node.matchAll(VARIABLE_PATTERN)) found.add(match[1].toLowerCase());
+    } else if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === "object") {
+      Object.values(node).forEach(visit);
+    }
+  };
+  visit(value);
+  return [...found];
+}
+
+/**
+ * Replace {{variables}} in every string of a value
+ *
+ * Variables without a value are left in place so they stay visible in the deck.
+ *
+ * @param {*} value - Template content (or any value)
+ * @param {Object<string, string>} variables - name -> replacement
+ * @returns {*} A copy with variables substituted
+ */
+export function applyTemplateVariables(value, variables = {}) {
+  const lookup = new Map(
+    Object.entries(variables || {})
+      .filter(([, replacement]) => replacement !== undefined && replacement !== null)
+      .map(([name, replacement]) => [name.toLowerCase(), String(replacement)])
+  );
+
+  const visit = (node) => {
+    if (typeof node === "string") {
+      return node.replace(VARIABLE_PATTERN, (match, name) => lookup.get(name.toLowerCase()) ?? match);
+    }
+    if (Array.isArray(node)) return node.map(visit);
+    if (node && typeof node === "object") {
+      return Object.fromEntries(Object.entries(node).map(([key, child]) => [key, visit(child)]));
+    }
+    return node;
+  };
+  return visit(value);
+}
+
+/**
+ * Template content from a deck's content
+ *
+ * Beats keep their title and intent; their copy is only kept with
+ * includeBeatText (otherwise instantiated decks get placeholder beats).
+ *
+ * @param {Object} deckContent - Stored deck content
+ * @param {Object} [options]
+ * @param {boolean} [options.includeBeatText=false] - Keep each beat's copy
+ * @param {boolean} [options.includeProfile=true] - Keep the storyProfile
+ * @returns {Object} Template content
+ */
+export function buildTemplateContent(deckContent, { includeBeatText = false, includeProfile = true } = {}) {
+  const content = upgradeDeckContent(deckContent || {}).content;
+  const template = {};
+
+  for (const field of TEMPLATE_DECK_FIELDS) {
+    if (typeof content[field] === "string" && content[field]) template[field] = content[field];
+  }
+
+  template.storyProfile = includeProfile && content.storyProfile && typeof content.storyProfile === "object"
+    ? content.storyProfile
+    : null;
+
+  template.beats = (Array.isArray(content.beats) ? content.beats : [])
+    .slice(0, MAX_TEMPLATE_BEATS)
+    .map((beat, index) => ({
+      title: beat.title || beat.name || `Beat ${index + 1}`,
+      intent: beat.intent || null,
+      ...(includeBeatText && beat.beatText ? { text: beat.beatText } : {}),
+    }));
+
+  return template;
+}
+
+/**
+ * Deck content for a new deck made from a template
+ *
+ * Beats without starter copy become placeholders ("[Hook]") that keep the
+ * beat's intent.
+ *
+ * @param {Object} template - Built-in template or deck_templates row
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.variables] - Values for {{variables}}
+ * @returns {{ content: Object, missingVariables: string[] }}
+ */
+export function instantiateTemplateContent(template, { variables = {} } = {}) {
+  const source = template?.content || {};
+  const filled = applyTemplateVariables(source, variables);
+
+  const beats = (Array.isArray(filled.beats) ? filled.beats : []).map((beat, index) => {
+    const title = beat?.title || `Beat ${index + 1}`;
+    const text = beat?.text || `[${title}]`;
+    return { title, intent: beat?.intent || null, text, beatText: text };
+  });
+
+  const content = {
+    ...filled,
+    beats,
+    storyProfile: filled.storyProfile || null,
+    tool: template?.tool || filled.tool,
+  };
+
+  return { content, missingVariables: templateVariables(content) };
+}
+
+/**
+ * Gallery entry for a template (no content)
+ */
+export function summarizeTemplate(template) {
+  const content = template?.content || {};
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description || null,
+    tool: template.tool,
+    builtIn: isBuiltInTemplateId(template.id),
+    beatsCount: Array.isArray(content.beats) ? content.beats.length : 0,
+    beatTitles: (Array.isArray(content.beats) ? content.beats : []).map((beat) => beat?.title || null),
+    variables: Array.isArray(template.variables) ? template.variables : templateVariables(content),
+    sourceDeckId: template.source_deck_id || null,
+    created_at: template.created_at || null,
+    updated_at: template.updated_at || null,
+  };
+}
+
+export default {
+  TEMPLATE_COLUMNS,
+  BUILT_IN_TEMPLATES,
+  isBuiltInTemplateId,
+  findBuiltInTemplate,
+  parseTemplateInput,
+  templateVariables,
+  applyTemplateVariables,
+  buildTemplateContent,
+  instantiateTemplateContent,
+  summarizeTemplate,
+};
@@ -0,0 +1,165 @@
+// utils/deckTrash.js
+/**
+ * Deck trash bin
+ *
+ * DELETE /api/decks/:id only sets decks.deleted_at. Trashed decks can be
+ * restored until the retention window passes; after that they are purged:
+ * every storage object under decks/{id}/ (and the deck's exported PDFs) is
+ * removed, then the row itself (versions cascade with it). If any object
+ * can't be removed the row stays in the trash, so the objects are never left
+ * without a deck pointing at them and the next purge retries.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { deleteDeckStorage } from "./supabaseStorage.js";
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+
+// Days a deck stays restorable in the trash
+export const TRASH_RETENTION_DAYS = Math.max(
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+  1
+);
+
+// How often the background purge runs (minutes)
+const PURGE_INTERVAL_MINUTES = Math.max(
+  parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 360,
+  5
+);
+
+// Max decks purged per run, so one run never hogs the server
+const PURGE_BATCH_SIZE = 50;
+
+/**
+ * When a trashed deck becomes eligible for purge
+ * @param {string} deletedAt - decks.deleted_at
+ * @returns {string|null} ISO timestamp
+ */
+export function purgeDateFor(deletedAt) {
+  const ms = Date.parse(deletedAt);
+  if (!Number.isFinite(ms)) return null;
+  return new Date(ms + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Permanently delete a deck: storage objects first, then the row
+ *
+ * The row is only deleted once every storage object is gone; otherwise the
+ * result carries an error and the deck stays in the trash for a retry.
+ *
+ * @param {Object} db - Supabase client
+ * @param {Object} deck - Deck row (id, user_id, export_pdf_url)
+ * @returns {Promise<{ id: string, removedObjects: number, storageErrors: string[], error?: string }>}
+ */
+export async function purgeDeck(db, deck) {
+  const storage = await deleteDeckStorage(deck);
+
+  if (storage.errors.length) {
+    return {
+      id: deck.id,
+      removedObjects: storage.removed,
+      storageErrors: storage.errors,
+      error: "Some storage objects could not be removed; the deck stays in the trash",
+    };
+  }
+
+  const { error } = await db.from("decks").delete().eq("id", deck.id);
+  if (error) throw error;
+
+  return { id: deck.id, removedObjects: storage.removed, storageErrors: storage.errors };
+}
+
+/**
+ * Purge trashed decks
+ *
+ * @param {Object} db - Supabase client
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only purge this user's decks
+ * @param {boolean} [options.expiredOnly=true] - Only decks past the retention window
+ * @param {number} [options.limit] - Max decks to purge in this call
+ * @returns {Promise<Array>} Purge results
+ */
+export async function purgeTrashedDecks(
+  db,
+  { userId = null, expiredOnly = true, limit = PURGE_BATCH_SIZE } = {}
+) {
+  let query = db
+    .from("decks")
+    .select("id,user_id,export_pdf_url,deleted_at")
+    .not("deleted_at", "is", null);
+
+  if (userId) query = query.eq("user_id", userId);
+
+  if (expiredOnly) {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    query = query.lt("deleted_at", cutoff.toISOString());
+  }
+
+  const { data, error } = await query.order("deleted_at", { ascending: true }).limit(limit);
+  if (error) throw error;
+
+  const results = [];
+  for (const deck of data || []) {
+    try {
+      results.push(await purgeDeck(db, deck));
+    } catch (err) {
+      console.error(`purgeTrashedDecks: deck ${deck.id} failed:`, err.message);
+      results.push({ id: deck.id, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Start the background purge of expired trash (no-op without a service key)
+ * @returns {Function|null} Stop function
+ */
+export function startTrashPurgeSchedule() {
+  if (String(process.env.TRASH_PURGE_DISABLED || "").toLowerCase() === "true") return null;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    console.warn("Trash purge disabled: missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+    return null;
+  }
+
+  const db = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
+  });
+
+  let running = false;
+  async function run() {
+    if (running) return;
+    running = true;
+    try {
+      const results = await purgeTrashedDecks(db);
+      if (results.length) {
+        console.log(`Trash purge: removed ${results.filter((r) => !r.error).length} deck(s)`);
+      }
+    } catch (err) {
+      console.error("Trash purge failed:", err.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  // First run shortly after boot, then on the interval
+  const initial = setTimeout(run, 60 * 1000);
+  const interval = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  initial.unref?.();
+  interval.unref?.();
+
+  return () => {
+    clearTimeout(initial);
+    clearInterval(interval);
+  };
+}
+
+export default {
+  TRASH_RETENTION_DAYS,
+  purgeDateFor,
+  purgeDeck,
+  purgeTrashedDecks,
+  startTrashPurgeSchedule,
+};
@@ -0,0 +1,529 @@
+// utils/deckVersions.js
+/**
+ * Deck version history
+ *
+ * Every write to a deck's content records an immutable snapshot in the
+ * deck_versions table (see migrations/006_deck_versions.sql). Snapshots are
+ * numbered per deck and can be listed, diffed and restored. The database
+ * assigns the number (a trigger under a per-deck lock); the number sent here
+ * only matters on a database without that trigger, where a collision is retried.
+ *
+ * Snapshot recording is best-effort: a failure is logged but never fails the
+ * write that triggered it.
+ */
+
+// Maximum number of snapshots kept per deck (oldest are pruned first)
+const MAX_VERSIONS_PER_DECK = Math.max(parseInt(process.env.DECK_VERSION_LIMIT, 10) || 100, 1);
+
+// Inserts tried when another write takes the same version number first
+const MAX_VERSION_INSERT_ATTEMPTS = 3;
+
+// Columns returned when listing versions (excludes the heavy content snapshot)
+const VERSION_LIST_COLUMNS = [
+  "id",
+  "deck_id",
+  "user_id",
+  "version",
+  "source",
+  "title",
+  "beats_count",
+  "restored_from",
+  "deck_updated_at",
+  "created_at",
+].join(",");
+
+const VERSION_FULL_COLUMNS = `${VERSION_LIST_COLUMNS},content`;
+
+// Beat fields compared when diffing two snapshots
+const BEAT_DIFF_FIELDS = [
+  "title",
+  "name",
+  "intent",
+  "text",
+  "beatText",
+  "cameraNotes",
+  "audioNotes",
+  "onScreenText",
+  "visual_url",
+  "storyboard_url",
+  "thumbnail_url",
+];
+
+// Deck-level fields compared when diffing two snapshots
+const DECK_DIFF_FIELDS = ["title", "tagline", "prompt", "tool", "toneImage"];
+
+function beatsOf(content) {
+  return Array.isArray(content?.beats) ? content.beats : [];
+}
+
+function beatUid(beat) {
+  return beat && typeof beat === "object" && typeof beat.uid === "string" && beat.uid
+    ? beat.uid
+    : null;
+}
+
+// Beats are matched by uid when every beat involved has one, else by index
+function canMatchByUid(...lists) {
+  return lists.every((list) => list.every((beat) => beatUid(beat)));
+}
+
+/**
+ * Indices (into seq) of a longest increasing subsequence
+ */
+function longestIncreasingRun(seq) {
+  const tails = [];
+  const prev = new Array(seq.length).fill(-1);
+  for (let i = 0; i < seq.length; i++) {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0) prev[i] = tails[lo - 1];
+    tails[lo] = i;
+  }
+  const run = new Set();
+  for (let i = tails[tails.length - 1] ?? -1; i >= 0; i = prev[i]) run.add(i);
+  return run;
+}
+
+function changedBeatFields(from, to) {
+  const changed = {};
+  for (const field of BEAT_DIFF_FIELDS) {
+    const a = beatField(from, field);
+    const b = beatField(to, field);
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changed[field] = { from: a, to: b };
+    }
+  }
+  return changed;
+}
+
+function diffBeatsByIndex(beforeBeats, afterBeats) {
+  const beats = [];
+  const total = Math.max(beforeBeats.length, afterBeats.length);
+
+  for (let index = 0; index < total; index++) {
+    const from = beforeBeats[index];
+    const to = afterBeats[index];
+
+    if (from === undefined) {
+      beats.push({ index, change: "added", beat: to });
+      continue;
+    }
+    if (to === undefined) {
+      beats.push({ index, change: "removed", beat: from });
+      continue;
+    }
+
+    const changedFields = changedBeatFields(from, to);
+    if (Object.keys(changedFields).length > 0) {
+      beats.push({ index, change: "modified", fields: changedFields });
+    }
+  }
+
+  return beats;
+}
+
+/**
+ * Diff beats by uid: a reorder shows up as "moved" beats instead of every
+ * shifted index looking modified. Only beats that left the longest run of
+ * unchanged relative order count as moved.
+ */
+function diffBeatsByUid(beforeBeats, afterBeats) {
+  const beforeIndex = new Map(beforeBeats.map((beat, i) => [beat.uid, i]));
+  const afterIndex = new Map(afterBeats.map((beat, i) => [beat.uid, i]));
+  const beats = [];
+
+  beforeBeats.forEach((beat, index) => {
+    if (!afterIndex.has(beat.uid)) {
+      beats.push({ index, uid: beat.uid, change: "removed", beat });
+    }
+  });
+
+  const kept = afterBeats.filter((beat) => beforeIndex.has(beat.uid));
+  const inOrder = longestIncreasingRun(kept.map((beat) => beforeIndex.get(beat.uid)));
+  const moved = new Set(kept.filter((_, i) => !inOrder.has(i)).map((beat) => beat.uid));
+
+  afterBeats.forEach((beat, index) => {
+    if (!beforeIndex.has(beat.uid)) {
+      beats.push({ index, uid: beat.uid, change: "added", beat });
+      return;
+    }
+
+    const from = beforeIndex.get(beat.uid);
+    const changedFields = changedBeatFields(beforeBeats[from], beat);
+    const hasChanges = Object.keys(changedFields).length > 0;
+
+    if (hasChanges) {
+      beats.push({
+        index,
+        uid: beat.uid,
+        change: "modified",
+        fields: changedFields,
+        ...(moved.has(beat.uid) && { movedFrom: from }),
+      });
+    } else if (moved.has(beat.uid)) {
+      beats.push({ index, uid: beat.uid, change: "moved", movedFrom: from });
+    }
+  });
+
+  return beats;
+}
+
+function beatField(beat, field) {
+  if (!beat || typeof beat !== "object") {
+    return field === "text" || field === "beatText" ? beat ?? null : null;
+  }
+  const value = beat[field];
+  return value === undefined || value === "" ? null : value;
+}
+
+/**
+ * Record a snapshot of a deck row
+ *
+ * @param {Object} db - Supabase client
+ * @param {Object} deck - Deck row as returned after the write (needs id + content)
+ * @param {Object} options
+ * @param {string} options.userId - User who made the change
+ * @param {string} options.source - What produced the change (e.g. "save", "beats.add")
+ * @param {string} [options.restoredFrom] - Version id this snapshot was restored from
+ * @returns {Promise<Object|null>} The recorded version (without content) or null on failure
+ */
+export async function recordDeckVersion(db, deck, { userId, source, restoredFrom = null }) {
+  if (!deck?.id || !deck?.content) return null;
+
+  try {
+    let data = null;
+    for (let attempt = 0; attempt < MAX_VERSION_INSERT_ATTEMPTS && !data; attempt++) {
+      const { data: latest, error: latestError } = await db
+        .from("deck_versions")
+        .select("version")
+        .eq("deck_id", deck.id)
+        .order("version", { ascending: false })
+        .limit(1);
+
+      if (latestError) throw latestError;
+
+      const { data: inserted, error } = await db
+        .from("deck_versions")
+        .insert({
+          deck_id: deck.id,
+          user_id: userId || deck.user_id || null,
+          version: (latest?.[0]?.version || 0) + 1,
+          source: source || "save",
+          title: deck.title || deck.content?.title || null,
+          beats_count: beatsOf(deck.content).length,
+          content: deck.content,
+          restored_from: restoredFrom,
+          deck_updated_at: deck.updated_at || null,
+        })
+        .select(VERSION_LIST_COLUMNS)
+        .single();
+
+      // UNIQUE (deck_id, version): a concurrent write took the number
+      if (error?.code === "23505" && attempt < MAX_VERSION_INSERT_ATTEMPTS - 1) continue;
+      if (error) throw error;
+      data = inserted;
+    }
+
+    // Prune snapshots beyond the retention limit (needs the service key)
+    if (data.version > MAX_VERSIONS_PER_DECK) {
+      const { error: pruneError } = await db
+        .from("deck_versions")
+        .delete()
+        .eq("deck_id", deck.id)
+        .lte("version", data.version - MAX_VERSIONS_PER_DECK);
+
+      if (pruneError) {
+        console.warn("recordDeckVersion: prune failed:", pruneError.message);
+      }
+    }
+
+    return data;
+  } catch (err) {
+    console.warn(`recordDeckVersion: snapshot skipped for deck ${deck.id}:`, err?.message);
+    return null;
+  }
+}
+
+/**
+ * List versions for a deck (most recent first, without content)
+ *
+ * @param {Object} db - Supabase client
+ * @param {string} deckId - Deck ID
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Max versions to return
+ * @param {number} [options.offset=0] - Pagination offset
+ * @returns {Promise<Array>} Versions
+ */
+export async function listDeckVersions(db, deckId, { limit = 50, offset = 0 } = {}) {
+  const { data, error } = await db
+    .from("deck_versions")
+    .select(VERSION_LIST_COLUMNS)
+    .eq("deck_id", deckId)
+    .order("version", { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Get a single version including its content snapshot
+ *
+ * @param {Object} db - Supabase client
+ * @param {string} deckId - Deck ID
+ * @param {string} versionId - Version ID
+ * @returns {Promise<Object|null>} Version or null if not found
+ */
+export async function getDeckVersion(db, deckId, versionId) {
+  const { data, error } = await db
+    .from("deck_versions")
+    .select(VERSION_FULL_COLUMNS)
+    .eq("deck_id", deckId)
+    .eq("id", versionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Find the snapshot recorded right after the write that produced a given
+ * deck updated_at (i.e. the content a client based its edit on)
+ *
+ * @param {Object} db - Supabase client
+ * @param {string} deckId - Deck ID
+ * @param {string} updatedAt - Deck updated_at the client last saw
+ * @returns {Promise<Object|null>} Version or null if not found
+ */
+export async function getDeckVersionAt(db, deckId, updatedAt) {
+  if (!updatedAt) return null;
+
+  let query = db
+    .from("deck_versions")
+    .select(VERSION_FULL_COLUMNS)
+    .eq("deck_id", deckId);
+
+  // Clients may echo the timestamp with millisecond precision only
+  const ms = Date.parse(updatedAt);
+  if (Number.isFinite(ms)) {
+    query = query
+      .gte("deck_updated_at", new Date(ms).toISOString())
+      .lt("deck_updated_at", new Date(ms + 1).toISOString());
+  } else {
+    query = query.eq("deck_updated_at", updatedAt);
+  }
+
+  const { data, error } = await query.order("version", { ascending: false }).limit(1);
+  if (error) {
+    console.warn("getDeckVersionAt failed:", error.message);
+    return null;
+  }
+  return data?.[0] || null;
+}
+
+/**
+ * Diff two deck content snapshots at deck-field and beat level
+ *
+ * @param {Object} before - Older content
+ * @param {Object} after - Newer content
+ * @returns {{ changed: boolean, fields: Object, beats: Array }}
+ */
+export function diffDeckContent(before = {}, after = {}) {
+  const fields = {};
+  for (const field of DECK_DIFF_FIELDS) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      fields[field] = { from, to };
+    }
+  }
+
+  const beforeBeats = beatsOf(before);
+  const afterBeats = beatsOf(after);
+  const beats = canMatchByUid(beforeBeats, afterBeats)
+    ? diffBeatsByUid(beforeBeats, afterBeats)
+    : diffBeatsByIndex(beforeBeats, afterBeats);
+
+  return {
+    changed: Object.keys(fields).length > 0 || beats.length > 0,
+    fields,
+    beats,
+  };
+}
+
+function beatSignature(beat) {
+  if (beat === undefined) return undefined;
+  const picked = {};
+  for (const field of BEAT_DIFF_FIELDS) {
+    picked[field] = beatField(beat, field);
+  }
+  return JSON.stringify(picked);
+}
+
+function sameValue(a, b, signature = JSON.stringify) {
+  return signature(a) === signature(b);
+}
+
+/**
+ * Resolve one value in a three-way merge.
+ * Without a base, only identical values merge cleanly.
+ */
+function resolveMergeValue(base, mine, theirs, hasBase, signature = JSON.stringify) {
+  if (sameValue(mine, theirs, signature)) return { resolution: "same", value: theirs };
+  if (hasBase && sameValue(mine, base, signature)) return { resolution: "server", value: theirs };
+  if (hasBase && sameValue(theirs, base, signature)) return { resolution: "client", value: mine };
+  // Conflicts keep the server copy so nothing is lost until the client decides
+  return { resolution: "conflict", value: theirs };
+}
+
+function mergeBeatsByIndex(baseBeats, mineBeats, theirBeats, hasBase) {
+  const total = Math.max(baseBeats.length, mineBeats.length, theirBeats.length);
+  const mergedBeats = [];
+  const beats = [];
+  let conflicts = 0;
+
+  for (let index = 0; index < total; index++) {
+    const outcome = resolveMergeValue(
+      baseBeats[index],
+      mineBeats[index],
+      theirBeats[index],
+      hasBase,
+      beatSignature
+    );
+
+    if (outcome.value !== undefined) mergedBeats.push(outcome.value);
+    if (outcome.resolution === "same") continue;
+    if (outcome.resolution === "conflict") conflicts++;
+
+    beats.push({
+      index,
+      resolution: outcome.resolution,
+      ...(hasBase && { base: baseBeats[index] ?? null }),
+      client: mineBeats[index] ?? null,
+      server: theirBeats[index] ?? null,
+    });
+  }
+
+  return { mergedBeats, beats, conflicts };
+}
+
+/**
+ * Merge beats by uid. The server's order wins; beats only the client added
+ * are slotted in after the beat that precedes them in the client's copy.
+ */
+function mergeBeatsByUid(baseBeats, mineBeats, theirBeats, hasBase) {
+  const byUid = (list) => new Map(list.map((beat) => [beat.uid, beat]));
+  const base = byUid(baseBeats);
+  const mine = byUid(mineBeats);
+  const theirs = byUid(theirBeats);
+
+  const uids = [...new Set([...theirs.keys(), ...mine.keys(), ...base.keys()])];
+  const resolved = new Map();
+  const outcomes = [];
+  let conflicts = 0;
+
+  for (const uid of uids) {
+    const outcome = resolveMergeValue(
+      base.get(uid),
+      mine.get(uid),
+      theirs.get(uid),
+      hasBase,
+      beatSignature
+    );
+    if (outcome.value !== undefined) resolved.set(uid, outcome.value);
+    if (outcome.resolution === "same") continue;
+    if (outcome.resolution === "conflict") conflicts++;
+    outcomes.push({ uid, resolution: outcome.resolution });
+  }
+
+  const order = theirBeats.map((beat) => beat.uid).filter((uid) => resolved.has(uid));
+  mineBeats.forEach((beat, i) => {
+    if (order.includes(beat.uid) || !resolved.has(beat.uid)) return;
+    let at = 0;
+    for (let k = i - 1; k >= 0; k--) {
+      const position = order.indexOf(mineBeats[k].uid);
+      if (position >= 0) {
+        at = position + 1;
+        break;
+      }
+    }
+    order.splice(at, 0, beat.uid);
+  });
+
+  const beats = outcomes.map(({ uid, resolution }) => ({
+    index: order.includes(uid) ? order.indexOf(uid) : null,
+    uid,
+    resolution,
+    ...(hasBase && { base: base.get(uid) ?? null }),
+    client: mine.get(uid) ?? null,
+    server: theirs.get(uid) ?? null,
+  }));
+
+  return { mergedBeats: order.map((uid) => resolved.get(uid)), beats, conflicts };
+}
+
+/**
+ * Propose a beat-level merge of a stale client write into the server copy
+ *
+ * @param {Object} options
+ * @param {Object|null} options.base - Content the client based its edit on (if known)
+ * @param {Object} options.mine - Content the client wanted to write
+ * @param {Object} options.theirs - Current server content
+ * @returns {{ strategy: string, content: Object, fields: Object, beats: Array, conflicts: number }}
+ */
+export function proposeDeckMerge({ base = null, mine = {}, theirs = {} }) {
+  const hasBase = !!base;
+  const content = { ...theirs };
+  const fields = {};
+  let conflicts = 0;
+
+  for (const field of DECK_DIFF_FIELDS) {
+    const outcome = resolveMergeValue(
+      base?.[field] ?? null,
+      mine?.[field] ?? null,
+      theirs?.[field] ?? null,
+      hasBase
+    );
+    if (outcome.resolution === "same") continue;
+    if (outcome.resolution === "conflict") conflicts++;
+    content[field] = outcome.value;
+    fields[field] = {
+      resolution: outcome.resolution,
+      client: mine?.[field] ?? null,
+      server: theirs?.[field] ?? null,
+    };
+  }
+
+  const baseBeats = beatsOf(base);
+  const mineBeats = beatsOf(mine);
+  const theirBeats = beatsOf(theirs);
+  const merged = canMatchByUid(baseBeats, mineBeats, theirBeats)
+    ? mergeBeatsByUid(baseBeats, mineBeats, theirBeats, hasBase)
+    : mergeBeatsByIndex(baseBeats, mineBeats, theirBeats, hasBase);
+  const { mergedBeats, beats } = merged;
+  conflicts += merged.conflicts;
+
+  content.beats = mergedBeats;
+
+  return {
+    strategy: hasBase ? "three-way" : "two-way",
+    content,
+    fields,
+    beats,
+    conflicts,
+  };
+}
+
+export default {
+  recordDeckVersion,
+  listDeckVersions,
+  getDeckVersion,
+  getDeckVersionAt,
+  diffDeckContent,
+  proposeDeckMerge,
+};
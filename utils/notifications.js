@@ -0,0 +1,50 @@
+// utils/notifications.js
+/**
+ * Per-user notification feed
+ *
+ * Rows in deck_notifications (migrations/017_share_feedback.sql), read with
+ * GET /api/notifications. The only type today is "share.feedback": someone
+ * reviewed a deck through its share link (see utils/shareFeedback.js).
+ */
+
+export const NOTIFICATION_COLUMNS = "id,user_id,deck_id,type,data,read_at,created_at";
+
+export const NOTIFICATION_TYPES = ["share.feedback"];
+
+export const DEFAULT_NOTIFICATIONS_LIMIT = 50;
+export const MAX_NOTIFICATIONS_LIMIT = 200;
+
+/**
+ * Add a notification. Best-effort: never throws, so a missing table can't
+ * fail the write that triggered it.
+ *
+ * @param {Object} db - Supabase client allowed to insert for userId
+ * @param {Object} notification
+ * @param {string} notification.userId - Recipient
+ * @param {string} [notification.deckId]
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {Object} [notification.data] - Type-specific payload
+ * @returns {Promise<Object|null>} The row, or null when it wasn't stored
+ */
+export async function createNotification(db, { userId, deckId = null, type, data = {} }) {
+  try {
+    const { data: row, error } = await db
+      .from("deck_notifications")
+      .insert({ user_id: userId, deck_id: deckId, type, data })
+      .select(NOTIFICATION_COLUMNS)
+      .single();
+    if (error) throw error;
+    return row;
+  } catch (e) {
+    console.warn(`${type} notification not stored:`, e?.message);
+    return null;
+  }
+}
+
+export default {
+  NOTIFICATION_COLUMNS,
+  NOTIFICATION_TYPES,
+  DEFAULT_NOTIFICATIONS_LIMIT,
+  MAX_NOTIFICATIONS_LIMIT,
+  createNotification,
+};
@@ -0,0 +1,80 @@
+// utils/requestAuth.js
+/**
+ * Request authentication and the Supabase client for a request
+ *
+ * requireUser verifies the bearer token and sets req.user / req.accessToken;
+ * dbForReq(req) then returns the service client when the service key is set,
+ * otherwise a client scoped to the caller's token (RLS applies).
+ */
+
+import { createClient } from "@supabase/supabase-js";
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+const SUPABASE_SERVICE_ROLE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+  console.warn("Missing SUPABASE_URL or SUPABASE_ANON_KEY in env.");
+}
+
+// Auth client (verify bearer token)
+const supabaseAuth = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+  auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
+});
+
+// Service client (bypass RLS) if available
+export const supabaseService = SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
+    })
+  : null;
+
+// Token-scoped client (respects RLS, uses auth.uid())
+function supabaseUserDb(accessToken) {
+  return createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
+    global: { headers: { Authorization: `Bearer ${accessToken}` } },
+  });
+}
+
+// Service client when configured, otherwise one scoped to the caller's token
+export function dbForReq(req) {
+  return supabaseService || supabaseUserDb(req.accessToken);
+}
+
+export async function requireUser(req, res, next) {
+  try {
+    const auth = req.headers.authorization || "";
+    const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
+    if (!token) return res.status(401).json({ error: "Missing bearer token" });
+
+    const { data, error } = await supabaseAuth.auth.getUser(token);
+    if (error || !data?.user) return res.status(401).json({ error: "Invalid session" });
+
+    req.user = data.user;
+    req.accessToken = token;
+    return next();
+  } catch (e) {
+    console.error("requireUser error:", e);
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+}
+
+// Comma-separated emails allowed to run admin routes (besides app_metadata.role = "admin")
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Admin-only routes (after requireUser). app_metadata can only be set with
+ * the service key, so it can't be self-assigned.
+ */
+export function requireAdmin(req, res, next) {
+  const email = (req.user?.email || "").toLowerCase();
+  if (req.user?.app_metadata?.role === "admin" || (email && ADMIN_EMAILS.includes(email))) {
+    return next();
+  }
+  return res.status(403).json({ error: "Admin only", code: "ADMIN_ONLY" });
+}
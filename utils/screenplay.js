@@ -0,0 +1,609 @@
+// utils/screenplay.js
+/**
+ * Screenplay parsing: Fountain (plain text) and Final Draft (.fdx XML)
+ *
+ * Both formats are read into the same script model:
+ *   { title, scenes: [{ heading, synopsis, elements: [...] }] }
+ * where elements are
+ *   { type: "action" | "transition" | "shot", text }
+ *   { type: "dialogue", character, extension, parenthetical, text }
+ *
+ * screenplayToBeats() then groups scenes into deck beats; beatsToScreenplay()
+ * goes the other way for the Fountain/FDX exports.
+ */
+
+export const SCREENPLAY_FORMATS = ["fountain", "fdx"];
+export const DEFAULT_SCREENPLAY_BEATS = 30;
+export const MAX_SCREENPLAY_BEATS = 100;
+
+// INT. / EXT. / EST. / INT./EXT. / I/E, with "." or a space after
+const SCENE_HEADING_PATTERN = /^(INT|EXT|EST|INT\.?\/EXT|EXT\.?\/INT|I\/E)[.\s]/i;
+const TRANSITION_PATTERN = /^([A-Z0-9 .'-]+TO:|FADE IN:|FADE OUT\.|FADE TO BLACK\.)$/;
+const SCENE_NUMBER_PATTERN = /\s*#[\w.-]+#\s*$/;
+
+function cleanText(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Strip Fountain emphasis markers (*italic*, **bold**, _underline_); escaped
+// markers (\* and \_) are literal, so they're set aside until after
+function stripEmphasis(text) {
+  const escaped = [];
+  return text
+    .replace(/\\([*_])/g, (_, marker) => `\u0000${escaped.push(marker) - 1}\u0000`)
+    .replace(/(\*{1,3}|_)(\S(?:.*?\S)?)\1/g, "$2")
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => escaped[index]);
+}
+
+function newScene(heading = null) {
+  return { heading, synopsis: null, elements: [] };
+}
+
+// Drops the unheaded preamble when it is only "FADE IN:"
+function hasStoryContent(scene) {
+  return !!(scene.heading || scene.synopsis || scene.elements.some((element) => element.type !== "transition"));
+}
+
+/**
+ * Split a character cue into name and extension
+ * e.g. "MARY (V.O.)" -> { character: "MARY", extension: "V.O." }
+ */
+function parseCharacterCue(cue) {
+  const trimmed = cue.replace(/\^$/, "").trim();
+  const match = trimmed.match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+  return match
+    ? { character: cleanText(match[1]), extension: cleanText(match[2]) || null }
+    : { character: cleanText(trimmed), extension: null };
+}
+
+function isCharacterCue(line) {
+  if (line.startsWith("@")) return true;
+  const cue = line.replace(/\(.*?\)/g, "").replace(/\^$/, "").trim();
+  return /[A-Z]/.test(cue) && cue === cue.toUpperCase() && !/[.!?:]$/.test(cue) && cue.length <= 50;
+}
+
+// =============================================================================
+// FOUNTAIN
+// =============================================================================
+
+/**
+ * Split the Fountain title page (key: value lines before the first blank line)
+ * @returns {{ titlePage: Object, body: string }}
+ */
+function splitTitlePage(text) {
+  const lines = text.split("\n");
+  if (!/^[A-Za-z][\w ]*:/.test(lines[0] || "")) return { titlePage: {}, body: text };
+
+  const titlePage = {};
+  let key = null;
+  let index = 0;
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim()) break;
+    const match = line.match(/^([A-Za-z][\w ]*):\s*(.*)$/);
+    if (match) {
+      key = match[1].trim().toLowerCase();
+      titlePage[key] = match[2].trim();
+    } else if (key) {
+      // Indented continuation lines
+      titlePage[key] = [titlePage[key], line.trim()].filter(Boolean).join(" ");
+    }
+  }
+
+  return { titlePage, body: lines.slice(index + 1).join("\n") };
+}
+
+/**
+ * Parse a Fountain screenplay
+ * @param {string} source - Fountain text
+ * @returns {{ title: string|null, scenes: Array }}
+ */
+export function parseFountain(source) {
+  const text = String(source || "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    // Boneyard (comments) and [[notes]]
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/\[\[[\s\S]*?\]\]/g, "");
+
+  const { titlePage, body } = splitTitlePage(text);
+  const scenes = [newScene()];
+  const current = () => scenes[scenes.length - 1];
+
+  const blocks = body
+    .split(/\n\s*\n/)
+    .map((block) => block.split("\n").filter((line) => line.trim()))
+    .filter((lines) => lines.length);
+
+  for (const lines of blocks) {
+    const first = lines[0].trim();
+
+    // Sections (#) and page breaks (===) carry no story content
+    if (/^#/.test(first) || /^={3,}$/.test(first)) continue;
+
+    // Synopsis (= text) describes the current scene
+    if (/^=(?!=)/.test(first)) {
+      const synopsis = lines.map((line) => line.trim().replace(/^=\s*/, "")).join(" ");
+      current().synopsis = [current().synopsis, cleanText(synopsis)].filter(Boolean).join(" ");
+      continue;
+    }
+
+    // Scene heading: INT./EXT. or forced with a leading "."
+    if (SCENE_HEADING_PATTERN.test(first) || /^\.[^.]/.test(first)) {
+      const heading = cleanText(first.replace(/^\./, "").replace(SCENE_NUMBER_PATTERN, "")).toUpperCase();
+      scenes.push(newScene(heading));
+      if (lines.length > 1) {
+        current().elements.push({ type: "action", text: cleanText(stripEmphasis(lines.slice(1).join(" "))) });
+      }
+      continue;
+    }
+
+    // Transition: "CUT TO:" or forced with ">" (but not centered >text<)
+    if (lines.length === 1 && (TRANSITION_PATTERN.test(first) || (/^>/.test(first) && !/<$/.test(first)))) {
+      current().elements.push({ type: "transition", text: cleanText(first.replace(/^>/, "")) });
+      continue;
+    }
+
+    // Dialogue block: character cue followed by lines
+    if (lines.length > 1 && !first.startsWith("!") && isCharacterCue(first)) {
+      const { character, extension } = parseCharacterCue(first.replace(/^@/, ""));
+      let parenthetical = null;
+      const spoken = [];
+      for (const line of lines.slice(1)) {
+        const trimmed = line.trim();
+        if (/^\(.*\)$/.test(trimmed)) {
+          // Keep the first parenthetical; later ones stay inline
+          if (!parenthetical && !spoken.length) parenthetical = trimmed.slice(1, -1).trim();
+          else spoken.push(trimmed);
+        } else {
+          spoken.push(trimmed.replace(/^~\s*/, ""));
+        }
+      }
+      current().elements.push({
+        type: "dialogue",
+        character,
+        extension,
+        parenthetical,
+        text: cleanText(stripEmphasis(spoken.join(" "))),
+      });
+      continue;
+    }
+
+    // Everything else is action (forced "!", centered ">text<", lyrics "~")
+    const action = lines
+      .map((line) => line.trim().replace(/^[!~]\s*/, "").replace(/^>\s*(.*?)\s*<$/, "$1"))
+      .join(" ");
+    current().elements.push({ type: "action", text: cleanText(stripEmphasis(action)) });
+  }
+
+  return {
+    title: cleanText(stripEmphasis(titlePage.title || "")) || null,
+    scenes: scenes.filter(hasStoryContent),
+  };
+}
+
+// =============================================================================
+// FINAL DRAFT (.fdx)
+// =============================================================================
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+// Concatenate a paragraph's <Text> runs
+function paragraphText(inner) {
+  const runs = [...inner.matchAll(/<Text\b[^>]*>([\s\S]*?)<\/Text>/g)].map((m) => m[1]);
+  return cleanText(decodeXmlEntities(runs.join("")));
+}
+
+/**
+ * Parse a Final Draft (.fdx) screenplay
+ * @param {string} source - FDX XML
+ * @returns {{ title: string|null, scenes: Array }}
+ * @throws {Error} When the XML has no <Content> section
+ */
+export function parseFdx(source) {
+  const xml = String(source || "").replace(/^\uFEFF/, "");
+  const content = xml.replace(/<TitlePage\b[\s\S]*?<\/TitlePage>/g, "").match(/<Content\b[^>]*>([\s\S]*?)<\/Content>/);
+  if (!content) throw new Error("Not a Final Draft file (no <Content> section)");
+
+  // Scene summaries and notes can contain paragraphs of their own
+  const body = content[1]
+    .replace(/<SceneProperties\b[\s\S]*?<\/SceneProperties>/g, "")
+    .replace(/<ScriptNote\b[\s\S]*?<\/ScriptNote>/g, "");
+
+  const scenes = [newScene()];
+  const current = () => scenes[scenes.length - 1];
+  let pendingDialogue = null;
+
+  for (const match of body.matchAll(/<Paragraph\b[^>]*\bType="([^"]+)"[^>]*>([\s\S]*?)<\/Paragraph>/g)) {
+    const type = match[1];
+    const text = paragraphText(match[2]);
+
+    if (type === "Character") {
+      pendingDialogue = { type: "dialogue", ...parseCharacterCue(text), parenthetical: null, text: "" };
+      current().elements.push(pendingDialogue);
+      continue;
+    }
+    if (pendingDialogue && (type === "Parenthetical" || type === "Dialogue")) {
+      if (type === "Parenthetical" && !pendingDialogue.parenthetical && !pendingDialogue.text) {
+        pendingDialogue.parenthetical = text.replace(/^\(|\)$/g, "").trim();
+      } else {
+        pendingDialogue.text = [pendingDialogue.text, text].filter(Boolean).join(" ");
+      }
+      continue;
+    }
+    pendingDialogue = null;
+    if (!text) continue;
+
+    if (type === "Scene Heading") {
+      scenes.push(newScene(text.toUpperCase()));
+    } else if (type === "Transition") {
+      current().elements.push({ type: "transition", text });
+    } else if (type === "Shot") {
+      current().elements.push({ type: "shot", text });
+    } else {
+      // Action, General and anything unrecognized
+      current().elements.push({ type: "action", text });
+    }
+  }
+
+  const titlePage = xml.match(/<TitlePage\b[^>]*>([\s\S]*?)<\/TitlePage>/);
+  const titleParagraph = titlePage
+    ? [...titlePage[1].matchAll(/<Paragraph\b[^>]*>([\s\S]*?)<\/Paragraph>/g)]
+        .map((m) => paragraphText(m[1]))
+        .find(Boolean)
+    : null;
+
+  return {
+    title: titleParagraph || null,
+    scenes: scenes.filter(hasStoryContent),
+  };
+}
+
+// =============================================================================
+// FORMAT DETECTION + BEATS
+// =============================================================================
+
+/**
+ * Work out a screenplay's format from an explicit hint, filename or content
+ * @param {string} text - File contents
+ * @param {Object} [options] - { format, filename }
+ * @returns {string} "fountain" | "fdx"
+ */
+export function detectScreenplayFormat(text, { format, filename } = {}) {
+  const hint = String(format || "").toLowerCase();
+  if (SCREENPLAY_FORMATS.includes(hint)) return hint;
+  if (/\.fdx$/i.test(filename || "")) return "fdx";
+  if (/^\s*(<\?xml[^>]*>\s*)?<FinalDraft\b/.test(String(text || "").replace(/^\uFEFF/, ""))) return "fdx";
+  return "fountain";
+}
+
+/**
+ * Parse a screenplay in either supported format
+ * @param {string} text - File contents
+ * @param {Object} [options] - { format, filename }
+ * @returns {{ format: string, title: string|null, scenes: Array }}
+ */
+export function parseScreenplay(text, options = {}) {
+  const format = detectScreenplayFormat(text, options);
+  const script = format === "fdx" ? parseFdx(text) : parseFountain(text);
+  return { format, ...script };
+}
+
+function formatDialogue(element) {
+  const cue = element.extension ? `${element.character} (${element.extension})` : element.character;
+  const parenthetical = element.parenthetical ? ` (${element.parenthetical})` : "";
+  return `${cue}${parenthetical}: ${element.text}`;
+}
+
+/**
+ * Group scenes into deck beats
+ *
+ * Each scene becomes a beat unless there are more than maxBeats scenes, in
+ * which case consecutive scenes are merged evenly. Action becomes beatText,
+ * headings, transitions and shots become cameraNotes, dialogue becomes audioNotes.
+ *
+ * @param {{ scenes: Array }} script - Parsed screenplay
+ * @param {Object} [options] - { maxBeats }
+ * @returns {Array<{ name, intent, beatText, text, cameraNotes, audioNotes }>}
+ */
+export function screenplayToBeats(script, { maxBeats = DEFAULT_SCREENPLAY_BEATS } = {}) {
+  const scenes = Array.isArray(script?.scenes) ? script.scenes : [];
+  if (!scenes.length) return [];
+
+  const limit = Math.min(Math.max(parseInt(maxBeats, 10) || DEFAULT_SCREENPLAY_BEATS, 1), MAX_SCREENPLAY_BEATS);
+  const groupCount = Math.min(scenes.length, limit);
+  const groups = Array.from({ length: groupCount }, (_, i) =>
+    scenes.slice(Math.floor((i * scenes.length) / groupCount), Math.floor(((i + 1) * scenes.length) / groupCount))
+  );
+
+  return groups.map((group, index) => {
+    const headings = group.map((scene) => scene.heading).filter(Boolean);
+    const elements = group.flatMap((scene) => scene.elements);
+    const ofType = (...types) => elements.filter((element) => types.includes(element.type));
+
+    const action = ofType("action").map((element) => element.text);
+    const dialogue = ofType("dialogue").filter((element) => element.text).map(formatDialogue);
+    const camera = [...headings, ...ofType("shot", "transition").map((element) => element.text)];
+
+    // Dialogue-only scenes still need readable beat text
+    const beatText = (action.length ? action : dialogue).join("\n\n");
+
+    return {
+      name: headings[0] || (index === 0 ? "Opening" : `Beat ${index + 1}`),
+      intent: group.map((scene) => scene.synopsis).filter(Boolean).join(" ") || "",
+      beatText,
+      text: beatText,
+      cameraNotes: camera.join("\n"),
+      audioNotes: dialogue.join("\n"),
+    };
+  });
+}
+
+// =============================================================================
+// EXPORT (beats -> Fountain / FDX)
+// =============================================================================
+
+// "MARA (V.O.) (whispering): line" - the shape screenplayToBeats writes.
+// Speakers are up to three capitalized words ("Jon", "OLD MAN").
+const SPEAKER_LINE_PATTERN =
+  /^([A-Z][A-Za-z0-9.'&-]*(?: [A-Z][A-Za-z0-9.'&-]*){0,2})(?:\s*\(([^)]+)\))?(?:\s*\(([^)]+)\))?\s*:\s*(.+)$/;
+const SOUND_LABEL_PATTERN = /^(SFX|FX|SOUND|MUSIC|AUDIO|SCORE)\b/i;
+const VOICE_OVER_PATTERN = /^(?:VO|V\.O\.|VOICE[- ]?OVER|NARRATOR|NARRATION)\s*[:\-–]\s*(.+)$/i;
+
+function splitLines(value) {
+  return String(value || "")
+    .split(/\n+/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+function unquote(text) {
+  return text.replace(/^["“](.*)["”]$/, "$1").trim();
+}
+
+/**
+ * Turn a beat's audioNotes into dialogue
+ *
+ * Speaker lines become dialogue, VO lines become NARRATOR (V.O.), and other
+ * notes (music, sound) become the parenthetical of the next line of dialogue,
+ * or action when no dialogue follows.
+ */
+function audioNotesToElements(audioNotes) {
+  const elements = [];
+  let pendingDirection = [];
+
+  const flushDirection = () => {
+    for (const text of pendingDirection) elements.push({ type: "action", text });
+    pendingDirection = [];
+  };
+
+  for (const line of splitLines(audioNotes)) {
+    const voiceOver = line.match(VOICE_OVER_PATTERN);
+    const speaker = !voiceOver && !SOUND_LABEL_PATTERN.test(line) && line.match(SPEAKER_LINE_PATTERN);
+
+    if (!voiceOver && !speaker) {
+      pendingDirection.push(line);
+      continue;
+    }
+
+    let dialogue;
+    if (voiceOver) {
+      dialogue = { type: "dialogue", character: "NARRATOR", extension: "V.O.", parenthetical: null, text: unquote(voiceOver[1]) };
+    } else {
+      const [, character, first, second, text] = speaker;
+      // A single bracket is an extension only if it looks like one (V.O., O.S., CONT'D)
+      const extension = first && /^[A-Z.' ]+$/.test(first) ? first : null;
+      dialogue = {
+        type: "dialogue",
+        character: character.trim().toUpperCase(),
+        extension,
+        parenthetical: second || (extension ? null : first || null),
+        text: unquote(text),
+      };
+    }
+
+    if (pendingDirection.length && !dialogue.parenthetical) {
+      dialogue.parenthetical = pendingDirection.join("; ").replace(/^\((.*)\)$/, "$1");
+      pendingDirection = [];
+    }
+    flushDirection();
+    elements.push(dialogue);
+  }
+
+  flushDirection();
+  return elements;
+}
+
+/**
+ * Convert deck beats into the script model (one scene per beat)
+ *
+ * - The scene heading is a slugline found in cameraNotes, else the beat name
+ * - beatText paragraphs become action
+ * - Other cameraNotes lines become shots; "... TO:" lines become transitions
+ * - onScreenText becomes a SUPER
+ * - audioNotes become dialogue/parentheticals (see audioNotesToElements)
+ *
+ * @param {Object} deck - Normalized deck (normalizeDeckPayload)
+ * @returns {{ title: string|null, tagline: string|null, scenes: Array }}
+ */
+export function beatsToScreenplay(deck = {}) {
+  const beats = Array.isArray(deck.beats) ? deck.beats : [];
+
+  const scenes = beats.map((beat, index) => {
+    const entry = typeof beat === "string" ? { beatText: beat } : beat || {};
+    const cameraLines = splitLines(entry.cameraNotes);
+    const slugline = cameraLines.find((line) => SCENE_HEADING_PATTERN.test(line));
+    const name = cleanText(entry.name || entry.title || `Beat ${index + 1}`);
+
+    const elements = [];
+    for (const paragraph of String(entry.beatText || entry.text || "").split(/\n\s*\n/)) {
+      const text = cleanText(paragraph);
+      if (text) elements.push({ type: "action", text });
+    }
+    for (const line of cameraLines) {
+      if (line === slugline || TRANSITION_PATTERN.test(line)) continue;
+      elements.push({ type: "shot", text: cleanText(line) });
+    }
+    if (entry.onScreenText) {
+      elements.push({ type: "action", text: `SUPER: ${cleanText(entry.onScreenText)}` });
+    }
+    elements.push(...audioNotesToElements(entry.audioNotes));
+    for (const line of cameraLines) {
+      if (TRANSITION_PATTERN.test(line)) elements.push({ type: "transition", text: line });
+    }
+
+    return {
+      heading: cleanText(slugline || name).toUpperCase(),
+      synopsis: cleanText(entry.intent) || null,
+      elements,
+    };
+  });
+
+  return { title: deck.title || null, tagline: deck.tagline || null, scenes };
+}
+
+// Escape Fountain emphasis so literal * and _ survive
+function escapeFountain(text) {
+  return String(text || "").replace(/([*_\\])/g, "\\$1");
+}
+
+// Force action when a line would otherwise parse as a heading, transition or cue
+function fountainAction(text) {
+  const escaped = escapeFountain(text);
+  const looksSpecial =
+    SCENE_HEADING_PATTERN.test(text) ||
+    TRANSITION_PATTERN.test(text) ||
+    /^[.>@=#~!]/.test(text);
+  return looksSpecial ? `!${escaped}` : escaped;
+}
+
+// "@" forces a cue that has no letters to uppercase (e.g. "2")
+function fountainCue(element) {
+  const cue = element.extension ? `${element.character} (${element.extension})` : element.character;
+  return /[A-Z]/.test(cue) ? cue : `@${cue}`;
+}
+
+/**
+ * Render a deck as Fountain text
+ * @param {Object} deck - Normalized deck
+ * @returns {string}
+ */
+export function buildFountain(deck) {
+  const script = beatsToScreenplay(deck);
+  const blocks = [];
+
+  const titlePage = [`Title: ${escapeFountain(script.title || "Untitled")}`];
+  if (script.tagline) titlePage.push(`Notes: ${escapeFountain(script.tagline)}`);
+  blocks.push(titlePage.join("\n"));
+
+  for (const scene of script.scenes) {
+    // A leading "." forces headings that aren't INT./EXT. sluglines
+    blocks.push(SCENE_HEADING_PATTERN.test(scene.heading) ? scene.heading : `.${scene.heading}`);
+    if (scene.synopsis) blocks.push(`= ${scene.synopsis}`);
+
+    for (const element of scene.elements) {
+      if (element.type === "dialogue") {
+        const lines = [fountainCue(element)];
+        if (element.parenthetical) lines.push(`(${element.parenthetical})`);
+        lines.push(escapeFountain(element.text));
+        blocks.push(lines.join("\n"));
+      } else if (element.type === "transition") {
+        blocks.push(TRANSITION_PATTERN.test(element.text) ? element.text : `> ${element.text}`);
+      } else if (element.type === "shot") {
+        blocks.push(fountainAction(element.text.toUpperCase()));
+      } else {
+        blocks.push(fountainAction(element.text));
+      }
+    }
+  }
+
+  return `${blocks.join("\n\n")}\n`;
+}
+
+function escapeXml(text) {
+  return String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+function fdxParagraph(type, text, attributes = "") {
+  return `    <Paragraph${attributes} Type="${type}">\n      <Text>${escapeXml(text)}</Text>\n    </Paragraph>`;
+}
+
+/**
+ * Render a deck as Final Draft XML (.fdx)
+ * @param {Object} deck - Normalized deck
+ * @returns {string}
+ */
+export function buildFdx(deck) {
+  const script = beatsToScreenplay(deck);
+  const paragraphs = [];
+
+  for (const scene of script.scenes) {
+    paragraphs.push(fdxParagraph("Scene Heading", scene.heading));
+    if (scene.synopsis) paragraphs.push(fdxParagraph("Action", scene.synopsis));
+
+    for (const element of scene.elements) {
+      if (element.type === "dialogue") {
+        const cue = element.extension ? `${element.character} (${element.extension})` : element.character;
+        paragraphs.push(fdxParagraph("Character", cue.toUpperCase()));
+        if (element.parenthetical) paragraphs.push(fdxParagraph("Parenthetical", `(${element.parenthetical})`));
+        paragraphs.push(fdxParagraph("Dialogue", element.text));
+      } else if (element.type === "transition") {
+        paragraphs.push(fdxParagraph("Transition", element.text, ' Alignment="Right"'));
+      } else if (element.type === "shot") {
+        paragraphs.push(fdxParagraph("Shot", element.text.toUpperCase()));
+      } else {
+        paragraphs.push(fdxParagraph("Action", element.text));
+      }
+    }
+  }
+
+  const titleParagraphs = [fdxParagraph("Title", script.title || "Untitled", ' Alignment="Center"')];
+  if (script.tagline) titleParagraphs.push(fdxParagraph("Title", script.tagline, ' Alignment="Center"'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+    '<FinalDraft DocumentType="Script" Template="No" Version="5">',
+    "  <Content>",
+    ...paragraphs,
+    "  </Content>",
+    "  <TitlePage>",
+    "    <Content>",
+    ...titleParagraphs.map((paragraph) => `  ${paragraph.replace(/\n/g, "\n  ")}`),
+    "    </Content>",
+    "  </TitlePage>",
+    "</FinalDraft>",
+    "",
+  ].join("\n");
+}
+
+export default {
+  SCREENPLAY_FORMATS,
+  DEFAULT_SCREENPLAY_BEATS,
+  MAX_SCREENPLAY_BEATS,
+  parseFountain,
+  parseFdx,
+  detectScreenplayFormat,
+  parseScreenplay,
+  screenplayToBeats,
+  beatsToScreenplay,
+  buildFountain,
+  buildFdx,
+};
@@ -0,0 +1,353 @@
+// utils/shareAnalytics.js
+/**
+ * Share link view analytics
+ *
+ * Every successful GET /api/share/:code records a row in deck_share_views
+ * (see migrations/016_share_views.sql): when, which share code, the referrer
+ * and which sections or beats the viewer asked for. Viewers are identified
+ * only by a salted hash of IP + user agent, scoped to the deck, so the same
+ * person counts once per deck and can't be followed across decks. The IP is
+ * req.ip, so forwarded headers only count through the app's "trust proxy"
+ * setting (index.js).
+ *
+ * The owner's report is counted in the database by get_share_view_stats()
+ * (migrations/019_share_view_stats.sql); before that migration the rows are
+ * read page by page and counted here, up to SHARE_ANALYTICS_SCAN_LIMIT.
+ *
+ * Set SHARE_VIEW_SALT in production; without it the hashes are unsalted.
+ */
+
+import { createHash } from "crypto";
+
+// Deck arrays a viewer can ask for with ?sections= (same names as exports)
+export const SHARE_SECTIONS = ["beats", "scenes", "shots", "visuals", "storyboards", "suggestions"];
+
+export const DEFAULT_ANALYTICS_DAYS = 30;
+export const MAX_ANALYTICS_DAYS = 365;
+
+// Most view rows read to build one analytics response without migration 019
+export const SHARE_ANALYTICS_SCAN_LIMIT = 20000;
+
+// Rows asked for per page in that fallback (PostgREST may return fewer)
+const SHARE_VIEWS_PAGE_SIZE = 1000;
+
+const MAX_REQUESTED_BEATS = 100;
+const MAX_REFERRER_LENGTH = 500;
+const TOP_REFERRERS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SHARE_VIEW_SALT = process.env.SHARE_VIEW_SALT || "";
+
+function splitList(raw) {
+  if (raw === undefined || raw === null || raw === "") return [];
+  const parts = Array.isArray(raw) ? raw : String(raw).split(",");
+  return parts.map((part) => String(part).trim()).filter(Boolean);
+}
+
+/**
+ * Parse ?sections= and ?beats= from a share request
+ *
+ * sections is a comma list of SHARE_SECTIONS; beats a comma list of beat uids
+ * or 0-based indexes. Either may be omitted (the whole deck).
+ *
+ * @param {Object} query - req.query
+ * @returns {{ value?: { sections: string[]|null, beats: string[]|null }, error?: string }}
+ */
+export function parseShareViewRequest(query = {}) {
+  const sections = splitList(query.sections).map((section) => section.toLowerCase());
+  const unknown = sections.filter((section) => !SHARE_SECTIONS.includes(section));
+  if (unknown.length) {
+    return { error: `Unknown section(s): ${unknown.join(", ")}. Use: ${SHARE_SECTIONS.join(", ")}` };
+  }
+
+  const beats = splitList(query.beats);
+  if (beats.length > MAX_REQUESTED_BEATS) {
+    return { error: `At most ${MAX_REQUESTED_BEATS} beats can be requested` };
+  }
+
+  return {
+    value: {
+      sections: sections.length ? [...new Set(sections)] : null,
+      beats: beats.length ? [...new Set(beats)] : null,
+    },
+  };
+}
+
+/**
+ * Narrow a shared deck to the requested sections and beats
+ *
+ * Sections not asked for are left out of the deck; with ?beats= only those
+ * beats are returned, in deck order.
+ *
+ * @param {Object} deck - Normalized deck
+ * @param {{ sections: string[]|null, beats: string[]|null }} request
+ * @returns {{ deck: Object, sections: string[], beats: string[] }} The deck
+ *   plus what was actually served (beat uids), for recordShareView
+ */
+export function applyShareViewRequest(deck, request = {}) {
+  const narrowed = { ...deck };
+  const allBeats = Array.isArray(deck.beats) ? deck.beats : [];
+
+  const sections = request.sections || SHARE_SECTIONS;
+  for (const section of SHARE_SECTIONS) {
+    if (!sections.includes(section)) delete narrowed[section];
+  }
+
+  let beats = [];
+  if (request.beats && narrowed.beats) {
+    const wanted = new Set(request.beats);
+    narrowed.beats = allBeats.filter(
+      (beat, index) => wanted.has(String(index)) || (beat?.uid && wanted.has(beat.uid))
+    );
+    beats = narrowed.beats.map((beat) => beat?.uid).filter(Boolean);
+  }
+
+  return { deck: narrowed, sections: request.sections || [], beats };
+}
+
+/**
+ * Anonymous, per-deck viewer id: sha256(salt, deck, IP, user agent)
+ *
+ * The IP is req.ip: X-Forwarded-For is client-controlled, and Express only
+ * reads it for the proxy hops "trust proxy" allows.
+ *
+ * @returns {string} Hex digest
+ */
+export function viewerFingerprint(req, deckId) {
+  const ip = req.ip || req.socket?.remoteAddress || "";
+  return createHash("sha256")
+    .update([SHARE_VIEW_SALT, deckId, ip, req.get?.("user-agent") || ""].join("\n"))
+    .digest("hex");
+}
+
+/**
+ * Referrer without query string or fragment (they can carry tokens)
+ * @returns {string|null}
+ */
+export function cleanReferrer(raw) {
+  if (!raw || typeof raw !== "string") return null;
+  try {
+    const url = new URL(raw);
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+    return `${url.origin}${url.pathname}`.slice(0, MAX_REFERRER_LENGTH);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record one share view. Best-effort: never throws, so a missing table
+ * (before migration 016) can't break the shared deck.
+ *
+ * @param {Object} db - Supabase client allowed to insert into deck_share_views
+ * @param {Object} view
+ * @param {Object} view.req - Express request (fingerprint and referrer)
+ * @param {string} view.deckId
+ * @param {string} view.shareCode
+ * @param {string[]} [view.sections] - Sections asked for ([] = whole deck)
+ * @param {string[]} [view.beats] - Beat uids asked for
+ */
+export async function recordShareView(db, { req, deckId, shareCode, sections = [], beats = [] }) {
+  try {
+    const { error } = await db.from("deck_share_views").insert({
+      deck_id: deckId,
+      share_code: shareCode,
+      viewer_hash: viewerFingerprint(req, deckId),
+      referrer: cleanReferrer(req.get?.("referer")),
+      sections,
+      beats,
+    });
+    if (error) throw error;
+  } catch (e) {
+    console.warn("share view not recorded:", e?.message);
+  }
+}
+
+/**
+ * Parse ?days= for the analytics window
+ * @returns {{ value?: number, error?: string }}
+ */
+export function parseAnalyticsDays(raw) {
+  if (raw === undefined || raw === null || raw === "") return { value: DEFAULT_ANALYTICS_DAYS };
+  const days = Number(raw);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_ANALYTICS_DAYS) {
+    return { error: `days must be an integer from 1 to ${MAX_ANALYTICS_DAYS}` };
+  }
+  return { value: days };
+}
+
+/**
+ * First instant of the analytics window: midnight UTC, (days - 1) days ago
+ */
+export function analyticsWindowStart(days, now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return new Date(today - (days - 1) * DAY_MS);
+}
+
+function referrerHost(referrer) {
+  try {
+    return new URL(referrer).host;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Count view rows the way get_share_view_stats() does (every kind but "total")
+ *
+ * @param {Array} rows - { viewed_at, viewer_hash, referrer, share_code, sections, beats }
+ * @param {Date} since - Window start; earlier rows are skipped
+ * @returns {Array<{ kind: string, key: string|null, views: number, viewers: number, last_viewed_at: string|null }>}
+ */
+export function shareViewStatsFromRows(rows, since) {
+  // The window row exists even without views, like the SQL aggregate
+  const groups = new Map([["window\nnull", { kind: "window", key: null, views: 0, viewers: new Set(), last_viewed_at: null }]]);
+  const count = (kind, key, row) => {
+    const id = `${kind}\n${key}`;
+    if (!groups.has(id)) groups.set(id, { kind, key, views: 0, viewers: new Set(), last_viewed_at: null });
+    const group = groups.get(id);
+    group.views += 1;
+    if (row.viewer_hash) group.viewers.add(row.viewer_hash);
+    if (!group.last_viewed_at || row.viewed_at > group.last_viewed_at) group.last_viewed_at = row.viewed_at;
+  };
+
+  const sinceIso = since.toISOString();
+
+  for (const row of rows || []) {
+    const viewedAt = new Date(row.viewed_at || 0);
+    if (Number.isNaN(viewedAt.getTime()) || viewedAt.toISOString() < sinceIso) continue;
+
+    count("window", null, row);
+    count("day", viewedAt.toISOString().slice(0, 10), row);
+    count("referrer", (row.referrer && referrerHost(row.referrer)) || "direct", row);
+    if (row.share_code) count("code", row.share_code, row);
+
+    const requested = Array.isArray(row.sections) && row.sections.length ? row.sections : ["all"];
+    requested.forEach((section) => count("section", section, row));
+    (Array.isArray(row.beats) ? row.beats : []).forEach((uid) => count("beat", uid, row));
+  }
+
+  return [...groups.values()].map((group) => ({ ...group, viewers: group.viewers.size }));
+}
+
+/**
+ * Read a deck's view counts: get_share_view_stats() when migration 019 is in,
+ * otherwise the raw rows, a page at a time
+ *
+ * @param {Object} db - Supabase client that can read the deck's views
+ * @param {string} deckId
+ * @param {Date} since - Window start (analyticsWindowStart)
+ * @returns {Promise<{ stats: Array, truncated: boolean }>} truncated when the
+ *   fallback stopped at SHARE_ANALYTICS_SCAN_LIMIT rows
+ */
+export async function loadShareViewStats(db, deckId, since) {
+  const { data, error } = await db.rpc("get_share_view_stats", {
+    p_deck_id: deckId,
+    p_since: since.toISOString(),
+  });
+  if (!error && Array.isArray(data)) return { stats: data, truncated: false };
+
+  // Page until a page comes back empty: PostgREST's max-rows may cut any
+  // page short, so a short page doesn't mean the end
+  const rows = [];
+  let truncated = false;
+  while (rows.length < SHARE_ANALYTICS_SCAN_LIMIT) {
+    const from = rows.length;
+    const to = Math.min(from + SHARE_VIEWS_PAGE_SIZE, SHARE_ANALYTICS_SCAN_LIMIT) - 1;
+    const { data: page, error: pageError } = await db
+      .from("deck_share_views")
+      .select("id,viewed_at,viewer_hash,referrer,share_code,sections,beats")
+      .eq("deck_id", deckId)
+      .gte("viewed_at", since.toISOString())
+      .order("viewed_at", { ascending: false })
+      .order("id", { ascending: false })
+      .range(from, to);
+    if (pageError) throw pageError;
+    if (!page?.length) break;
+    rows.push(...page);
+    truncated = rows.length >= SHARE_ANALYTICS_SCAN_LIMIT;
+  }
+
+  const [totalResult, lastResult] = await Promise.all([
+    db
+      .from("deck_share_views")
+      .select("id", { count: "exact", head: true })
+      .eq("deck_id", deckId),
+    db
+      .from("deck_share_views")
+      .select("viewed_at")
+      .eq("deck_id", deckId)
+      .order("viewed_at", { ascending: false })
+      .limit(1),
+  ]);
+  if (totalResult.error) throw totalResult.error;
+  if (lastResult.error) throw lastResult.error;
+
+  const total = {
+    kind: "total",
+    key: null,
+    views: totalResult.count ?? 0,
+    viewers: null,
+    last_viewed_at: lastResult.data?.[0]?.viewed_at || null,
+  };
+  return { stats: [total, ...shareViewStatsFromRows(rows, since)], truncated };
+}
+
+/**
+ * Shape get_share_view_stats() rows into the analytics response
+ *
+ * @param {Array} stats - { kind, key, views, viewers, last_viewed_at }
+ * @param {Object} options
+ * @param {number} options.days - Window length; the daily series has one entry per UTC day
+ * @param {Date} [options.now]
+ * @returns {{ totalViews: number, lastViewedAt: string|null, views: number, uniqueViewers: number,
+ *   daily: Array, referrers: Array, codes: Object, sections: Object, beats: Object }}
+ */
+export function summarizeShareViewStats(stats, { days, now = new Date() }) {
+  const start = analyticsWindowStart(days, now);
+  const perDay = new Map();
+  for (let i = 0; i < days; i += 1) {
+    perDay.set(new Date(start.getTime() + i * DAY_MS).toISOString().slice(0, 10), { views: 0, uniqueViewers: 0 });
+  }
+
+  const byKind = (kind) => (stats || []).filter((row) => row.kind === kind);
+  const counts = (kind) => Object.fromEntries(byKind(kind).map((row) => [row.key, Number(row.views) || 0]));
+  const total = byKind("total")[0];
+  const inWindow = byKind("window")[0];
+
+  for (const row of byKind("day")) {
+    if (perDay.has(row.key)) perDay.set(row.key, { views: Number(row.views) || 0, uniqueViewers: Number(row.viewers) || 0 });
+  }
+
+  return {
+    totalViews: Number(total?.views) || 0,
+    lastViewedAt: total?.last_viewed_at || null,
+    views: Number(inWindow?.views) || 0,
+    uniqueViewers: Number(inWindow?.viewers) || 0,
+    daily: [...perDay].map(([date, day]) => ({ date, ...day })),
+    referrers: byKind("referrer")
+      .map((row) => ({ referrer: row.key, views: Number(row.views) || 0 }))
+      .sort((a, b) => b.views - a.views || a.referrer.localeCompare(b.referrer))
+      .slice(0, TOP_REFERRERS),
+    codes: counts("code"),
+    sections: counts("section"),
+    beats: counts("beat"),
+  };
+}
+
+export default {
+  SHARE_SECTIONS,
+  DEFAULT_ANALYTICS_DAYS,
+  MAX_ANALYTICS_DAYS,
+  SHARE_ANALYTICS_SCAN_LIMIT,
+  parseShareViewRequest,
+  applyShareViewRequest,
+  viewerFingerprint,
+  cleanReferrer,
+  recordShareView,
+  parseAnalyticsDays,
+  analyticsWindowStart,
+  shareViewStatsFromRows,
+  loadShareViewStats,
+  summarizeShareViewStats,
+};
@@ -0,0 +1,351 @@
+// utils/shareFeedback.js
+/**
+ * Client review on shared decks
+ *
+ * People with a share link can review the deck without an account:
+ * POST /api/share/:code/feedback marks beats approved or needs-changes and
+ * leaves comments, on single beats or the deck as a whole. Each entry is a
+ * row in deck_share_feedback (migrations/017_share_feedback.sql), anchored on
+ * the beat's uid like comments are, so reorders don't detach it.
+ *
+ * Reviewers are told apart by the anonymous per-deck fingerprint share
+ * analytics uses (reviewer_hash), computed server-side; the name and email
+ * they type are shown as given and marked unverified, never used as identity.
+ * The summary counts each reviewer's latest status per beat.
+ *
+ * The endpoint is public, so submissions are throttled per client IP and per
+ * share code (takeFeedbackSlot), and each deck takes at most
+ * MAX_FEEDBACK_ROWS_PER_DAY rows a day.
+ */
+
+import { normalizeEmail } from "./deckAccess.js";
+import { findBeatIndexByUid } from "./deckComments.js";
+
+export const FEEDBACK_COLUMNS = [
+  "id",
+  "deck_id",
+  "share_code",
+  "beat_uid",
+  "status",
+  "comment",
+  "reviewer_name",
+  "reviewer_email",
+  "reviewer_hash",
+  "created_at",
+].join(",");
+
+export const FEEDBACK_STATUSES = ["approved", "needs_changes"];
+
+export const MAX_FEEDBACK_ENTRIES = 100;
+export const MAX_FEEDBACK_COMMENT_LENGTH = 5000;
+export const MAX_REVIEWER_NAME_LENGTH = 100;
+// All comments in one submission together
+export const MAX_FEEDBACK_SUBMISSION_LENGTH = 20000;
+
+// Submissions per throttle window, per client IP and per share code
+export const FEEDBACK_WINDOW_MS = 10 * 60 * 1000;
+export const MAX_FEEDBACK_PER_IP = 20;
+export const MAX_FEEDBACK_PER_CODE = 100;
+
+// deck_share_feedback rows a deck takes in 24 hours, across all its links
+export const MAX_FEEDBACK_ROWS_PER_DAY = 1000;
+
+// Fixed windows in this process: key -> { count, resetAt }
+const feedbackWindows = new Map();
+
+function sweepFeedbackWindows(now) {
+  for (const [key, window] of feedbackWindows) {
+    if (window.resetAt <= now) feedbackWindows.delete(key);
+  }
+}
+
+/**
+ * Count a feedback submission against the per-IP and per-code windows
+ *
+ * Nothing is counted when either window is full. Windows live in this
+ * process, so they reset on restart; MAX_FEEDBACK_ROWS_PER_DAY (checked
+ * against the database) bounds the total.
+ *
+ * @param {{ ip: string, code: string, now?: number }} request
+ * @returns {{ ok: true }|{ ok: false, scope: "ip"|"code", retryAfter: number }}
+ *   retryAfter in seconds
+ */
+export function takeFeedbackSlot({ ip, code, now = Date.now() }) {
+  if (feedbackWindows.size > 10000) sweepFeedbackWindows(now);
+
+  const limits = [
+    { scope: "ip", key: `ip:${ip || "unknown"}`, max: MAX_FEEDBACK_PER_IP },
+    { scope: "code", key: `code:${code}`, max: MAX_FEEDBACK_PER_CODE },
+  ];
+
+  for (const { scope, key, max } of limits) {
+    const window = feedbackWindows.get(key);
+    if (window && window.resetAt > now && window.count >= max) {
+      return { ok: false, scope, retryAfter: Math.ceil((window.resetAt - now) / 1000) };
+    }
+  }
+
+  for (const { key } of limits) {
+    const window = feedbackWindows.get(key);
+    if (window && window.resetAt > now) window.count += 1;
+    else feedbackWindows.set(key, { count: 1, resetAt: now + FEEDBACK_WINDOW_MS });
+  }
+  return { ok: true };
+}
+
+/**
+ * Feedback rows a deck took since a time (for MAX_FEEDBACK_ROWS_PER_DAY)
+ * @param {Object} db - Supabase client
+ * @param {string} deckId
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<number>}
+ */
+export async function countRecentFeedback(db, deckId, since) {
+  const { count, error } = await db
+    .from("deck_share_feedback")
+    .select("id", { count: "exact", head: true })
+    .eq("deck_id", deckId)
+    .gte("created_at", since);
+  if (error) throw error;
+  return count || 0;
+}
+
+// "needs-changes" and "changes" read the same as needs_changes
+function parseStatus(raw) {
+  if (raw === undefined || raw === null || raw === "") return { value: null };
+  const status = String(raw).toLowerCase().trim().replace(/[-\s]+/g, "_");
+  if (status === "approved" || status === "approve") return { value: "approved" };
+  if (status === "needs_changes" || status === "changes") return { value: "needs_changes" };
+  return { error: `status must be one of: ${FEEDBACK_STATUSES.join(", ")}` };
+}
+
+function parseComment(raw) {
+  if (raw === undefined || raw === null) return { value: null };
+  if (typeof raw !== "string") return { error: "comment must be a string" };
+  const comment = raw.trim();
+  if (comment.length > MAX_FEEDBACK_COMMENT_LENGTH) {
+    return { error: `Comments must be at most ${MAX_FEEDBACK_COMMENT_LENGTH} characters` };
+  }
+  return { value: comment || null };
+}
+
+// Beat by uid or 0-based index
+function resolveBeatUid(ref, beats) {
+  if (typeof ref === "number" || (typeof ref === "string" && /^\d+$/.test(ref))) {
+    return beats[Number(ref)]?.uid || null;
+  }
+  if (typeof ref === "string" && ref) return findBeatIndexByUid(beats, ref) >= 0 ? ref : null;
+  return null;
+}
+
+/**
+ * Validate a feedback submission against the deck's beats
+ *
+ * Body: { name?, email?, comment?, beats?: [{ beat: uid | index, status?, comment? }] }
+ * A single beat can also be sent flat: { beat, status?, comment? }.
+ *
+ * @param {Object} body - Request body
+ * @param {Array} beats - Deck beats (with uids)
+ * @returns {{ value?: { reviewer: { name: string|null, email: string|null }, entries: Array }, error?: string }}
+ *   entries: [{ beatUid: string|null, status: string|null, comment: string|null }];
+ *   beatUid null is deck-level
+ */
+export function parseShareFeedbackInput(body = {}, beats = []) {
+  let name = null;
+  if (body.name !== undefined && body.name !== null) {
+    if (typeof body.name !== "string") return { error: "name must be a string" };
+    name = body.name.trim().replace(/\s+/g, " ") || null;
+    if (name && name.length > MAX_REVIEWER_NAME_LENGTH) {
+      return { error: `name must be at most ${MAX_REVIEWER_NAME_LENGTH} characters` };
+    }
+  }
+
+  let email = null;
+  if (body.email !== undefined && body.email !== null && body.email !== "") {
+    email = normalizeEmail(body.email);
+    if (!email) return { error: "email is not a valid address" };
+  }
+
+  const rawEntries = Array.isArray(body.beats)
+    ? body.beats
+    : body.beat !== undefined
+      ? [{ beat: body.beat, status: body.status, comment: body.comment }]
+      : [];
+  if (rawEntries.length > MAX_FEEDBACK_ENTRIES) {
+    return { error: `At most ${MAX_FEEDBACK_ENTRIES} beats can be reviewed at once` };
+  }
+
+  const entries = [];
+  const seen = new Set();
+  for (const raw of rawEntries) {
+    if (!raw || typeof raw !== "object") return { error: "Each beats entry must be an object" };
+
+    const beatUid = resolveBeatUid(raw.beat ?? raw.uid, beats);
+    if (!beatUid) return { error: `Beat not found: ${raw.beat ?? raw.uid}` };
+    if (seen.has(beatUid)) return { error: `Beat ${raw.beat ?? raw.uid} is listed twice` };
+    seen.add(beatUid);
+
+    const status = parseStatus(raw.status);
+    if (status.error) return { error: status.error };
+    const comment = parseComment(raw.comment);
+    if (comment.error) return { error: comment.error };
+    if (!status.value && !comment.value) {
+      return { error: `Beat ${raw.beat ?? raw.uid} needs a status or a comment` };
+    }
+
+    entries.push({ beatUid, status: status.value, comment: comment.value });
+  }
+
+  // Deck-level comment (flat single-beat bodies use comment for the beat)
+  if (Array.isArray(body.beats) || body.beat === undefined) {
+    const comment = parseComment(body.comment);
+    if (comment.error) return { error: comment.error };
+    if (comment.value) entries.push({ beatUid: null, status: null, comment: comment.value });
+  }
+
+  if (!entries.length) return { error: "Send a comment or at least one beat status" };
+
+  const totalLength = entries.reduce((sum, entry) => sum + (entry.comment?.length || 0), 0);
+  if (totalLength > MAX_FEEDBACK_SUBMISSION_LENGTH) {
+    return { error: `Comments in one submission must be at most ${MAX_FEEDBACK_SUBMISSION_LENGTH} characters in total` };
+  }
+
+  return { value: { reviewer: { name, email }, entries } };
+}
+
+/**
+ * deck_share_feedback rows for a submission
+ */
+export function buildFeedbackRows({ deckId, shareCode, reviewer, reviewerHash, entries }) {
+  return entries.map((entry) => ({
+    deck_id: deckId,
+    share_code: shareCode,
+    beat_uid: entry.beatUid,
+    status: entry.status,
+    comment: entry.comment,
+    reviewer_name: reviewer.name,
+    reviewer_email: reviewer.email,
+    reviewer_hash: reviewerHash,
+  }));
+}
+
+// Same person across submissions: the server-side fingerprint. The typed
+// email is unverified, so anyone could claim someone else's
+function reviewerKey(row) {
+  return row.reviewer_hash;
+}
+
+function reviewerOf(row) {
+  return { name: row.reviewer_name || null, email: row.reviewer_email || null, verified: false };
+}
+
+/**
+ * Overall state of a beat from its reviewers' latest statuses
+ * @returns {"approved"|"needs_changes"|"pending"}
+ */
+function beatReviewState(approved, needsChanges) {
+  if (needsChanges > 0) return "needs_changes";
+  if (approved > 0) return "approved";
+  return "pending";
+}
+
+/**
+ * Aggregate feedback rows into a per-beat review summary
+ *
+ * @param {Array} rows - deck_share_feedback rows
+ * @param {Array} beats - Current deck beats
+ * @returns {{ beats: Array, deckComments: Array, orphaned: Array, reviewers: number, totals: Object }}
+ */
+export function summarizeShareFeedback(rows = [], beats = []) {
+  const byCreated = [...rows].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  const perBeat = new Map();
+  const deckComments = [];
+  const reviewers = new Set();
+
+  for (const row of byCreated) {
+    reviewers.add(reviewerKey(row));
+    if (!row.beat_uid) {
+      if (row.comment) deckComments.push({ id: row.id, ...reviewerOf(row), comment: row.comment, created_at: row.created_at });
+      continue;
+    }
+
+    if (!perBeat.has(row.beat_uid)) perBeat.set(row.beat_uid, { latest: new Map(), comments: [] });
+    const beat = perBeat.get(row.beat_uid);
+    if (row.status) {
+      beat.latest.set(reviewerKey(row), { ...reviewerOf(row), status: row.status, at: row.created_at });
+    }
+    if (row.comment) {
+      beat.comments.push({ id: row.id, ...reviewerOf(row), status: row.status, comment: row.comment, created_at: row.created_at });
+    }
+  }
+
+  const describe = (uid, entry, index, beat) => {
+    const statuses = [...(entry?.latest.values() || [])];
+    const approved = statuses.filter((s) => s.status === "approved").length;
+    const needsChanges = statuses.filter((s) => s.status === "needs_changes").length;
+    return {
+      uid,
+      index,
+      title: beat ? beat.title || beat.name || `Beat ${index + 1}` : null,
+      state: beatReviewState(approved, needsChanges),
+      approved,
+      needsChanges,
+      reviews: statuses,
+      comments: entry?.comments || [],
+    };
+  };
+
+  const summaryBeats = (Array.isArray(beats) ? beats : []).map((beat, index) =>
+    describe(beat?.uid || null, perBeat.get(beat?.uid), index, beat)
+  );
+
+  // Feedback on beats that have since been deleted is kept for the record
+  const orphaned = [...perBeat]
+    .filter(([uid]) => findBeatIndexByUid(beats, uid) < 0)
+    .map(([uid, entry]) => ({ ...describe(uid, entry, null, null), orphaned: true }));
+
+  return {
+    beats: summaryBeats,
+    deckComments,
+    orphaned,
+    reviewers: reviewers.size,
+    totals: {
+      approved: summaryBeats.filter((beat) => beat.state === "approved").length,
+      needsChanges: summaryBeats.filter((beat) => beat.state === "needs_changes").length,
+      pending: summaryBeats.filter((beat) => beat.state === "pending").length,
+    },
+  };
+}
+
+/**
+ * Notification payload for the deck owner about one submission
+ */
+export function feedbackNotificationData({ deckTitle, reviewer, entries }) {
+  return {
+    deckTitle: deckTitle || null,
+    reviewerName: reviewer.name || null,
+    reviewerEmail: reviewer.email || null,
+    // Name and email are as typed on the share link
+    reviewerVerified: false,
+    approved: entries.filter((entry) => entry.status === "approved").length,
+    needsChanges: entries.filter((entry) => entry.status === "needs_changes").length,
+    comments: entries.filter((entry) => entry.comment).length,
+    beatUids: entries.map((entry) => entry.beatUid).filter(Boolean),
+  };
+}
+
+export default {
+  FEEDBACK_COLUMNS,
+  FEEDBACK_STATUSES,
+  MAX_FEEDBACK_ENTRIES,
+  MAX_FEEDBACK_COMMENT_LENGTH,
+  MAX_REVIEWER_NAME_LENGTH,
+  MAX_FEEDBACK_SUBMISSION_LENGTH,
+  MAX_FEEDBACK_ROWS_PER_DAY,
+  takeFeedbackSlot,
+  countRecentFeedback,
+  parseShareFeedbackInput,
+  buildFeedbackRows,
+  summarizeShareFeedback,
+  feedbackNotificationData,
+};
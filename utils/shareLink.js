@@ -20,3 +20,14 @@ export function shareEmailTemplate({ title, shareUrl }) {
   );
   return `mailto:?subject=${subject}&body=${body}`;
 }
+
+export function collaboratorInviteTemplate({ email, title, role }) {
+  if (!email) return null;
+  const subject = encodeURIComponent(`Invitation to ${title ? `"${title}"` : "an Aran deck"}`);
+  const article = role === "editor" ? "an" : "a";
+  const body = encodeURIComponent(
+    `You've been added as ${article} ${role || "viewer"} on the Aran deck${title ? ` "${title}"` : ""}.\n\n` +
+      `Sign in to Aran with ${email} to open it.`
+  );
+  return `mailto:${email}?subject=${subject}&body=${body}`;
+}
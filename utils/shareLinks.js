@@ -0,0 +1,285 @@
+// utils/shareLinks.js
+/**
+ * Share links
+ *
+ * Each row in share_links (migrations/018_share_links.sql) is one public link
+ * to a deck: its code, who made it, an optional label ("Acme review"),
+ * expiry, password and permissions (section visibility, whether review is
+ * allowed). A deck can have many, e.g. one per client, each revoked on its own.
+ *
+ * The deck's own link (content.shareCode, managed by POST /api/decks/:id/share)
+ * is mirrored as the deck's primary row: syncPrimaryShareLink keeps it in step
+ * with content.shared and content.shareSettings, and rotating retires the old
+ * code's row. Unsharing the deck revokes every link to it, not just the
+ * primary one; sharing again only brings the primary link back. GET /api/share/:code looks codes up here by the unique index
+ * instead of scanning decks.content; before migration 018 callers fall back to
+ * that scan.
+ */
+
+import { randomUUID } from "crypto";
+import { buildShareUrl } from "./shareLink.js";
+import { isShareExpired, shareVisibility } from "./shareSettings.js";
+
+export const SHARE_LINK_COLUMNS = [
+  "id",
+  "deck_id",
+  "code",
+  "created_by",
+  "label",
+  "is_primary",
+  "permissions",
+  "expires_at",
+  "password_hash",
+  "revoked_at",
+  "created_at",
+  "updated_at",
+].join(",");
+
+export const MAX_SHARE_LINKS_PER_DECK = 50;
+export const MAX_SHARE_LINK_LABEL_LENGTH = 80;
+
+/**
+ * Whether a Supabase error means share_links doesn't exist yet (before 018)
+ */
+export function isMissingShareLinksTable(error) {
+  if (!error) return false;
+  if (error.code === "42P01" || error.code === "PGRST205") return true;
+  const message = error.message || "";
+  return message.includes("share_links") && (message.includes("does not exist") || message.includes("schema cache"));
+}
+
+/**
+ * A link's settings in the content.shareSettings shape, so the checks in
+ * utils/shareSettings.js (expiry, password, visibility) apply to any link
+ */
+export function linkShareSettings(link) {
+  return {
+    expiresAt: link?.expires_at || null,
+    passwordHash: link?.password_hash || null,
+    visibility: link?.permissions?.visibility || undefined,
+  };
+}
+
+/**
+ * Settings for a share lookup result: the link's own, or the deck content's
+ * when the link came from the legacy content lookup
+ *
+ * @param {{ content: Object, link: Object|null }} shared - From findSharedDeck
+ * @returns {Object} shareSettings shape
+ */
+export function effectiveShareSettings({ content, link }) {
+  if (link) return linkShareSettings(link);
+  const settings = content?.shareSettings;
+  return settings && typeof settings === "object" ? settings : {};
+}
+
+/**
+ * Whether people with this link may leave review feedback
+ */
+export function linkAllowsFeedback(link) {
+  return link?.permissions?.feedback !== false;
+}
+
+/**
+ * Validate the fields of a new link from POST /api/decks/:id/share/links
+ *
+ * @param {Object} body - { label?, allowFeedback? } (expiry, password and
+ *   visibility are parsed by parseShareSettingsInput)
+ * @returns {{ value?: { label: string|null, feedback: boolean }, error?: string }}
+ */
+export function parseShareLinkInput(body = {}) {
+  let label = null;
+  if (body.label !== undefined && body.label !== null) {
+    if (typeof body.label !== "string") return { error: "label must be a string" };
+    label = body.label.trim().replace(/\s+/g, " ") || null;
+    if (label && label.length > MAX_SHARE_LINK_LABEL_LENGTH) {
+      return { error: `label must be at most ${MAX_SHARE_LINK_LABEL_LENGTH} characters` };
+    }
+  }
+
+  if (body.allowFeedback !== undefined && typeof body.allowFeedback !== "boolean") {
+    return { error: "allowFeedback must be true or false" };
+  }
+
+  return { value: { label, feedback: body.allowFeedback !== false } };
+}
+
+/**
+ * share_links row for a new extra link
+ *
+ * @param {Object} options
+ * @param {string} options.deckId
+ * @param {string} options.userId - Creator
+ * @param {string|null} options.label
+ * @param {boolean} options.feedback - Allow review feedback
+ * @param {Object} options.settings - From parseShareSettingsInput (expiresAt, passwordHash, visibility)
+ */
+export function buildShareLinkRow({ deckId, userId, label, feedback, settings = {} }) {
+  // Stored in full so later changes to the defaults don't alter the link
+  const visibility = settings.visibility ? shareVisibility({ shareSettings: settings }) : null;
+
+  return {
+    deck_id: deckId,
+    code: randomUUID(),
+    created_by: userId,
+    label,
+    is_primary: false,
+    permissions: { ...(visibility ? { visibility } : {}), feedback },
+    expires_at: settings.expiresAt || null,
+    password_hash: settings.passwordHash || null,
+  };
+}
+
+/**
+ * A link for the deck owner (never includes the password hash)
+ */
+export function describeShareLink(link, now = new Date()) {
+  const settings = linkShareSettings(link);
+  return {
+    id: link.id,
+    code: link.code,
+    url: buildShareUrl(link.code),
+    label: link.label || null,
+    primary: link.is_primary === true,
+    expiresAt: settings.expiresAt,
+    expired: isShareExpired({ shareSettings: settings }, now),
+    passwordProtected: !!settings.passwordHash,
+    visibility: shareVisibility({ shareSettings: settings }),
+    allowFeedback: linkAllowsFeedback(link),
+    revokedAt: link.revoked_at || null,
+    createdBy: link.created_by || null,
+    created_at: link.created_at || null,
+  };
+}
+
+/**
+ * Active link by code
+ *
+ * @param {Object} db - Supabase client
+ * @param {string} code - Share code
+ * @returns {Promise<{ link: Object|null, missingTable?: boolean }>} missingTable
+ *   before migration 018
+ */
+export async function findShareLink(db, code) {
+  const { data, error } = await db
+    .from("share_links")
+    .select(SHARE_LINK_COLUMNS)
+    .eq("code", code)
+    .is("revoked_at", null)
+    .maybeSingle();
+
+  if (error) {
+    if (isMissingShareLinksTable(error)) return { link: null, missingTable: true };
+    throw error;
+  }
+  return { link: data };
+}
+
+/**
+ * Live, shared deck behind an active link
+ *
+ * A link only resolves while its deck is shared (content.shared) and not in
+ * the trash, even if the link row itself was never revoked.
+ *
+ * @param {Object} db - Supabase client
+ * @param {string} code - Share code
+ * @param {string} columns - Deck columns to select (must include content)
+ * @returns {Promise<{ deck: Object|null, link: Object|null, missingTable?: boolean }>}
+ */
+export async function findLinkedDeck(db, code, columns) {
+  const { link, missingTable } = await findShareLink(db, code);
+  if (missingTable) return { deck: null, link: null, missingTable: true };
+  if (!link) return { deck: null, link: null };
+
+  const { data, error } = await db
+    .from("decks")
+    .select(columns)
+    .eq("id", link.deck_id)
+    .is("deleted_at", null)
+    .maybeSingle();
+  if (error) throw error;
+
+  return data?.content?.shared === true ? { deck: data, link } : { deck: null, link: null };
+}
+
+/**
+ * Mirror a deck's own link (content.shareCode) into share_links
+ *
+ * Call after every write that changes content.shareCode, content.shared or
+ * content.shareSettings. When the deck isn't shared, every other live link
+ * to it is revoked too. A no-op before migration 018.
+ *
+ * @param {Object} db - Supabase client
+ * @param {Object} options
+ * @param {string} options.deckId
+ * @param {string} options.userId - Deck owner
+ * @param {Object} options.content - Content as written
+ * @param {string} [options.previousCode] - Code before the write; retired when it changed
+ */
+export async function syncPrimaryShareLink(db, { deckId, userId, content, previousCode = null }) {
+  const code = content?.shareCode;
+  if (!code) return;
+
+  const now = new Date().toISOString();
+  const settings = content.shareSettings || {};
+  const fields = {
+    is_primary: true,
+    permissions: settings.visibility ? { visibility: settings.visibility } : {},
+    expires_at: settings.expiresAt || null,
+    password_hash: settings.passwordHash || null,
+    revoked_at: content.shared === true ? null : now,
+    updated_at: now,
+  };
+
+  try {
+    if (previousCode && previousCode !== code) {
+      const { error } = await db
+        .from("share_links")
+        .update({ is_primary: false, revoked_at: now, updated_at: now })
+        .eq("deck_id", deckId)
+        .eq("code", previousCode);
+      if (error) throw error;
+    }
+
+    const { data: existing, error: fetchError } = await db
+      .from("share_links")
+      .select("id")
+      .eq("deck_id", deckId)
+      .eq("code", code)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+
+    const { error } = existing
+      ? await db.from("share_links").update(fields).eq("id", existing.id)
+      : await db.from("share_links").insert({ ...fields, deck_id: deckId, code, created_by: userId });
+    if (error) throw error;
+
+    // An unshared deck has no public links at all
+    if (content.shared !== true) {
+      const { error: revokeError } = await db
+        .from("share_links")
+        .update({ revoked_at: now, updated_at: now })
+        .eq("deck_id", deckId)
+        .is("revoked_at", null);
+      if (revokeError) throw revokeError;
+    }
+  } catch (e) {
+    if (isMissingShareLinksTable(e)) return;
+    throw e;
+  }
+}
+
+export default {
+  SHARE_LINK_COLUMNS,
+  MAX_SHARE_LINKS_PER_DECK,
+  MAX_SHARE_LINK_LABEL_LENGTH,
+  isMissingShareLinksTable,
+  linkShareSettings,
+  effectiveShareSettings,
+  linkAllowsFeedback,
+  parseShareLinkInput,
+  buildShareLinkRow,
+  describeShareLink,
+  findShareLink,
+  syncPrimaryShareLink,
+};
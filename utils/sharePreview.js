@@ -0,0 +1,165 @@
+// utils/sharePreview.js
+/**
+ * Link previews for share URLs
+ *
+ * Slack, iMessage, LinkedIn and friends unfurl a link from its Open Graph
+ * tags (or an oEmbed endpoint advertised by the page). GET /share/:code
+ * renders a tiny HTML page carrying those tags and sends people on to the
+ * app; GET /api/oembed describes the same deck as oEmbed JSON.
+ *
+ * Password-protected decks only get a generic preview, so a pasted link
+ * never reveals what the password guards.
+ */
+
+import { buildShareUrl } from "./shareLink.js";
+
+export const PROVIDER_NAME = "Aran";
+export const PROVIDER_URL = "https://aran.studio";
+
+const DEFAULT_DESCRIPTION = "A story deck made with Aran.";
+const PROTECTED_TITLE = "Password-protected deck";
+const PROTECTED_DESCRIPTION = "Open the link and enter the password to view this Aran deck.";
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const SHARE_PATH_PATTERN = /\/share\/([^/?#]+)\/?$/;
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function truncate(text, max) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  return clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+}
+
+// Unfurlers fetch images themselves: only absolute http(s) URLs work (no data: URLs)
+function publicImageUrl(url) {
+  return typeof url === "string" && /^https?:\/\//i.test(url) ? url : null;
+}
+
+/**
+ * Share code from a share URL (…/share/:code), or null
+ * @param {string} url - Any URL whose path ends in /share/:code
+ */
+export function shareCodeFromUrl(url) {
+  if (!url || typeof url !== "string") return null;
+  try {
+    const { protocol, pathname } = new URL(url);
+    if (protocol !== "http:" && protocol !== "https:") return null;
+    const match = pathname.match(SHARE_PATH_PATTERN);
+    return match ? decodeURIComponent(match[1]) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What a preview shows for a shared deck
+ *
+ * @param {Object} deck - Normalized deck content plus the row's title
+ * @param {Object} [options]
+ * @param {boolean} [options.passwordProtected] - Hide title, tagline and image
+ * @returns {{ title: string, description: string, image: string|null, shareUrl: string|null }}
+ */
+export function describeSharePreview(deck, { passwordProtected = false } = {}) {
+  const shareUrl = buildShareUrl(deck?.shareCode);
+  if (passwordProtected) {
+    return { title: PROTECTED_TITLE, description: PROTECTED_DESCRIPTION, image: null, shareUrl };
+  }
+
+  return {
+    title: truncate(deck?.title, 120) || "Untitled deck",
+    description: truncate(deck?.tagline, MAX_DESCRIPTION_LENGTH) || DEFAULT_DESCRIPTION,
+    image: publicImageUrl(deck?.thumbnail_url) || publicImageUrl(deck?.toneImage),
+    shareUrl,
+  };
+}
+
+/**
+ * HTML for GET /share/:code
+ *
+ * @param {Object} preview - From describeSharePreview
+ * @param {Object} [options]
+ * @param {string} [options.oembedUrl] - Absolute oEmbed URL for discovery
+ * @param {boolean} [options.redirect=true] - Send browsers on to preview.shareUrl
+ * @returns {string}
+ */
+export function renderSharePreviewHtml(preview, { oembedUrl = null, redirect = true } = {}) {
+  const title = escapeHtml(preview.title);
+  const description = escapeHtml(preview.description);
+  const shareUrl = preview.shareUrl ? escapeHtml(preview.shareUrl) : null;
+  const image = preview.image ? escapeHtml(preview.image) : null;
+
+  const tags = [
+    `<meta property="og:type" content="website">`,
+    `<meta property="og:site_name" content="${PROVIDER_NAME}">`,
+    `<meta property="og:title" content="${title}">`,
+    `<meta property="og:description" content="${description}">`,
+    shareUrl && `<meta property="og:url" content="${shareUrl}">`,
+    image && `<meta property="og:image" content="${image}">`,
+    `<meta name="twitter:card" content="${image ? "summary_large_image" : "summary"}">`,
+    `<meta name="twitter:title" content="${title}">`,
+    `<meta name="twitter:description" content="${description}">`,
+    image && `<meta name="twitter:image" content="${image}">`,
+    `<meta name="description" content="${description}">`,
+    shareUrl && `<link rel="canonical" href="${shareUrl}">`,
+    oembedUrl &&
+      `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembedUrl)}" title="${title}">`,
+    redirect && shareUrl && `<meta http-equiv="refresh" content="0; url=${shareUrl}">`,
+  ].filter(Boolean);
+
+  return [
+    "<!DOCTYPE html>",
+    `<html lang="en">`,
+    "<head>",
+    `<meta charset="utf-8">`,
+    `<meta name="viewport" content="width=device-width, initial-scale=1">`,
+    `<title>${title}</title>`,
+    ...tags,
+    "</head>",
+    "<body>",
+    `<h1>${title}</h1>`,
+    `<p>${description}</p>`,
+    shareUrl ? `<p><a href="${shareUrl}">Open in ${PROVIDER_NAME}</a></p>` : "",
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * oEmbed 1.0 "link" response for a shared deck
+ *
+ * No thumbnail: oEmbed requires its dimensions and deck images don't record
+ * them (the preview page's og:image covers unfurls).
+ *
+ * @param {Object} preview - From describeSharePreview
+ * @returns {Object}
+ */
+export function buildOEmbed(preview) {
+  return {
+    version: "1.0",
+    type: "link",
+    title: preview.title,
+    description: preview.description,
+    url: preview.shareUrl,
+    provider_name: PROVIDER_NAME,
+    provider_url: PROVIDER_URL,
+    cache_age: 300,
+  };
+}
+
+export default {
+  PROVIDER_NAME,
+  PROVIDER_URL,
+  escapeHtml,
+  shareCodeFromUrl,
+  describeSharePreview,
+  renderSharePreviewHtml,
+  buildOEmbed,
+};
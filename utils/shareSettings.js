@@ -0,0 +1,304 @@
+// utils/shareSettings.js
+/**
+ * Share link settings: expiry, password, code rotation and visibility
+ *
+ * Stored on the deck content next to `shareCode` and `shared`:
+ *   shareSettings: { expiresAt, passwordHash, rotatedAt, visibility }
+ *
+ * Passwords are kept as salted scrypt hashes in a self-describing
+ * "$scrypt$N$r$p$salt$hash" string (the bcrypt idea, with the key derivation
+ * Node ships), so cost parameters can be raised without breaking old hashes.
+ * Rotating issues a new shareCode; GET /api/share/:code looks decks up by the
+ * current code, so the old link stops resolving.
+ *
+ * visibility chooses which optional sections the public deck includes; the
+ * working material (raw prompt, story profile, critique, alt concepts) is
+ * hidden unless the owner turns it on. applyShareVisibility strips the rest
+ * server-side.
+ */
+
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+
+const SCRYPT_COST = 16384;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELISM = 1;
+const HASH_BYTES = 32;
+
+export const MIN_SHARE_PASSWORD_LENGTH = 4;
+export const MAX_SHARE_PASSWORD_LENGTH = 200;
+
+// Optional sections of a shared deck and whether they're public by default
+export const DEFAULT_SHARE_VISIBILITY = Object.freeze({
+  prompt: false,
+  storyProfile: false,
+  critique: false,
+  altConcepts: false,
+  storyboards: true,
+  visuals: true,
+  exportPdf: true,
+});
+
+export const SHARE_VISIBILITY_SECTIONS = Object.keys(DEFAULT_SHARE_VISIBILITY);
+
+/**
+ * Hash a share password
+ * @returns {Promise<string>} "$scrypt$N$r$p$salt$hash"
+ */
+export async function hashSharePassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(String(password), salt, HASH_BYTES, {
+    N: SCRYPT_COST,
+    r: SCRYPT_BLOCK_SIZE,
+    p: SCRYPT_PARALLELISM,
+  });
+  return [
+    "",
+    "scrypt",
+    SCRYPT_COST,
+    SCRYPT_BLOCK_SIZE,
+    SCRYPT_PARALLELISM,
+    salt.toString("base64url"),
+    Buffer.from(hash).toString("base64url"),
+  ].join("$");
+}
+
+/**
+ * Check a password against a hash from hashSharePassword
+ * @returns {Promise<boolean>} false for malformed hashes
+ */
+export async function verifySharePassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string") return false;
+
+  const [, scheme, cost, blockSize, parallelism, salt, hash] = stored.split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  try {
+    const expected = Buffer.from(hash, "base64url");
+    const actual = await scryptAsync(password, Buffer.from(salt, "base64url"), expected.length, {
+      N: parseInt(cost, 10),
+      r: parseInt(blockSize, 10),
+      p: parseInt(parallelism, 10),
+    });
+    return expected.length > 0 && timingSafeEqual(expected, Buffer.from(actual));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate share settings from a POST /api/decks/:id/share body
+ *
+ * @param {Object} body - { shared?, expiresAt?, password?, rotate?, visibility? }
+ * @param {Date} [now]
+ * @returns {Promise<{ value?: Object, error?: string }>} value holds only the
+ *   settings the body changes: shared, expiresAt, passwordHash, rotate,
+ *   visibility (the sections sent, or null to reset to the defaults)
+ */
+export async function parseShareSettingsInput(body = {}, now = new Date()) {
+  const value = {};
+
+  if (body.shared !== undefined) value.shared = Boolean(body.shared);
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null || body.expiresAt === "") {
+      value.expiresAt = null;
+    } else {
+      const expiresAt = new Date(body.expiresAt);
+      if (typeof body.expiresAt !== "string" || Number.isNaN(expiresAt.getTime())) {
+        return { error: "expiresAt must be an ISO timestamp or null" };
+      }
+      if (expiresAt <= now) return { error: "expiresAt must be in the future" };
+      value.expiresAt = expiresAt.toISOString();
+    }
+  }
+
+  if (body.password !== undefined) {
+    if (body.password === null || body.password === "") {
+      value.passwordHash = null;
+    } else {
+      if (typeof body.password !== "string") return { error: "password must be a string or null" };
+      if (body.password.length < MIN_SHARE_PASSWORD_LENGTH || body.password.length > MAX_SHARE_PASSWORD_LENGTH) {
+        return {
+          error: `password must be ${MIN_SHARE_PASSWORD_LENGTH}-${MAX_SHARE_PASSWORD_LENGTH} characters`,
+        };
+      }
+      value.passwordHash = await hashSharePassword(body.password);
+    }
+  }
+
+  if (body.rotate !== undefined && body.rotate !== false) {
+    if (body.rotate !== true) return { error: "rotate must be true" };
+    value.rotate = true;
+  }
+
+  if (body.visibility !== undefined) {
+    if (body.visibility === null) {
+      value.visibility = null;
+    } else {
+      if (typeof body.visibility !== "object" || Array.isArray(body.visibility)) {
+        return { error: "visibility must be an object of booleans or null" };
+      }
+      const unknown = Object.keys(body.visibility).filter((key) => !SHARE_VISIBILITY_SECTIONS.includes(key));
+      if (unknown.length) {
+        return {
+          error: `Unknown visibility section(s): ${unknown.join(", ")}. Use: ${SHARE_VISIBILITY_SECTIONS.join(", ")}`,
+        };
+      }
+      if (Object.values(body.visibility).some((visible) => typeof visible !== "boolean")) {
+        return { error: "visibility values must be true or false" };
+      }
+      value.visibility = { ...body.visibility };
+    }
+  }
+
+  return { value };
+}
+
+function storedSettings(content) {
+  const settings = content?.shareSettings;
+  return settings && typeof settings === "object" && !Array.isArray(settings) ? settings : {};
+}
+
+/**
+ * Whether a deck's share link has expired
+ */
+export function isShareExpired(content, now = new Date()) {
+  const expiresAt = storedSettings(content).expiresAt;
+  return !!expiresAt && new Date(expiresAt) <= now;
+}
+
+/**
+ * Which optional sections a deck's share link shows (stored choices over the defaults)
+ * @returns {Object<string, boolean>} One entry per SHARE_VISIBILITY_SECTIONS
+ */
+export function shareVisibility(content) {
+  const stored = storedSettings(content).visibility;
+  const visibility = { ...DEFAULT_SHARE_VISIBILITY };
+  if (stored && typeof stored === "object") {
+    for (const section of SHARE_VISIBILITY_SECTIONS) {
+      if (typeof stored[section] === "boolean") visibility[section] = stored[section];
+    }
+  }
+  return visibility;
+}
+
+/**
+ * Share state for the deck owner (never includes the password hash)
+ * @returns {{ shared: boolean, expiresAt: string|null, expired: boolean, passwordProtected: boolean, rotatedAt: string|null, visibility: Object }}
+ */
+export function describeShareSettings(content, now = new Date()) {
+  const settings = storedSettings(content);
+  return {
+    shared: content?.shared === true,
+    expiresAt: settings.expiresAt || null,
+    expired: isShareExpired(content, now),
+    passwordProtected: !!settings.passwordHash,
+    rotatedAt: settings.rotatedAt || null,
+    visibility: shareVisibility(content),
+  };
+}
+
+const BEAT_MEDIA_FIELDS = {
+  visuals: ["visual_url", "visualUrl"],
+  storyboards: ["storyboard_url", "storyboardUrl"],
+};
+
+/**
+ * Strip the sections a share link doesn't show from a public deck
+ *
+ * Hidden scalar sections become null and hidden image sections empty arrays
+ * (so the response keeps its shape); beats lose the matching media URLs and
+ * thumbnails are rebuilt from what is left.
+ *
+ * @param {Object} deck - Normalized deck as GET /api/share/:code builds it
+ *   (with prompt and export_pdf_url from the row)
+ * @param {Object<string, boolean>} visibility - From shareVisibility
+ * @returns {Object} A copy safe to return publicly
+ */
+export function applyShareVisibility(deck, visibility) {
+  const visible = { ...DEFAULT_SHARE_VISIBILITY, ...visibility };
+  const stripped = { ...deck };
+
+  if (!visible.prompt) stripped.prompt = null;
+  if (!visible.storyProfile) stripped.storyProfile = null;
+  if (!visible.critique) stripped.critique = null;
+  if (!visible.altConcepts) stripped.altConcepts = null;
+  if (!visible.exportPdf) stripped.export_pdf_url = null;
+
+  const hiddenMedia = Object.keys(BEAT_MEDIA_FIELDS).filter((section) => !visible[section]);
+  if (!hiddenMedia.length) return stripped;
+
+  hiddenMedia.forEach((section) => {
+    stripped[section] = [];
+  });
+
+  if (Array.isArray(deck.beats)) {
+    stripped.beats = deck.beats.map((beat) => {
+      if (!beat || typeof beat !== "object") return beat;
+      const copy = { ...beat };
+      hiddenMedia.forEach((section) => BEAT_MEDIA_FIELDS[section].forEach((field) => {
+        copy[field] = null;
+      }));
+      const thumbnail = copy.visual_url || copy.storyboard_url || null;
+      return { ...copy, thumbnail_url: thumbnail, thumbnailUrl: thumbnail };
+    });
+  }
+
+  const firstImage = (entries) => entries?.find((entry) => entry?.image || entry?.url);
+  const firstBeat = stripped.beats?.[0];
+  const image = firstImage(stripped.visuals) || firstImage(stripped.storyboards);
+  const thumbnail = firstBeat?.thumbnail_url || image?.image || image?.url || null;
+  stripped.thumbnail_url = thumbnail;
+  stripped.thumbnailUrl = thumbnail;
+
+  return stripped;
+}
+
+/**
+ * Carry the stored share state onto content about to be written
+ *
+ * Saves and version restores write whole content documents; the share code,
+ * flag and settings always come from the stored deck so a stale client can't
+ * bring back a rotated code or drop a password.
+ *
+ * @param {Object} next - Content to write
+ * @param {Object} stored - Content currently stored
+ * @returns {Object}
+ */
+export function keepShareState(next, stored) {
+  if (!stored || typeof stored !== "object") return next;
+  const kept = { ...next };
+  if (stored.shareCode) kept.shareCode = stored.shareCode;
+  if (stored.shared !== undefined) kept.shared = stored.shared;
+  if (stored.shareSettings !== undefined) kept.shareSettings = stored.shareSettings;
+  else delete kept.shareSettings;
+  return kept;
+}
+
+/**
+ * Content without the share password hash (version history responses)
+ */
+export function withoutShareSecrets(content) {
+  if (!content?.shareSettings?.passwordHash) return content;
+  const { passwordHash, ...settings } = content.shareSettings;
+  return { ...content, shareSettings: { ...settings, passwordProtected: true } };
+}
+
+export default {
+  MIN_SHARE_PASSWORD_LENGTH,
+  MAX_SHARE_PASSWORD_LENGTH,
+  DEFAULT_SHARE_VISIBILITY,
+  SHARE_VISIBILITY_SECTIONS,
+  hashSharePassword,
+  verifySharePassword,
+  parseShareSettingsInput,
+  isShareExpired,
+  shareVisibility,
+  describeShareSettings,
+  applyShareVisibility,
+  keepShareState,
+  withoutShareSecrets,
+};
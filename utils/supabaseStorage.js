@@ -8,6 +8,7 @@
 
 import { createClient } from "@supabase/supabase-js";
 import { randomUUID } from "crypto";
+import { publishDeckChange } from "./deckEvents.js";
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_ROLE_KEY =
@@ -16,6 +17,10 @@ const SUPABASE_SERVICE_ROLE_KEY =
 // Storage bucket name for beat/deck images
 const STORAGE_BUCKET = process.env.SUPABASE_STORAGE_BUCKET || "deck-images";
 
+// Storage bucket for exported PDFs (same lookup as the export routes)
+const EXPORT_BUCKET =
+  process.env.SUPABASE_EXPORT_BUCKET || process.env.SUPABASE_PDF_BUCKET || "exports";
+
 /**
  * Get a Supabase client for storage operations
  * Uses service role key to bypass RLS for storage uploads
@@ -268,6 +273,399 @@ export async function uploadDeckThumbnail(dataUrl, deckId) {
   return result?.publicUrl || null;
 }
 
+/**
+ * Parse a public Supabase Storage URL into its bucket and object path
+ * e.g. https://x.supabase.co/storage/v1/object/public/deck-images/decks/1/a.png
+ *
+ * @param {string} url - Public object URL
+ * @returns {{ bucket: string, path: string } | null}
+ */
+export function parseStoragePublicUrl(url) {
+  if (!url || typeof url !== "string") return null;
+  const match = url.match(/\/storage\/v1\/object\/public\/([^/]+)\/([^?#]+)/);
+  if (!match) return null;
+  try {
+    return { bucket: decodeURIComponent(match[1]), path: decodeURIComponent(match[2]) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Bucket and path of a public object URL from this project's own Storage
+ * (SUPABASE_URL). URLs on any other host are not ours to copy with the
+ * service key, even if their path looks the same.
+ *
+ * @param {string} url - Public object URL
+ * @returns {{ bucket: string, path: string } | null}
+ */
+function ownStorageObject(url) {
+  const source = parseStoragePublicUrl(url);
+  if (!source || !SUPABASE_URL) return null;
+  try {
+    return new URL(url).origin === new URL(SUPABASE_URL).origin ? source : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Copy a deck image into another deck's storage folder
+ *
+ * - This project's Storage URLs are copied to a fresh path under decks/{deckId}/
+ *   in the images bucket: server-side within that bucket, otherwise by
+ *   downloading the public URL (so private buckets stay private)
+ * - Data URLs are uploaded
+ * - Anything else (external URLs, other projects' Storage) is returned unchanged
+ *
+ * @param {string} url - Source image URL or data URL
+ * @param {string} deckId - Destination deck ID
+ * @param {string} type - Image type: "visual" | "storyboard" | "thumbnail" | "tone"
+ * @param {string|number} [beatIndex] - Beat index (omit for deck-level images)
+ * @param {Object} [supabase] - Storage client (defaults to the service client)
+ * @returns {Promise<{ url: string|null, copied: boolean }>} New URL (original on failure)
+ */
+export async function copyDeckImage(url, deckId, type, beatIndex = null, supabase = null) {
+  if (!url || typeof url !== "string" || !deckId) return { url: url || null, copied: false };
+
+  // Inline images: upload them as new objects
+  const decoded = decodeDataUrl(url);
+  if (decoded) {
+    const path = generateStoragePath(type, deckId, beatIndex, decoded.extension);
+    const result = await uploadImage({ image: url, path });
+    return result ? { url: result.publicUrl, copied: true } : { url, copied: false };
+  }
+
+  const source = ownStorageObject(url);
+  if (!source) return { url, copied: false };
+
+  const client = supabase || getStorageClient();
+  if (!client) {
+    console.error("copyDeckImage: No Supabase client available");
+    return { url, copied: false };
+  }
+
+  const extension = source.path.match(/\.([a-z0-9]+)$/i)?.[1]?.toLowerCase() || "png";
+  const path = generateStoragePath(type, deckId, beatIndex, extension);
+  const bucket = client.storage.from(STORAGE_BUCKET);
+
+  try {
+    if (source.bucket === STORAGE_BUCKET) {
+      const { error } = await bucket.copy(source.path, path);
+      if (error) {
+        console.error(`copyDeckImage: copy of ${source.path} failed:`, error.message);
+        return { url, copied: false };
+      }
+    } else {
+      // copy() only works within a bucket; fetch the public URL without the key
+      const response = await fetch(url);
+      if (!response.ok) {
+        console.error(`copyDeckImage: download of ${source.bucket}/${source.path} failed: ${response.status}`);
+        return { url, copied: false };
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      const { error } = await bucket.upload(path, buffer, {
+        contentType: response.headers.get("content-type") || `image/${extension === "jpg" ? "jpeg" : extension}`,
+        upsert: false,
+      });
+      if (error) {
+        console.error(`copyDeckImage: upload of ${source.bucket}/${source.path} failed:`, error.message);
+        return { url, copied: false };
+      }
+    }
+
+    const { data: urlData } = bucket.getPublicUrl(path);
+    if (!urlData?.publicUrl) return { url, copied: false };
+
+    return { url: urlData.publicUrl, copied: true };
+  } catch (err) {
+    console.error("copyDeckImage error:", err.message);
+    return { url, copied: false };
+  }
+}
+
+// Beat media fields: [snake_case, camelCase alias, storage image type]
+const BEAT_MEDIA_FIELDS = [
+  ["visual_url", "visualUrl", "visual"],
+  ["storyboard_url", "storyboardUrl", "storyboard"],
+  ["thumbnail_url", "thumbnailUrl", "thumbnail"],
+];
+
+/**
+ * Copy every image referenced by a deck's content into a deck's own storage
+ * folder, so the resulting deck never shares storage objects with another.
+ *
+ * Covers beat media URLs, the visuals/storyboards arrays, the tone image and
+ * the deck thumbnail. The same source URL is only copied once.
+ *
+ * @param {Object} content - Deck content
+ * @param {string} deckId - Destination deck ID
+ * @returns {Promise<{ content: Object, copied: number, failed: string[] }>}
+ */
+export async function copyDeckContentMedia(content, deckId) {
+  const copies = new Map();
+  const failed = [];
+  let copied = 0;
+
+  async function copy(url, type, beatIndex = null) {
+    if (!url || typeof url !== "string") return url ?? null;
+    if (!copies.has(url)) {
+      const pending = copyDeckImage(url, deckId, type, beatIndex).then((result) => {
+        if (result.copied) copied++;
+        else if (decodeDataUrl(url) || ownStorageObject(url)) failed.push(url);
+        return result.url;
+      });
+      copies.set(url, pending);
+    }
+    return copies.get(url);
+  }
+
+  const source = content || {};
+  const beats = [];
+  for (const [index, beat] of (Array.isArray(source.beats) ? source.beats : []).entries()) {
+    if (!beat || typeof beat !== "object") {
+      beats.push(beat);
+      continue;
+    }
+    const next = { ...beat };
+    for (const [snake, camel, type] of BEAT_MEDIA_FIELDS) {
+      const url = beat[snake] || beat[camel];
+      if (!url) continue;
+      const newUrl = await copy(url, type, index);
+      next[snake] = newUrl;
+      if (camel in beat || snake in beat) next[camel] = newUrl;
+    }
+    beats.push(next);
+  }
+
+  async function copyImageList(list, type) {
+    if (!Array.isArray(list)) return list;
+    const out = [];
+    for (const [index, entry] of list.entries()) {
+      if (typeof entry === "string") {
+        out.push(await copy(entry, type, index));
+      } else if (entry && typeof entry === "object") {
+        const image = entry.image || entry.url || entry.dataUrl;
+        out.push(image ? { ...entry, image: await copy(image, type, index), url: undefined, dataUrl: undefined } : entry);
+      } else {
+        out.push(entry);
+      }
+    }
+    return out;
+  }
+
+  const thumbnail = source.thumbnail_url || source.thumbnailUrl;
+  const newThumbnail = thumbnail ? await copy(thumbnail, "thumbnail") : thumbnail ?? null;
+  const toneImage = source.toneImage ? await copy(source.toneImage, "tone") : source.toneImage ?? null;
+
+  return {
+    content: {
+      ...source,
+      beats,
+      ...(Array.isArray(source.visuals) && { visuals: await copyImageList(source.visuals, "visual") }),
+      ...(Array.isArray(source.storyboards) && { storyboards: await copyImageList(source.storyboards, "storyboard") }),
+      toneImage,
+      ...((source.thumbnail_url !== undefined || source.thumbnailUrl !== undefined) && {
+        thumbnail_url: newThumbnail,
+        thumbnailUrl: newThumbnail,
+      }),
+    },
+    copied,
+    failed,
+  };
+}
+
+/**
+ * Upload every inline (data URL) image in deck content into a deck's storage
+ * folder and swap in the public URLs. Used when importing exported decks.
+ *
+ * Beat visuals and storyboards go through uploadBeatVisual/uploadBeatStoryboard;
+ * the same data URL is only uploaded once. Remote URLs are left as they are, and
+ * an image that fails to upload keeps its data URL.
+ *
+ * @param {Object} content - Deck content
+ * @param {string} deckId - Destination deck ID
+ * @returns {Promise<{ content: Object, uploaded: number, failed: Array<{ field: string, index: number|null }> }>}
+ */
+export async function uploadDeckContentDataUrls(content, deckId) {
+  const uploads = new Map();
+  const failed = [];
+  let uploaded = 0;
+
+  const uploaders = {
+    visual: (dataUrl, index) => uploadBeatVisual(dataUrl, deckId, index),
+    storyboard: (dataUrl, index) => uploadBeatStoryboard(dataUrl, deckId, index),
+    thumbnail: (dataUrl, index) =>
+      index === null ? uploadDeckThumbnail(dataUrl, deckId) : uploadBeatVisual(dataUrl, deckId, index),
+    tone: async (dataUrl) => {
+      const decoded = decodeDataUrl(dataUrl);
+      const result = await uploadImage({ image: dataUrl, path: generateStoragePath("tone", deckId, null, decoded.extension) });
+      return result?.publicUrl || null;
+    },
+  };
+
+  async function upload(value, type, field, index = null) {
+    if (!value || typeof value !== "string" || !decodeDataUrl(value)) return value ?? null;
+    if (!uploads.has(value)) {
+      uploads.set(value, uploaders[type](value, index).then((url) => {
+        if (url) uploaded++;
+        return url;
+      }));
+    }
+    const url = await uploads.get(value);
+    if (url) return url;
+    failed.push({ field, index });
+    return value;
+  }
+
+  const source = content || {};
+  const beats = [];
+  for (const [index, beat] of (Array.isArray(source.beats) ? source.beats : []).entries()) {
+    if (!beat || typeof beat !== "object") {
+      beats.push(beat);
+      continue;
+    }
+    const next = { ...beat };
+    for (const [snake, camel, type] of BEAT_MEDIA_FIELDS) {
+      const url = beat[snake] || beat[camel];
+      if (!url) continue;
+      const newUrl = await upload(url, type, snake, index);
+      next[snake] = newUrl;
+      if (camel in beat || snake in beat) next[camel] = newUrl;
+    }
+    beats.push(next);
+  }
+
+  async function uploadImageList(list, type, field) {
+    if (!Array.isArray(list)) return list;
+    const out = [];
+    for (const [index, entry] of list.entries()) {
+      if (typeof entry === "string") {
+        out.push(await upload(entry, type, field, index));
+      } else if (entry && typeof entry === "object" && entry.image) {
+        const next = { ...entry, image: await upload(entry.image, type, field, index) };
+        // String-form visuals were normalized with the data URL as their caption
+        if (next.caption === entry.image && next.image !== entry.image) next.caption = "";
+        out.push(next);
+      } else {
+        out.push(entry);
+      }
+    }
+    return out;
+  }
+
+  const thumbnail = source.thumbnail_url || source.thumbnailUrl;
+  const newThumbnail = thumbnail ? await upload(thumbnail, "thumbnail", "thumbnail_url") : thumbnail ?? null;
+  const toneImage = source.toneImage ? await upload(source.toneImage, "tone", "toneImage") : source.toneImage ?? null;
+
+  return {
+    content: {
+      ...source,
+      beats,
+      ...(Array.isArray(source.visuals) && { visuals: await uploadImageList(source.visuals, "visual", "visuals") }),
+      ...(Array.isArray(source.storyboards) && {
+        storyboards: await uploadImageList(source.storyboards, "storyboard", "storyboards"),
+      }),
+      toneImage,
+      ...((source.thumbnail_url !== undefined || source.thumbnailUrl !== undefined) && {
+        thumbnail_url: newThumbnail,
+        thumbnailUrl: newThumbnail,
+      }),
+    },
+    uploaded,
+    failed,
+  };
+}
+
+/**
+ * Recursively list every object path under a storage prefix
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string} bucket - Bucket name
+ * @param {string} prefix - Folder prefix (no trailing slash)
+ * @returns {Promise<string[]>} Object paths
+ */
+async function listStoragePaths(supabase, bucket, prefix) {
+  const paths = [];
+  const pageSize = 1000;
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .list(prefix, { limit: pageSize, offset });
+
+    if (error) throw error;
+    if (!data?.length) break;
+
+    for (const entry of data) {
+      const fullPath = `${prefix}/${entry.name}`;
+      // Folders come back without an id/metadata
+      if (!entry.id && !entry.metadata) {
+        paths.push(...(await listStoragePaths(supabase, bucket, fullPath)));
+      } else {
+        paths.push(fullPath);
+      }
+    }
+
+    if (data.length < pageSize) break;
+  }
+
+  return paths;
+}
+
+/**
+ * Remove every stored object belonging to a deck:
+ * - deck images under decks/{deckId}/ in the images bucket
+ * - exported PDFs under {userId}/{deckId}/ in the exports bucket
+ *
+ * export_pdf_url is deliberately ignored: clients can set it on save, so it
+ * may point at anything. The export routes always write under the prefix above.
+ *
+ * @param {Object} deck - Deck row (id, user_id)
+ * @param {Object} [supabase] - Storage client (defaults to the service client)
+ * @returns {Promise<{ removed: number, errors: string[] }>}
+ */
+export async function deleteDeckStorage(deck, supabase = getStorageClient()) {
+  if (!supabase) {
+    return { removed: 0, errors: ["No Supabase client available"] };
+  }
+  if (!deck?.id) return { removed: 0, errors: ["Missing deck id"] };
+
+  const targets = [[STORAGE_BUCKET, `decks/${deck.id}`]];
+  if (deck.user_id) targets.push([EXPORT_BUCKET, `${deck.user_id}/${deck.id}`]);
+
+  const byBucket = new Map();
+  const errors = [];
+
+  for (const [bucket, prefix] of targets) {
+    try {
+      const paths = await listStoragePaths(supabase, bucket, prefix);
+      byBucket.set(bucket, [...(byBucket.get(bucket) || []), ...paths]);
+    } catch (err) {
+      errors.push(`${bucket}/${prefix}: ${err.message}`);
+    }
+  }
+
+  let removed = 0;
+  for (const [bucket, paths] of byBucket) {
+    // Storage remove() accepts batches; keep them modest
+    for (let i = 0; i < paths.length; i += 100) {
+      const batch = paths.slice(i, i + 100);
+      const { data, error } = await supabase.storage.from(bucket).remove(batch);
+      if (error) {
+        errors.push(`${bucket}: ${error.message}`);
+      } else {
+        removed += data?.length ?? batch.length;
+      }
+    }
+  }
+
+  if (errors.length) {
+    console.warn(`deleteDeckStorage: deck ${deck.id} finished with errors:`, errors);
+  }
+  return { removed, errors };
+}
+
 /**
  * Update beat media URLs in the database
  * Updates the deck's content.beats array with new URLs for a specific beat
@@ -355,6 +753,13 @@ export async function updateBeatMediaUrls(supabaseClient, deckId, beatIndex, url
       }
     }
     
+    publishDeckChange(deckId, {
+      source: "media",
+      before: content,
+      after: updatedContent,
+      updatedAt: updatePayload.updated_at || null,
+    });
+
     console.log(`updateBeatMediaUrls: Updated beat ${beatIndex} in deck ${deckId}`);
     return true;
   } catch (err) {
@@ -422,6 +827,11 @@ export default {
   uploadBeatVisual,
   uploadBeatStoryboard,
   uploadDeckThumbnail,
+  parseStoragePublicUrl,
+  copyDeckImage,
+  copyDeckContentMedia,
+  uploadDeckContentDataUrls,
+  deleteDeckStorage,
   updateBeatMediaUrls,
   updateDeckThumbnail,
 };